@@ -0,0 +1,215 @@
+// Asset Manager - parses each glTF once and hands out clones
+//
+// The first request for a URL parses the model (from AssetPreloader's bytes
+// when they are already downloaded, otherwise over the network) and keeps the
+// parsed scene as a template. Every caller gets its own clone whose geometry,
+// materials and textures are shared with the template. Clones are reference
+// counted: releasing the last one disposes the template's GPU resources.
+
+const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.6/';
+
+export class AssetManager {
+    constructor(preloader = null) {
+        this.preloader = preloader;  // AssetPreloader whose downloaded bytes are parsed instead of refetching
+        this.templates = new Map();  // url -> {scene, animations, refCount}
+        this.pending = new Map();    // url -> Promise of the template being parsed
+        this.loader = null;          // Created on first use, once THREE.GLTFLoader is available
+        this.stats = { parsed: 0, fromPreloader: 0, clones: 0, released: 0 };
+    }
+
+    static isSupported() {
+        return typeof THREE !== 'undefined' && !!THREE.GLTFLoader;
+    }
+
+    /**
+     * Use bytes downloaded by an AssetPreloader instead of fetching models again
+     * @param {AssetPreloader} preloader
+     */
+    setPreloader(preloader) {
+        this.preloader = preloader;
+    }
+
+    getLoader() {
+        if (!this.loader) {
+            if (!AssetManager.isSupported()) {
+                throw new Error('GLTFLoader not available');
+            }
+            this.loader = new THREE.GLTFLoader();
+            // Draco-compressed meshes decode with one shared decoder
+            if (typeof window !== 'undefined' && window.DRACO_LOADER_AVAILABLE && THREE.DRACOLoader) {
+                const dracoLoader = new THREE.DRACOLoader();
+                dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+                this.loader.setDRACOLoader(dracoLoader);
+            }
+        }
+        return this.loader;
+    }
+
+    /**
+     * Parse a model once; later calls share the same template
+     * @param {string} url - Model URL
+     * @returns {Promise<{scene: THREE.Object3D, animations: THREE.AnimationClip[], refCount: number}>}
+     */
+    async loadTemplate(url) {
+        if (this.templates.has(url)) return this.templates.get(url);
+        if (this.pending.has(url)) return this.pending.get(url);
+
+        const promise = this.parse(url).then((gltf) => {
+            const scene = gltf.scene || (gltf.scenes && gltf.scenes[0]);
+            if (!scene) throw new Error(`No scene found in ${url}`);
+            // Tells the model's own nodes from children added to an instance later (see release())
+            scene.traverse((node) => { node.userData.assetPart = url; });
+            const template = { scene, animations: gltf.animations || [], refCount: 0 };
+            this.templates.set(url, template);
+            this.stats.parsed++;
+            return template;
+        }).finally(() => {
+            this.pending.delete(url);
+        });
+        this.pending.set(url, promise);
+        return promise;
+    }
+
+    // Parse preloaded bytes when available, otherwise download and parse
+    parse(url) {
+        const loader = this.getLoader();
+        const data = this.preloader ? this.preloader.getCachedAsset(url) : null;
+        return new Promise((resolve, reject) => {
+            if (data) {
+                this.stats.fromPreloader++;
+                loader.parse(data, THREE.LoaderUtils.extractUrlBase(url), resolve, reject);
+            } else {
+                loader.load(url, resolve, undefined, reject);
+            }
+        });
+    }
+
+    /**
+     * Get a new instance of a model
+     * The instance shares geometry and materials with every other instance of the URL;
+     * pass cloneMaterials if the caller is going to recolour or retexture it.
+     * @param {string} url - Model URL
+     * @param {Object} options
+     * @param {boolean} options.cloneMaterials - Give this instance its own materials
+     * @returns {Promise<{scene: THREE.Object3D, animations: THREE.AnimationClip[]}>} Same shape as a GLTFLoader result
+     */
+    async instantiate(url, options = {}) {
+        const template = await this.loadTemplate(url);
+        const scene = cloneObject(template.scene);
+        if (options.cloneMaterials) {
+            scene.traverse((child) => {
+                if (!child.isMesh || !child.material) return;
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(m => m.clone())
+                    : child.material.clone();
+                child.userData.ownMaterials = true;
+            });
+        }
+        scene.userData.assetUrl = url;
+        template.refCount++;
+        this.stats.clones++;
+        return { scene, animations: template.animations };
+    }
+
+    /**
+     * Give back an instance from instantiate(); the last release frees the model's GPU resources
+     * @param {THREE.Object3D} object - Instance root
+     * @returns {boolean} Whether the object was a managed instance
+     */
+    release(object) {
+        const url = object && object.userData.assetUrl;
+        const template = url && this.templates.get(url);
+        if (!template) return false;
+
+        delete object.userData.assetUrl;
+        const added = [];
+        visitModelNodes(object, url, (child) => {
+            // Materials cloned for this instance are its own; their textures are still the template's
+            if (child.isMesh && child.userData.ownMaterials) disposeMaterials(child.material, false);
+        }, added);
+        // Children added after instantiate() are not part of the model
+        added.forEach(child => this.disposeTree(child));
+        this.stats.released++;
+
+        template.refCount--;
+        if (template.refCount <= 0) {
+            disposeObject(template.scene);
+            this.templates.delete(url);
+            console.log(`🧹 Released last instance of ${url}`);
+        }
+        return true;
+    }
+
+    /**
+     * Dispose an object tree: managed instances are released, everything else is disposed directly
+     * Geometry and materials flagged userData.shared (reused by every chunk) are left alone.
+     * @param {THREE.Object3D} root
+     */
+    disposeTree(root) {
+        if (!root) return;
+        if (this.release(root)) return;
+        // Meshes drawn through an InstanceBatcher share their geometry and materials with other copies
+        if (root.isMesh && !root.userData.instanced) {
+            if (root.geometry && !root.geometry.userData.shared) root.geometry.dispose();
+            disposeMaterials(root.material);
+            if (root.isInstancedMesh) root.dispose();
+        }
+        root.children.forEach(child => this.disposeTree(child));
+    }
+
+    /**
+     * Cache statistics
+     * @returns {Object} Counters plus live instances per URL
+     */
+    getStats() {
+        const instances = {};
+        this.templates.forEach((template, url) => { instances[url] = template.refCount; });
+        return { ...this.stats, instances };
+    }
+}
+
+// Clone sharing geometry and materials; skinned models need their skeletons rebound
+function cloneObject(source) {
+    let skinned = false;
+    source.traverse((child) => { if (child.isSkinnedMesh) skinned = true; });
+    if (skinned && THREE.SkeletonUtils) {
+        return THREE.SkeletonUtils.clone(source);
+    }
+    return source.clone(true);
+}
+
+// Walk an instance's own nodes; other children (including other instances) go to added
+function visitModelNodes(node, url, visit, added) {
+    visit(node);
+    node.children.forEach((child) => {
+        if (child.userData.assetPart !== url || child.userData.assetUrl) {
+            added.push(child);
+        } else {
+            visitModelNodes(child, url, visit, added);
+        }
+    });
+}
+
+function disposeMaterials(material, textures = true) {
+    const materials = Array.isArray(material) ? material : [material];
+    materials.forEach((m) => {
+        if (!m || m.userData.shared) return;
+        if (textures) {
+            Object.values(m).forEach((value) => {
+                if (value && value.isTexture) value.dispose();
+            });
+        }
+        m.dispose();
+    });
+}
+
+function disposeObject(root) {
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        if (child.geometry) child.geometry.dispose();
+        disposeMaterials(child.material);
+    });
+}
+
+// Shared instance used by the environment, tree and vehicle loaders
+export const assetManager = new AssetManager();
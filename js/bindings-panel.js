@@ -0,0 +1,48 @@
+import { INPUT_ACTIONS, InputManager } from './input-manager.js';
+import { OverlayPanel, createButton } from './ui-panel.js';
+
+// Overlay for rebinding keyboard controls; changes are saved by InputManager
+export class BindingsPanel extends OverlayPanel {
+    constructor(input) {
+        super('Key bindings');
+        this.input = input;
+    }
+
+    renderContent() {
+        const table = document.createElement('table');
+        table.style.borderSpacing = '8px 4px';
+        Object.entries(INPUT_ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+            row.appendChild(name);
+
+            [0, 1].forEach(slot => {
+                const cell = document.createElement('td');
+                const button = createButton(InputManager.formatCode(this.input.bindings[action][slot]));
+                button.style.minWidth = '90px';
+                button.addEventListener('click', async () => {
+                    button.textContent = 'Press a key…';
+                    await this.input.captureBinding(action, slot);
+                    this.render();
+                });
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        this.element.appendChild(table);
+
+        this.addHint('Click a binding, then press a key (Esc cancels). Gamepad and touch controls are fixed.');
+
+        const reset = createButton('Reset to defaults');
+        reset.addEventListener('click', () => {
+            this.input.resetBindings();
+            this.render();
+        });
+        const close = this.createCloseButton();
+        close.style.marginLeft = '8px';
+        this.element.appendChild(reset);
+        this.element.appendChild(close);
+    }
+}
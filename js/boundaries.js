@@ -10,7 +10,6 @@ export function createBoundaryWalls(scene, world, mapSize = 140) {
     
     console.log(`📍 Map size: ${mapSize}x${mapSize} units`);
     console.log(`📍 Wall positions: ±${halfSize} units from center`);
-    console.log(`📍 Roads extend to ±60, walls at ±70 for buffer`);
     
     // Create 4 walls around the perimeter
     const wallConfigs = [
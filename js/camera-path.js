@@ -0,0 +1,240 @@
+// Scripted camera fly-throughs
+//
+// CameraPath turns a list of keyframes (position, look target, FOV, easing,
+// duration) into a sampled timeline, either piecewise linear or along
+// Catmull-Rom splines. CameraPathPlayer plays a path by taking over the camera
+// from CameraController, and blends back into the controller's view when the
+// path ends or is skipped.
+
+import { CONFIG } from './config.js';
+
+// Easing curves for keyframe segments, mapping 0..1 onto 0..1
+export const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export const INTERPOLATIONS = ['linear', 'catmullrom'];
+
+export class CameraPath {
+    /**
+     * @param {Array<Object>} keyframes - [{position, target, fov?, duration?, easing?, hold?}]
+     *   position/target are {x, y, z}; duration is the travel time from the previous
+     *   keyframe (ignored on the first); hold keeps the camera still after arriving.
+     * @param {Object} options
+     * @param {string} options.interpolation - 'linear' or 'catmullrom'
+     * @param {string} options.name - Used in logs
+     */
+    constructor(keyframes, options = {}) {
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error('CameraPath needs at least one keyframe');
+        }
+        this.name = options.name || 'camera path';
+        this.interpolation = options.interpolation || 'linear';
+        if (!INTERPOLATIONS.includes(this.interpolation)) {
+            throw new Error(`Unknown camera path interpolation: ${this.interpolation}`);
+        }
+
+        this.keyframes = keyframes.map((keyframe, index) => ({
+            position: new THREE.Vector3(keyframe.position.x, keyframe.position.y, keyframe.position.z),
+            target: new THREE.Vector3(keyframe.target.x, keyframe.target.y, keyframe.target.z),
+            fov: keyframe.fov || CONFIG.SCENE.FOV,
+            duration: index === 0 ? 0 : Math.max(keyframe.duration || 0, 0),
+            easing: EASINGS[keyframe.easing] ? keyframe.easing : 'easeInOut',
+            hold: Math.max(keyframe.hold || 0, 0)
+        }));
+
+        // Splines need at least two points; a single keyframe is just a still shot
+        if (this.interpolation === 'catmullrom' && this.keyframes.length > 1) {
+            this.positionCurve = new THREE.CatmullRomCurve3(this.keyframes.map(k => k.position), false, 'centripetal');
+            this.targetCurve = new THREE.CatmullRomCurve3(this.keyframes.map(k => k.target), false, 'centripetal');
+        }
+
+        // Timeline: hold at keyframe 0, then travel + hold for each following keyframe
+        this.segments = [];
+        let time = 0;
+        this.keyframes.forEach((keyframe, index) => {
+            if (index > 0 && keyframe.duration > 0) {
+                this.segments.push({ from: index - 1, to: index, start: time, length: keyframe.duration });
+                time += keyframe.duration;
+            }
+            if (keyframe.hold > 0) {
+                this.segments.push({ from: index, to: index, start: time, length: keyframe.hold });
+                time += keyframe.hold;
+            }
+        });
+        this.duration = time;
+    }
+
+    /**
+     * Camera pose at a point in time (clamped to the path)
+     * @param {number} time - Seconds from the start
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3, fov: number}}
+     */
+    sample(time) {
+        const segment = this.segments.find(s => time < s.start + s.length) || this.segments[this.segments.length - 1];
+        if (!segment) {
+            return this._pose(0, 0, 0);
+        }
+        const progress = Math.min(Math.max((time - segment.start) / segment.length, 0), 1);
+        const eased = EASINGS[this.keyframes[segment.to].easing](progress);
+        return this._pose(segment.from, segment.to, eased);
+    }
+
+    _pose(from, to, t) {
+        const a = this.keyframes[from];
+        const b = this.keyframes[to];
+        const fov = a.fov + (b.fov - a.fov) * t;
+        if (from === to) {
+            return { position: a.position.clone(), target: a.target.clone(), fov };
+        }
+        if (this.positionCurve) {
+            // CatmullRomCurve3 spaces its control points evenly over 0..1
+            const u = (from + t) / (this.keyframes.length - 1);
+            return { position: this.positionCurve.getPoint(u), target: this.targetCurve.getPoint(u), fov };
+        }
+        return {
+            position: a.position.clone().lerp(b.position, t),
+            target: a.target.clone().lerp(b.target, t),
+            fov
+        };
+    }
+}
+
+// Plays CameraPaths on the main camera, taking over from CameraController
+export class CameraPathPlayer {
+    constructor(camera, cameraController) {
+        this.camera = camera;
+        this.cameraController = cameraController;
+        this.path = null;
+        this.time = 0;
+        this.phase = null;       // 'path' | 'handback'
+        this._blendFrom = null;  // Camera pose when the path started or when hand-back began
+        this._resolve = null;
+        this._skipped = false;
+        this._baseFov = camera.fov;
+        this.skipButton = this.createSkipButton();
+    }
+
+    get isPlaying() {
+        return this.phase !== null;
+    }
+
+    /**
+     * Play a path; any path already playing is skipped
+     * @param {CameraPath} path
+     * @returns {Promise<boolean>} Resolves once control is back with CameraController; true if played to the end
+     */
+    play(path) {
+        if (this.isPlaying) this.finish();
+        this.path = path;
+        this.time = 0;
+        this.phase = 'path';
+        this._skipped = false;
+        this._baseFov = this.camera.fov;
+        this._blendFrom = this.capturePose();
+        this.skipButton.style.display = 'block';
+        console.log(`🎬 Playing ${path.name} (${path.duration.toFixed(1)}s)`);
+        return new Promise(resolve => { this._resolve = resolve; });
+    }
+
+    // Stop the path and start handing control back
+    skip() {
+        if (this.phase !== 'path') return;
+        this._skipped = true;
+        this.startHandback();
+    }
+
+    startHandback() {
+        this.phase = 'handback';
+        this.time = 0;
+        this._blendFrom = this.capturePose();
+        this.skipButton.style.display = 'none';
+        // Start the controller from its resting view rather than wherever it was left
+        this.camera.fov = this._baseFov;
+        this.cameraController.snap();
+    }
+
+    /**
+     * Advance playback; call instead of CameraController.update() while isPlaying
+     * @param {number} deltaTime - Seconds since the last frame
+     * @returns {boolean} Whether the player still owns the camera
+     */
+    update(deltaTime) {
+        if (!this.isPlaying) return false;
+        this.time += deltaTime;
+        const blend = smoothstep(Math.min(this.time / CONFIG.CINEMATICS.BLEND_TIME, 1));
+
+        if (this.phase === 'path') {
+            const pose = this.path.sample(this.time);
+            this.camera.position.copy(pose.position);
+            this.camera.lookAt(pose.target);
+            this.camera.fov = pose.fov;
+            // Ease in from wherever the camera was when playback started
+            if (blend < 1) this.applyBlend(this._blendFrom, blend);
+            this.camera.updateProjectionMatrix();
+            if (this.time >= this.path.duration) this.startHandback();
+            return true;
+        }
+
+        // Hand-back: let the controller place the camera, then blend from the last path pose
+        this.cameraController.update(deltaTime);
+        this.applyBlend(this._blendFrom, blend);
+        this.camera.updateProjectionMatrix();
+        if (blend >= 1) this.finish();
+        return true;
+    }
+
+    finish() {
+        const resolve = this._resolve;
+        const completed = !this._skipped;
+        this.phase = null;
+        this.path = null;
+        this._resolve = null;
+        this.camera.fov = this._baseFov;
+        this.camera.updateProjectionMatrix();
+        this.skipButton.style.display = 'none';
+        if (resolve) resolve(completed);
+    }
+
+    capturePose() {
+        return {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone(),
+            fov: this.camera.fov
+        };
+    }
+
+    // Mix the camera's current pose with an earlier one; t = 1 keeps the current pose
+    applyBlend(from, t) {
+        this.camera.position.lerpVectors(from.position, this.camera.position, t);
+        this.camera.quaternion.copy(from.quaternion).slerp(this.camera.quaternion.clone(), t);
+        this.camera.fov = from.fov + (this.camera.fov - from.fov) * t;
+    }
+
+    createSkipButton() {
+        const button = document.createElement('button');
+        button.textContent = 'Skip ▸';
+        button.style.position = 'fixed';
+        button.style.right = '20px';
+        button.style.bottom = '20px';
+        button.style.padding = '8px 14px';
+        button.style.fontSize = '16px';
+        button.style.color = 'white';
+        button.style.background = 'rgba(0, 0, 0, 0.5)';
+        button.style.border = '1px solid rgba(255, 255, 255, 0.5)';
+        button.style.borderRadius = '4px';
+        button.style.cursor = 'pointer';
+        button.style.zIndex = '300';
+        button.style.display = 'none';
+        button.addEventListener('click', () => this.skip());
+        document.body.appendChild(button);
+        return button;
+    }
+}
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
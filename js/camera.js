@@ -1,115 +1,284 @@
 import { CONFIG } from './config.js';
 
-// Camera controller with mouse tilt controls
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Camera controller: orbit/zoom around the character or a chase view behind a vehicle
+// Rotation and zoom are damped, and a spring arm pulls the camera in front of walls.
 export class CameraController {
-    constructor(camera, character, domElement) {
+    constructor(camera, character, domElement, input = null) {
         this.camera = camera;
         this.character = character;
         this.domElement = domElement || document.body;
+        this.input = input; // InputManager providing look/zoom (mouse, right stick, touch)
 
-        // Mouse control variables
-        this.isMouseDown = false;
-        this.mouseX = 0;
-        this.mouseY = 0;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
+        // What the camera follows and how: 'orbit' around the character, 'chase' behind a vehicle
+        this.target = character;
+        this.profile = 'orbit';
 
-        // Camera rotation variables
-        this.cameraRotationX = 0; // Rotation around X axis (vertical tilt)
+        // Camera rotation variables (targets; the rendered view eases toward them)
+        this.cameraRotationX = 0; // Vertical tilt relative to CONFIG.CAMERA.DEFAULT_ELEVATION
         this.cameraRotationY = 0; // Rotation around Y axis (horizontal rotation)
 
-        // Rotation constraints (in radians)
-        this.minRotationX = -Math.PI / 3; // -60 degrees
-        this.maxRotationX = Math.PI / 3;  // +60 degrees
+        // Rotation constraints (in radians), derived from the elevation limits
+        this.minRotationX = CONFIG.CAMERA.DEFAULT_ELEVATION - CONFIG.CAMERA.MAX_ELEVATION;
+        this.maxRotationX = CONFIG.CAMERA.DEFAULT_ELEVATION - CONFIG.CAMERA.MIN_ELEVATION;
+
+        // Zoom
+        this.distance = CONFIG.CAMERA.DEFAULT_DISTANCE;
+        this.minDistance = CONFIG.CAMERA.MIN_DISTANCE;
+        this.maxDistance = CONFIG.CAMERA.MAX_DISTANCE;
+
+        // Smoothing (exponential damping rates per second; 0 = no smoothing)
+        this.rotationDamping = CONFIG.CAMERA.ROTATION_DAMPING;
+        this.zoomDamping = CONFIG.CAMERA.ZOOM_DAMPING;
+        this.followDamping = CONFIG.CAMERA.FOLLOW_DAMPING;
 
         // Mouse sensitivity
         this.mouseSensitivity = 0.002;
 
-        // Setup mouse event listeners
-        this.setupMouseControls();
-    }
+        // Pointer lock: mouse look without holding a button
+        this.pointerLock = false;
 
-    setupMouseControls() {
-        // Mouse down event
-        this.domElement.addEventListener('mousedown', (event) => {
-            this.isMouseDown = true;
-            this.lastMouseX = event.clientX;
-            this.lastMouseY = event.clientY;
-            this.domElement.style.cursor = 'grabbing';
-        });
+        // Spring arm collision
+        this.collisionObjects = [];   // [{object, box}]
+        this.raycaster = new THREE.Raycaster();
+        this.terrain = null;          // Heightmap the camera stays above (terrain.js)
 
-        // Mouse move event
-        this.domElement.addEventListener('mousemove', (event) => {
-            if (!this.isMouseDown) return;
+        // Smoothed state actually rendered; null until the first update snaps it
+        this._view = null;
 
-            this.mouseX = event.clientX;
-            this.mouseY = event.clientY;
+        this.setPointerLock(CONFIG.CAMERA.POINTER_LOCK);
+    }
 
-            // Calculate mouse movement delta
-            const deltaX = this.mouseX - this.lastMouseX;
-            const deltaY = this.mouseY - this.lastMouseY;
+    /**
+     * Follow a different object
+     * @param {THREE.Object3D} target - Object to follow
+     * @param {string} profile - 'orbit' (character) or 'chase' (vehicle)
+     */
+    setTarget(target, profile = 'orbit') {
+        this.target = target;
+        this.profile = profile;
+        this._chasePosition = null;
+        // Start each profile looking straight ahead
+        this.resetRotation();
+    }
 
-            // Update camera rotation based on mouse movement
-            this.cameraRotationY -= deltaX * this.mouseSensitivity; // Horizontal rotation
-            this.cameraRotationX -= deltaY * this.mouseSensitivity; // Vertical tilt
+    /**
+     * Turn pointer-lock mouse look on or off
+     * When on, clicking the canvas captures the mouse; Esc releases it.
+     * @param {boolean} enabled
+     */
+    setPointerLock(enabled) {
+        this.pointerLock = !!enabled;
+        if (this.input) this.input.setPointerLockEnabled(this.pointerLock);
+    }
 
-            // Apply rotation constraints
-            this.cameraRotationX = Math.max(this.minRotationX, Math.min(this.maxRotationX, this.cameraRotationX));
+    /**
+     * Set the orbit distance (clamped to min/max)
+     * @param {number} distance
+     */
+    setZoom(distance) {
+        this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, distance));
+    }
 
-            // Update last mouse position
-            this.lastMouseX = this.mouseX;
-            this.lastMouseY = this.mouseY;
+    /**
+     * Objects the camera must not pass through (buildings, large props)
+     * @param {Array<THREE.Object3D>} objects
+     */
+    setCollisionObjects(objects) {
+        this.collisionObjects = objects.filter(Boolean).map(object => {
+            object.updateMatrixWorld(true);
+            return { object, box: new THREE.Box3().setFromObject(object) };
         });
+    }
 
-        // Mouse up event
-        document.addEventListener('mouseup', () => {
-            this.isMouseDown = false;
-            this.domElement.style.cursor = 'grab';
-        });
+    /**
+     * Terrain the camera must stay above
+     * @param {Heightmap|null} heightmap
+     */
+    setTerrain(heightmap) {
+        this.terrain = heightmap;
+    }
 
-        // Prevent context menu on right click
-        this.domElement.addEventListener('contextmenu', (event) => {
-            event.preventDefault();
-        });
+    // Lift the camera out of hills; a heightmap lookup is much cheaper than raycasting the terrain mesh
+    keepAboveTerrain() {
+        if (!this.terrain) return;
+        const position = this.camera.position;
+        const floor = this.terrain.getHeightAt(position.x, position.z) + CONFIG.CAMERA.TERRAIN_CLEARANCE;
+        if (position.y < floor) position.y = floor;
+    }
+
+    // Apply look and zoom input gathered since the last frame
+    applyInput() {
+        if (!this.input) return;
+        const delta = this.input.consumeLookDelta();
+
+        // Update camera rotation based on look movement
+        this.cameraRotationY -= delta.x * this.mouseSensitivity; // Horizontal rotation
+        this.cameraRotationX -= delta.y * this.mouseSensitivity; // Vertical tilt
 
-        // Set initial cursor style
-        this.domElement.style.cursor = 'grab';
+        // Apply rotation constraints
+        this.cameraRotationX = Math.max(this.minRotationX, Math.min(this.maxRotationX, this.cameraRotationX));
+
+        const zoom = this.input.consumeZoomDelta();
+        if (zoom !== 0) {
+            this.setZoom(this.distance * Math.exp(zoom * CONFIG.CAMERA.ZOOM_SPEED));
+        }
     }
 
-    update() {
-        // Calculate ideal camera position relative to character
-        const baseOffset = new THREE.Vector3(0, 6, 12);
-        const idealCameraPosition = this.character.position.clone().add(baseOffset);
+    /**
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime = 1 / 60) {
+        this.applyInput();
 
-        // Apply camera rotation to the offset
-        const rotatedOffset = baseOffset.clone();
-        rotatedOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotationY); // Y-axis rotation
-        rotatedOffset.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.cameraRotationX); // X-axis rotation
+        // Ease the rendered view toward the targets
+        const goal = {
+            yaw: this.cameraRotationY,
+            elevation: CONFIG.CAMERA.DEFAULT_ELEVATION - this.cameraRotationX,
+            distance: this.distance,
+            pivot: this.target.position.clone().add(new THREE.Vector3(0, CONFIG.CAMERA.PIVOT_HEIGHT, 0))
+        };
+        if (!this._view) {
+            this._view = { ...goal, pivot: goal.pivot.clone(), arm: goal.distance };
+        } else {
+            const view = this._view;
+            const rotation = damp(this.rotationDamping, deltaTime);
+            view.yaw += (goal.yaw - view.yaw) * rotation;
+            view.elevation += (goal.elevation - view.elevation) * rotation;
+            view.distance += (goal.distance - view.distance) * damp(this.zoomDamping, deltaTime);
+            view.pivot.lerp(goal.pivot, damp(this.followDamping, deltaTime));
+        }
 
-        // Set final camera position
-        this.camera.position.copy(this.character.position).add(rotatedOffset);
+        if (this.profile === 'chase') {
+            this.updateChase(deltaTime);
+        } else {
+            this.updateOrbit(deltaTime);
+        }
+    }
 
-        // Calculate look-at target (character position with slight height offset)
-        const lookAtTarget = new THREE.Vector3(
-            this.character.position.x,
-            this.character.position.y + 1,
-            this.character.position.z
+    updateOrbit(deltaTime) {
+        const view = this._view;
+        const direction = new THREE.Vector3(
+            Math.sin(view.yaw) * Math.cos(view.elevation),
+            Math.sin(view.elevation),
+            Math.cos(view.yaw) * Math.cos(view.elevation)
         );
+        const arm = this.springArm(view.pivot, direction, view.distance, deltaTime);
+        this.camera.position.copy(view.pivot).addScaledVector(direction, arm);
+        this.keepAboveTerrain();
+        this.camera.lookAt(view.pivot);
+    }
+
+    // Chase camera: sits behind and above the vehicle, look input swings it around
+    updateChase(deltaTime) {
+        const view = this._view;
+        const target = this.target;
+        const forward = new THREE.Vector3();
+        target.getWorldDirection(forward); // Car models face their local +z
+        forward.y = 0;
+        forward.normalize();
+
+        // Zooming scales the chase offset the same way it scales the orbit
+        const scale = view.distance / CONFIG.CAMERA.DEFAULT_DISTANCE;
+        const offset = forward.clone().multiplyScalar(-CONFIG.VEHICLE.CHASE_DISTANCE * scale);
+        offset.y = CONFIG.VEHICLE.CHASE_HEIGHT * scale;
+        offset.applyAxisAngle(UP, view.yaw);
 
-        // Apply the same rotations to the look-at direction
-        const lookAtOffset = new THREE.Vector3(0, 1, 0);
-        lookAtOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.cameraRotationY);
-        lookAtOffset.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.cameraRotationX);
-        lookAtTarget.add(lookAtOffset);
+        const anchor = target.position.clone().add(new THREE.Vector3(0, 1, 0));
+        const length = offset.length();
+        const direction = offset.divideScalar(length);
+        const arm = this.springArm(anchor, direction, length, deltaTime);
+        const desired = anchor.clone().addScaledVector(direction, arm);
+
+        if (this._chasePosition) {
+            this._chasePosition.lerp(desired, damp(this.followDamping, deltaTime));
+        } else {
+            this._chasePosition = desired;
+        }
+        this.camera.position.copy(this._chasePosition);
+        this.keepAboveTerrain();
 
-        // Make camera look at the target
+        // Look a little ahead of the car so upcoming turns stay in view
+        const lookAtTarget = target.position.clone()
+            .addScaledVector(forward, 4)
+            .add(new THREE.Vector3(0, 1, 0));
         this.camera.lookAt(lookAtTarget);
+    }
+
+    /**
+     * Spring arm: how far the camera may sit from the pivot along a direction
+     * Pulls in at once when a wall is in the way and eases back out once it clears.
+     * @param {THREE.Vector3} pivot - Arm origin
+     * @param {THREE.Vector3} direction - Unit direction from pivot to camera
+     * @param {number} length - Desired arm length
+     * @param {number} deltaTime - Seconds since the last frame
+     * @returns {number} Arm length to use this frame
+     */
+    springArm(pivot, direction, length, deltaTime) {
+        let allowed = length;
+        const hit = this.castArm(pivot, direction, length);
+        if (hit !== null) {
+            allowed = Math.max(hit - CONFIG.CAMERA.COLLISION_PADDING, 0.5);
+        }
 
-        // Optional: Add some smoothing to the camera movement
-        if (this.lastCameraPosition) {
-            this.camera.position.lerp(this.lastCameraPosition, 0.1);
+        const view = this._view;
+        if (allowed < view.arm) {
+            view.arm = allowed;
+        } else {
+            view.arm += (allowed - view.arm) * damp(this.zoomDamping, deltaTime);
         }
-        this.lastCameraPosition = this.camera.position.clone();
+        return view.arm;
+    }
+
+    // Distance to the nearest collision object along the arm, or null if clear
+    castArm(pivot, direction, length) {
+        if (this.collisionObjects.length === 0) return null;
+        const ray = new THREE.Ray(pivot, direction);
+        const boxHit = new THREE.Vector3();
+        this.raycaster.set(pivot, direction);
+        this.raycaster.far = length;
+
+        let nearest = null;
+        this.collisionObjects.forEach(({ object, box }) => {
+            if (!object.visible) return;
+            // Cheap box test first; only boxes the arm reaches get a mesh raycast
+            if (!box.containsPoint(pivot)) {
+                const point = ray.intersectBox(box, boxHit);
+                if (!point || point.distanceTo(pivot) > length) return;
+            }
+            const hits = this.raycaster.intersectObject(object, true);
+            if (hits.length > 0 && (nearest === null || hits[0].distance < nearest)) {
+                nearest = hits[0].distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Capture camera orbit for saved game state
+     * @returns {{yaw: number, pitch: number, distance: number}} Serializable camera state
+     */
+    getState() {
+        return { yaw: this.cameraRotationY, pitch: this.cameraRotationX, distance: this.distance };
+    }
+
+    /**
+     * Restore state captured by getState() and snap to it without smoothing
+     * @param {{yaw: number, pitch: number, distance?: number}} state - Camera state
+     */
+    setState(state) {
+        this.cameraRotationY = state.yaw;
+        this.cameraRotationX = Math.max(this.minRotationX, Math.min(this.maxRotationX, state.pitch));
+        if (typeof state.distance === 'number') this.setZoom(state.distance);
+        this.snap();
+    }
+
+    // Drop smoothing so the next update jumps straight to the target view
+    snap() {
+        this._view = null;
+        this._chasePosition = null;
+        this.update(0);
     }
 
     handleResize() {
@@ -128,3 +297,9 @@ export class CameraController {
         this.mouseSensitivity = sensitivity;
     }
 }
+
+// Frame-rate independent interpolation factor for an exponential damping rate
+function damp(rate, deltaTime) {
+    if (!rate) return 1;
+    return 1 - Math.exp(-rate * deltaTime);
+}
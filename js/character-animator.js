@@ -0,0 +1,229 @@
+// Character animator - locomotion for the player character
+//
+// A rigged glTF (CONFIG.CHARACTER_ANIMATION.MODEL_URL, left in the character's
+// userData.rig by createCharacter()) gets a state machine over its clips:
+//   idle <-> walk <-> run   on the ground, by horizontal speed
+//   jump -> fall            in the air
+//   land                    on touching down after a long fall
+// Every change cross-fades. Walk and run play at the rate their stride covers
+// the ground at the current speed (CLIP_SPEEDS), so the feet don't slide.
+// A state without a clip borrows a neighbour's (run -> walk, land -> idle...).
+//
+// Without a rig (the OBJ mascot or the primitive) the same states drive a
+// procedural bob, sway and lean of the character's visual group, with the bob
+// locked to the distance walked.
+
+import { CONFIG } from './config.js';
+
+export const LOCOMOTION_STATES = ['idle', 'walk', 'run', 'jump', 'fall', 'land'];
+
+// Clip to borrow when a state has none of its own
+const FALLBACK_STATES = { run: 'walk', walk: 'idle', jump: 'fall', fall: 'jump', land: 'idle' };
+
+// States that play once and hold their last frame
+const ONE_SHOT_STATES = ['jump', 'land'];
+
+// Seconds the land state lasts without a clip, or once the player moves off
+const LAND_TIME = 0.25;
+const LAND_TIME_MOVING = 0.1;
+
+export class CharacterAnimator {
+    /**
+     * @param {THREE.Object3D} character - From createCharacter()
+     */
+    constructor(character) {
+        this.character = character;
+        this.visual = character.userData.visual || character;
+        this.state = 'idle';
+        this.stateTime = 0;     // Seconds in the current state
+        this.airTime = 0;       // Seconds since the feet left the ground
+        this.mixer = null;      // Set once a rig has loaded
+        this.actions = {};      // State -> AnimationAction for the states with a clip
+        this.current = null;    // Action playing (fading in) for the current state
+        this._phase = 0;        // Procedural stride cycle, radians
+        this._time = 0;
+        this._squash = 0;       // Procedural landing squash, decays to 0
+    }
+
+    /**
+     * Advance the animation
+     * @param {number} deltaTime - Seconds of game time (0 while paused)
+     * @param {Object} motion - CharacterController.getMotion()
+     */
+    update(deltaTime, motion) {
+        const rig = this.character.userData.rig;
+        if (rig && !this.mixer) this.bindRig(rig);
+
+        this.setState(this.chooseState(deltaTime, motion));
+        this.stateTime += deltaTime;
+
+        if (this.mixer) {
+            this.matchFootSpeed(motion.speed);
+            this.mixer.update(deltaTime);
+        } else {
+            this.animateProcedural(deltaTime, motion);
+        }
+    }
+
+    /**
+     * Find a clip for each locomotion state and start the current one
+     * @param {{model: THREE.Object3D, animations: THREE.AnimationClip[]}} rig
+     */
+    bindRig(rig) {
+        this.mixer = new THREE.AnimationMixer(rig.model);
+        const names = CONFIG.CHARACTER_ANIMATION.CLIPS;
+        LOCOMOTION_STATES.forEach((state) => {
+            const clip = findClip(rig.animations, names[state] || [state]);
+            if (!clip) return;
+            const action = this.mixer.clipAction(clip);
+            if (ONE_SHOT_STATES.includes(state)) {
+                action.setLoop(THREE.LoopOnce, 1);
+                action.clampWhenFinished = true;
+            }
+            this.actions[state] = action;
+        });
+        // The procedural pose would otherwise stay on the visual group
+        this.visual.position.set(0, 0, 0);
+        this.visual.rotation.set(0, 0, 0);
+        this.visual.scale.set(1, 1, 1);
+
+        const missing = LOCOMOTION_STATES.filter(state => !this.actions[state]);
+        if (missing.length > 0) console.warn(`⚠️ Character has no clip for: ${missing.join(', ')}`);
+        this.current = null;
+        this.playState(this.state);
+    }
+
+    // Pick the state for this frame from how the character is moving
+    chooseState(deltaTime, motion) {
+        const options = CONFIG.CHARACTER_ANIMATION;
+        if (!motion.grounded) {
+            this.airTime += deltaTime;
+            if (this.state === 'jump' && motion.verticalSpeed > 0) return 'jump';
+            // Take-off: rising right after leaving the ground
+            if (motion.verticalSpeed > 0.5 && this.airTime <= deltaTime * 2) return 'jump';
+            // Short drops (curbs, steps) keep the ground state
+            if (this.airTime > options.FALL_DELAY) return 'fall';
+            return this.state;
+        }
+
+        const landed = this.airTime >= options.LAND_AIR_TIME;
+        this.airTime = 0;
+        if (landed) return 'land';
+        if (this.state === 'land' && this.stateTime < this.getLandTime(motion.speed)) return 'land';
+
+        if (motion.speed < options.IDLE_SPEED) return 'idle';
+        return motion.speed < options.RUN_SPEED ? 'walk' : 'run';
+    }
+
+    // How long to hold the land state: its clip's length, cut short once the player moves off
+    getLandTime(speed) {
+        if (speed >= CONFIG.CHARACTER_ANIMATION.IDLE_SPEED) return LAND_TIME_MOVING;
+        const action = this.actions.land;
+        return action ? action.getClip().duration : LAND_TIME;
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.stateTime = 0;
+        if (state === 'land') this._squash = 1;
+        if (this.mixer) this.playState(state);
+    }
+
+    // Cross-fade to the clip for a state (or the nearest state that has one)
+    playState(state) {
+        const action = this.actions[this.resolveClipState(state)];
+        if (!action || action === this.current) {
+            // Re-entering a one-shot (a second jump) restarts it
+            if (action && ONE_SHOT_STATES.includes(state)) action.reset().play();
+            return;
+        }
+        action.reset();
+        action.setEffectiveTimeScale(1);
+        action.setEffectiveWeight(1);
+        action.play();
+        if (this.current) action.crossFadeFrom(this.current, CONFIG.CHARACTER_ANIMATION.FADE, false);
+        this.current = action;
+    }
+
+    // The state whose clip plays for a state
+    resolveClipState(state) {
+        const seen = new Set();
+        let candidate = state;
+        while (candidate && !this.actions[candidate] && !seen.has(candidate)) {
+            seen.add(candidate);
+            candidate = FALLBACK_STATES[candidate];
+        }
+        return this.actions[candidate] ? candidate : 'idle';
+    }
+
+    // Play walk and run at the rate their stride covers the ground at this speed
+    matchFootSpeed(speed) {
+        if (!this.current) return;
+        const clipState = this.resolveClipState(this.state);
+        const clipSpeed = CONFIG.CHARACTER_ANIMATION.CLIP_SPEEDS[clipState];
+        const moving = this.state === 'walk' || this.state === 'run';
+        const timeScale = moving && clipSpeed ? THREE.MathUtils.clamp(speed / clipSpeed, 0.25, 4) : 1;
+        this.current.setEffectiveTimeScale(timeScale);
+    }
+
+    // Bob, sway and lean the visual group for models without a rig
+    animateProcedural(deltaTime, motion) {
+        const options = CONFIG.CHARACTER_ANIMATION;
+        const walking = this.state === 'walk' || this.state === 'run';
+        this._time += deltaTime;
+        // One cycle per two steps, so the bob keeps pace with the ground covered
+        if (walking) this._phase += (motion.speed / options.STRIDE_LENGTH) * Math.PI * 2 * deltaTime;
+        this._squash = Math.max(0, this._squash - deltaTime / LAND_TIME);
+
+        const stride = Math.min(1, motion.speed / CONFIG.CHARACTER.WALK_SPEED);
+        const sprint = THREE.MathUtils.clamp((motion.speed - CONFIG.CHARACTER.WALK_SPEED) /
+            (CONFIG.CHARACTER.WALK_SPEED * (CONFIG.CHARACTER.SPRINT_MULTIPLIER - 1)), 0, 1);
+        let bob = 0;
+        let sway = 0;
+        let lean = 0;
+        let stretch = 1;
+        if (walking) {
+            bob = Math.abs(Math.sin(this._phase)) * options.BOB_HEIGHT * stride;
+            sway = Math.sin(this._phase) * options.SWAY * stride;
+            lean = options.LEAN * (0.3 * stride + 0.7 * sprint);
+        } else if (this.state === 'jump') {
+            stretch = 1.06;
+        } else if (this.state === 'fall') {
+            stretch = 1.03;
+            lean = -options.LEAN * 0.3;
+        } else {
+            stretch = 1 + Math.sin(this._time * Math.PI * 2 / 3) * options.BREATH;
+        }
+        stretch -= this._squash * 0.12;
+
+        // Ease toward the pose so state changes don't pop
+        const blend = 1 - Math.exp(-12 * deltaTime);
+        const visual = this.visual;
+        // Stretch about the feet rather than the group origin above them
+        const lift = bob + CONFIG.CHARACTER.GROUND_LEVEL * (visual.scale.y - 1);
+        visual.position.y += (lift - visual.position.y) * blend;
+        visual.rotation.z += (sway - visual.rotation.z) * blend;
+        visual.rotation.x += (lean - visual.rotation.x) * blend;
+        visual.scale.y += (stretch - visual.scale.y) * blend;
+    }
+
+    dispose() {
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.mixer.getRoot());
+        }
+        this.mixer = null;
+        this.actions = {};
+        this.current = null;
+    }
+}
+
+// First clip whose name starts with one of the candidates, ignoring case and "Armature|" prefixes
+function findClip(clips, candidates) {
+    const names = candidates.map(name => name.toLowerCase());
+    return clips.find((clip) => {
+        const name = clip.name.toLowerCase().split('|').pop();
+        return names.some(candidate => name.startsWith(candidate));
+    }) || null;
+}
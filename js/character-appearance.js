@@ -0,0 +1,370 @@
+// Character appearance - skins, tints and accessories for the player character
+//
+// A skin puts an image (url) or a pattern drawn on a canvas on the character's
+// own meshes, over white; 'plain' drops the texture for the model's own colour.
+// 'mascot', the default, is models/mascot.png, drawn for the OBJ mascot's UVs:
+// any other model (a rigged glTF, the primitive) keeps its own textures and
+// colours with it. Each tint slot multiplies the colour of a set of materials -
+// the character's body, or every accessory - so light skins pick up the tint.
+// Accessories hang from
+// the attachment points createCharacter() keeps in userData.attachments, one
+// per point.
+//
+// The selection is saved to localStorage and goes into Game.saveState(). It is
+// applied again each time the character's model finishes loading, since the
+// mascot and rigged models arrive after the primitive.
+
+import { CONFIG } from './config.js';
+
+// Skins offered in the wardrobe
+export const SKINS = {
+    mascot: { label: 'Mascot', url: 'models/mascot.png', mascotOnly: true },
+    plain: { label: 'Plain', plain: true },
+    stripes: { label: 'Stripes', pattern: 'stripes' },
+    dots: { label: 'Dots', pattern: 'dots' },
+    checks: { label: 'Checks', pattern: 'checks' }
+};
+
+// Colour slots and their defaults (white leaves the material as it was)
+export const TINT_SLOTS = {
+    body: { label: 'Body', color: '#ffffff' },
+    accessory: { label: 'Accessories', color: '#d94f4f' }
+};
+
+// Quick picks shown next to the colour picker
+export const TINT_SWATCHES = ['#ffffff', '#d94f4f', '#f2a541', '#f2e35c', '#6cc36c', '#4f9fd9', '#9b6cd9', '#555555'];
+
+// Accessories by id; point is the attachment point they hang from
+export const ACCESSORIES = {
+    cap: { label: 'Cap', point: 'head', build: buildCap },
+    topHat: { label: 'Top hat', point: 'head', build: buildTopHat },
+    partyHat: { label: 'Party hat', point: 'head', build: buildPartyHat },
+    backpack: { label: 'Backpack', point: 'back', build: buildBackpack },
+    jetpack: { label: 'Jetpack', point: 'back', build: buildJetpack }
+};
+
+export const DEFAULT_APPEARANCE = {
+    skin: 'mascot',
+    tints: { body: TINT_SLOTS.body.color, accessory: TINT_SLOTS.accessory.color },
+    accessories: { head: null, back: null }
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export class CharacterAppearance {
+    /**
+     * @param {THREE.Object3D} character - From createCharacter()
+     */
+    constructor(character) {
+        this.character = character;
+        this.visual = character.userData.visual || character;
+        this.attachments = character.userData.attachments || {};
+        this.state = this.load();
+        this.model = null;      // Model from the last 'modelloaded' event; null while the primitive shows
+        this.mounted = {};      // Attachment point -> {id, object} of the accessory hanging there
+        this._textures = {};    // Skin id -> texture, loaded or drawn on first use
+        this._accessoryMaterial = new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0.05 });
+        this._detailMaterial = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.5, metalness: 0.3 });
+
+        character.addEventListener('modelloaded', (event) => {
+            this.model = event.model;
+            this.apply();
+        });
+        this.apply();
+    }
+
+    /**
+     * Current selection, safe to serialize
+     * @returns {{skin: string, tints: Object, accessories: Object}}
+     */
+    getState() {
+        return cloneAppearance(this.state);
+    }
+
+    /**
+     * Apply a selection, e.g. from a shared save state
+     * Unknown skins, accessories and malformed colours fall back to the defaults.
+     * @param {Object} state - As returned by getState()
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Also remember it as this player's own selection
+     */
+    setState(state, { persist = true } = {}) {
+        this.state = sanitizeAppearance(state);
+        this.apply();
+        if (persist) this.save();
+    }
+
+    /**
+     * @param {string} id - Key of SKINS
+     */
+    setSkin(id) {
+        if (!SKINS[id]) return;
+        this.state.skin = id;
+        this.apply();
+        this.save();
+    }
+
+    /**
+     * @param {string} slot - Key of TINT_SLOTS
+     * @param {string} color - '#rrggbb'
+     */
+    setTint(slot, color) {
+        if (!TINT_SLOTS[slot] || !COLOR_PATTERN.test(color)) return;
+        this.state.tints[slot] = color.toLowerCase();
+        this.apply();
+        this.save();
+    }
+
+    /**
+     * Hang an accessory from its attachment point, or clear a point
+     * @param {string} point - Attachment point ('head', 'back')
+     * @param {string|null} id - Key of ACCESSORIES for that point, or null to remove
+     */
+    setAccessory(point, id) {
+        if (!(point in DEFAULT_APPEARANCE.accessories)) return;
+        if (id !== null && (!ACCESSORIES[id] || ACCESSORIES[id].point !== point)) return;
+        this.state.accessories[point] = id;
+        this.apply();
+        this.save();
+    }
+
+    reset() {
+        this.setState(DEFAULT_APPEARANCE);
+    }
+
+    /**
+     * Bring the character's meshes and accessories in line with the selection
+     */
+    apply() {
+        const skin = this.getSkinTexture(this.state.skin);
+        const tint = new THREE.Color(this.state.tints.body);
+        this.getBodyMaterials().forEach((material) => {
+            // undefined keeps the model's own texture
+            const map = skin === undefined ? material.userData.baseMap : skin;
+            if (material.map !== map) {
+                // Adding or removing a map changes the shader
+                if (!material.map !== !map) material.needsUpdate = true;
+                material.map = map;
+            }
+            // A skin shows its own colours; otherwise the model keeps its base colour
+            if (skin) {
+                material.color.copy(tint);
+            } else {
+                material.color.copy(material.userData.baseColor).multiply(tint);
+            }
+        });
+
+        this._accessoryMaterial.color.set(this.state.tints.accessory);
+        Object.keys(this.attachments).forEach((point) => this.mountAccessory(point, this.state.accessories[point]));
+    }
+
+    // The character's materials, each mesh given its own copy the first time so
+    // tints don't leak into materials shared with the asset cache
+    getBodyMaterials() {
+        const materials = [];
+        this.visual.traverse((child) => {
+            if (!child.isMesh || child.userData.accessory) return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(ownMaterial)
+                : ownMaterial(child.material);
+            const list = Array.isArray(child.material) ? child.material : [child.material];
+            list.forEach((material) => {
+                if (material.color && !materials.includes(material)) materials.push(material);
+            });
+        });
+        return materials;
+    }
+
+    // Skin texture, null for the plain skin and undefined to keep the model's own
+    getSkinTexture(id) {
+        const skin = SKINS[id];
+        if (skin.plain) return null;
+        if (skin.mascotOnly && !(this.model && this.model.userData.mascot)) return undefined;
+        if (!this._textures[id]) {
+            this._textures[id] = skin.url ? loadSkinTexture(skin.url) : drawPattern(skin.pattern);
+        }
+        return this._textures[id];
+    }
+
+    // Swap what hangs from an attachment point
+    mountAccessory(point, id) {
+        const mounted = this.mounted[point];
+        if ((mounted ? mounted.id : null) === id) return;
+        if (mounted) {
+            mounted.object.parent.remove(mounted.object);
+            mounted.object.traverse((child) => { if (child.isMesh) child.geometry.dispose(); });
+            delete this.mounted[point];
+        }
+        if (!id) return;
+
+        const object = ACCESSORIES[id].build(this._accessoryMaterial, this._detailMaterial);
+        object.name = `accessory_${id}`;
+        object.traverse((child) => {
+            child.userData.accessory = true;
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        this.attachments[point].add(object);
+        this.mounted[point] = { id, object };
+    }
+
+    /**
+     * Read the saved selection, falling back to DEFAULT_APPEARANCE
+     * @returns {Object}
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.CHARACTER_APPEARANCE.STORAGE_KEY) || 'null');
+            return sanitizeAppearance(stored);
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable character appearance:', error);
+            return cloneAppearance(DEFAULT_APPEARANCE);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CONFIG.CHARACTER_APPEARANCE.STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ Could not store character appearance:', error);
+        }
+    }
+}
+
+// Keep the known parts of a stored or shared selection, defaulting the rest
+function sanitizeAppearance(state) {
+    const result = cloneAppearance(DEFAULT_APPEARANCE);
+    if (!state || typeof state !== 'object') return result;
+    if (SKINS[state.skin]) result.skin = state.skin;
+    Object.keys(result.tints).forEach((slot) => {
+        const color = state.tints && state.tints[slot];
+        if (typeof color === 'string' && COLOR_PATTERN.test(color)) result.tints[slot] = color.toLowerCase();
+    });
+    Object.keys(result.accessories).forEach((point) => {
+        const id = state.accessories && state.accessories[point];
+        if (ACCESSORIES[id] && ACCESSORIES[id].point === point) result.accessories[point] = id;
+    });
+    return result;
+}
+
+function cloneAppearance(state) {
+    return {
+        skin: state.skin,
+        tints: { ...state.tints },
+        accessories: { ...state.accessories }
+    };
+}
+
+// A copy of a material the appearance may change, remembering the colour the tint starts from
+function ownMaterial(material) {
+    if (material.userData.appearanceCopy) return material;
+    const copy = material.clone();
+    copy.userData.appearanceCopy = true;
+    if (copy.color) copy.userData.baseColor = copy.color.clone();
+    copy.userData.baseMap = copy.map || null;
+    return copy;
+}
+
+function loadSkinTexture(url) {
+    const texture = new THREE.TextureLoader().load(url, undefined, undefined, () => {
+        console.warn(`⚠️ Skin texture ${url} failed to load`);
+    });
+    if (THREE.sRGBEncoding) texture.encoding = THREE.sRGBEncoding;
+    return texture;
+}
+
+// Light pattern on white, so the body tint shows through
+function drawPattern(pattern) {
+    const size = 64;
+    const cell = 16;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, size, size);
+    ctx.fillStyle = '#8c8c8c';
+    for (let y = 0; y < size; y += cell) {
+        for (let x = 0; x < size; x += cell) {
+            if (pattern === 'stripes' && x === 0) {
+                ctx.fillRect(0, y, size, cell / 2);
+            } else if (pattern === 'dots') {
+                ctx.beginPath();
+                ctx.arc(x + cell / 2, y + cell / 2, cell / 4, 0, Math.PI * 2);
+                ctx.fill();
+            } else if (pattern === 'checks' && (x + y) % (cell * 2) === 0) {
+                ctx.fillRect(x, y, cell, cell);
+            }
+        }
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(4, 4);
+    if (THREE.sRGBEncoding) texture.encoding = THREE.sRGBEncoding;
+    return texture;
+}
+
+// Accessory models, built around their attachment point: hats rest on the top of
+// the head (+y up), packs hang off the back (-z, the character faces +z)
+
+function buildCap(material, detail) {
+    const group = new THREE.Group();
+    const crown = new THREE.Mesh(new THREE.SphereGeometry(0.17, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2), material);
+    crown.position.y = -0.07;
+    const peak = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.015, 0.14), material);
+    peak.position.set(0, -0.065, 0.2);
+    const button = new THREE.Mesh(new THREE.SphereGeometry(0.02, 8, 4), detail);
+    button.position.y = 0.1;
+    group.add(crown, peak, button);
+    return group;
+}
+
+function buildTopHat(material, detail) {
+    const group = new THREE.Group();
+    const brim = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.22, 0.02, 24), material);
+    brim.position.y = -0.03;
+    const crown = new THREE.Mesh(new THREE.CylinderGeometry(0.13, 0.14, 0.28, 20), material);
+    crown.position.y = 0.12;
+    const band = new THREE.Mesh(new THREE.CylinderGeometry(0.142, 0.142, 0.05, 20), detail);
+    band.position.y = 0.02;
+    group.add(brim, crown, band);
+    return group;
+}
+
+function buildPartyHat(material, detail) {
+    const group = new THREE.Group();
+    const cone = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.32, 16), material);
+    cone.position.y = 0.12;
+    const pompom = new THREE.Mesh(new THREE.SphereGeometry(0.04, 8, 6), detail);
+    pompom.position.y = 0.29;
+    group.add(cone, pompom);
+    return group;
+}
+
+function buildBackpack(material, detail) {
+    const group = new THREE.Group();
+    const pack = new THREE.Mesh(new THREE.BoxGeometry(0.32, 0.38, 0.16), material);
+    pack.position.z = -0.07;
+    const pocket = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.14, 0.05), detail);
+    pocket.position.set(0, -0.08, -0.17);
+    const flap = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.04, 0.17), material);
+    flap.position.set(0, 0.2, -0.07);
+    group.add(pack, pocket, flap);
+    return group;
+}
+
+function buildJetpack(material, detail) {
+    const group = new THREE.Group();
+    [-0.08, 0.08].forEach((x) => {
+        const tank = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 0.36, 12), material);
+        tank.position.set(x, 0, -0.09);
+        const nozzle = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.08, 12, 1, true), detail);
+        nozzle.position.set(x, -0.22, -0.09);
+        nozzle.rotation.x = Math.PI;
+        group.add(tank, nozzle);
+    });
+    return group;
+}
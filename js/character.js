@@ -1,8 +1,22 @@
 import { CONFIG } from './config.js';
+import { getInterpolatedPose, resetInterpolation, setCharacterHeight } from './physics.js';
+import { AssetManager, assetManager } from './asset-manager.js';
 
 // Create character
+// The parts live in a "visual" child group so CharacterAnimator can bob and lean
+// them while CharacterController moves and turns the outer group. A rigged glTF
+// (CONFIG.CHARACTER_ANIMATION.MODEL_URL) replaces the primitive when it loads and
+// is left in userData.rig for the animator; otherwise the OBJ mascot does.
+// Accessories hang from the named points in userData.attachments, which move
+// onto each model as it loads; the group then fires a 'modelloaded' event.
 export function createCharacter() {
     const characterGroup = new THREE.Group();
+    const visual = new THREE.Group();
+    visual.name = 'character_visual';
+    characterGroup.add(visual);
+    characterGroup.userData.visual = visual;
+    characterGroup.userData.rig = null;
+    characterGroup.userData.attachments = createAttachmentPoints(visual);
     
     // Body (cylinder) - 50% smaller
     const bodyGeometry = new THREE.CylinderGeometry(0.25, 0.25, 0.75, 8);
@@ -23,11 +37,10 @@ export function createCharacter() {
     leftLeg.position.set(-0.1, -0.55, 0);
     rightLeg.position.set(0.1, -0.55, 0);
     
-    // Add parts to group
-    characterGroup.add(body);
-    characterGroup.add(head);
-    characterGroup.add(leftLeg);
-    characterGroup.add(rightLeg);
+    // Add parts to the visual group
+    const fallbackParts = [body, head, leftLeg, rightLeg];
+    fallbackParts.forEach(part => visual.add(part));
+    fitAttachmentPoints(characterGroup, fallbackParts);
     
     characterGroup.position.set(0, 5, 0);
     
@@ -39,7 +52,129 @@ export function createCharacter() {
         }
     });
     
-    // Try to load external mascot model asynchronously (fallback is the primitive above)
+    // Try the rigged model first, then the OBJ mascot (the primitive stays if both fail)
+    const modelUrl = CONFIG.CHARACTER_ANIMATION.MODEL_URL;
+    if (modelUrl && AssetManager.isSupported()) {
+        loadRiggedCharacter(characterGroup, modelUrl, fallbackParts).catch((error) => {
+            console.warn(`Rigged character ${modelUrl} failed to load; using the mascot`, error);
+            loadMascot(characterGroup, fallbackParts);
+        });
+    } else {
+        loadMascot(characterGroup, fallbackParts);
+    }
+    
+    return characterGroup;
+}
+
+// Fit a rigged glTF to the character's height, feet on the ground, and hand its clips to the animator
+async function loadRiggedCharacter(characterGroup, url, fallbackParts) {
+    const { scene: model, animations } = await assetManager.instantiate(url);
+    const height = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3()).y;
+    model.scale.multiplyScalar(CONFIG.CHARACTER_ANIMATION.MODEL_HEIGHT / (height || 1));
+    model.updateMatrixWorld(true);
+    // Centred over the feet, which sit GROUND_LEVEL below the group origin
+    const box = new THREE.Box3().setFromObject(model);
+    const center = box.getCenter(new THREE.Vector3());
+    model.position.x -= center.x;
+    model.position.z -= center.z;
+    model.position.y -= box.min.y + CONFIG.CHARACTER.GROUND_LEVEL;
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+            // Skinned meshes move outside their bind-pose bounds
+            if (child.isSkinnedMesh) child.frustumCulled = false;
+        }
+    });
+
+    fallbackParts.forEach(part => { part.visible = false; });
+    characterGroup.userData.visual.add(model);
+    characterGroup.userData.rig = { model, animations };
+    fitAttachmentPoints(characterGroup, [model]);
+    characterGroup.dispatchEvent({ type: 'modelloaded', model });
+    console.log(`🕺 Rigged character loaded with ${animations.length} clips`);
+}
+
+// Points accessories hang from (see CharacterAppearance) and where each sits on
+// a model's bounds, in the visual group's space
+const ATTACHMENT_POINTS = ['head', 'back'];
+const ATTACHMENT_SPOTS = {
+    head: (box, center) => new THREE.Vector3(center.x, box.max.y, center.z),
+    back: (box, center) => new THREE.Vector3(center.x, THREE.MathUtils.lerp(box.min.y, box.max.y, 0.6), box.min.z)
+};
+
+// One empty group per attachment point, under the visual group until a model loads
+function createAttachmentPoints(visual) {
+    const points = {};
+    ATTACHMENT_POINTS.forEach((name) => {
+        const point = new THREE.Group();
+        point.name = `attach_${name}`;
+        visual.add(point);
+        points[name] = point;
+    });
+    return points;
+}
+
+// Move the attachment points onto the top of the head and the upper back of the
+// visible model. On a rig they ride the matching bone (ATTACHMENT_BONES), kept
+// upright and unscaled relative to the character in the bind pose.
+function fitAttachmentPoints(characterGroup, objects) {
+    const { visual, attachments, rig } = characterGroup.userData;
+    const box = measureInVisual(visual, objects);
+    if (box.isEmpty()) return;
+    const center = box.getCenter(new THREE.Vector3());
+    const boneNames = CONFIG.CHARACTER_APPEARANCE.ATTACHMENT_BONES;
+
+    Object.entries(attachments).forEach(([name, point]) => {
+        const spot = ATTACHMENT_SPOTS[name](box, center);
+        const bone = rig ? findBone(rig.model, boneNames[name] || []) : null;
+        const parent = bone || visual;
+        parent.add(point);
+        // parent-from-visual transform, applied to the spot and the point's orientation
+        const toParent = parent.matrixWorld.clone().invert().multiply(visual.matrixWorld);
+        const scale = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        toParent.decompose(new THREE.Vector3(), rotation, scale);
+        point.position.copy(spot).applyMatrix4(toParent);
+        point.quaternion.copy(rotation);
+        point.scale.copy(scale);
+    });
+}
+
+// Bounds of the visible meshes under some objects, in the visual group's space
+function measureInVisual(visual, objects) {
+    visual.updateWorldMatrix(true, true);
+    const toVisual = visual.matrixWorld.clone().invert();
+    const box = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+    const matrix = new THREE.Matrix4();
+    objects.forEach((object) => {
+        object.traverseVisible((child) => {
+            if (!child.isMesh || child.userData.accessory) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            matrix.multiplyMatrices(toVisual, child.matrixWorld);
+            box.union(meshBox.copy(child.geometry.boundingBox).applyMatrix4(matrix));
+        });
+    });
+    return box;
+}
+
+// First bone whose name ends with one of the candidates, ignoring case ("mixamorig:Head")
+function findBone(model, candidates) {
+    const bones = [];
+    model.traverse((child) => { if (child.isBone) bones.push(child); });
+    for (const candidate of candidates) {
+        const bone = bones.find(b => b.name.toLowerCase().endsWith(candidate.toLowerCase()));
+        if (bone) return bone;
+    }
+    return null;
+}
+
+// Load the static OBJ mascot in place of the primitive
+function loadMascot(characterGroup, fallbackParts) {
+    const visual = characterGroup.userData.visual;
+    // Announced once the texture has settled, so appearance changes land on the final materials
+    const announce = obj => characterGroup.dispatchEvent({ type: 'modelloaded', model: obj });
     try {
         const hasOBJ = typeof THREE !== 'undefined' && THREE.OBJLoader;
         if (hasOBJ) {
@@ -61,6 +196,8 @@ export function createCharacter() {
                     const min = box2.min;
                     obj.position.sub(center); // center at origin
                     obj.position.y -= min.y * scale; // lift so feet touch ground
+                    // The mascot skin's texture is drawn for this model's UVs
+                    obj.userData.mascot = true;
 
                     // Try to load and apply mascot texture (PNG)
                     const textureLoader = new THREE.TextureLoader();
@@ -82,6 +219,7 @@ export function createCharacter() {
                                 }
                             });
                             console.log('🖼️ Mascot texture applied');
+                            announce(obj);
                         },
                         undefined,
                         () => {
@@ -94,15 +232,14 @@ export function createCharacter() {
                                 }
                             });
                             console.warn('Mascot texture not found; using default material');
+                            announce(obj);
                         }
                     );
 
                     // Hide primitive fallback and add mascot
-                    body.visible = false;
-                    head.visible = false;
-                    leftLeg.visible = false;
-                    rightLeg.visible = false;
-                    characterGroup.add(obj);
+                    fallbackParts.forEach(part => { part.visible = false; });
+                    visual.add(obj);
+                    fitAttachmentPoints(characterGroup, [obj]);
                     console.log('🦊 Mascot model loaded and applied');
                 },
                 undefined,
@@ -116,196 +253,376 @@ export function createCharacter() {
     } catch (e) {
         console.warn('Mascot setup error; using fallback character', e);
     }
-
-    return characterGroup;
 }
 
 // Character movement controller
+//
+// The capsule (createCharacterBody) is a dynamic body so walls and props stop
+// it, but the controller owns its motion: after every physics step it probes
+// the ground with rays, holds the capsule at standing height over walkable
+// ground (riding up curbs and steps below STEP_HEIGHT), carries it along with
+// whatever it stands on, and sets the velocity for the next step. Slopes
+// steeper than MAX_SLOPE are left to gravity, so the character slides off.
+// Without physics the same rules run against the terrain heightmap.
 export class CharacterController {
-    constructor(character, characterBody, camera = null) {
+    constructor(character, characterBody, camera = null, input = null) {
         this.character = character;
         this.characterBody = characterBody;
         this.camera = camera; // Add camera reference for relative movement
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false,
-            space: false
+        this.input = input;   // InputManager providing move/jump/sprint/crouch actions
+        this.enabled = true;  // Turned off while the player is driving
+        this.terrain = null;  // Heightmap the character stands on (terrain.js); flat ground at y = 0 without one
+
+        this.grounded = false;
+        this.groundNormal = new THREE.Vector3(0, 1, 0);
+        this.crouching = false;
+        this.sprinting = false;
+        this.position = character.position.clone(); // Used without physics; the body has its own
+        this.velocity = new THREE.Vector3();
+        this._moveDirection = new THREE.Vector3(); // Wanted direction, length 0..1
+        this._facing = character.rotation.y;    // Yaw the mascot turns toward
+        this._coyoteTimer = 0;                   // Time left to jump after leaving the ground
+        this._jumpBuffer = 0;                    // Time left on a jump pressed in the air
+        this._jumpHeld = false;
+        this._crouchBlend = 0;                   // 0 standing .. 1 crouched, for the mesh
+        this._platform = null;                   // {body, local, anchor, yaw} of a moving body stood on
+
+        // Movement runs inside every physics step, so it keeps pace with the fixed rate
+        if (characterBody) {
+            characterBody.postStep = () => {
+                if (characterBody.world) this.stepMovement(characterBody.world.dt);
+            };
+        }
+    }
+
+    /**
+     * Terrain the character walks on
+     * @param {Heightmap|null} heightmap
+     */
+    setTerrain(heightmap) {
+        this.terrain = heightmap;
+    }
+
+    // Ground height under a point
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+    }
+
+    /**
+     * Enable or disable player control
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this._moveDirection.set(0, 0, 0);
+            this._jumpBuffer = 0;
+            this.sprinting = false;
+        }
+    }
+
+    /**
+     * Capture position, velocity and facing for saved game state
+     * @returns {Object} Serializable character state
+     */
+    getState() {
+        const body = this.characterBody;
+        const source = body ? body.position : this.position;
+        const velocity = body ? body.velocity : this.velocity;
+        return {
+            position: { x: source.x, y: source.y, z: source.z },
+            velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+            rotationY: this._facing
         };
+    }
 
-        this.setupEventListeners();
+    /**
+     * Restore state captured by getState()
+     * @param {Object} state - Character state
+     */
+    setState(state) {
+        const { position, velocity = { x: 0, y: 0, z: 0 }, rotationY = 0 } = state;
+        if (this.characterBody) {
+            this.characterBody.position.set(position.x, position.y, position.z);
+            this.characterBody.velocity.set(velocity.x, velocity.y, velocity.z);
+            this.characterBody.angularVelocity.set(0, 0, 0);
+            this.characterBody.wakeUp();
+            resetInterpolation(this.characterBody);
+        }
+        this.position.set(position.x, position.y, position.z);
+        this.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.character.position.set(position.x, position.y, position.z);
+        this.character.rotation.y = rotationY;
+        this._facing = rotationY;
+        this._platform = null;
     }
 
-    setupEventListeners() {
-        document.addEventListener('keydown', (event) => {
-            switch(event.key.toLowerCase()) {
-                case 'w':
-                    this.keys.w = true;
-                    break;
-                case 'a':
-                    this.keys.a = true;
-                    break;
-                case 's':
-                    this.keys.s = true;
-                    break;
-                case 'd':
-                    this.keys.d = true;
-                    break;
-                case ' ':
-                    event.preventDefault();
-                    this.keys.space = true;
-                    break;
-            }
-        });
+    /**
+     * How the character is moving, for CharacterAnimator
+     * @returns {{speed: number, verticalSpeed: number, grounded: boolean, crouching: boolean, sprinting: boolean}}
+     */
+    getMotion() {
+        const velocity = this.characterBody && typeof CANNON !== 'undefined' ? this.characterBody.velocity : this.velocity;
+        return {
+            speed: Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z),
+            verticalSpeed: velocity.y,
+            grounded: this.grounded,
+            crouching: this.crouching,
+            sprinting: this.sprinting
+        };
+    }
 
-        document.addEventListener('keyup', (event) => {
-            switch(event.key.toLowerCase()) {
-                case 'w':
-                    this.keys.w = false;
-                    break;
-                case 'a':
-                    this.keys.a = false;
-                    break;
-                case 's':
-                    this.keys.s = false;
-                    break;
-                case 'd':
-                    this.keys.d = false;
-                    break;
-                case ' ':
-                    this.keys.space = false;
-                    break;
-            }
-        });
+    /**
+     * Read movement input and turn the mascot
+     * With physics the movement itself happens in the physics steps
+     * (stepMovement); without it, here.
+     * @param {number} deltaTime - Seconds of game time
+     */
+    update(deltaTime = 1 / 60) {
+        if (!this.enabled) return;
+        const move = this.input ? this.input.getMoveVector() : { x: 0, y: 0 };
+        const pressed = action => (this.input ? this.input.isPressed(action) : false);
+
+        // Camera-relative direction: forward is away from the camera
+        const direction = this._moveDirection.set(move.x, 0, -move.y);
+        if (this.camera) {
+            direction.applyAxisAngle(UP, this.camera.rotation.y);
+        }
+        if (direction.lengthSq() > 1) direction.normalize();
+
+        // A press is remembered for a moment, so jumping just before landing still works
+        const jump = pressed('jump');
+        if (jump && !this._jumpHeld) this._jumpBuffer = CONFIG.CHARACTER.JUMP_BUFFER;
+        this._jumpHeld = jump;
+
+        this.sprinting = pressed('sprint') && !this.crouching;
+        this.setCrouching(pressed('crouch'));
+
+        // Face the way we are heading, turning smoothly
+        if (direction.lengthSq() > 0.01) {
+            this._facing = Math.atan2(direction.x, direction.z);
+        }
+        const turn = wrapAngle(this._facing - this.character.rotation.y);
+        this.character.rotation.y += turn * (1 - Math.exp(-CONFIG.CHARACTER.TURN_RATE * deltaTime));
+
+        // Squash the mesh toward the crouched height
+        const target = this.crouching ? 1 : 0;
+        this._crouchBlend += (target - this._crouchBlend) * (1 - Math.exp(-15 * deltaTime));
+
+        if (!this.characterBody || typeof CANNON === 'undefined') {
+            this.stepMovement(deltaTime);
+        }
     }
 
-    update() {
-        if (typeof CANNON !== 'undefined' && this.characterBody) {
-            // Physics-driven movement with camera-relative controls
-            const moveVector = new THREE.Vector3();
-
-            // Get camera rotation for relative movement
-            if (this.camera) {
-                // Extract camera's Y rotation (horizontal rotation) for movement direction
-                // Add π to flip the direction so W moves forward as expected
-                const cameraRotationY = this.camera.rotation.y + Math.PI;
-
-                // Create movement vector relative to camera direction
-                if (this.keys.w) {
-                    // Forward relative to camera - W should move FORWARD
-                    moveVector.x += Math.sin(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                    moveVector.z += Math.cos(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                }
-                if (this.keys.s) {
-                    // Backward relative to camera - S should move BACKWARD
-                    moveVector.x -= Math.sin(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                    moveVector.z -= Math.cos(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                }
-                if (this.keys.a) {
-                    // Left relative to camera - use the original rotation for strafing
-                    const originalRotationY = this.camera.rotation.y;
-                    moveVector.x += Math.sin(originalRotationY - Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                    moveVector.z += Math.cos(originalRotationY - Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                }
-                if (this.keys.d) {
-                    // Right relative to camera - use the original rotation for strafing
-                    const originalRotationY = this.camera.rotation.y;
-                    moveVector.x += Math.sin(originalRotationY + Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                    moveVector.z += Math.cos(originalRotationY + Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED * 20;
-                }
-            } else {
-                // Fallback to world-relative movement if no camera
-                if (this.keys.w) moveVector.z -= CONFIG.CHARACTER.MOVE_SPEED * 20;
-                if (this.keys.s) moveVector.z += CONFIG.CHARACTER.MOVE_SPEED * 20;
-                if (this.keys.a) moveVector.x -= CONFIG.CHARACTER.MOVE_SPEED * 20;
-                if (this.keys.d) moveVector.x += CONFIG.CHARACTER.MOVE_SPEED * 20;
-            }
+    /**
+     * Crouch, or stand up again once there is room overhead
+     * @param {boolean} crouch
+     */
+    setCrouching(crouch) {
+        if (crouch === this.crouching) return;
+        if (!crouch && !this.hasHeadroom()) return;
+        this.crouching = crouch;
+        if (this.characterBody) {
+            setCharacterHeight(this.characterBody, crouch ? CONFIG.CHARACTER.CROUCH_HEIGHT : CONFIG.CHARACTER.HEIGHT);
+        }
+    }
 
-            // Apply movement to physics body
-            this.characterBody.velocity.x = moveVector.x;
-            this.characterBody.velocity.z = moveVector.z;
+    // Nothing between a crouched head and a standing one
+    hasHeadroom() {
+        if (!this.characterBody || !this.characterBody.world) return true;
+        const { GROUND_LEVEL, HEIGHT } = CONFIG.CHARACTER;
+        const p = this.characterBody.position;
+        return !this.raycast(new CANNON.Vec3(p.x, p.y, p.z), new CANNON.Vec3(p.x, p.y - GROUND_LEVEL + HEIGHT + 0.05, p.z));
+    }
 
-            // Rotate character to face movement direction
-            if (moveVector.length() > 0) {
-                const targetRotation = Math.atan2(moveVector.x, moveVector.z);
-                this.character.rotation.y = targetRotation;
-            }
+    /**
+     * Advance movement by one step: platform carry, ground probe, jump and speed
+     * @param {number} dt - Seconds
+     */
+    stepMovement(dt) {
+        if (!(dt > 0)) return;
+        const c = CONFIG.CHARACTER;
+        const physics = !!this.characterBody && typeof CANNON !== 'undefined';
+        const position = physics ? this.characterBody.position : this.position;
+        const velocity = physics ? this.characterBody.velocity : this.velocity;
 
-            // Jumping: apply upward velocity if near ground
-            if (this.keys.space) {
-                const onGround = this.characterBody.position.y <= (CONFIG.CHARACTER.GROUND_LEVEL + 0.05);
-                if (onGround) {
-                    this.characterBody.velocity.y = CONFIG.CHARACTER.JUMP_FORCE * 8;
-                }
-            }
+        this._coyoteTimer -= dt;
+        this._jumpBuffer -= dt;
+        if (physics) this.followPlatform();
 
-            // Sync mesh to physics body and clamp to ground
-            const radius = 0.4; // physics sphere radius
-            const minY = CONFIG.CHARACTER.GROUND_LEVEL;
-            if (this.characterBody.position.y < minY) {
-                this.characterBody.position.y = minY;
-                this.characterBody.velocity.y = Math.max(this.characterBody.velocity.y, 0);
-            }
-            this.character.position.set(
-                this.characterBody.position.x,
-                this.characterBody.position.y,
-                this.characterBody.position.z
-            );
+        // Standing: walkable ground within reach of the feet, and not on the way up from a jump
+        const ground = this.probeGround(position);
+        const feet = position.y - c.GROUND_LEVEL;
+        this.grounded = !!ground && ground.walkable && velocity.y <= 1 &&
+                        feet - ground.height <= c.GROUND_SNAP;
+        if (ground) this.groundNormal.copy(ground.normal);
+        else this.groundNormal.set(0, 1, 0);
 
+        if (this.grounded) {
+            this._coyoteTimer = c.COYOTE_TIME;
+            // Settle onto the ground; stepping up a curb eases rather than pops
+            const target = ground.height + c.GROUND_LEVEL;
+            position.y += (target - position.y) * (1 - Math.exp(-c.SNAP_RATE * dt));
+            velocity.y = 0;
+        } else if (!physics) {
+            velocity.y += CONFIG.PHYSICS.GRAVITY * dt;
+        }
 
-        } else {
-            // Fallback movement without physics (camera-relative)
-            const moveVector = new THREE.Vector3();
+        if (this._jumpBuffer > 0 && this._coyoteTimer > 0) {
+            velocity.y = c.JUMP_SPEED;
+            this._jumpBuffer = 0;
+            this._coyoteTimer = 0;
+            this.grounded = false;
+        }
 
-            if (this.camera) {
-                // Camera-relative movement for non-physics fallback
-                // Add π to flip the direction so W moves forward as expected
-                const cameraRotationY = this.camera.rotation.y + Math.PI;
+        // Ease the horizontal velocity toward the stick; much more slowly in the air
+        let speed = c.WALK_SPEED;
+        if (this.crouching) speed *= c.CROUCH_MULTIPLIER;
+        else if (this.sprinting) speed *= c.SPRINT_MULTIPLIER;
+        const wanted = scratch.copy(this._moveDirection).multiplyScalar(speed);
+        if (ground && !ground.walkable && feet - ground.height <= c.GROUND_SNAP) {
+            // No walking up slopes that are too steep
+            const downhill = scratchNormal.set(ground.normal.x, 0, ground.normal.z).normalize();
+            const into = wanted.dot(downhill);
+            if (into < 0) wanted.addScaledVector(downhill, -into);
+        }
+        const rate = this.grounded ? c.GROUND_ACCELERATION : c.AIR_CONTROL;
+        const blend = 1 - Math.exp(-rate * dt);
+        velocity.x += (wanted.x - velocity.x) * blend;
+        velocity.z += (wanted.z - velocity.z) * blend;
 
-                if (this.keys.w) {
-                    moveVector.x += Math.sin(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED;
-                    moveVector.z += Math.cos(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED;
-                }
-                if (this.keys.s) {
-                    moveVector.x -= Math.sin(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED;
-                    moveVector.z -= Math.cos(cameraRotationY) * CONFIG.CHARACTER.MOVE_SPEED;
-                }
-                if (this.keys.a) {
-                    // Left relative to camera - use the original rotation for strafing
-                    const originalRotationY = this.camera.rotation.y;
-                    moveVector.x += Math.sin(originalRotationY - Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED;
-                    moveVector.z += Math.cos(originalRotationY - Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED;
-                }
-                if (this.keys.d) {
-                    // Right relative to camera - use the original rotation for strafing
-                    const originalRotationY = this.camera.rotation.y;
-                    moveVector.x += Math.sin(originalRotationY + Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED;
-                    moveVector.z += Math.cos(originalRotationY + Math.PI / 2) * CONFIG.CHARACTER.MOVE_SPEED;
-                }
-            } else {
-                // World-relative fallback
-                if (this.keys.w) moveVector.z -= CONFIG.CHARACTER.MOVE_SPEED;
-                if (this.keys.s) moveVector.z += CONFIG.CHARACTER.MOVE_SPEED;
-                if (this.keys.a) moveVector.x -= CONFIG.CHARACTER.MOVE_SPEED;
-                if (this.keys.d) moveVector.x += CONFIG.CHARACTER.MOVE_SPEED;
-            }
+        if (!physics) {
+            position.x += velocity.x * dt;
+            position.y += velocity.y * dt;
+            position.z += velocity.z * dt;
+        }
 
-            if (moveVector.length() > 0) {
-                this.character.position.add(moveVector);
-                const targetRotation = Math.atan2(moveVector.x, moveVector.z);
-                this.character.rotation.y = targetRotation;
-            }
+        // Never end up under the terrain, however steep the cell
+        const minY = this.getGroundHeight(position.x, position.z) + c.GROUND_LEVEL;
+        if (position.y < minY) {
+            position.y = minY;
+            velocity.y = Math.max(velocity.y, 0);
+        }
 
-            // Simple jumping
-            if (this.keys.space && this.character.position.y < CONFIG.CHARACTER.JUMP_THRESHOLD) {
-                this.character.position.y += CONFIG.CHARACTER.JUMP_FORCE;
-            }
+        if (physics) this.rememberPlatform(this.grounded ? ground.body : null);
+    }
 
-            // Simple gravity
-            if (this.character.position.y > CONFIG.CHARACTER.GROUND_LEVEL) {
-                this.character.position.y -= CONFIG.CHARACTER.GRAVITY;
+    /**
+     * Highest ground under the capsule, from a step above the feet to the snap distance below them
+     * Probes the centre and four points around it, so the character does not
+     * drop off a ledge the moment its centre passes the edge.
+     * @param {{x: number, y: number, z: number}} position - Body origin
+     * @returns {{height: number, normal: THREE.Vector3, walkable: boolean, body: CANNON.Body|null}|null}
+     */
+    probeGround(position) {
+        const c = CONFIG.CHARACTER;
+        const minNormalY = Math.cos(THREE.MathUtils.degToRad(c.MAX_SLOPE));
+        if (!this.characterBody || typeof CANNON === 'undefined' || !this.characterBody.world) {
+            const height = this.getGroundHeight(position.x, position.z);
+            const normal = this.getTerrainNormal(position.x, position.z);
+            return { height, normal, walkable: normal.y >= minNormalY, body: null };
+        }
+
+        const feet = position.y - c.GROUND_LEVEL;
+        const bottom = feet - c.GROUND_SNAP;
+        const reach = c.RADIUS * 0.7;
+        let best = null;
+        PROBE_OFFSETS.forEach(([dx, dz]) => {
+            const x = position.x + dx * reach;
+            const z = position.z + dz * reach;
+            const hit = this.raycast(new CANNON.Vec3(x, position.y, z), new CANNON.Vec3(x, bottom, z));
+            // Anything higher than a step is a wall for the capsule to run into, not ground
+            if (!hit || hit.point.y > feet + c.STEP_HEIGHT) return;
+            const walkable = hit.normal.y >= minNormalY;
+            // Walkable ground wins over steep ground; otherwise the highest hit
+            if (!best || (walkable && !best.walkable) || (walkable === best.walkable && hit.point.y > best.height)) {
+                best = { height: hit.point.y, normal: hit.normal, walkable, body: hit.body };
             }
+        });
+        return best;
+    }
+
+    // Closest hit along a segment, ignoring the character itself
+    raycast(from, to) {
+        let closest = null;
+        this.characterBody.world.raycastAll(from, to, {}, (result) => {
+            if (result.body === this.characterBody) return;
+            if (closest && result.distance >= closest.distance) return;
+            const n = result.hitNormalWorld;
+            const normal = new THREE.Vector3(n.x, n.y, n.z);
+            // Heightfield and trimesh normals can face away from the ray
+            if (normal.y * (to.y - from.y) > 0) normal.negate();
+            const p = result.hitPointWorld;
+            closest = { point: new THREE.Vector3(p.x, p.y, p.z), normal, body: result.body, distance: result.distance };
+        });
+        return closest;
+    }
+
+    // Surface normal of the heightmap, from the slope across neighbouring points
+    getTerrainNormal(x, z) {
+        const d = 0.5;
+        const dx = this.getGroundHeight(x + d, z) - this.getGroundHeight(x - d, z);
+        const dz = this.getGroundHeight(x, z + d) - this.getGroundHeight(x, z - d);
+        return new THREE.Vector3(-dx, 2 * d, -dz).normalize();
+    }
+
+    // Move with a platform (a car roof, anything not static) by as much as it moved since the last step
+    followPlatform() {
+        const platform = this._platform;
+        if (!platform) return;
+        const body = this.characterBody;
+        const moved = platform.body.pointToWorldFrame(platform.local);
+        body.position.x += moved.x - platform.anchor.x;
+        body.position.y += moved.y - platform.anchor.y;
+        body.position.z += moved.z - platform.anchor.z;
+        const turn = getYaw(platform.body.quaternion) - platform.yaw;
+        this.character.rotation.y += turn;
+        this._facing += turn;
+    }
+
+    rememberPlatform(ground) {
+        if (!ground || ground.type === CANNON.Body.STATIC) {
+            this._platform = null;
+            return;
         }
+        const position = this.characterBody.position;
+        this._platform = {
+            body: ground,
+            local: ground.pointToLocalFrame(position),
+            anchor: position.clone(),
+            yaw: getYaw(ground.quaternion)
+        };
     }
+
+    /**
+     * Draw the character where its body is, part of the way into the current physics step
+     * @param {number} alpha - PhysicsStepper.alpha
+     */
+    syncMesh(alpha = 1) {
+        if (typeof CANNON !== 'undefined' && this.characterBody) {
+            getInterpolatedPose(this.characterBody, alpha, this.character.position);
+        } else {
+            this.character.position.copy(this.position);
+        }
+        // Crouching squashes the mesh down onto its feet
+        const { GROUND_LEVEL, HEIGHT, CROUCH_HEIGHT } = CONFIG.CHARACTER;
+        const scale = 1 - (1 - CROUCH_HEIGHT / HEIGHT) * this._crouchBlend;
+        this.character.scale.y = scale;
+        this.character.position.y -= GROUND_LEVEL * (1 - scale);
+    }
+}
+
+const UP = new THREE.Vector3(0, 1, 0);
+const PROBE_OFFSETS = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+const scratch = new THREE.Vector3();
+const scratchNormal = new THREE.Vector3();
+
+// Angle in -PI..PI
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+// Heading of a CANNON quaternion around the vertical axis
+function getYaw(q) {
+    return Math.atan2(2 * (q.w * q.y + q.x * q.z), 1 - 2 * (q.y * q.y + q.z * q.z));
 }
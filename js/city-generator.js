@@ -0,0 +1,314 @@
+// Seeded procedural city layout
+//
+// Produces the road segments, intersections and zoned building districts that
+// EnvironmentManager feeds into createCleanRoadNetwork() and createDistrict().
+// Everything is derived from the seed, so the same CONFIG.RANDOM.SEED always
+// rebuilds the same city (and saveState() files stay reproducible).
+
+import { ROAD_WIDTH, findRoadComponents, checkRoadConnectivity } from './roads-clean.js';
+import { createSeededRandom, deriveSeed } from './utils/random.js';
+
+// Minimum distance from a road centerline to a building edge; matches the
+// road half-width plus the safety margin used by isPositionSafe() in buildings-clean.js
+const ROAD_CLEARANCE = ROAD_WIDTH / 2 + 6;
+
+// Gap kept between a building and the map edge when there is no road there
+const EDGE_CLEARANCE = 2;
+
+export const DEFAULT_CITY_OPTIONS = {
+    halfSize: 60,                         // Roads span -halfSize..halfSize on both axes
+    arterialSpacing: { min: 32, max: 44 }, // Distance between parallel arterials
+    sideStreetChance: 0.7,                // Chance a large block is split by a side street
+    minBlockSize: 32,                     // Blocks narrower than this are never split
+    maxSplitDepth: 2,                     // How many times a block may be subdivided
+    commercialRadius: 0.45,               // Fraction of halfSize treated as downtown
+    industrialChance: 0.35,               // Chance an outer block is zoned industrial
+    lotFill: 0.8,                         // Chance a lot receives a building
+    reserved: []                          // [{x, z, radius}] areas kept free for props
+};
+
+// Lot sizes, heights and palettes per zone
+export const ZONES = {
+    commercial: {
+        lot: { min: 6, max: 10 },
+        height: { min: 6, max: 12 },
+        maxDepth: 8,
+        colors: ['#FFD700', '#87CEEB', '#0000FF', '#FF8C00', '#B0C4DE'],
+        roofColor: '#666666'
+    },
+    residential: {
+        lot: { min: 5, max: 8 },
+        height: { min: 4, max: 6 },
+        maxDepth: 5,
+        colors: ['#8B4513', '#A0522D', '#CD853F', '#DEB887'],
+        roofColor: '#654321'
+    },
+    industrial: {
+        lot: { min: 10, max: 14 },
+        height: { min: 6, max: 10 },
+        maxDepth: 10,
+        colors: ['#708090', '#696969', '#FF0000', '#8B0000'],
+        roofColor: '#666666'
+    }
+};
+
+/**
+ * Generate a city layout from a seed
+ * @param {number} seed - Base seed (normally CONFIG.RANDOM.SEED)
+ * @param {Object} options - Overrides for DEFAULT_CITY_OPTIONS
+ * @returns {{roads: {segments: Array, intersections: Array}, blocks: Array, lots: Array, districts: Array}}
+ */
+export function generateCity(seed, options = {}) {
+    const opts = { ...DEFAULT_CITY_OPTIONS, ...options };
+    const random = createSeededRandom(deriveSeed(seed, 'city'));
+    const half = opts.halfSize;
+
+    console.log(`🏙️ Generating city (seed ${seed})...`);
+
+    // 1. Arterials: always through the origin, then seeded spacing outwards
+    const xLines = placeArterials(random, half, opts.arterialSpacing);
+    const zLines = placeArterials(random, half, opts.arterialSpacing);
+
+    const segments = [];
+    zLines.forEach(z => segments.push({
+        name: z === 0 ? 'Main Street' : `Avenue z${z}`,
+        along: 'x', at: z, from: -half, to: half, kind: 'arterial'
+    }));
+    xLines.forEach(x => segments.push({
+        name: x === 0 ? 'Central Avenue' : `Avenue x${x}`,
+        along: 'z', at: x, from: -half, to: half, kind: 'arterial'
+    }));
+
+    // 2. Blocks between arterials (the map edge bounds the outer ring)
+    const xBounds = [edge(-half, false), ...xLines.map(x => edge(x, true)), edge(half, false)];
+    const zBounds = [edge(-half, false), ...zLines.map(z => edge(z, true)), edge(half, false)];
+    let blocks = [];
+    for (let i = 0; i < xBounds.length - 1; i++) {
+        for (let j = 0; j < zBounds.length - 1; j++) {
+            blocks.push({ x1: xBounds[i], x2: xBounds[i + 1], z1: zBounds[j], z2: zBounds[j + 1] });
+        }
+    }
+
+    // 3. Side streets split large blocks along their longer side
+    for (let depth = 0; depth < opts.maxSplitDepth; depth++) {
+        blocks = blocks.flatMap(block => splitBlock(block, random, opts, segments));
+    }
+
+    // 4. Drop any side street that does not reach the network, then assert connectivity
+    const connected = pruneDisconnected(segments);
+    if (!checkRoadConnectivity(segmentTiles(connected))) {
+        throw new Error(`City generator produced a fragmented road network for seed ${seed}`);
+    }
+
+    // 5. Intersections wherever two streets meet
+    const intersections = findIntersections(connected);
+
+    // 6. Zoning and lots
+    const lots = [];
+    blocks.forEach(block => {
+        block.zone = zoneFor(block, random, opts);
+        lots.push(...subdivideBlock(block, random, opts));
+    });
+
+    const districts = Object.keys(ZONES).map(name => ({
+        name,
+        buildings: lots.filter(lot => lot.zone === name && lot.building).map(lot => lot.building)
+    }));
+
+    console.log(`  ✅ ${connected.length} streets, ${blocks.length} blocks, ${lots.length} lots`);
+    districts.forEach(d => console.log(`    - ${d.name}: ${d.buildings.length} buildings`));
+
+    return {
+        roads: {
+            segments: connected,
+            intersections
+        },
+        blocks,
+        lots,
+        districts
+    };
+}
+
+function edge(at, isRoad) {
+    return { at, isRoad };
+}
+
+// Snap a coordinate onto the road tile lattice
+function snap(value) {
+    return Math.round(value / ROAD_WIDTH) * ROAD_WIDTH;
+}
+
+function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+// Arterial positions along one axis: 0 plus seeded steps in both directions
+function placeArterials(random, half, spacing) {
+    const lines = [0];
+    const limit = half - ROAD_CLEARANCE;
+    for (const sign of [1, -1]) {
+        let at = 0;
+        for (;;) {
+            at += sign * snap(randomBetween(random, spacing.min, spacing.max));
+            if (Math.abs(at) > limit) break;
+            lines.push(at);
+        }
+    }
+    return lines.sort((a, b) => a - b);
+}
+
+// Split a block with a side street, returning the resulting sub-blocks
+function splitBlock(block, random, opts, segments) {
+    const width = block.x2.at - block.x1.at;
+    const depth = block.z2.at - block.z1.at;
+    const splitX = width >= depth;
+    const span = splitX ? width : depth;
+    if (span < opts.minBlockSize || random() >= opts.sideStreetChance) return [block];
+
+    // The street runs across the longer side, joining the two edges of the short side
+    const [lo, hi] = splitX ? [block.x1.at, block.x2.at] : [block.z1.at, block.z2.at];
+    const margin = opts.minBlockSize / 2;
+    const at = snap(randomBetween(random, lo + margin, hi - margin));
+    const [ends1, ends2] = splitX ? [block.z1, block.z2] : [block.x1, block.x2];
+
+    // A street must touch at least one road, otherwise it would float on its own
+    if (!ends1.isRoad && !ends2.isRoad) return [block];
+
+    segments.push({
+        name: `Side street ${splitX ? 'x' : 'z'}${at}`,
+        along: splitX ? 'z' : 'x',
+        at,
+        from: ends1.at,
+        to: ends2.at,
+        kind: 'side'
+    });
+
+    const cut = edge(at, true);
+    return splitX
+        ? [{ ...block, x2: cut }, { ...block, x1: cut }]
+        : [{ ...block, z2: cut }, { ...block, z1: cut }];
+}
+
+// Road tile stubs for a set of segments, in the shape checkRoadConnectivity() reads
+function segmentTiles(segments) {
+    const tiles = [];
+    segments.forEach((segment, index) => {
+        for (let t = segment.from; t <= segment.to; t += ROAD_WIDTH) {
+            const position = segment.along === 'x' ? { x: t, z: segment.at } : { x: segment.at, z: t };
+            tiles.push({ position, segment: index });
+        }
+    });
+    return tiles;
+}
+
+// Keep only the segments in the component containing Main Street
+function pruneDisconnected(segments) {
+    const tiles = segmentTiles(segments);
+    const components = findRoadComponents(tiles);
+    if (components.length <= 1) return segments;
+
+    const main = components.find(component => component.some(i => tiles[i].segment === 0));
+    const keep = new Set(main.map(i => tiles[i].segment));
+    segments.forEach((segment, index) => {
+        if (!keep.has(index)) console.warn(`⚠️ Dropping disconnected ${segment.name}`);
+    });
+    return segments.filter((_, index) => keep.has(index));
+}
+
+// Points where a street along x crosses or touches a street along z
+function findIntersections(segments) {
+    const result = [];
+    const seen = new Set();
+    const alongX = segments.filter(s => s.along === 'x');
+    const alongZ = segments.filter(s => s.along === 'z');
+    alongX.forEach(a => {
+        alongZ.forEach(b => {
+            if (b.at < a.from || b.at > a.to || a.at < b.from || a.at > b.to) return;
+            const key = `${b.at},${a.at}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            result.push({ x: b.at, z: a.at });
+        });
+    });
+    return result;
+}
+
+// Downtown blocks are commercial, outer blocks residential or industrial
+function zoneFor(block, random, opts) {
+    const cx = (block.x1.at + block.x2.at) / 2;
+    const cz = (block.z1.at + block.z2.at) / 2;
+    const distance = Math.max(Math.abs(cx), Math.abs(cz)) / opts.halfSize;
+    const roll = random();
+    if (distance < opts.commercialRadius) return roll < 0.85 ? 'commercial' : 'residential';
+    return roll < opts.industrialChance ? 'industrial' : 'residential';
+}
+
+// Buildable area of a block once road and edge clearances are removed
+function innerArea(block) {
+    const inset = (bound) => bound.isRoad ? ROAD_CLEARANCE : EDGE_CLEARANCE;
+    return {
+        x1: block.x1.at + inset(block.x1),
+        x2: block.x2.at - inset(block.x2),
+        z1: block.z1.at + inset(block.z1),
+        z2: block.z2.at - inset(block.z2)
+    };
+}
+
+// Cut a block into a row of lots along its longer side and place a building on each
+function subdivideBlock(block, random, opts) {
+    const zone = ZONES[block.zone];
+    const area = innerArea(block);
+    const width = area.x2 - area.x1;
+    const depth = area.z2 - area.z1;
+    if (width < 3 || depth < 3) return [];
+
+    const alongX = width >= depth;
+    const length = alongX ? width : depth;
+    const cross = alongX ? depth : width;
+    const lots = [];
+
+    let cursor = 0;
+    while (length - cursor >= zone.lot.min) {
+        let size = Math.round(randomBetween(random, zone.lot.min, zone.lot.max));
+        // Fold a leftover sliver into the last lot
+        if (length - cursor - size < zone.lot.min) size = length - cursor;
+
+        const center = cursor + size / 2;
+        const lot = alongX
+            ? { x: area.x1 + center, z: (area.z1 + area.z2) / 2, width: size, depth: cross }
+            : { x: (area.x1 + area.x2) / 2, z: area.z1 + center, width: cross, depth: size };
+        lot.zone = block.zone;
+        lot.building = null;
+        cursor += size;
+
+        if (random() < opts.lotFill && !overlapsReserved(lot, opts.reserved)) {
+            // Leave a 1 unit gap between neighbours along the row
+            const along = size - 1;
+            const across = Math.min(cross, zone.maxDepth);
+            lot.building = {
+                x: lot.x,
+                z: lot.z,
+                width: alongX ? along : across,
+                depth: alongX ? across : along,
+                height: Math.round(randomBetween(random, zone.height.min, zone.height.max)),
+                color: pick(random, zone.colors),
+                roofColor: zone.roofColor
+            };
+        }
+        lots.push(lot);
+    }
+    return lots;
+}
+
+// Circle/rectangle overlap against the reserved prop areas
+function overlapsReserved(lot, reserved) {
+    return reserved.some(area => {
+        const dx = Math.max(Math.abs(area.x - lot.x) - lot.width / 2, 0);
+        const dz = Math.max(Math.abs(area.z - lot.z) - lot.depth / 2, 0);
+        return dx * dx + dz * dz < area.radius * area.radius;
+    });
+}
@@ -0,0 +1,426 @@
+// Collider builder - CANNON shapes fitted to a model's meshes
+//
+// createObjectBody() (physics.js) asks for one of these shapes:
+//   auto       a primitive for box, sphere and cylinder meshes, a box per mesh otherwise
+//   box        one box around the whole object, in the object's own frame
+//   boxes      a box per mesh, each in its mesh's frame (compound)
+//   hull       one convex hull (CANNON.ConvexPolyhedron) around every mesh
+//   hulls      a convex hull per mesh (compound)
+//   trimesh    the triangles themselves, for static scenery you can walk through
+//              (archways); CANNON 0.6.2 only collides them with spheres (the
+//              character) and rays (vehicle wheels), so moving bodies get hulls
+//   sphere, cylinder   fitted around the whole object
+//
+// Models can choose the shape of parts of their node tree:
+//   - nodes named UBX_*, UCX_*, USP_* or UTM_* are collision proxies (box,
+//     hull, sphere, trimesh) as exported by most DCC tools; once a model has
+//     proxies only they collide, and they are hidden
+//   - a node with extras.collider in the glTF (userData.collider once loaded)
+//     gets that shape for its subtree, or none at all with 'none'
+//
+// Hulls are computed once per geometry, so every clone of a model shares them,
+// from at most CONFIG.PHYSICS.HULL_MAX_VERTICES extreme points.
+
+import { CONFIG } from './config.js';
+
+export const COLLIDER_SHAPES = ['auto', 'box', 'boxes', 'hull', 'hulls', 'trimesh', 'sphere', 'cylinder'];
+
+// Node name prefix -> shape of a collision proxy
+const PROXY_PREFIXES = { UBX_: 'box', UCX_: 'hull', USP_: 'sphere', UTM_: 'trimesh' };
+
+// Thinnest box edge; flat meshes (signs, decals) would otherwise give zero-size boxes
+const MIN_HALF_EXTENT = 0.025;
+
+// Geometry -> {points: THREE.Vector3[], faces: number[][]} in geometry space, or null when flat
+const hullCache = new WeakMap();
+// Geometry -> {positions: Float32Array, indices: Uint32Array}
+const trimeshCache = new WeakMap();
+
+/**
+ * Collider shapes for an object, relative to a body at the object's world position and rotation
+ * @param {THREE.Object3D} object
+ * @param {string} shape - One of COLLIDER_SHAPES, for the parts without a hint
+ * @param {Object} options
+ * @param {boolean} options.dynamic - The body has mass; trimeshes become hulls
+ * @returns {Array<{shape: CANNON.Shape, offset: CANNON.Vec3, orientation: CANNON.Quaternion}>}
+ */
+export function buildColliderShapes(object, shape = 'auto', { dynamic = false } = {}) {
+    object.updateWorldMatrix(true, true);
+    const toBody = getBodyMatrix(object).invert();
+    const result = [];
+    collectGroups(object, shape).forEach((group) => {
+        const meshes = group.meshes.map(mesh => ({
+            mesh,
+            matrix: new THREE.Matrix4().multiplyMatrices(toBody, mesh.matrixWorld)
+        }));
+        const groupShape = group.shape === 'trimesh' && dynamic ? 'hulls' : group.shape;
+        result.push(...buildGroup(groupShape, meshes));
+    });
+    return result;
+}
+
+// World transform of the body for an object: its world position and rotation, without scale
+function getBodyMatrix(object) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    object.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+    return new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+}
+
+/**
+ * Wireframe of a body's shapes in the body's frame, for debugging colliders
+ * @param {CANNON.Body} body
+ * @returns {THREE.Group}
+ */
+export function createColliderDebugMesh(body) {
+    const group = new THREE.Group();
+    group.name = 'collider_debug';
+    group.userData.colliderDebug = true;
+    const material = new THREE.MeshBasicMaterial({ color: 0xff00ff, wireframe: true, depthTest: false });
+    body.shapes.forEach((shape, i) => {
+        const geometry = debugGeometry(shape);
+        if (!geometry) return;
+        const mesh = new THREE.Mesh(geometry, material);
+        const offset = body.shapeOffsets[i];
+        const orientation = body.shapeOrientations[i];
+        mesh.position.set(offset.x, offset.y, offset.z);
+        mesh.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+        // Visible, but not something to cast shadows or stop the camera
+        mesh.raycast = () => {};
+        mesh.renderOrder = 999;
+        group.add(mesh);
+    });
+    return group;
+}
+
+// Split an object's meshes by the shape they get: hinted subtrees and proxies form their own groups
+function collectGroups(object, requested) {
+    const groups = [];
+    const proxies = [];
+    const main = { shape: requested, meshes: [] };
+    groups.push(main);
+
+    const visit = (node, group) => {
+        if (node.userData.colliderDebug) return;
+        if (node !== object) {
+            const proxy = getProxyShape(node.name);
+            if (proxy) {
+                const meshes = [];
+                node.traverse(mesh => { if (mesh.isMesh) meshes.push(mesh); });
+                node.visible = false;
+                proxies.push({ shape: proxy, meshes });
+                return;
+            }
+            // The root's userData.collider is the manifest's collider type, not a hint
+            const hint = node.userData.collider;
+            if (hint === 'none') return;
+            if (COLLIDER_SHAPES.includes(hint)) {
+                group = { shape: hint, meshes: [] };
+                groups.push(group);
+            }
+        }
+        if (node.isMesh && !node.isInstancedMesh && node.geometry && node.geometry.attributes.position) {
+            group.meshes.push(node);
+        }
+        // Only the full-detail level of a LOD collides
+        const children = node.isLOD ? node.levels.slice(0, 1).map(level => level.object) : node.children;
+        children.forEach(child => visit(child, group));
+    };
+    visit(object, main);
+    return (proxies.length > 0 ? proxies : groups).filter(group => group.meshes.length > 0);
+}
+
+function getProxyShape(name) {
+    const upper = (name || '').toUpperCase();
+    const prefix = Object.keys(PROXY_PREFIXES).find(key => upper.startsWith(key));
+    return prefix ? PROXY_PREFIXES[prefix] : null;
+}
+
+// Shapes for one group of meshes ({mesh, matrix} with matrix = mesh -> body)
+function buildGroup(shape, meshes) {
+    switch (shape) {
+        case 'box':
+            return meshes.length === 1 ? [meshBox(meshes[0])] : [boundsShape('box', meshes)];
+        case 'sphere':
+        case 'cylinder':
+            return [boundsShape(shape, meshes)];
+        case 'boxes':
+            return meshes.map(meshBox);
+        case 'hull':
+            return meshes.length === 1 ? [meshHull(meshes[0])] : [combinedHull(meshes)];
+        case 'hulls':
+            return meshes.map(meshHull);
+        case 'trimesh':
+            return meshes.map(meshTrimesh);
+        default:
+            return meshes.map(meshPrimitive);
+    }
+}
+
+// Box, sphere or cylinder for primitive geometries; a box in the mesh's frame otherwise
+function meshPrimitive(part) {
+    const geometry = part.mesh.geometry;
+    if (geometry.type === 'SphereGeometry' || geometry.type === 'SphereBufferGeometry') {
+        return boundsShape('sphere', [part]);
+    }
+    if (geometry.type === 'CylinderGeometry' || geometry.type === 'CylinderBufferGeometry') {
+        return boundsShape('cylinder', [part]);
+    }
+    return meshBox(part);
+}
+
+// Box around a mesh's geometry, oriented with the mesh
+function meshBox({ mesh, matrix }) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+    const bounds = getGeometryBounds(mesh.geometry);
+    // decompose() puts a mirror in a negative scale; the extents only need its size
+    const size = bounds.getSize(new THREE.Vector3()).multiply(scale);
+    size.set(Math.abs(size.x), Math.abs(size.y), Math.abs(size.z));
+    const center = bounds.getCenter(new THREE.Vector3()).applyMatrix4(matrix);
+    return {
+        shape: new CANNON.Box(halfExtents(size)),
+        offset: new CANNON.Vec3(center.x, center.y, center.z),
+        orientation: new CANNON.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w)
+    };
+}
+
+// Box, sphere or upright cylinder around every mesh's bounds in the body's frame
+function boundsShape(shape, parts) {
+    const bounds = new THREE.Box3();
+    parts.forEach(({ mesh, matrix }) => {
+        bounds.union(getGeometryBounds(mesh.geometry).clone().applyMatrix4(matrix));
+    });
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const offset = new CANNON.Vec3(center.x, center.y, center.z);
+    if (shape === 'sphere') {
+        return { shape: new CANNON.Sphere(Math.max(size.x, size.y, size.z) / 2), offset, orientation: new CANNON.Quaternion() };
+    }
+    if (shape === 'cylinder') {
+        // CANNON cylinders run along their local z axis; stand them up
+        const radius = Math.max(size.x, size.z) / 2;
+        const orientation = new CANNON.Quaternion();
+        orientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        return { shape: new CANNON.Cylinder(radius, radius, size.y, 12), offset, orientation };
+    }
+    return { shape: new CANNON.Box(halfExtents(size)), offset, orientation: new CANNON.Quaternion() };
+}
+
+function halfExtents(size) {
+    return new CANNON.Vec3(
+        Math.max(size.x / 2, MIN_HALF_EXTENT),
+        Math.max(size.y / 2, MIN_HALF_EXTENT),
+        Math.max(size.z / 2, MIN_HALF_EXTENT)
+    );
+}
+
+function getGeometryBounds(geometry) {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return geometry.boundingBox;
+}
+
+// Cached hull of a mesh's geometry, moved into the body's frame
+function meshHull(part) {
+    const hull = getGeometryHull(part.mesh.geometry);
+    if (!hull) return meshBox(part);
+    const points = hull.points.map(point => point.clone().applyMatrix4(part.matrix));
+    return convexShape(points, part.matrix.determinant() < 0 ? flipFaces(hull.faces) : hull.faces);
+}
+
+// One hull around several meshes, from their cached hull points
+function combinedHull(parts) {
+    const points = [];
+    parts.forEach((part) => {
+        const hull = getGeometryHull(part.mesh.geometry);
+        const source = hull ? hull.points : boxCorners(getGeometryBounds(part.mesh.geometry));
+        source.forEach(point => points.push(point.clone().applyMatrix4(part.matrix)));
+    });
+    const hull = computeHull(points);
+    return hull ? convexShape(hull.points, hull.faces) : boundsShape('box', parts);
+}
+
+// ConvexPolyhedron centred on its points, so its bounding radius stays tight
+function convexShape(points, faces) {
+    const center = new THREE.Vector3();
+    points.forEach(point => center.add(point));
+    center.divideScalar(points.length);
+    const vertices = points.map(point => new CANNON.Vec3(point.x - center.x, point.y - center.y, point.z - center.z));
+    return {
+        shape: new CANNON.ConvexPolyhedron(vertices, faces.map(face => face.slice())),
+        offset: new CANNON.Vec3(center.x, center.y, center.z),
+        orientation: new CANNON.Quaternion()
+    };
+}
+
+function getGeometryHull(geometry) {
+    if (!hullCache.has(geometry)) {
+        const position = geometry.attributes.position;
+        const points = [];
+        for (let i = 0; i < position.count; i++) {
+            points.push(new THREE.Vector3(position.getX(i), position.getY(i), position.getZ(i)));
+        }
+        hullCache.set(geometry, computeHull(points));
+    }
+    return hullCache.get(geometry);
+}
+
+/**
+ * Convex hull of a point cloud, reduced to CONFIG.PHYSICS.HULL_MAX_VERTICES extreme points
+ * @param {THREE.Vector3[]} points
+ * @returns {{points: THREE.Vector3[], faces: number[][]}|null} Faces wind counter-clockwise seen from outside; null when flat
+ */
+function computeHull(points) {
+    if (typeof THREE.ConvexHull === 'undefined') return null;
+    const extremes = getExtremePoints(points, CONFIG.PHYSICS.HULL_MAX_VERTICES);
+    if (extremes.length < 4) return null;
+
+    let hull;
+    try {
+        hull = new THREE.ConvexHull().setFromPoints(extremes);
+    } catch (error) {
+        return null;
+    }
+    if (hull.faces.length < 4) return null;
+
+    const indices = new Map();
+    const used = [];
+    const faces = hull.faces.map((face) => {
+        const loop = [];
+        let edge = face.edge;
+        do {
+            const point = edge.head().point;
+            if (!indices.has(point)) {
+                indices.set(point, used.length);
+                used.push(point);
+            }
+            loop.push(indices.get(point));
+            edge = edge.next;
+        } while (edge !== face.edge);
+        return loop;
+    });
+    return { points: used, faces };
+}
+
+// The point furthest along each of `count` directions spread over the sphere
+function getExtremePoints(points, count) {
+    if (points.length <= count) return dedupe(points);
+    const picked = new Set();
+    const direction = new THREE.Vector3();
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    for (let i = 0; i < count; i++) {
+        const y = 1 - (2 * i + 1) / count;
+        const radius = Math.sqrt(1 - y * y);
+        direction.set(Math.cos(golden * i) * radius, y, Math.sin(golden * i) * radius);
+        let best = null;
+        let bestDot = -Infinity;
+        points.forEach((point) => {
+            const dot = point.dot(direction);
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = point;
+            }
+        });
+        picked.add(best);
+    }
+    return dedupe([...picked]);
+}
+
+// Indexed geometries repeat positions along UV seams
+function dedupe(points) {
+    const seen = new Map();
+    points.forEach(point => seen.set(`${point.x.toFixed(4)},${point.y.toFixed(4)},${point.z.toFixed(4)}`, point));
+    return [...seen.values()];
+}
+
+function flipFaces(faces) {
+    return faces.map(face => face.slice().reverse());
+}
+
+function boxCorners(bounds) {
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(new THREE.Vector3(
+            i & 1 ? bounds.max.x : bounds.min.x,
+            i & 2 ? bounds.max.y : bounds.min.y,
+            i & 4 ? bounds.max.z : bounds.min.z
+        ));
+    }
+    return corners;
+}
+
+// The mesh's triangles in the body's frame
+function meshTrimesh({ mesh, matrix }) {
+    const { positions, indices } = getGeometryTriangles(mesh.geometry);
+    const vertices = new Float32Array(positions.length);
+    const point = new THREE.Vector3();
+    for (let i = 0; i < positions.length; i += 3) {
+        point.set(positions[i], positions[i + 1], positions[i + 2]).applyMatrix4(matrix);
+        vertices[i] = point.x;
+        vertices[i + 1] = point.y;
+        vertices[i + 2] = point.z;
+    }
+    // A mirrored mesh turns its triangles inside out
+    let triangles = indices;
+    if (matrix.determinant() < 0) {
+        triangles = indices.slice();
+        for (let i = 0; i < triangles.length; i += 3) {
+            [triangles[i + 1], triangles[i + 2]] = [triangles[i + 2], triangles[i + 1]];
+        }
+    }
+    return {
+        shape: new CANNON.Trimesh(vertices, triangles),
+        offset: new CANNON.Vec3(),
+        orientation: new CANNON.Quaternion()
+    };
+}
+
+function getGeometryTriangles(geometry) {
+    if (!trimeshCache.has(geometry)) {
+        const position = geometry.attributes.position;
+        const positions = new Float32Array(position.count * 3);
+        for (let i = 0; i < position.count; i++) {
+            positions[i * 3] = position.getX(i);
+            positions[i * 3 + 1] = position.getY(i);
+            positions[i * 3 + 2] = position.getZ(i);
+        }
+        const indices = geometry.index
+            ? Uint32Array.from(geometry.index.array)
+            : Uint32Array.from({ length: position.count }, (_, i) => i);
+        trimeshCache.set(geometry, { positions, indices });
+    }
+    return trimeshCache.get(geometry);
+}
+
+function debugGeometry(shape) {
+    if (shape instanceof CANNON.Box) {
+        const h = shape.halfExtents;
+        return new THREE.BoxGeometry(h.x * 2, h.y * 2, h.z * 2);
+    }
+    if (shape instanceof CANNON.Sphere) {
+        return new THREE.SphereGeometry(shape.radius, 12, 8);
+    }
+    // Cylinders, hulls and trimeshes all expose their vertices and faces
+    const vertices = shape.vertices;
+    const faces = shape instanceof CANNON.Trimesh ? null : shape.faces;
+    if (!vertices) return null;
+    const geometry = new THREE.BufferGeometry();
+    if (shape instanceof CANNON.Trimesh) {
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(Array.from(shape.indices));
+        return geometry;
+    }
+    const positions = [];
+    faces.forEach((face) => {
+        for (let i = 1; i < face.length - 1; i++) {
+            [face[0], face[i], face[i + 1]].forEach((index) => {
+                const v = vertices[index];
+                positions.push(v.x, v.y, v.z);
+            });
+        }
+    });
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+}
@@ -20,6 +20,44 @@ export const CONFIG = {
         TARGET_FPS: 0, // 0 = uncapped (uses display refresh); set 30/45/60 to cap
         MOBILE_EFFECTS_REDUCED: true
     },
+
+    // Adaptive quality tiers (see quality-manager.js)
+    QUALITY: {
+        TIER: 'auto',                // 'auto' benchmarks and adapts; 'low' | 'medium' | 'high' | 'ultra' pins a tier
+        STORAGE_KEY: 'qualityTier',  // localStorage key for the tier pinned in the graphics menu
+        BENCHMARK_TIER: 'high',      // Tier measured by the startup benchmark
+        BENCHMARK_SECONDS: 2,
+        COOLDOWN_SECONDS: 5,         // Settling time after any change before the tier can move again
+        DOWNGRADE_RATIO: 0.8,        // Step down when FPS stays below this share of the target...
+        DOWNGRADE_SECONDS: 3,        // ...for this many seconds in a row
+        UPGRADE_RATIO: 0.95,         // Step up when FPS stays above this share of the target...
+        UPGRADE_SECONDS: 10,         // ...for this long
+        FRAME_PERCENTILE: 0.95,      // Frame time percentile checked against the budget
+        STUTTER_RATIO: 2,            // Also step down when that frame time exceeds this many budgets
+        HEADROOM_RATIO: 1.25,        // Only step up while it stays under this many budgets
+        UPGRADE_BACKOFF: 60          // Seconds a tier that had to be abandoned is not retried (doubles each time)
+    },
+
+    // Effect composer (see post-processing.js); which effects run is set per quality tier
+    POST_PROCESSING: {
+        SSAO_KERNEL_RADIUS: 1.2,     // Sample radius in world units
+        SSAO_MIN_DISTANCE: 0.0005,   // Depth differences (share of the camera range) that count as occlusion
+        SSAO_MAX_DISTANCE: 0.02,
+        BLOOM_THRESHOLD: 0.8,        // Brightness above which pixels glow
+        BLOOM_RADIUS: 0.4,
+        BLOOM_DAY_STRENGTH: 0.2,
+        BLOOM_NIGHT_STRENGTH: 0.9,   // Lit windows and street lamps glow more after dark
+        LUT_SIZE: 32,
+        LUT_INTENSITY: 1,
+        GRADE: {                     // Colour grade baked into the LUT
+            LIFT: 0.02,
+            CONTRAST: 1.08,
+            SATURATION: 1.1,
+            WARMTH: 0.04
+        },
+        VIGNETTE_OFFSET: 1.0,
+        VIGNETTE_DARKNESS: 1.1
+    },
     
     // Lighting settings
     LIGHTING: {
@@ -36,14 +74,92 @@ export const CONFIG = {
         POINT_LIGHT_DISTANCE: 60,         // Slightly larger light radius
         USE_EXTRA_LIGHTS: true            // Keep extra lights enabled
     },
+
+    // Time of day (see day-night.js); noon reproduces the LIGHTING values above
+    DAY_NIGHT: {
+        ENABLED: true,              // false keeps the clock at START_HOUR
+        START_HOUR: 12,
+        DAY_LENGTH: 720,            // Real seconds per 24 game hours
+        SHADOW_REFRESH_ANGLE: 0.01, // Radians of sun travel between shadow map redraws
+        DUSK_SUN_COLOR: 0xff9a50,
+        DUSK_SKY_COLOR: 0xf0a36b,
+        NIGHT_SKY_COLOR: 0x0b1026,
+        NIGHT_GROUND_COLOR: 0x1a1a22,
+        NIGHT_AMBIENT_SCALE: 0.25,  // Ambient, hemisphere and fill intensity at night relative to noon
+        NIGHT_EXPOSURE: 1.0,
+        MOON_COLOR: 0x8899cc,
+        MOON_INTENSITY: 0.25,
+        WINDOW_COLOR: 0xffd38a,     // Emissive colour of lit windows
+        STREET_LIGHT_COLOR: 0xffc977,
+        STREET_LIGHT_INTENSITY: 0.6 // Added to the lamp point lights at night
+    },
+
+    // Sun shadows (see shadow-system.js)
+    SHADOWS: {
+        DISTANCE: 50,               // View depth that receives shadows, split across the cascades
+        CASCADES: 1,                // Shadow maps along the view; 2-3 keep near shadows sharp over a long distance
+        SPLIT_LAMBDA: 0.5,          // 0 = equal cascade depths, 1 = logarithmic (more detail up close)
+        RECENTER_MARGIN: 8,         // Padding around the view; static shadows re-render once the view drifts past it
+        CASTER_HEIGHT: 40           // Casters this far above the view (towards the sun) still cast into it
+    },
     
     // Character settings
     CHARACTER: {
-        MOVE_SPEED: 0.35,
-        JUMP_FORCE: 0.5,
-        GRAVITY: 0.1,
-        GROUND_LEVEL: 0.75, // 50% smaller ground level
-        JUMP_THRESHOLD: 1.5 // 50% smaller jump threshold
+        WALK_SPEED: 7,            // Units per second
+        SPRINT_MULTIPLIER: 1.6,
+        CROUCH_MULTIPLIER: 0.5,
+        JUMP_SPEED: 5,            // Upward speed at take-off
+        GROUND_ACCELERATION: 16,  // How quickly speed follows the stick on the ground (1/s)
+        AIR_CONTROL: 3,           // The same in the air
+        TURN_RATE: 12,            // How quickly the mascot turns to face its movement (1/s)
+        GROUND_LEVEL: 0.75,       // Body origin (and mesh origin) above the feet
+        HEIGHT: 1.5,              // Feet to the top of the capsule
+        CROUCH_HEIGHT: 1.0,
+        RADIUS: 0.3,              // Capsule radius
+        STEP_HEIGHT: 0.35,        // Curbs and steps up to this high are walked over
+        MAX_SLOPE: 45,            // Steepest walkable ground (degrees); steeper slopes slide
+        GROUND_SNAP: 0.3,         // How far below the feet the ground probe still holds on
+        SNAP_RATE: 20,            // How quickly the feet settle onto a new ground height (1/s)
+        COYOTE_TIME: 0.12,        // Seconds after walking off a ledge that a jump still works
+        JUMP_BUFFER: 0.15         // Seconds a jump pressed before landing is remembered
+    },
+
+    // Player character animation (character-animator.js)
+    CHARACTER_ANIMATION: {
+        MODEL_URL: null,          // Rigged glTF with locomotion clips, e.g. 'models/mascot.glb'; null uses the OBJ mascot
+        MODEL_HEIGHT: 1.5,        // The rigged model is scaled to this height
+        // Clip names for each state, matched case-insensitively against the start of the clip's name
+        CLIPS: {
+            idle: ['idle'],
+            walk: ['walk'],
+            run: ['run', 'sprint', 'jog'],
+            jump: ['jump'],
+            fall: ['fall', 'air', 'inair'],
+            land: ['land']
+        },
+        // Ground speed each walk/run cycle covers at normal playback, in units per second at MODEL_HEIGHT
+        CLIP_SPEEDS: { walk: 1.6, run: 5 },
+        IDLE_SPEED: 0.3,          // Slower than this counts as standing still
+        RUN_SPEED: 4.5,           // Walking hands over to running above this speed (crouching walks)
+        FADE: 0.2,                // Cross-fade between states (seconds)
+        FALL_DELAY: 0.15,         // Air time before falling starts (stairs and curbs don't count)
+        LAND_AIR_TIME: 0.4,       // Air time after which touching down plays the land clip
+        // Procedural motion for models without a rig
+        STRIDE_LENGTH: 1.4,       // Distance per bob cycle (two steps)
+        BOB_HEIGHT: 0.06,
+        SWAY: 0.06,               // Side-to-side roll per step (radians)
+        LEAN: 0.12,               // Forward lean at full sprint (radians)
+        BREATH: 0.015             // Idle breathing, as a fraction of height
+    },
+
+    // Character skins, tints and accessories (see character-appearance.js)
+    CHARACTER_APPEARANCE: {
+        STORAGE_KEY: 'characterAppearance', // localStorage key for the wardrobe selection
+        // Rig bones the attachment points ride, matched case-insensitively against the end of the bone's name
+        ATTACHMENT_BONES: {
+            head: ['head'],
+            back: ['spine2', 'spine1', 'chest', 'spine']
+        }
     },
     
     // Physics settings
@@ -51,7 +167,11 @@ export const CONFIG = {
         GRAVITY: -9.82,
         SOLVER_ITERATIONS: 10,
         CHARACTER_MASS: 0,
-        OBJECT_MASS: 1
+        OBJECT_MASS: 1,
+        FIXED_TIMESTEP: 1 / 60, // Seconds per physics step, whatever the frame rate
+        MAX_SUB_STEPS: 5,       // Physics steps per frame at most; time beyond that is dropped
+        HULL_MAX_VERTICES: 40, // Extreme points kept per convex hull (collider-builder.js)
+        DEBUG_COLLIDERS: false  // Draw collider wireframes on every object body
     },
     
     // Environment settings
@@ -59,9 +179,98 @@ export const CONFIG = {
         TERRAIN_SIZE: 120,
         TERRAIN_SEGMENTS: 60,
         TREE_COUNT: 15,
-        CAR_COUNT: 6
+        CAR_COUNT: 6 // Cars driven by the traffic simulation
+    },
+
+    // Heightmapped terrain outside the city (see createHeightmap() in terrain.js)
+    TERRAIN: {
+        HILL_HEIGHT: 14,     // Tallest hills; terrain.hillHeight in data/world.json overrides it (0 = flat)
+        HILL_SCALE: 140,     // Width of a typical hill in world units
+        OCTAVES: 4,          // Noise layers, each half the size and height of the last
+        CITY_MARGIN: 4,      // Level ground kept around the city square
+        HILL_RAMP: 90,       // Distance over which the hills rise to full height beyond that
+        FLAT_MARGIN: 2,      // Level ground kept around each road, lot and prop (plus one cell diagonal)
+        BLEND: 14,           // Distance over which that level ground blends back into the hills
+        PROP_PAD: 6          // Half size of the level pad under each manifest prop
+    },
+
+    // Chunked world streaming (see world-streamer.js)
+    STREAMING: {
+        ENABLED: true,       // false builds every chunk at startup and never unloads
+        CHUNK_SIZE: 40,      // Chunk edge length in world units
+        LOAD_RADIUS: 100,    // Chunks whose nearest edge is within this distance of the player are loaded
+        UNLOAD_MARGIN: 20,   // Extra distance before a loaded chunk is unloaded, so edges do not thrash
+        RETRY_DELAY: 2,      // Seconds before a chunk that failed to load is tried again; doubles per failure
+        MAX_RETRY_DELAY: 60
     }
     ,
+    // Road network settings (see road-graph.js)
+    ROADS: {
+        LANES: 2, // Default lanes per segment, split between both directions
+        SPEED_LIMITS: { arterial: 14, side: 8, flyover: 16 } // Units per second by road kind
+    },
+    
+    // Camera rig settings (see camera.js)
+    CAMERA: {
+        DEFAULT_DISTANCE: 12.6,   // Orbit radius around the pivot; matches the original (0, 6, 12) offset
+        MIN_DISTANCE: 3,
+        MAX_DISTANCE: 30,
+        ZOOM_SPEED: 0.0015,       // Distance scale per wheel pixel
+        PIVOT_HEIGHT: 2,          // Orbit pivot above the target's origin
+        DEFAULT_ELEVATION: 0.32,  // Radians above the horizon
+        MIN_ELEVATION: -0.2,
+        MAX_ELEVATION: 1.4,
+        ROTATION_DAMPING: 14,     // Higher = snappier; 0 disables smoothing
+        ZOOM_DAMPING: 10,
+        FOLLOW_DAMPING: 12,
+        COLLISION_PADDING: 0.4,   // Gap kept between the camera and a wall it was pulled in by
+        TERRAIN_CLEARANCE: 0.5,   // Minimum height of the camera above the terrain
+        POINTER_LOCK: false       // Start in pointer-lock mouse look (toggle with L)
+    },
+
+    // Scripted camera fly-throughs (see camera-path.js, cinematics in data/world.json)
+    CINEMATICS: {
+        BLEND_TIME: 1.0,   // Seconds spent easing into a path and back to the player camera
+        TOUR: 'city_tour'  // Cinematic played by the landing page tour button
+    },
+
+    // Drivable vehicle settings (see vehicle-controller.js)
+    VEHICLE: {
+        ENTER_DISTANCE: 4,      // How close the player must be to a car to get in
+        CHASSIS_MASS: 150,
+        ENGINE_FORCE: 500,
+        REVERSE_FORCE: 300,
+        MAX_SPEED: 22,          // Units per second; reverse is capped at a third of this
+        BRAKE_FORCE: 8,
+        HANDBRAKE_FORCE: 40,
+        MAX_STEER: 0.5,         // Radians
+        STEER_SPEED: 2.5,       // Radians per second
+        WHEEL_RADIUS: 0.45,
+        SUSPENSION_REST_LENGTH: 0.35,
+        CHASE_DISTANCE: 9,
+        CHASE_HEIGHT: 3.5
+    },
+    
+    // Traffic simulation settings (see traffic.js)
+    TRAFFIC: {
+        ENABLED: true,
+        DETERMINISTIC: false,  // Step with FIXED_STEP regardless of frame rate so runs replay exactly
+        FIXED_STEP: 1 / 60,
+        FOLLOW_DISTANCE: 7,    // Gap kept to the car ahead
+        STOP_TIME: 0.8,        // Seconds spent at an intersection stop line
+        ACCELERATION: 4,
+        BRAKING: 8
+    },
+
+    // Input settings (see input-manager.js)
+    INPUT: {
+        STORAGE_KEY: 'inputBindings', // localStorage key for rebound keys
+        GAMEPAD_DEADZONE: 0.15,
+        GAMEPAD_LOOK_SPEED: 900,      // Right stick look, in mouse pixels per second
+        JOYSTICK_RADIUS: 50,          // On-screen joystick travel in CSS pixels
+        TOUCH_LOOK_SCALE: 1.5         // Touch drag look multiplier relative to the mouse
+    },
+
     // Deterministic randomness
     RANDOM: {
         SEED: 12345 // change to get a different but stable layout
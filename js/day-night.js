@@ -0,0 +1,188 @@
+// Day/night cycle
+//
+// Moves the sun across the sky over CONFIG.DAY_NIGHT.DAY_LENGTH seconds and
+// derives every time-dependent setting from its elevation: sun/moon colour and
+// intensity, hemisphere and ambient light, fog and sky colour, and tone-mapping
+// exposure. At noon the lights match CONFIG.LIGHTING exactly. After dark,
+// building windows and street lamps glow and the lamp point lights brighten.
+
+import { CONFIG } from './config.js';
+
+const SKY_COLOR = 0x87ceeb; // Daytime fog and clear colour set up in scene.js
+
+export class DayNightCycle {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {Object} lighting - Lights returned by setupLighting()
+     */
+    constructor(scene, renderer, lighting) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.lighting = lighting;
+
+        this.hours = CONFIG.DAY_NIGHT.START_HOUR;
+        this.paused = !CONFIG.DAY_NIGHT.ENABLED;
+
+        // Sun path: rises in the east (+x), peaks at the configured sun position at noon
+        const noon = new THREE.Vector3(
+            CONFIG.LIGHTING.DIRECTIONAL_POSITION.x,
+            Math.max(100, CONFIG.LIGHTING.DIRECTIONAL_POSITION.y),
+            CONFIG.LIGHTING.DIRECTIONAL_POSITION.z
+        );
+        this.sunDistance = noon.length();
+        this.noonDirection = noon.normalize();
+        this.eastDirection = new THREE.Vector3(1, 0, 0)
+            .addScaledVector(this.noonDirection, -this.noonDirection.x)
+            .normalize();
+        this.sunDirection = this.noonDirection.clone();
+        this.daylight = 1; // 1 at full day, 0 at night
+
+        // Base intensities of lights scaled by the cycle (the rig plus any lights added elsewhere)
+        const rig = [lighting.ambientLight, lighting.hemisphereLight, lighting.directionalLight,
+            ...lighting.pointLights, ...lighting.cornerLights, ...lighting.fillLights];
+        this.baseIntensity = new Map();
+        scene.traverse(child => {
+            if (child.isLight) this.baseIntensity.set(child, child.intensity);
+        });
+        this.streetLights = [...lighting.pointLights, ...lighting.cornerLights];
+        this.otherLights = [...this.baseIntensity.keys()].filter(light => !rig.includes(light));
+
+        // Materials that glow at night, collected from the environment by setEnvironment()
+        this.nightMaterials = [];
+
+        // Sun direction the shadow map was last rendered with
+        this._shadowDirection = this.sunDirection.clone();
+
+        this._color = new THREE.Color();
+        this.apply();
+    }
+
+    /**
+     * Collect window and street lamp materials from a (re)built environment
+     * Meshes opt in with userData.nightEmissive, the colour they glow at night;
+     * hidden meshes stand in for merged district meshes and are skipped.
+     * @param {EnvironmentManager} environment
+     */
+    setEnvironment(environment) {
+        const materials = new Map();
+        const merged = environment.getMergedMeshes ? environment.getMergedMeshes() : [];
+        const roots = [...environment.buildings, ...(environment.streetLights || []), ...merged];
+        roots.forEach(root => root.traverse(child => {
+            if (!child.isMesh || !child.visible || child.userData.nightEmissive === undefined) return;
+            if (!materials.has(child.material)) {
+                materials.set(child.material, new THREE.Color(child.userData.nightEmissive));
+            }
+        }));
+        this.nightMaterials = [...materials].map(([material, color]) => ({ material, color }));
+        this.apply();
+    }
+
+    /**
+     * Jump to a time of day (e.g. 18.5 for half past six in the evening)
+     * @param {number} hours - Hour of the day; wraps into 0..24
+     */
+    setTimeOfDay(hours) {
+        this.hours = ((hours % 24) + 24) % 24;
+        this.apply();
+    }
+
+    getTimeOfDay() {
+        return this.hours;
+    }
+
+    /**
+     * Stop or resume the clock; a paused cycle keeps its lighting until setTimeOfDay()
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.paused = !!paused;
+    }
+
+    /**
+     * Advance the clock
+     * @param {number} deltaTime - Seconds since the last frame
+     * @returns {boolean} Whether the sun has moved far enough that the shadow map needs redrawing
+     */
+    update(deltaTime) {
+        if (!this.paused) {
+            this.setTimeOfDay(this.hours + deltaTime * 24 / CONFIG.DAY_NIGHT.DAY_LENGTH);
+        }
+        // Shadows are cached between refreshes, so only redraw them every few degrees of sun travel
+        if (this.sunDirection.angleTo(this._shadowDirection) > CONFIG.DAY_NIGHT.SHADOW_REFRESH_ANGLE) {
+            this._shadowDirection.copy(this.sunDirection);
+            return true;
+        }
+        return false;
+    }
+
+    // Set every light, the fog and the exposure for the current hour
+    apply() {
+        const settings = CONFIG.DAY_NIGHT;
+        const { ambientLight, hemisphereLight, directionalLight } = this.lighting;
+
+        // 6:00 sunrise, 12:00 noon, 18:00 sunset
+        const angle = (this.hours - 6) / 12 * Math.PI;
+        this.sunDirection.copy(this.eastDirection).multiplyScalar(Math.cos(angle))
+            .addScaledVector(this.noonDirection, Math.sin(angle));
+        const elevation = this.sunDirection.y;
+        this.daylight = smoothstep(-0.1, 0.25, elevation);
+        const night = 1 - this.daylight;
+        const twilight = Math.max(0, 1 - Math.abs(elevation) / 0.3);
+
+        // One shadow-casting light: the sun by day, the moon opposite it by night,
+        // placed relative to its target (ShadowSystem moves the target with the view)
+        const target = directionalLight.target.position;
+        if (elevation >= 0) {
+            directionalLight.position.copy(target).addScaledVector(this.sunDirection, this.sunDistance);
+            directionalLight.color.setHex(settings.DUSK_SUN_COLOR)
+                .lerp(this._color.setHex(CONFIG.LIGHTING.DIRECTIONAL_COLOR), smoothstep(0, 0.5, elevation));
+            directionalLight.intensity = CONFIG.LIGHTING.DIRECTIONAL_INTENSITY * smoothstep(-0.02, 0.2, elevation);
+        } else {
+            directionalLight.position.copy(target).addScaledVector(this.sunDirection, -this.sunDistance);
+            directionalLight.color.setHex(settings.MOON_COLOR);
+            directionalLight.intensity = settings.MOON_INTENSITY * smoothstep(0.02, 0.3, -elevation);
+        }
+
+        // Sky light fades to a dim blue; everything else non-directional scales with it
+        const ambientScale = lerp(settings.NIGHT_AMBIENT_SCALE, 1, this.daylight);
+        hemisphereLight.color.setHex(settings.NIGHT_SKY_COLOR)
+            .lerp(this._color.setHex(CONFIG.LIGHTING.HEMISPHERE_SKY_COLOR), this.daylight);
+        hemisphereLight.groundColor.setHex(settings.NIGHT_GROUND_COLOR)
+            .lerp(this._color.setHex(CONFIG.LIGHTING.HEMISPHERE_GROUND_COLOR), this.daylight);
+        hemisphereLight.intensity = this.baseIntensity.get(hemisphereLight) * ambientScale;
+        ambientLight.intensity = this.baseIntensity.get(ambientLight) * ambientScale;
+        this.lighting.fillLights.forEach(light => {
+            light.intensity = this.baseIntensity.get(light) * ambientScale;
+        });
+        this.otherLights.forEach(light => {
+            light.intensity = this.baseIntensity.get(light) * (light.isDirectionalLight ? this.daylight : ambientScale);
+        });
+
+        // Street lamps: their point lights brighten and the bulbs and windows glow
+        this.streetLights.forEach(light => {
+            light.intensity = this.baseIntensity.get(light) + settings.STREET_LIGHT_INTENSITY * night;
+        });
+        this.nightMaterials.forEach(({ material, color }) => {
+            if (material.emissive) material.emissive.copy(color).multiplyScalar(night);
+        });
+
+        // Fog and background follow the sky, warming through sunrise and sunset
+        const sky = this._color.setHex(settings.NIGHT_SKY_COLOR).lerp(new THREE.Color(SKY_COLOR), this.daylight)
+            .lerp(new THREE.Color(settings.DUSK_SKY_COLOR), twilight * 0.6);
+        if (this.scene.fog) this.scene.fog.color.copy(sky);
+        if (this.renderer) {
+            this.renderer.setClearColor(sky, 1);
+            this.renderer.toneMappingExposure = lerp(settings.NIGHT_EXPOSURE, CONFIG.RENDERER.TONE_MAPPING_EXPOSURE, this.daylight);
+        }
+    }
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
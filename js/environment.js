@@ -1,38 +1,55 @@
-import { createTerrain } from './terrain.js';
-import { createCleanRoadNetwork, checkRoadConnectivity } from './roads-clean.js';
-import { 
-    createCommercialDistrict, 
-    createResidentialDistrict, 
-    createIndustrialDistrict, 
-    createPublicSpaces 
-} from './buildings-clean.js';
+import { createTerrain, createHeightmap } from './terrain.js';
+import { ROAD_WIDTH, planCleanRoadNetwork, createRoadFromPlan, createCleanRoadGraph, checkRoadConnectivity, createStreetLights } from './roads-clean.js';
+import { createDistrict } from './buildings-clean.js';
 import { VehicleLoader } from './vehicle-loader.js';
 import { TreeLoader } from './tree-loader.js';
-import { createObjectBody } from './physics.js';
-import { createBoundaryWalls } from './boundaries.js';
+import { createObjectBody, createGroundBody } from './physics.js';
+import { COLLIDER_SHAPES } from './collider-builder.js';
+import { createBoundaryWalls, removeBoundaryWalls } from './boundaries.js';
 import { TextureUtils } from './utils/texture-utils.js';
 import { LODManager } from './utils/lod-manager.js';
 import { safeLog } from './utils/logger.js';
-
-// Import DRACO Loader if available
-let DRACOLoader;
-if (typeof window !== 'undefined' && window.DRACOLoader) {
-    DRACOLoader = window.DRACOLoader;
-}
+import { loadWorldManifest, validateWorldManifest, WORLD_MANIFEST_URL } from './world-manifest.js';
+import { generateCity, DEFAULT_CITY_OPTIONS } from './city-generator.js';
+import { TrafficManager } from './traffic.js';
+import { CameraPath } from './camera-path.js';
+import { assetManager } from './asset-manager.js';
+import { WorldStreamer } from './world-streamer.js';
+import { InstanceBatcher, resolveIntersection } from './utils/instance-batcher.js';
+import { StaticMerger } from './utils/static-merger.js';
+import { CONFIG } from './config.js';
+
+// How far reporters and fountains stand from the edge of the nearest road
+const ROAD_SNAP_OFFSETS = { reporter: 1.5, fountain: 2.0 };
 
 // Environment manager
 export class EnvironmentManager {
-    constructor(scene, world) {
+    constructor(scene, world, assets = assetManager) {
         this.scene = scene;
         this.world = world;
+        this.assets = assets; // Parsed glTF cache; every model is a clone sharing geometry and materials
         this.objects = [];
         this.objectBodies = [];
         this.trees = [];
         this.roads = [];
+        this.streetLights = []; // Lamp posts lit at night by DayNightCycle
         this.buildings = [];
         this.boundaryWalls = [];
         this.animations = [];
+        this.props = [];
+        this.manifest = null;
+        this.city = null; // Generated layout (blocks, lots, districts) when the manifest has a city block
+        this.roadGraph = null; // RoadGraph of the current layout for pathfinding and lane queries
+        this.traffic = null; // TrafficManager driving this.vehicles
         this.lodManager = null; // Will be initialized with camera
+        this.streamer = null; // WorldStreamer building and dropping chunks around the player
+        this.treeLoader = null;
+        this.roadTiles = []; // Every planned road tile {x, z}, loaded or not, for building clearance
+        this.heightmap = null; // Terrain heights (terrain.js), shared by the mesh, the ground body and getHeightAt()
+        this.groundBody = null;
+        this.viewpoints = new Map(); // Prop id -> viewpoint, kept while the prop's chunk is unloaded
+        this.onChunksChanged = null; // Called after a chunk is added to or removed from the scene
+        this.vegetationDensity = 1; // Share of the planned trees shown (quality tier)
 
         // Initialize object pools for performance
         this.initializeObjectPools();
@@ -143,7 +160,7 @@ export class EnvironmentManager {
             this.geometryPool.activeCount = this.geometryPool.size;
             
             // Schedule next update
-            requestAnimationFrame(updateStats);
+            this._poolStatsFrame = requestAnimationFrame(updateStats);
         };
         
         // Start updating stats
@@ -157,28 +174,9 @@ export class EnvironmentManager {
      */
     async loadModel(url, options = {}) {
         try {
-            const loader = new GLTFLoader();
-            
-            // Apply DRACO loader if available
-            if (DRACOLoader) {
-                const dracoLoader = new DRACOLoader();
-                dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-                
-                // Preload the decoder for better performance
-                await new Promise(resolve => {
-                    dracoLoader.preload(() => resolve());
-                });
-                loader.setDRACOLoader(dracoLoader);
-            }
-            
-            // Load the model
-            const gltf = await new Promise((resolve, reject) => {
-                loader.load(url, resolve, (progress) => {
-                    // Optional progress callback - can be empty or omitted
-                }, reject);
-            });
-            
-            let model = gltf.scene || (gltf.scenes && gltf.scenes[0]);
+            // Parsed once by the AssetManager (Draco-aware); this is a clone
+            const gltf = await this.assets.instantiate(url);
+            let model = gltf.scene;
             
             // Apply LOD if enabled and we have a camera
             if (this.lodManager && options.enableLOD !== false) {
@@ -210,23 +208,59 @@ export class EnvironmentManager {
     /**
      * Set up LOD manager with camera reference
      * @param {THREE.Camera} camera - The camera to use for LOD calculations
+     * @param {THREE.WebGLRenderer} renderer - Renders LOD impostors (optional)
      */
-    setCamera(camera) {
+    setCamera(camera, renderer = null) {
         if (!this.lodManager && camera) {
             this.lodManager = new LODManager(camera, {
                 highDetailDistance: 30,
                 mediumDetailDistance: 60,
-                lowDetailDistance: 120
+                lowDetailDistance: 120,
+                renderer
             });
         } else if (this.lodManager) {
             this.lodManager.camera = camera;
+            if (renderer) this.lodManager.setRenderer(renderer);
+        }
+    }
+
+    /**
+     * Show only a share of the trees; loaded and later chunks follow the same cut
+     * @param {number} density - 0..1, compared with each tree's plan rank
+     */
+    setVegetationDensity(density) {
+        this.vegetationDensity = density;
+        this.trees.forEach(tree => this.setTreeShown(tree, tree.userData.streamItem.rank < density));
+    }
+
+    // Hide or show a streamed tree together with its instances and collider
+    setTreeShown(tree, shown) {
+        if (tree.visible === shown) return;
+        tree.visible = shown;
+        if (tree.userData.batcher) tree.userData.batcher.update(tree);
+        const body = tree.userData.physicsBody;
+        if (body && this.world) {
+            if (shown) this.world.addBody(body);
+            else this.world.removeBody(body);
         }
     }
 
     /**
      * Update LODs and other dynamic environment elements
+     * @param {number} deltaTime
+     * @param {{x: number, z: number}} focus - Point the world streams around (usually the player)
      */
-    update(deltaTime) {
+    update(deltaTime, focus = null) {
+        // Load chunks coming into range and drop those left behind
+        if (this.streamer && focus) {
+            this.streamer.update(focus);
+        }
+
+        // Drive traffic before LODs pick levels for the new car positions
+        if (this.traffic && CONFIG.TRAFFIC.ENABLED) {
+            this.traffic.update(deltaTime);
+        }
+        
         // Update LODs
         if (this.lodManager) {
             this.lodManager.update();
@@ -269,80 +303,145 @@ export class EnvironmentManager {
         });
     }
     
-    async create() {
-        // Create terrain
-        const terrain = createTerrain();
-        this.scene.add(terrain);
-        // Keep a reference for grounding raycasts
-        this.terrainRef = terrain;
+    /**
+     * Load the world manifest, logging each rejected entry
+     * Falls back to an empty world (terrain and boundaries only) if the manifest cannot be fetched.
+     * @param {string} url - Manifest URL
+     * @returns {Promise<Object>} The validated manifest
+     */
+    async loadManifest(url = WORLD_MANIFEST_URL) {
+        try {
+            const { manifest, errors } = await loadWorldManifest(url);
+            errors.forEach(({ path, message }) => {
+                console.warn(`⚠️ World manifest ${path || '(root)'}: ${message} - entry skipped`);
+            });
+            console.log(`🗺️ World manifest loaded: ${manifest.roads.segments.length} road segments, ` +
+                        `${manifest.districts.length} districts, ${manifest.props.length} props` +
+                        (errors.length ? ` (${errors.length} invalid entries)` : ''));
+            this.manifest = manifest;
+        } catch (error) {
+            console.error(`❌ Failed to load world manifest ${url}:`, error);
+            this.manifest = validateWorldManifest({}).manifest;
+        }
+        return this.manifest;
+    }
+
+    /**
+     * Camera pose offered by a prop (e.g. the tripod rig), for use in camera paths
+     * @param {string} name - Prop id
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3, fov: number}|null}
+     */
+    getViewpoint(name) {
+        const object = this.scene.getObjectByName(name);
+        return object?.userData.viewpoint || this.viewpoints.get(name) || null;
+    }
+
+    /**
+     * Build a CameraPath from a manifest cinematic, resolving viewpoint keyframes
+     * @param {string} id - Cinematic id
+     * @returns {CameraPath|null} Null if the cinematic is unknown or a viewpoint is missing
+     */
+    getCameraPath(id) {
+        const cinematic = this.manifest?.cinematics.find(c => c.id === id);
+        if (!cinematic) return null;
+
+        const keyframes = [];
+        for (const keyframe of cinematic.keyframes) {
+            if (!keyframe.viewpoint) {
+                keyframes.push(keyframe);
+                continue;
+            }
+            const viewpoint = this.getViewpoint(keyframe.viewpoint);
+            if (!viewpoint) {
+                console.warn(`⚠️ Cinematic ${id}: viewpoint "${keyframe.viewpoint}" not found - keyframe skipped`);
+                continue;
+            }
+            keyframes.push({ ...keyframe, position: viewpoint.position, target: viewpoint.target, fov: keyframe.fov ?? viewpoint.fov });
+        }
+        if (keyframes.length === 0) return null;
+        return new CameraPath(keyframes, { interpolation: cinematic.interpolation, name: id });
+    }
+
+    /**
+     * Build the world from the manifest
+     * Terrain, vehicles and boundary walls are global. Roads, street lamps, buildings,
+     * trees and props are planned into chunks, and only the chunks within
+     * CONFIG.STREAMING.LOAD_RADIUS of the focus are built before this resolves;
+     * update() streams the rest in and out as the focus moves.
+     * @param {{x: number, z: number}} focus - Where the player starts
+     */
+    async create(focus = { x: 0, z: 0 }) {
+        const manifest = await this.loadManifest();
+
+        // Generate the city from the seed; hand-placed manifest roads and districts are added on top
+        this.city = manifest.city ? generateCity(CONFIG.RANDOM.SEED, manifest.city) : null;
+        const roadLayout = {
+            segments: [...(this.city ? this.city.roads.segments : []), ...manifest.roads.segments],
+            intersections: [...(this.city ? this.city.roads.intersections : []), ...manifest.roads.intersections],
+            flyovers: manifest.roads.flyovers
+        };
+        const districts = [...(this.city ? this.city.districts : []), ...manifest.districts];
         
-        // Create clean road network
-        this.roads = createCleanRoadNetwork();
-        this.roads.forEach(road => this.scene.add(road));
+        // Plan the clean road network; pieces are built with their chunk
+        const roadPlans = planCleanRoadNetwork(roadLayout);
+        this.roadGraph = createCleanRoadGraph(roadLayout);
         
         // Check road connectivity
-        checkRoadConnectivity(this.roads);
-        
-        // Create buildings
-        const commercialBuildings = createCommercialDistrict();
-        const residentialBuildings = createResidentialDistrict();
-        const industrialBuildings = createIndustrialDistrict();
-        const publicBuildings = createPublicSpaces();
-        
-        this.buildings = [
-            ...commercialBuildings,
-            ...residentialBuildings,
-            ...industrialBuildings,
-            ...publicBuildings
-        ];
-        
-        this.buildings.forEach(building => {
-            this.scene.add(building);
-        });
+        checkRoadConnectivity(roadPlans);
+
+        // Reporters and fountains stand beside the nearest planned road, placed once here so
+        // where they end up does not depend on which chunks happen to be loaded
+        const props = this.placePropsBesideRoads(manifest.props, roadPlans);
+
+        // Terrain: hills outside the city, level under every road, lot and prop
+        const cityHalfSize = manifest.city ? (manifest.city.halfSize ?? DEFAULT_CITY_OPTIONS.halfSize) : 0;
+        const flatAreas = this.getFlatAreas(roadPlans, districts, props);
+        this.heightmap = createHeightmap(manifest.terrain, { cityHalfSize, flatAreas });
+        // Rocks keep off the same roads and lots
+        const terrain = createTerrain(manifest.terrain, this.heightmap, flatAreas);
+        this.scene.add(terrain);
+        this.terrainRef = terrain;
+        // The ground collider has the same triangles as the terrain mesh
+        this.groundBody = createGroundBody(this.world, this.heightmap);
+
+        // Buildings keep clear of every road tile, including those in chunks that are not loaded
+        this.roadTiles = roadPlans.map(plan => ({ x: plan.x, z: plan.z }));
+
+        // Sort everything static into chunks
+        this.streamer = new WorldStreamer(this);
+        roadPlans.forEach(plan => this.streamer.add({ kind: 'road', x: plan.x, z: plan.z, plan }));
+        // Street lamps at the intersections
+        roadLayout.intersections.forEach(({ x, z }) => this.streamer.add({ kind: 'streetLight', x, z }));
+        districts.forEach(district => (district.buildings || []).forEach(spec => {
+            this.streamer.add({ kind: 'building', x: spec.x, z: spec.z, district: district.name, spec });
+        }));
 
         // Create trees with external models
-        const treeLoader = new TreeLoader();
-        
-        // Create trees first so they can be included in optimization
-        this.trees = await treeLoader.createTreeForest();
-        
-        // Optimize placement of all environment objects
-        const optimizationReport = this.optimizeObjectPlacement(this.terrain, this.roads, this.buildings, this.trees, this.vehicles);
-        
-        // Add all objects to the scene after optimization
-        this.trees.forEach(tree => {
-            this.scene.add(tree);
-            this.objects.push(tree);
+        this.treeLoader = new TreeLoader(this.assets);
+        this.treeLoader.init();
+        this.treeLoader.planTreeForest().forEach((plan, index) => {
+            // Golden-ratio ranks thin the forest evenly at any vegetation density
+            const rank = (index * 0.6180339887) % 1;
+            this.streamer.add({ kind: 'tree', id: `tree_${index}`, x: plan.x, z: plan.z, size: plan.size, url: plan.url, rank });
         });
-        
-        // Log detailed optimization report
-        if (optimizationReport) {
-            console.log('\n=== ENVIRONMENT OPTIMIZATION REPORT ===');
-            console.log(optimizationReport.optimizationSuggestions);
-
-            // Log object counts
-            console.log('\n📦 Object Counts:');
-            console.log(`- Trees: ${this.trees.length}`);
-            console.log(`- buildings: ${this.buildings.length}`);
-            console.log(`- Rocks: ${this.terrainRef?.userData?.rocks?.length || 0}`);
-            console.log(`- Vehicles: ${this.vehicles?.length || 0}`);
-
-            // Log any optimization suggestions
-            if (optimizationReport.problemZones && optimizationReport.problemZones.length > 0) {
-                console.log('\n⚠️  Problem Areas:');
-                optimizationReport.problemZones.forEach(zone => {
-                    console.log(`- ${zone.area}: ${zone.issue} (${zone.count} objects)`);
-                });
-            }
 
-            console.log('=======================================\n');
-        }
+        // Props in manifest order; tripods share their target's chunk so the target is built first
+        const propPositions = new Map();
+        props.forEach(entry => {
+            const pos = entry.position || propPositions.get(entry.target);
+            if (!pos) return;
+            propPositions.set(entry.id, pos);
+            this.streamer.add({ kind: 'prop', x: pos.x, z: pos.z, entry });
+        });
         
-        // Create and add vehicles to scene
-        const vehicleLoader = new VehicleLoader();
-        this.vehicles = await vehicleLoader.createVehicleFleet();
+        // Create vehicles on the road graph and hand them to the traffic simulation
+        this.traffic = new TrafficManager(this.roadGraph);
+        const spawns = this.traffic.createSpawns(CONFIG.ENVIRONMENT.CAR_COUNT);
+        const vehicleLoader = new VehicleLoader(this.assets);
+        this.vehicles = await vehicleLoader.createVehicleFleet(spawns);
+        this.vehicles.forEach((vehicle, index) => this.traffic.addVehicle(vehicle, spawns[index]));
         
-        // Add vehicles to scene and objects array
+        // Add vehicles to scene and objects array; cars drive everywhere, so they are never streamed
         this.vehicles.forEach(vehicle => {
             if (vehicle) {
                 this.scene.add(vehicle);
@@ -350,218 +449,441 @@ export class EnvironmentManager {
             }
         });
         
-        // Create an archway at the very north entrance over Central Avenue (use GLB if available)
-        const archway = await this.createArchwayFromGLB('models/archway.glb', 0, -66).catch(() => null);
-        if (archway) {
-            archway.scale.multiplyScalar(1.25);
-            this.scene.add(archway);
-            this.objects.push(archway);
-            this.addPillarColliders(archway);
-        } else {
-            const fallbackArch = this.createArchway(0, -66);
-            fallbackArch.scale.multiplyScalar(1.25);
-            this.scene.add(fallbackArch);
-            this.objects.push(fallbackArch);
-            this.addPillarColliders(fallbackArch, { pillarWidth: 1.1, depth: 1.0, height: 5.5 });
-        }
+        // Create boundary walls at the edge of the terrain, so the hills can be explored
+        this.boundaryWalls = createBoundaryWalls(this.scene, this.world, this.heightmap.size);
+        
+        // Create physics bodies
+        this.createPhysicsBodies({ vehicles: this.vehicles });
+
+        // Build the chunks around the starting point
+        await this.streamer.loadAround(focus);
+        const streamStats = this.streamer.getStats();
+
+        // Log object counts
+        console.log(`\n🧱 World streaming: ${streamStats.loaded} of ${streamStats.chunks} chunks loaded ` +
+                    `around (${focus.x.toFixed(1)}, ${focus.z.toFixed(1)})`);
+        console.log('📦 Object Counts:');
+        console.log(`- Road pieces: ${this.roads.length} of ${roadPlans.length}`);
+        console.log(`- Trees: ${this.trees.length}`);
+        console.log(`- buildings: ${this.buildings.length}`);
+        console.log(`- Props: ${this.props.length} of ${manifest.props.length}`);
+        console.log(`- Vehicles: ${this.vehicles?.length || 0}`);
+        
+        return {
+            terrain,
+            roads: this.roads,
+            buildings: this.buildings,
+            trees: this.trees,
+            vehicles: this.vehicles || [],
+            boundaryWalls: this.boundaryWalls,
+            objects: this.objects,
+            props: this.props
+        };
+    }
 
-        // Add logo on a podium near the center
-        try {
-            const logoGroup = await this.createLogoOnPodium('models/logo.glb', { x: 6, z: -62, ry: Math.PI / 8 });
-            if (logoGroup) {
-                this.scene.add(logoGroup);
-                this.objects.push(logoGroup);
-            }
-        } catch (_) {}
+    // Manifest prop entries, with reporters and fountains moved off the road to its edge
+    placePropsBesideRoads(props, roadPlans) {
+        const roadAreas = this.getRoadAreas(roadPlans);
+        return props.map(entry => {
+            if (!entry.position || !(entry.type in ROAD_SNAP_OFFSETS)) return entry;
+            const spot = this.placeNearNearestRoad(entry.position, ROAD_SNAP_OFFSETS[entry.type], roadAreas);
+            return spot ? { ...entry, position: { ...entry.position, ...spot } } : entry;
+        });
+    }
 
-        // Add reporter model near the podium
-        try {
-            const reporter = await this.loadAndPlaceReporter('models/reporter.gltf', { x: 12, z: -64 }, -Math.PI / 6);
-            if (reporter) {
-                this.scene.add(reporter);
-                // Do NOT add reporter to physics-managed objects to avoid floating from box bodies
-            }
-        } catch (_) {}
+    // Ground covered by each planned road tile or flyover, as {x, z, halfX, halfZ}
+    getRoadAreas(roadPlans) {
+        const half = ROAD_WIDTH / 2;
+        return roadPlans.map(plan => plan.type === 'flyover'
+            ? { x: plan.x, z: plan.z, halfX: plan.flyover.length / 2, halfZ: half }
+            : { x: plan.x, z: plan.z, halfX: half, halfZ: half });
+    }
 
-        // Add tripod camera to film the reporter
-        try {
-            if (this.scene) {
-                const reporterObj = this.scene.getObjectByName('reporter_npc');
-                const cameraRig = await this.loadAndPlaceTripodCamera('models/camera.glb', reporterObj, { distance: 3.2, height: 1.4, azimuth: Math.PI * 0.12 });
-                if (cameraRig) {
-                    this.scene.add(cameraRig);
-                    // Not adding to physics; decorative and static
-                }
+    // Level ground for createHeightmap(): road tiles and flyovers, building lots and a pad under each prop
+    getFlatAreas(roadPlans, districts, props) {
+        const areas = this.getRoadAreas(roadPlans);
+        (this.city ? this.city.lots : []).forEach(lot => {
+            areas.push({ x: lot.x, z: lot.z, halfX: lot.width / 2, halfZ: lot.depth / 2 });
+        });
+        districts.forEach(district => (district.buildings || []).forEach(spec => {
+            areas.push({ x: spec.x, z: spec.z, halfX: (spec.width || 0) / 2, halfZ: (spec.depth || 0) / 2 });
+        }));
+        const pad = CONFIG.TERRAIN.PROP_PAD;
+        props.forEach(({ position }) => {
+            if (position) areas.push({ x: position.x, z: position.z, halfX: pad, halfZ: pad });
+        });
+        return areas;
+    }
+
+    /**
+     * Ground height of the terrain
+     * @param {number} x
+     * @param {number} z
+     * @returns {number} 0 before the terrain exists
+     */
+    getHeightAt(x, z) {
+        return this.heightmap ? this.heightmap.getHeightAt(x, z) : 0;
+    }
+
+    /**
+     * Build everything planned in a chunk without adding it to the scene (WorldStreamer loader)
+     * @param {Object} chunk - Chunk from WorldStreamer
+     * @returns {Promise<Object>} Built objects by kind, for attachChunk()
+     */
+    async buildChunk(chunk) {
+        const itemsOf = kind => chunk.items.filter(item => item.kind === kind);
+
+        const roads = itemsOf('road').map(item => createRoadFromPlan(item.plan)).filter(Boolean);
+        const lamps = itemsOf('streetLight');
+        const streetLights = lamps.length > 0 ? createStreetLights({ intersections: lamps }) : [];
+
+        // Buildings, grouped back into their districts
+        const districts = new Map();
+        itemsOf('building').forEach(item => {
+            if (!districts.has(item.district)) districts.set(item.district, []);
+            districts.get(item.district).push(item.spec);
+        });
+        const buildings = [...districts].flatMap(([name, specs]) => createDistrict({ name, buildings: specs }, this.roadTiles));
+
+        const trees = [];
+        for (const item of itemsOf('tree')) {
+            let tree;
+            try {
+                tree = await this.treeLoader.createTree(item.x, item.z, item.size, item.url);
+            } catch (error) {
+                console.error(`❌ Failed to create tree at (${item.x.toFixed(1)}, ${item.z.toFixed(1)}):`, error);
+                tree = await this.treeLoader.createTree(item.x, item.z, item.size);
             }
-        } catch (_) {}
+            tree.name = item.id;
+            tree.userData.streamItem = item;
+            trees.push(tree);
+        }
 
-        // Add animated fountain near spawn
-        try {
-            console.log('🔄 Loading fountain from models/fountain.glb...');
-            const fountainPath = 'models/fountain.glb';
-            
+        // Place props (landmarks, NPCs, decorations) in manifest order
+        const props = [];
+        const placed = new Map();
+        for (const { entry } of itemsOf('prop')) {
             try {
-                // Check if the file exists first
-                const response = await fetch(fountainPath, { method: 'HEAD' });
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status} ${response.statusText}`);
-                }
-                console.log('✅ Fountain file is accessible');
-                
-                // Try loading the fountain
-                const fountain = await this.loadAndPlaceFountain(fountainPath, { x: 7, z: 7 });
-                if (fountain) {
-                    this.scene.add(fountain);
-                    this.objects.push(fountain);
-                    console.log('✅ Fountain loaded and added to scene');
-                } else {
-                    throw new Error('Fountain loaded but returned null');
+                const prop = await this.createProp(entry, placed);
+                if (!prop) {
+                    console.warn(`⚠️ Prop "${entry.id}" (${entry.url}) could not be created - skipping`);
+                    continue;
                 }
+                prop.name = entry.id;
+                prop.userData.collider = entry.collider;
+                placed.set(entry.id, prop);
+                props.push(prop);
             } catch (error) {
-                console.error(`❌ Failed to load fountain from ${fountainPath}:`, error);
-                console.warn('⚠️ Skipping fountain due to loading error');
+                console.error(`❌ Failed to create prop "${entry.id}" from ${entry.url}:`, error);
             }
-        } catch (error) {
-            console.error('❌ Fountain loading error:', error);
         }
-        // Add restaurant near spawn point
-        try {
-            console.log('🔄 Loading restaurant from models/restaurant.glb...');
-            const restaurantPath = 'models/restaurant.glb';
-            
-            const response = await fetch(restaurantPath, { method: 'HEAD' });
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+
+        return { roads, streetLights, buildings, trees, props };
+    }
+
+    /**
+     * Add a built chunk to the scene and physics world (WorldStreamer loader)
+     * @param {Object} chunk - Chunk from WorldStreamer
+     * @param {Object} built - Result of buildChunk()
+     */
+    attachChunk(chunk, built) {
+        const { roads, streetLights, buildings, trees, props } = built;
+        // Recorded first so detachChunk() can undo an attach that fails part way
+        chunk.objects = [...roads, ...streetLights, ...buildings, ...trees, ...props];
+        this.roads.push(...roads);
+        this.streetLights.push(...streetLights);
+        this.buildings.push(...buildings);
+
+        // Nudge trees clear of the loaded roads and buildings the first time they are placed;
+        // the result is written back to the plan so a reloaded chunk looks the same
+        const unplaced = trees.filter(tree => !tree.userData.streamItem.placed);
+        if (unplaced.length > 0) {
+            this.optimizeObjectPlacement(null, this.roads, this.buildings, unplaced);
+            unplaced.forEach(tree => {
+                const item = tree.userData.streamItem;
+                item.x = tree.position.x;
+                item.z = tree.position.z;
+                item.placed = true;
+            });
+        }
+        // Stand the trees on the terrain
+        trees.forEach(tree => { tree.position.y = this.getHeightAt(tree.position.x, tree.position.z); });
+        this.trees.push(...trees);
+        this.objects.push(...trees);
+        this.props.push(...props);
+        props.forEach(prop => {
+            if (prop.userData.viewpoint) this.viewpoints.set(prop.name, prop.userData.viewpoint);
+        });
+
+        chunk.objects.forEach(obj => this.scene.add(obj));
+        chunk.bodies = this.createPhysicsBodies({ objects: trees, buildings, props });
+
+        // Road tiles, markings and trees repeat the same few meshes: draw each kind as one batch
+        chunk.batcher = new InstanceBatcher();
+        [...roads, ...trees].forEach(obj => chunk.batcher.add(obj));
+        chunk.batcher.build().forEach(batch => this.scene.add(batch));
+        trees.forEach(tree => {
+            tree.userData.batcher = chunk.batcher;
+            this.setTreeShown(tree, tree.userData.streamItem.rank < this.vegetationDensity);
+        });
+
+        // Buildings never move: bake each district into one mesh per material
+        const districts = new Map();
+        buildings.forEach(building => {
+            const name = building.userData.district;
+            if (!districts.has(name)) districts.set(name, []);
+            districts.get(name).push(building);
+        });
+        chunk.mergers = [...districts].map(([name, members]) => {
+            const merger = new StaticMerger();
+            members.forEach(building => merger.add(building));
+            merger.build().forEach(mesh => {
+                mesh.name = `district_${name}_${chunk.key}`;
+                this.scene.add(mesh);
+            });
+            return merger;
+        });
+
+        if (this.onChunksChanged) this.onChunksChanged(chunk, true);
+    }
+
+    /**
+     * Remove a chunk's objects and bodies and free their GPU resources (WorldStreamer loader)
+     * @param {Object} chunk - Chunk from WorldStreamer
+     */
+    detachChunk(chunk) {
+        if (this.world) {
+            chunk.bodies.forEach(body => this.world.removeBody(body));
+        }
+        removeAll(this.objectBodies, chunk.bodies);
+        if (chunk.batcher) {
+            chunk.batcher.dispose();
+            chunk.batcher = null;
+        }
+        (chunk.mergers || []).forEach(merger => merger.dispose());
+        chunk.mergers = [];
+        this.releaseObjects(chunk.objects);
+        if (this.onChunksChanged) this.onChunksChanged(chunk, false);
+    }
+
+    /**
+     * Throw away a chunk that finished building after it was no longer wanted (WorldStreamer loader)
+     * @param {Object} chunk - Chunk from WorldStreamer
+     * @param {Object} built - Result of buildChunk()
+     */
+    discardChunk(chunk, built) {
+        this.releaseObjects(Object.values(built).flat());
+    }
+
+    /**
+     * District meshes baked by StaticMerger in the loaded chunks
+     * @returns {THREE.Mesh[]}
+     */
+    getMergedMeshes() {
+        const meshes = [];
+        if (this.streamer) {
+            this.streamer.chunks.forEach(chunk => {
+                (chunk.mergers || []).forEach(merger => meshes.push(...merger.meshes));
+            });
+        }
+        return meshes;
+    }
+
+    /**
+     * How many static meshes the loaded chunks draw through instancing and merging
+     * @returns {{meshes: number, drawCalls: number}} Source meshes and the draw calls that replace them
+     */
+    getStaticDrawStats() {
+        const stats = { meshes: 0, drawCalls: 0 };
+        if (!this.streamer) return stats;
+        this.streamer.chunks.forEach(chunk => {
+            if (chunk.batcher) {
+                const { batches, instances } = chunk.batcher.getStats();
+                stats.meshes += instances;
+                stats.drawCalls += batches;
             }
-            console.log('✅ Restaurant file is accessible');
-            
-            // Load the restaurant model
-            console.log('🔄 Creating GLTFLoader...');
-            const loader = new THREE.GLTFLoader();
-            console.log('🔄 Loading restaurant model...');
-            const gltf = await loader.loadAsync(restaurantPath);
-            const restaurant = gltf.scene;
-            
-            // Make sure the model is visible and scaled properly
-            restaurant.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    console.log(`🔍 Found mesh: ${child.name || 'unnamed'}, position:`, child.position);
-                }
+            (chunk.mergers || []).forEach(merger => {
+                const { meshes, drawCalls } = merger.getStats();
+                stats.meshes += meshes;
+                stats.drawCalls += drawCalls;
             });
-            
-            // Position the restaurant closer to the center and higher up
-            // Using (0, 0, 0) as the spawn point reference
-            restaurant.position.set(5, 0, -5);  // Closer to spawn
-            restaurant.rotation.y = Math.PI / 4; // Rotate 45 degrees for better placement
-            
-            // Check the bounding box to ensure it's properly sized
-            const box = new THREE.Box3().setFromObject(restaurant);
-            const size = box.getSize(new THREE.Vector3());
-            console.log('📏 Restaurant dimensions:', size);
-            
-            // Scale the restaurant to be twice as big
-            const targetSize = 8; // Increased from 5 to 10 (twice as big)
-            const scale = targetSize / Math.max(size.x, size.y, size.z);
-            restaurant.scale.set(scale, scale, scale);
-            
-            // Tilt the restaurant in the opposite direction (negative rotation)
-            restaurant.rotation.y = -Math.PI / 4; // Rotated in the opposite direction
-            
-            console.log('🎯 Restaurant position:', restaurant.position);
-            console.log('📐 Restaurant scale:', restaurant.scale);
-            console.log('🔄 Restaurant rotation (y):', restaurant.rotation.y);
-            
-            // Add to scene and objects array
-            this.scene.add(restaurant);
-            this.objects.push(restaurant);
-            
-            // Add physics body to make it solid
-            if (this.world && typeof CANNON !== 'undefined') {
-                console.log('🛡️  Adding physics body for restaurant');
-                const body = createObjectBody(this.world, restaurant, { 
-                    mass: 0, 
-                    shape: 'box',
-                    debug: true // Enable debug visualization if available
+        });
+        return stats;
+    }
+
+    /**
+     * Raycast the loaded world, reporting the logical object hit rather than an instance batch
+     * @param {THREE.Raycaster} raycaster
+     * @returns {{object: THREE.Object3D, id: string, point: THREE.Vector3, distance: number}|null}
+     */
+    pick(raycaster) {
+        const targets = [...this.buildings, ...this.streetLights, ...this.props];
+        if (this.streamer) {
+            this.streamer.chunks.forEach(chunk => {
+                if (chunk.batcher) targets.push(...chunk.batcher.batches);
+            });
+        }
+        const hit = raycaster.intersectObjects(targets, true)[0];
+        if (!hit) return null;
+        let { object, id } = resolveIntersection(hit);
+        // A mesh inside a building or prop reports the building or prop
+        if (!hit.object.userData.owners) {
+            const roots = new Set(targets);
+            while (object.parent && !roots.has(object)) object = object.parent;
+            id = object.name || object.uuid;
+        }
+        return { object, id, point: hit.point, distance: hit.distance };
+    }
+
+    // Drop streamed objects from every list, stop their animations and free their GPU resources
+    releaseObjects(objects) {
+        const roots = new Set(objects);
+        const ownsRoot = (mixer) => {
+            for (let node = mixer.getRoot(); node; node = node.parent) {
+                if (roots.has(node)) return true;
+            }
+            return false;
+        };
+        const mixers = this.animations.filter(mixer => mixer && ownsRoot(mixer));
+        mixers.forEach(mixer => {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(mixer.getRoot());
+        });
+        removeAll(this.animations, mixers);
+
+        [this.roads, this.streetLights, this.buildings, this.trees, this.objects, this.props]
+            .forEach(list => removeAll(list, objects));
+
+        // Model clones are released to the AssetManager, which frees a model with its last clone
+        objects.forEach(obj => {
+            if (this.scene) this.scene.remove(obj);
+            this.assets.disposeTree(obj);
+        });
+    }
+
+    /**
+     * Instantiate a single manifest prop
+     * @param {Object} entry - Validated prop entry from the world manifest
+     * @param {Map<string, THREE.Object3D>} placed - Props built alongside this one that are not in the scene yet
+     * @returns {Promise<THREE.Object3D|null>} The placed prop, or null if it could not be loaded
+     */
+    async createProp(entry, placed = new Map()) {
+        const pos = entry.position;
+        const ry = THREE.MathUtils.degToRad(entry.rotationY);
+
+        switch (entry.type) {
+            case 'archway': {
+                let arch = await this.createArchwayFromGLB(entry.url, pos.x, pos.z, entry.scaleTarget).catch(() => null);
+                if (!arch) {
+                    arch = this.createArchway(pos.x, pos.z);
+                    // Collider dimensions of the procedural fallback
+                    arch.userData.pillarOptions = { pillarWidth: 1.1, depth: 1.0, height: 5.5 };
+                }
+                arch.scale.multiplyScalar(entry.scale);
+                arch.rotation.y = ry;
+                return arch;
+            }
+            case 'logoPodium':
+                return this.createLogoOnPodium(entry.url, { x: pos.x, z: pos.z, ry }, entry.scaleTarget);
+            case 'reporter':
+                return this.loadAndPlaceReporter(entry.url, { x: pos.x, z: pos.z }, ry, {
+                    texture: entry.texture,
+                    targetHeight: entry.scaleTarget
                 });
-                this.objectBodies.push(body);
+            case 'tripodCamera': {
+                const target = placed.get(entry.target) || this.scene.getObjectByName(entry.target);
+                if (!target) return null;
+                const options = {};
+                if (entry.distance !== undefined) options.distance = entry.distance;
+                if (entry.height !== undefined) options.height = entry.height;
+                if (entry.azimuth !== undefined) options.azimuth = THREE.MathUtils.degToRad(entry.azimuth);
+                if (entry.scaleTarget) options.targetHeight = entry.scaleTarget;
+                return this.loadAndPlaceTripodCamera(entry.url, target, options);
             }
-            
-            console.log('✅ Restaurant added to scene at (15, -15)');
-        } catch (error) {
-            console.error('❌ Failed to load restaurant:', error);
+            case 'fountain': {
+                const fountain = await this.loadAndPlaceFountain(entry.url, { x: pos.x, z: pos.z }, {
+                    targetHeight: entry.scaleTarget,
+                    animate: entry.animate
+                });
+                if (fountain) fountain.rotation.y = ry;
+                return fountain;
+            }
+            case 'model':
+                return this.loadAndPlaceModel(entry.url, entry);
+            default:
+                return null;
         }
-        
-        // Create boundary walls
-        this.boundaryWalls = createBoundaryWalls(this.scene, this.world);
-        
-        // Create physics bodies
-        this.createPhysicsBodies();
-        
-        return {
-            terrain,
-            roads: this.roads,
-            buildings: this.buildings,
-            trees: this.trees,
-            vehicles: this.vehicles || [],
-            boundaryWalls: this.boundaryWalls,
-            objects: this.objects
-        };
+    }
+
+    /**
+     * Create the physics collider requested by a prop's manifest entry
+     * @param {THREE.Object3D} prop - A prop created by createProp()
+     * @returns {CANNON.Body[]} The bodies added to the world
+     */
+    addPropCollider(prop) {
+        if (!this.world || typeof CANNON === 'undefined') return [];
+
+        const collider = prop.userData.collider;
+        if (collider === 'pillars') {
+            this.addPillarColliders(prop, prop.userData.pillarOptions);
+            return prop.userData.pillarBodies || [];
+        }
+        if (!COLLIDER_SHAPES.includes(collider)) return [];
+
+        const body = createObjectBody(this.world, prop, { shape: collider });
+        prop.userData.physicsBody = body;
+        return body ? [body] : [];
     }
     
-    createPhysicsBodies() {
+    /**
+     * Create physics bodies for environment objects
+     * @param {Object} groups
+     * @param {THREE.Object3D[]} groups.objects - Trees and other static scenery
+     * @param {THREE.Object3D[]} groups.vehicles - Parked and traffic vehicles; they keep their kinematic body in userData
+     * @param {THREE.Object3D[]} groups.buildings - Static buildings
+     * @param {THREE.Object3D[]} groups.props - Manifest props, given the collider their entry asks for
+     * @returns {CANNON.Body[]} The bodies created (also tracked in objectBodies)
+     */
+    createPhysicsBodies({ objects = [], vehicles = [], buildings = [], props = [] } = {}) {
+        const bodies = [];
         if (typeof CANNON !== 'undefined' && this.world) {
             try {
-                // First clear any existing physics bodies
-                this.objectBodies = [];
-                
                 // Add physics bodies for regular objects
-                this.objects.forEach((obj) => {
+                objects.forEach((obj) => {
                     if (obj) {
                         const body = createObjectBody(this.world, obj);
-                        this.objectBodies.push(body);
-                    } else {
-                        this.objectBodies.push(null);
+                        obj.userData.physicsBody = body;
+                        bodies.push(body);
+                    }
+                });
+
+                // Vehicles get one box each; traffic moves it along with the car
+                vehicles.forEach((vehicle) => {
+                    if (vehicle) {
+                        const body = createObjectBody(this.world, vehicle, { shape: 'box', kinematic: true });
+                        vehicle.userData.physicsBody = body;
+                        bodies.push(body);
                     }
                 });
                 
                 // Add physics bodies for buildings
-                this.buildings.forEach((building) => {
+                buildings.forEach((building) => {
                     if (building) {
                         // Create a static physics body for the building
-                        const body = createObjectBody(this.world, building, { mass: 0 }); // Mass of 0 makes it static
-                        this.objectBodies.push(body);
+                        const body = createObjectBody(this.world, building, { mass: 0, shape: 'box' }); // Mass of 0 makes it static
+                        bodies.push(body);
                     }
                 });
+
+                // Add physics bodies for manifest props according to their collider type
+                props.forEach((prop) => bodies.push(...this.addPropCollider(prop)));
             } catch (error) {
                 console.error('Error creating physics bodies:', error);
             }
         }
-        
-        // Animate trees (gentle swaying) - only for fallback trees
-        const time = Date.now() * 0.001;
-        this.trees.forEach((tree, index) => {
-            if (tree && tree.children) {
-                // Check if it's a fallback tree with canopy
-                const canopy = tree.children.find(child => child.geometry && child.geometry.type === 'SphereGeometry');
-                if (canopy) {
-                    canopy.rotation.z = Math.sin(time * 0.5 + index) * 0.1;
-                }
-            }
-        });
-
-        // Update all animations (like fountain animations)
-        if (!this.lastAnimationTime) {
-            this.lastAnimationTime = Date.now() * 0.001;
-        }
-        const deltaTime = (Date.now() * 0.001) - this.lastAnimationTime;
-        this.lastAnimationTime = Date.now() * 0.001;
-        this.animations.forEach((mixer) => {
-            if (mixer) {
-                mixer.update(deltaTime);
-            }
-        });
+        const created = bodies.filter(Boolean);
+        this.objectBodies.push(...created);
+        return created;
     }
 
     // Optimize object placement to avoid collisions and generate optimization report
@@ -891,50 +1213,75 @@ export class EnvironmentManager {
     
     /**
      * Clean up resources
+     * Removes everything create() added to the scene and physics world so the
+     * manager can be discarded and the world rebuilt.
      */
     dispose() {
+        // Stop pool statistics updates
+        if (this._poolStatsFrame) {
+            cancelAnimationFrame(this._poolStatsFrame);
+            this._poolStatsFrame = null;
+        }
+
         // Clean up LOD resources
         if (this.lodManager) {
             this.lodManager.dispose();
             this.lodManager = null;
         }
 
-        // Clean up object pools
-        if (this.vector3Pool) {
-            this.vector3Pool.dispose();
-            this.vector3Pool = null;
-        }
-        if (this.box3Pool) {
-            this.box3Pool.dispose();
-            this.box3Pool = null;
+        // Stop animations
+        this.animations.forEach(mixer => mixer && mixer.stopAllAction());
+
+        // Unload every streamed chunk (its bodies, meshes and animations)
+        if (this.streamer) {
+            this.streamer.dispose();
+            this.streamer = null;
         }
-        if (this.matrix4Pool) {
-            this.matrix4Pool.dispose();
-            this.matrix4Pool = null;
+
+        // Remove the remaining (vehicle) physics bodies and the ground
+        if (this.world) {
+            this.objectBodies.forEach(body => body && this.world.removeBody(body));
+            if (this.groundBody) this.world.removeBody(this.groundBody);
         }
-        if (this.geometryPool) {
-            this.geometryPool.dispose();
-            this.geometryPool = null;
+        if (this.scene && this.boundaryWalls.length > 0) {
+            removeBoundaryWalls(this.scene, this.world, this.boundaryWalls);
         }
 
-        // Clean up objects
-        this.objects.forEach(obj => {
-            if (obj && typeof obj.dispose === 'function') {
-                obj.dispose();
-            }
+        // Remove scene objects and free their GPU resources
+        const sceneObjects = [this.terrainRef, ...this.roads, ...this.streetLights, ...this.buildings, ...this.objects, ...this.props];
+        // Model clones are released to the AssetManager, which frees a model with its last clone
+        sceneObjects.forEach(obj => {
+            if (!obj) return;
+            if (this.scene) this.scene.remove(obj);
+            this.assets.disposeTree(obj);
         });
 
+        // Release object pools
+        this.vector3Pool = null;
+        this.box3Pool = null;
+        this.matrix4Pool = null;
+        this.geometryPool = null;
+
         // Clear arrays
+        this.terrainRef = null;
+        this.heightmap = null;
+        this.groundBody = null;
         this.objects = [];
         this.objectBodies = [];
         this.trees = [];
         this.roads = [];
+        this.streetLights = [];
         this.buildings = [];
+        this.vehicles = [];
         this.boundaryWalls = [];
         this.animations = [];
-
-        // Clear texture cache
-        this.textureCache.clear();
+        this.props = [];
+        this.viewpoints.clear();
+        this.roadTiles = [];
+        this.city = null;
+        this.roadGraph = null;
+        if (this.traffic) this.traffic.dispose();
+        this.traffic = null;
     }
     
     /**
@@ -983,15 +1330,11 @@ export class EnvironmentManager {
     }
 
     // Load archway from GLB and tint to charcoal
-    async createArchwayFromGLB(url, x, z) {
+    async createArchwayFromGLB(url, x, z, targetSize = 7) {
         return new Promise((resolve, reject) => {
             try {
-                if (!THREE || !THREE.GLTFLoader) {
-                    return reject(new Error('GLTFLoader not available'));
-                }
-                const loader = new THREE.GLTFLoader();
-                loader.load(
-                    url,
+                // Own materials: the tint below must not leak into other instances
+                this.assets.instantiate(url, { cloneMaterials: true }).then(
                     (gltf) => {
                         const arch = gltf.scene;
                         // Charcoal tint and unifying material tweaks
@@ -1013,8 +1356,7 @@ export class EnvironmentManager {
                         const box = new THREE.Box3().setFromObject(arch);
                         const size = box.getSize(new THREE.Vector3());
                         const maxDim = Math.max(size.x, size.y, size.z) || 1;
-                        const target = 7; // approx overall height
-                        const s = target / maxDim;
+                        const s = targetSize / maxDim; // approx overall height
                         arch.scale.setScalar(s);
 
                         // Center and position
@@ -1024,9 +1366,6 @@ export class EnvironmentManager {
 
                         resolve(arch);
                     },
-                    (progress) => {
-                        // Optional progress callback - can be empty or omitted
-                    },
                     (err) => reject(err)
                 );
             } catch (e) {
@@ -1071,7 +1410,7 @@ export class EnvironmentManager {
     }
 
     // Create a simple podium and place the GLB logo on top
-    async createLogoOnPodium(url, pos = { x: 0, z: 0, ry: 0 }) {
+    async createLogoOnPodium(url, pos = { x: 0, z: 0, ry: 0 }, targetHeight = 3.0) {
         return new Promise((resolve) => {
             if (!THREE || !THREE.GLTFLoader) return resolve(null);
             const group = new THREE.Group();
@@ -1088,9 +1427,7 @@ export class EnvironmentManager {
             group.add(step1); group.add(step2); group.add(step3);
 
             // Load logo
-            const loader = new THREE.GLTFLoader();
-            loader.load(
-                url,
+            this.assets.instantiate(url).then(
                 (gltf) => {
                     const logo = gltf.scene;
                     logo.traverse((child) => { if (child.isMesh) { child.castShadow = true; child.receiveShadow = true; } });
@@ -1111,19 +1448,20 @@ export class EnvironmentManager {
                         const blockMat = new THREE.MeshStandardMaterial({ color: 0xFFD700, roughness: 0.6, metalness: 0.0 });
                         blockMat.side = THREE.FrontSide;
                         blockMesh.material = blockMat;
+                        blockMesh.userData.ownMaterials = true; // Disposed with this instance
                         for (let i = 1; i < meshEntries.length; i++) {
                             const textMesh = meshEntries[i].mesh;
                             const textMat = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.7, metalness: 0.0 });
                             textMat.side = THREE.FrontSide;
                             textMesh.material = textMat;
+                            textMesh.userData.ownMaterials = true;
                         }
                     }
                     // Scale logo to fit podium nicely (~1 unit tall)
                     const box = new THREE.Box3().setFromObject(logo);
                     const size = box.getSize(new THREE.Vector3());
                     const maxDim = Math.max(size.x, size.y, size.z) || 1;
-                    const targetHeight = 3.0; // make clearly visible
-                    const s = targetHeight / maxDim;
+                    const s = targetHeight / maxDim; // make clearly visible
                     logo.scale.setScalar(s);
 
                     // Recenter and place on top step so its base sits flush
@@ -1141,26 +1479,23 @@ export class EnvironmentManager {
                     group.name = 'logo_podium';
                     resolve(group);
                 },
-                (progress) => {
-                    // Optional progress callback - can be empty or omitted
-                },
                 () => resolve(group)
             );
         });
     }
 
-    // Load a glTF reporter and place near podium
-    async loadAndPlaceReporter(url, pos = { x: 0, z: 0 }, ry = 0) {
+    // Load a glTF reporter and place it at pos (create() has already moved pos beside the road)
+    async loadAndPlaceReporter(url, pos = { x: 0, z: 0 }, ry = 0, opts = {}) {
+        const { texture = 'models/reporter.jpeg', targetHeight = 1.8 } = opts;
         return new Promise((resolve) => {
             if (!THREE || !THREE.GLTFLoader) return resolve(null);
-            const loader = new THREE.GLTFLoader();
-            loader.load(
-                url,
+            // Own materials: the texture and tweaks below are specific to this instance
+            this.assets.instantiate(url, { cloneMaterials: true }).then(
                 (gltf) => {
                     const model = gltf.scene;
                     // Apply reporter texture to existing materials (preserve PBR)
                     const textureLoader = new THREE.TextureLoader();
-                    const tex = textureLoader.load('models/reporter.jpeg');
+                    const tex = textureLoader.load(texture);
                     if ('sRGBEncoding' in THREE) { tex.encoding = THREE.sRGBEncoding; }
                     if ('SRGBColorSpace' in THREE) { tex.colorSpace = THREE.SRGBColorSpace; }
                     tex.flipY = false; // glTF expects UV origin at top-left
@@ -1185,11 +1520,10 @@ export class EnvironmentManager {
                         }
                     });
 
-                    // Scale to ~1.8 units tall
+                    // Scale to targetHeight units tall
                     const box = new THREE.Box3().setFromObject(model);
                     const size = box.getSize(new THREE.Vector3());
                     const height = Math.max(0.0001, size.y);
-                    const targetHeight = 1.8;
                     const s = targetHeight / height;
                     model.scale.setScalar(s);
 
@@ -1203,19 +1537,10 @@ export class EnvironmentManager {
                     model.rotation.y = ry;
                     model.name = 'reporter_npc';
 
-                    // Snap near the nearest road but not on it
-                    try {
-                        const safePlaced = this.placeNearNearestRoad(model, { x: pos.x, z: pos.z }, 1.5);
-                        if (safePlaced) { model.position.x = safePlaced.x; model.position.z = safePlaced.z; }
-                    } catch (_) {}
-
                     // Ground the reporter using a downward raycast onto terrain
                     try { this.groundObject(model); } catch (_) {}
                     resolve(model);
                 },
-                (progress) => {
-                    // Optional progress callback - can be empty or omitted
-                },
                 () => resolve(null)
             );
         });
@@ -1227,16 +1552,15 @@ export class EnvironmentManager {
             distance: 3.0,   // horizontal distance from target
             height: 1.3,     // camera head height from ground
             azimuth: 0.0,    // rotate around target on XZ plane
+            targetHeight: 1.6, // rig height after scaling
             ...opts,
         };
         if (!THREE || !THREE.GLTFLoader || !targetObject) return null;
 
         return new Promise((resolve) => {
-            const loader = new THREE.GLTFLoader();
-            loader.load(
-                url,
+            this.assets.instantiate(url).then(
                 (gltf) => {
-                    const rig = gltf.scene || gltf.scenes?.[0];
+                    const rig = gltf.scene;
                     if (!rig) return resolve(null);
 
                     // Enable shadows on meshes
@@ -1247,11 +1571,11 @@ export class EnvironmentManager {
                         }
                     });
 
-                    // Scale rig so its height is ~1.6 units
+                    // Scale rig so its height is options.targetHeight units
                     const box = new THREE.Box3().setFromObject(rig);
                     const size = box.getSize(new THREE.Vector3());
                     const height = Math.max(0.0001, size.y);
-                    const scale = 1.6 / height;
+                    const scale = options.targetHeight / height;
                     rig.scale.setScalar(scale);
 
                     // Recompute after scaling and center to base
@@ -1279,11 +1603,15 @@ export class EnvironmentManager {
                     rig.rotateY(Math.PI / 0.65);
                     rig.name = 'tripod_camera_rig';
 
+                    // Named viewpoint for camera paths: just in front of the lens, looking at the target
+                    const rigBox = new THREE.Box3().setFromObject(rig);
+                    const lens = new THREE.Vector3(placePos.x, rigBox.max.y - 0.1, placePos.z);
+                    const towardTarget = lookAtPoint.clone().sub(lens).setY(0).normalize();
+                    lens.addScaledVector(towardTarget, 0.3);
+                    rig.userData.viewpoint = { position: lens, target: lookAtPoint.clone(), fov: 45 };
+
                     resolve(rig);
                 },
-                (progress) => {
-                    // Optional progress callback - can be empty or omitted
-                },
                 (error) => {
                     console.error('❌ Tripod camera loading failed:', error);
                     resolve(null);
@@ -1300,19 +1628,23 @@ export class EnvironmentManager {
         return new THREE.Vector3(clampedX, clampedY, clampedZ);
     }
 
-    // Place an object near the nearest road but offset outside the road bounds
-    placeNearNearestRoad(object3d, desired, offset = 1.2) {
-        if (!this.roads || this.roads.length === 0) return null;
+    // Spot near the nearest road but offset outside the road bounds
+    // roadAreas are the planned tiles from getRoadAreas(), loaded or not
+    placeNearNearestRoad(desired, offset, roadAreas) {
+        if (!roadAreas || roadAreas.length === 0) return null;
         const pos = new THREE.Vector3(desired.x, 0, desired.z);
         let best = null;
         let bestDist = Infinity;
-        this.roads.forEach((road) => {
-            const box = new THREE.Box3().setFromObject(road);
+        roadAreas.forEach((area) => {
+            const box = new THREE.Box3(
+                new THREE.Vector3(area.x - area.halfX, 0, area.z - area.halfZ),
+                new THREE.Vector3(area.x + area.halfX, 0, area.z + area.halfZ)
+            );
             const closest = this.closestPointOnBox(box, pos);
             const dist = closest.distanceTo(pos);
             if (dist < bestDist) {
                 bestDist = dist;
-                best = { box, closest, road };
+                best = { box, closest };
             }
         });
         if (!best) return null;
@@ -1325,26 +1657,16 @@ export class EnvironmentManager {
         return { x: target.x, z: target.z };
     }
 
-    // Raycast down and align object's world AABB minY to ground hit (no double-lift)
+    // Align the object's world AABB minY with the terrain under its origin (no double-lift)
     groundObject(object3d) {
-        if (!THREE || !THREE.Raycaster) return;
-        const rayOrigin = new THREE.Vector3(object3d.position.x, (object3d.position.y || 0) + 50, object3d.position.z);
-        const raycaster = new THREE.Raycaster(rayOrigin, new THREE.Vector3(0, -1, 0), 0, 200);
-        // Prefer podium/terrain/roads as hit targets
-        const targets = [];
-        if (this.scene) targets.push(this.scene);
-        const hits = raycaster.intersectObjects(targets, true);
-        if (hits && hits.length) {
-            const groundY = hits[0].point.y;
-            const boxWorld = new THREE.Box3().setFromObject(object3d);
-            const currentMinY = boxWorld.min.y;
-            const delta = (groundY + 0.02) - currentMinY;
-            object3d.position.y += delta;
-        }
+        const groundY = this.getHeightAt(object3d.position.x, object3d.position.z);
+        const boxWorld = new THREE.Box3().setFromObject(object3d);
+        object3d.position.y += (groundY + 0.02) - boxWorld.min.y;
     }
 
-    // Load animated fountain and place near spawn but off road
-    async loadAndPlaceFountain(url, pos = { x: 0, z: 0 }) {
+    // Load animated fountain and place it at pos (create() has already moved pos off the road)
+    async loadAndPlaceFountain(url, pos = { x: 0, z: 0 }, opts = {}) {
+        const { targetHeight = 8.0, animate = true } = opts;
         return new Promise((resolve) => {
             if (!THREE || !THREE.GLTFLoader) {
                 console.error('❌ THREE.js or GLTFLoader not available');
@@ -1353,39 +1675,14 @@ export class EnvironmentManager {
             
             console.log(`🔄 Loading fountain from: ${url}`);
             
-            const loader = new THREE.GLTFLoader();
-            
-            // Set up DRACO loader if available
-            if (window.DRACO_LOADER_AVAILABLE && window.THREE && window.THREE.DRACOLoader) {
-                try {
-                    // Use the global DRACOLoader that was already configured in the HTML
-                    loader.setDRACOLoader(new window.THREE.DRACOLoader());
-                    console.log('✅ Using pre-configured DRACO loader');
-                } catch (error) {
-                    console.warn('⚠️ Failed to set up DRACO loader, falling back to uncompressed models:', error);
-                }
-            } else {
-                console.warn('⚠️ DRACOLoader not available - using uncompressed models');
-            }
-            loader.load(
-                url,
+            // Draco-compressed fountains are decoded by the AssetManager's shared loader
+            this.assets.instantiate(url).then(
                 (gltf) => {
                     console.log('📦 GLTF loaded successfully');
-                    const fountain = gltf.scene || gltf.scenes?.[0];
-                    if (!fountain) {
-                        console.error('❌ No scene found in GLTF file');
-                        return resolve(null);
-                    }
+                    const fountain = gltf.scene;
 
                     // Store animations if available
-                    this.animations = this.animations || [];
-                    if (gltf.animations && gltf.animations.length > 0) {
-                        fountain.userData.mixer = new THREE.AnimationMixer(fountain);
-                        gltf.animations.forEach((clip) => {
-                            const action = fountain.userData.mixer.clipAction(clip);
-                            action.play();
-                        });
-                        this.animations.push(fountain.userData.mixer);
+                    if (animate && this.playAnimations(fountain, gltf.animations)) {
                         console.log(`🎬 Fountain animations loaded: ${gltf.animations.length} clips`);
                     }
 
@@ -1401,8 +1698,7 @@ export class EnvironmentManager {
                     const scaleBox = new THREE.Box3().setFromObject(fountain);
                     const size = scaleBox.getSize(new THREE.Vector3());
                     const height = Math.max(0.0001, size.y);
-                    const targetHeight = 8.0; // make fountain much more visible
-                    const s = targetHeight / height;
+                    const s = targetHeight / height; // make fountain much more visible
                     fountain.scale.setScalar(s);
 
                     // Recenter and position at ground level
@@ -1416,15 +1712,6 @@ export class EnvironmentManager {
                     const groundBox = new THREE.Box3().setFromObject(fountain);
                     fountain.position.y = -groundBox.min.y; // Place base at ground level (Y = 0)
 
-                    // Place near nearest road but not on it  
-                    try {
-                        const safePos = this.placeNearNearestRoad(fountain, { x: pos.x, z: pos.z }, 2.0);
-                        if (safePos) { 
-                            fountain.position.x = safePos.x; 
-                            fountain.position.z = safePos.z; 
-                        }
-                    } catch (_) {}
-
                     // Ground fountain and move 1 unit down to hide grass part in model
                     const groundingBox = new THREE.Box3().setFromObject(fountain);
                     fountain.position.y = -groundingBox.min.y - 0.01; // Base at ground then 1 unit down to hide grass
@@ -1438,9 +1725,6 @@ export class EnvironmentManager {
                     console.log(`⛲ Fountain placed at (${fountain.position.x.toFixed(2)}, ${fountain.position.z.toFixed(2)})`);
                     resolve(fountain);
                 },
-                (progress) => {
-                    console.log(`📊 Fountain loading progress: ${(progress.loaded / progress.total * 100).toFixed(1)}%`);
-                },
                 (error) => {
                     console.error('❌ Fountain loading failed:', error);
                     console.error('❌ Error details:', {
@@ -1454,6 +1738,58 @@ export class EnvironmentManager {
         });
     }
 
+    /**
+     * Load a static glTF model and place it as described by a manifest entry
+     * The largest dimension of the placed model is scaled to entry.scaleTarget (times entry.scale).
+     * @param {string} url - Path to the model
+     * @param {Object} entry - Prop entry with position, rotationY (degrees), scaleTarget, scale and animate
+     * @returns {Promise<THREE.Object3D|null>} The placed model
+     */
+    async loadAndPlaceModel(url, entry) {
+        if (!THREE || !THREE.GLTFLoader) return null;
+
+        const gltf = await this.assets.instantiate(url);
+        const model = gltf.scene;
+
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+
+        model.position.set(entry.position.x, entry.position.y, entry.position.z);
+        model.rotation.y = THREE.MathUtils.degToRad(entry.rotationY);
+
+        // Scale the placed footprint so its largest dimension matches the target
+        let s = entry.scale;
+        if (entry.scaleTarget) {
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            s *= entry.scaleTarget / (Math.max(size.x, size.y, size.z) || 1);
+        }
+        model.scale.setScalar(s);
+
+        if (entry.animate) this.playAnimations(model, gltf.animations);
+
+        console.log(`📦 Placed ${url} at (${model.position.x.toFixed(1)}, ${model.position.z.toFixed(1)}), scale ${s.toFixed(2)}`);
+        return model;
+    }
+
+    /**
+     * Play all animation clips of a model on a new mixer updated by update()
+     * @param {THREE.Object3D} object - Animation root
+     * @param {THREE.AnimationClip[]} clips - Clips to play
+     * @returns {THREE.AnimationMixer|null} The mixer, or null if there were no clips
+     */
+    playAnimations(object, clips) {
+        if (!clips || clips.length === 0) return null;
+        const mixer = new THREE.AnimationMixer(object);
+        clips.forEach((clip) => mixer.clipAction(clip).play());
+        object.userData.mixer = mixer;
+        this.animations.push(mixer);
+        return mixer;
+    }
+
     /**
      * Get a pooled Vector3 object for calculations
      * @param {number} x - X coordinate
@@ -1558,3 +1894,14 @@ export class EnvironmentManager {
         return stats;
     }
 }
+
+// Remove every entry of items from list in place, keeping references to the list valid
+function removeAll(list, items) {
+    if (items.length === 0) return;
+    const drop = new Set(items);
+    let kept = 0;
+    for (const item of list) {
+        if (!drop.has(item)) list[kept++] = item;
+    }
+    list.length = kept;
+}
@@ -1,14 +1,30 @@
 import { AssetPreloader } from './asset-preloader.js';
+import { assetManager } from './asset-manager.js';
 import { CONFIG } from './config.js';
 import { createScene, createCamera, createRenderer, setupLighting } from './scene.js';
-import { createPhysicsWorld, createGroundBody, createCharacterBody, stepPhysics } from './physics.js';
+import { createPhysicsWorld, createCharacterBody, PhysicsStepper } from './physics.js';
 import { createCharacter, CharacterController } from './character.js';
+import { CharacterAnimator } from './character-animator.js';
+import { CharacterAppearance } from './character-appearance.js';
 import { CameraController } from './camera.js';
+import { CameraPathPlayer } from './camera-path.js';
+import { VehicleController } from './vehicle-controller.js';
+import { InputManager } from './input-manager.js';
+import { BindingsPanel } from './bindings-panel.js';
 import { EnvironmentManager } from './environment.js';
+import { DayNightCycle } from './day-night.js';
 import { CollisionDetector } from './collision-detection.js';
 import { Performance } from './performance.js';
+import { QualityManager } from './quality-manager.js';
+import { QualityPanel } from './quality-panel.js';
+import { WardrobePanel } from './wardrobe-panel.js';
+import { PostProcessing } from './post-processing.js';
+import { ShadowSystem } from './shadow-system.js';
 import { TextureUtils } from './utils/texture-utils.js';
 
+// Version of the object produced by Game.saveState()
+const SAVE_STATE_VERSION = 1;
+
 // Main game class
 export class Game {
     constructor() {
@@ -18,12 +34,26 @@ export class Game {
         this.world = null;
         this.character = null;
         this.characterController = null;
+        this.characterAnimator = null;
+        this.appearance = null;  // CharacterAppearance: skin, tints and accessories
         this.cameraController = null;
+        this.cinematics = null;
+        this.vehicleController = null;
+        this.input = null;
+        this.bindingsPanel = null;
         this.environmentManager = null;
+        this.lighting = null;
+        this.dayNight = null;
         this.collisionDetector = null;
         this.performance = null;
-        this._lastShadowCharacterPos = new THREE.Vector3();
-        this._shadowRefreshFrames = 0;
+        this.quality = null;
+        this.qualityPanel = null;
+        this.wardrobePanel = null;
+        this.postProcessing = null;
+        this.shadows = null;
+        this.physics = null;   // PhysicsStepper: fixed-rate steps and interpolation
+        this.timeScale = 1;    // Game time per real second (physics, animation, movement)
+        this.paused = false;
         this._lastTime = 0;
         this._deltaTime = 0;
     }
@@ -63,6 +93,8 @@ export class Game {
                 ? `/${repoName}/`
                 : '';
             this.assetPreloader = new AssetPreloader(basePath);
+            // Models are parsed from the preloaded bytes instead of being downloaded again
+            assetManager.setPreloader(this.assetPreloader);
 
             // Set up progress and error callbacks
             this.assetPreloader.onProgress = (progress, loaded, total) => {
@@ -133,44 +165,57 @@ export class Game {
         // Initialize texture utilities with renderer
         TextureUtils.init(this.renderer);
 
+        // Create the post-processing pipeline (idle until a quality tier turns effects on)
+        this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera);
+
         // Create performance monitor
         this.performance = new Performance();
 
-        // Create physics world
+        // Create physics world (the ground body comes with the terrain in buildWorld())
         this.world = createPhysicsWorld();
+        this.physics = new PhysicsStepper(this.world);
 
-        // Create ground physics body
-        if (this.world) {
-            createGroundBody(this.world);
-        }
+        // Setup lighting after scene is created; the day/night cycle drives it from here on
+        this.lighting = setupLighting(this.scene);
+        this.dayNight = new DayNightCycle(this.scene, this.renderer, this.lighting);
 
-        // Setup lighting after scene is created
-        setupLighting(this.scene);
+        // Sun shadows fitted to the view, with static casters cached between refreshes
+        this.shadows = new ShadowSystem(this.renderer, this.scene, this.lighting.directionalLight);
+
+        // Pick the graphics tier (pinned, or benchmarked over the first seconds)
+        this.quality = new QualityManager({ onChange: (name, settings) => this.applyQuality(name, settings) });
+        this.quality.init();
 
         // Create character (will use preloaded assets)
         this.character = createCharacter();
         this.scene.add(this.character);
+        this.appearance = new CharacterAppearance(this.character);
 
         // Create character physics body
         const characterBody = createCharacterBody(this.world);
+        this.physics.track(characterBody);
+
+        // Create input (keyboard, mouse, gamepad, touch) shared by all controllers
+        this.input = new InputManager(this.renderer.domElement);
+        this.bindingsPanel = new BindingsPanel(this.input);
+        this.qualityPanel = new QualityPanel(this.quality);
+        this.wardrobePanel = new WardrobePanel(this.appearance);
 
         // Create character controller with camera for relative movement
-        this.characterController = new CharacterController(this.character, characterBody, this.camera);
+        this.characterController = new CharacterController(this.character, characterBody, this.camera, this.input);
+        this.characterAnimator = new CharacterAnimator(this.character);
 
         // Create camera controller with mouse controls
-        this.cameraController = new CameraController(this.camera, this.character, this.renderer.domElement);
+        this.cameraController = new CameraController(this.camera, this.character, this.renderer.domElement, this.input);
 
-        // Create environment manager
-        this.environmentManager = new EnvironmentManager(this.scene, this.world);
+        // Create cinematic player (takes over the camera during fly-throughs)
+        this.cinematics = new CameraPathPlayer(this.camera, this.cameraController);
 
-        // Initialize LOD manager with camera
-        this.environmentManager.setCamera(this.camera);
+        // Create vehicle controller (idle until the player gets into a car)
+        this.vehicleController = new VehicleController(this.world, this.input, this.physics);
 
-        // Initialize environment
-        await this.environmentManager.create();
-
-        // Optimize static objects
-        this.optimizeStaticObjects();
+        // Create environment
+        await this.buildWorld();
 
         // Create collision detector
         this.collisionDetector = new CollisionDetector();
@@ -182,6 +227,247 @@ export class Game {
         this.setupEventListeners();
     }
 
+    /**
+     * (Re)build the environment from the world manifest and CONFIG.RANDOM.SEED
+     * Any previous environment is removed from the scene and physics world first.
+     */
+    async buildWorld() {
+        if (this.environmentManager) {
+            this.environmentManager.dispose();
+        }
+
+        // Create environment manager
+        this.environmentManager = new EnvironmentManager(this.scene, this.world);
+
+        // Initialize LOD manager with camera
+        this.environmentManager.setCamera(this.camera, this.renderer);
+
+        // Build the chunks at the current quality tier
+        const quality = this.quality && this.quality.getSettings();
+        if (quality) {
+            this.environmentManager.lodManager.setDistanceScale(quality.lodScale);
+            this.environmentManager.setVegetationDensity(quality.vegetationDensity);
+        }
+
+        // Initialize environment, building the chunks around the player first
+        await this.environmentManager.create(this.character.position);
+        // Walk, drive and keep the camera on the new terrain
+        const heightmap = this.environmentManager.heightmap;
+        this.characterController.setTerrain(heightmap);
+        this.vehicleController.setTerrain(heightmap);
+        this.cameraController.setTerrain(heightmap);
+
+        const assetStats = assetManager.getStats();
+        console.log(`📦 Models: ${assetStats.parsed} parsed (${assetStats.fromPreloader} from preloaded bytes), ` +
+                    `${assetStats.clones} instances`);
+
+        this.refreshWorldObjects();
+
+        // Chunks streamed in or out later need the same treatment
+        this.environmentManager.onChunksChanged = () => this.refreshWorldObjects();
+    }
+
+    /**
+     * Hook the environment's currently loaded objects into the systems that track them
+     */
+    refreshWorldObjects() {
+        // Optimize static objects
+        this.optimizeStaticObjects();
+
+        // Light the new windows and street lamps at night
+        if (this.dayNight) {
+            this.dayNight.setEnvironment(this.environmentManager);
+        }
+
+        // Keep the camera out of buildings and solid props (people and rigs have no collider)
+        if (this.cameraController) {
+            const env = this.environmentManager;
+            const solidProps = (env.props || []).filter(prop => prop.userData.collider !== 'none');
+            this.cameraController.setCollisionObjects([...env.buildings, ...solidProps]);
+        }
+
+        // Show what instancing and district merging save
+        if (this.performance) {
+            this.performance.setStaticDrawStats(this.environmentManager.getStaticDrawStats());
+        }
+
+        // The player, cars and animated NPCs are redrawn into the shadow map every frame;
+        // the cached static shadows do not include objects that just appeared or vanished
+        if (this.shadows) {
+            const env = this.environmentManager;
+            const animatedProps = (env.props || []).filter(prop => prop.userData.mixer);
+            this.shadows.setDynamicCasters([this.character, ...(env.vehicles || []), ...animatedProps]);
+            this.shadows.patchMaterials(this.scene);
+        }
+        this.requestShadowRefresh();
+    }
+
+    /**
+     * Apply a quality tier's settings (QualityManager callback)
+     * @param {string} name - Tier name
+     * @param {Object} settings - Entry of QUALITY_TIERS
+     */
+    applyQuality(name, settings) {
+        const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+
+        // Resolution; phones stay at 1x like createRenderer() sets them up
+        const maxPixelRatio = isMobile ? 1.0 : settings.pixelRatio;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, maxPixelRatio));
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+        // Shadow map resolution
+        this.shadows.setMapSize(settings.shadowMapSize);
+
+        // Extra fill lights (never on mobile, matching setupLighting)
+        CONFIG.LIGHTING.USE_EXTRA_LIGHTS = settings.extraLights;
+        const { pointLights, cornerLights, fillLights } = this.lighting;
+        [...pointLights, ...cornerLights, ...fillLights].forEach(light => {
+            light.visible = settings.extraLights && !isMobile;
+        });
+
+        // LOD distances and tree density; chunks streamed in later follow the same settings
+        const env = this.environmentManager;
+        if (env) {
+            if (env.lodManager) env.lodManager.setDistanceScale(settings.lodScale);
+            env.setVegetationDensity(settings.vegetationDensity);
+        }
+
+        // Effect chain, sized for the new pixel ratio
+        this.postProcessing.configure(settings.postProcessing);
+        if (this.performance) this.performance.setQualityLabel(settings.label);
+        if (this.qualityPanel && this.qualityPanel.isOpen) this.qualityPanel.render();
+        this.requestShadowRefresh();
+    }
+
+    // Re-render the cached static shadows before the next frame
+    requestShadowRefresh() {
+        if (this.shadows) this.shadows.invalidate();
+    }
+
+    // Point the world streams around: the camera during fly-throughs, otherwise the player (or the car they drive)
+    getStreamingFocus() {
+        if (this.cinematics && this.cinematics.isPlaying) return this.camera.position;
+        return this.character.position;
+    }
+
+    /**
+     * Capture the live world state so it can be shared and restored with loadState()
+     * @returns {Object} Serializable game state
+     */
+    saveState() {
+        const env = this.environmentManager;
+        const driven = this.vehicleController.isDriving ? this.vehicleController.vehicle : null;
+        return {
+            version: SAVE_STATE_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: CONFIG.RANDOM.SEED,
+            timeOfDay: this.dayNight.getTimeOfDay(),
+            character: this.characterController.getState(),
+            // The car being driven (index in vehicles) and its chassis; it is not part of traffic
+            driving: driven ? {
+                vehicle: (env.vehicles || []).indexOf(driven),
+                chassis: this.vehicleController.getState()
+            } : null,
+            appearance: this.appearance.getState(),
+            camera: this.cameraController.getState(),
+            vehicles: (env.vehicles || []).map(vehicle => ({
+                name: vehicle.name,
+                position: vehicle.position.toArray(),
+                quaternion: vehicle.quaternion.toArray()
+            })),
+            // Clip times by the animated prop's id; only props in loaded chunks are playing
+            animations: Object.fromEntries((env.animations || [])
+                .filter(mixer => mixer.getRoot().name)
+                .map(mixer => [mixer.getRoot().name, mixer.time])),
+            traffic: env.traffic ? env.traffic.getState() : []
+        };
+    }
+
+    /**
+     * Restore a state captured by saveState()
+     * The world is rebuilt first if it was generated from a different seed.
+     * @param {Object|string} json - State object or its JSON string
+     */
+    async loadState(json) {
+        const state = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!state || state.version !== SAVE_STATE_VERSION) {
+            throw new Error(`Unsupported save state version: ${state && state.version}`);
+        }
+
+        // Drop any fly-through so the restored camera is not blended away
+        if (this.cinematics && this.cinematics.isPlaying) {
+            this.cinematics.finish();
+        }
+
+        // Step out first: the driven car may be rebuilt and the character is restored below
+        if (this.vehicleController && this.vehicleController.isDriving) {
+            this.exitVehicle(true);
+        }
+
+        if (state.seed !== CONFIG.RANDOM.SEED) {
+            console.log(`🌱 Rebuilding world for seed ${state.seed} (was ${CONFIG.RANDOM.SEED})`);
+            CONFIG.RANDOM.SEED = state.seed;
+            await this.buildWorld();
+        }
+
+        const env = this.environmentManager;
+        (state.vehicles || []).forEach((saved, index) => {
+            const vehicle = env.vehicles && env.vehicles[index];
+            if (!vehicle) return;
+            vehicle.position.fromArray(saved.position);
+            vehicle.quaternion.fromArray(saved.quaternion);
+        });
+
+        // Traffic progress wins over the raw vehicle transforms once cars start moving
+        if (env.traffic && state.traffic) {
+            env.traffic.setState(state.traffic);
+        }
+
+        if (typeof state.timeOfDay === 'number') {
+            this.dayNight.setTimeOfDay(state.timeOfDay);
+        }
+
+        this.characterController.setState(state.character);
+
+        // Back behind the wheel: the car leaves traffic and its chassis carries on as saved
+        const driven = state.driving && env.vehicles && env.vehicles[state.driving.vehicle];
+        if (driven && this.enterVehicle(driven)) {
+            this.vehicleController.setState(state.driving.chassis);
+            this.character.position.copy(this.vehicleController.getSeatPosition());
+        }
+
+        // Build the chunks around the restored position before setting their props' clips
+        await env.streamer.loadAround(this.getStreamingFocus());
+        const mixers = new Map(env.animations.map(mixer => [mixer.getRoot().name, mixer]));
+        Object.entries(state.animations || {}).forEach(([id, time]) => {
+            const mixer = mixers.get(id);
+            if (mixer) mixer.setTime(time);
+        });
+
+        // Shown for the repro, but the player's own wardrobe choice stays saved
+        if (state.appearance) {
+            this.appearance.setState(state.appearance, { persist: false });
+        }
+        this.cameraController.setState(state.camera);
+
+        // Shadows were cached for the old viewpoint
+        this.requestShadowRefresh();
+
+        console.log(`📂 Restored game state saved at ${state.savedAt || 'unknown time'}`);
+    }
+
+    /**
+     * Download the current state as a JSON repro file
+     */
+    downloadState() {
+        const blob = new Blob([JSON.stringify(this.saveState(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `repro-${Date.now()}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
     /**
      * Show simple loading screen (reuses existing white loading screen)
      */
@@ -283,7 +569,7 @@ export class Game {
         markStatic(this.environmentManager.trees);
         
         // Mark specific static objects by name
-        (this.environmentManager.objects || []).forEach(o => {
+        [...(this.environmentManager.objects || []), ...(this.environmentManager.props || [])].forEach(o => {
             const name = (o && o.name || '').toLowerCase();
             if (name.includes('logo_podium') || name.includes('north_archway')) {
                 markStatic(o);
@@ -320,50 +606,252 @@ export class Game {
         window.addEventListener('resize', () => {
             this.cameraController.handleResize();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.postProcessing.setSize(window.innerWidth, window.innerHeight);
         });
         
-        // Handle keyboard events for collision detection
-        window.addEventListener('keydown', (event) => {
-            if (event.key === 'c' || event.key === 'C') {
-                console.log('🔍 Running collision detection on demand...');
-                this.runCollisionDetection();
+        // Input actions for collision detection, vehicles, repro files and key bindings
+        this.input.on('runCollisionCheck', () => {
+            console.log('🔍 Running collision detection on demand...');
+            this.runCollisionDetection();
+        });
+        this.input.on('interact', () => this.toggleVehicle());
+        this.input.on('saveState', () => {
+            console.log('💾 Saving game state...');
+            this.downloadState();
+        });
+        this.input.on('togglePointerLock', () => {
+            this.cameraController.setPointerLock(!this.cameraController.pointerLock);
+        });
+        this.input.on('toggleBindings', () => this.bindingsPanel.toggle());
+        this.input.on('toggleQuality', () => this.qualityPanel.toggle());
+        this.input.on('toggleWardrobe', () => this.wardrobePanel.toggle());
+        this.input.on('skipCinematic', () => this.cinematics.skip());
+        this.input.on('togglePause', () => this.setPaused(!this.paused));
+
+        // Drop a repro file onto the page to restore it
+        window.addEventListener('dragover', (event) => event.preventDefault());
+        window.addEventListener('drop', async (event) => {
+            event.preventDefault();
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (!file) return;
+            try {
+                await this.loadState(await file.text());
+            } catch (error) {
+                console.error(`❌ Failed to load game state from ${file.name}:`, error);
             }
         });
     }
     
+    /**
+     * Get into the nearest car, or out of the current one
+     */
+    toggleVehicle() {
+        if (!this.vehicleController || this.cinematics.isPlaying) return;
+        if (this.vehicleController.isDriving) {
+            this.exitVehicle();
+        } else {
+            this.enterNearestVehicle();
+        }
+    }
+
+    /**
+     * Take over the closest car within CONFIG.VEHICLE.ENTER_DISTANCE of the character
+     * @returns {boolean} Whether a car was entered
+     */
+    enterNearestVehicle() {
+        const env = this.environmentManager;
+        let nearest = null;
+        let nearestDistance = CONFIG.VEHICLE.ENTER_DISTANCE;
+        (env && env.vehicles || []).forEach(vehicle => {
+            if (!vehicle.visible) return;
+            const dx = vehicle.position.x - this.character.position.x;
+            const dz = vehicle.position.z - this.character.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (distance < nearestDistance) {
+                nearest = vehicle;
+                nearestDistance = distance;
+            }
+        });
+        if (!nearest) return false;
+        return this.enterVehicle(nearest);
+    }
+
+    /**
+     * Take over a car, wherever it is
+     * @param {THREE.Object3D} vehicle - One of the environment's vehicles
+     * @returns {boolean} Whether the car was entered
+     */
+    enterVehicle(vehicle) {
+        const env = this.environmentManager;
+        // Pull the car out of traffic before the controller takes over its collider
+        if (env && env.traffic) env.traffic.removeVehicle(vehicle);
+        if (!this.vehicleController.enter(vehicle)) return false;
+
+        // The character rides along hidden, without a physics body of its own
+        this.characterController.setEnabled(false);
+        if (this.world && this.characterController.characterBody) {
+            this.world.removeBody(this.characterController.characterBody);
+        }
+        this.character.visible = false;
+        this.cameraController.setTarget(vehicle, 'chase');
+        return true;
+    }
+
+    /**
+     * Leave the current car and put the character on the ground beside it
+     * @param {boolean} force - Step out even if every side is blocked (used when restoring state)
+     * @returns {boolean} Whether the character got out
+     */
+    exitVehicle(force = false) {
+        if (!this.vehicleController || !this.vehicleController.isDriving) return false;
+
+        const spot = this.vehicleController.findExitPosition();
+        if (!spot && !force) {
+            console.warn('⚠️ No room to get out of the car here');
+            return false;
+        }
+        const seat = this.vehicleController.getSeatPosition();
+        const position = spot || { x: seat.x, y: CONFIG.CHARACTER.GROUND_LEVEL, z: seat.z };
+
+        const vehicle = this.vehicleController.exit();
+        this.returnToTraffic(vehicle);
+        if (this.world && this.characterController.characterBody) {
+            this.world.addBody(this.characterController.characterBody);
+        }
+        this.characterController.setEnabled(true);
+        this.characterController.setState({
+            position,
+            velocity: { x: 0, y: 0, z: 0 },
+            rotationY: vehicle.rotation.y
+        });
+        this.character.visible = true;
+        this.cameraController.setTarget(this.character, 'orbit');
+        return true;
+    }
+
+    // Put a car the player left back on the nearest lane, so traffic keeps its fleet and
+    // other cars follow it instead of driving through it
+    returnToTraffic(vehicle) {
+        const env = this.environmentManager;
+        if (!env || !env.traffic) return;
+        const spawn = env.traffic.spawnNear(vehicle.position);
+        if (!spawn) {
+            console.warn(`⚠️ No lane to return ${vehicle.name || 'vehicle'} to; leaving it parked`);
+            return;
+        }
+        env.traffic.addVehicle(vehicle, spawn, env.vehicles.indexOf(vehicle));
+    }
+
+    /**
+     * Play a fly-through from the world manifest; the player cannot move until it ends
+     * @param {string} id - Cinematic id in data/world.json
+     * @returns {Promise<boolean>} True if it played to the end, false if skipped or unavailable
+     */
+    async playCinematic(id = CONFIG.CINEMATICS.TOUR) {
+        if (this.vehicleController && this.vehicleController.isDriving) {
+            console.warn('⚠️ Get out of the car before starting a fly-through');
+            return false;
+        }
+        const path = this.environmentManager && this.environmentManager.getCameraPath(id);
+        if (!path) {
+            console.warn(`⚠️ No cinematic named "${id}" in the world manifest`);
+            return false;
+        }
+
+        this.characterController.setEnabled(false);
+        const completed = await this.cinematics.play(path);
+        // A newer fly-through may have replaced this one; it re-enables the player when it ends
+        if (!this.cinematics.isPlaying) this.characterController.setEnabled(true);
+        return completed;
+    }
+
+    /**
+     * Set the time of day, e.g. to pin the lighting for screenshots
+     * @param {number} hours - 0..24
+     * @param {boolean} pinned - Stop the clock at this time (call again with false to resume)
+     */
+    setTimeOfDay(hours, pinned = true) {
+        this.dayNight.setTimeOfDay(hours);
+        this.dayNight.setPaused(pinned);
+        this.requestShadowRefresh();
+    }
+
+    /**
+     * Slow down or speed up the game; physics, animations and movement all follow
+     * @param {number} scale - Game seconds per real second (1 = normal speed)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Freeze the game while the camera stays free to look around
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.paused = paused;
+        console.log(paused ? '⏸️ Paused' : '▶️ Resumed');
+    }
+
     update(deltaTime) {
         // Store delta time for this frame
         this._deltaTime = deltaTime || 0.016; // Default to 60fps if no delta time provided
+        // Game time: what physics, animations and movement advance by
+        const gameDelta = this.paused ? 0 : this._deltaTime * this.timeScale;
         
-        // Step physics world
-        stepPhysics(this.world);
+        // Poll gamepads before anything reads input
+        this.input.update(this._deltaTime);
+
+        // Apply driving input before the physics step
+        const driving = this.vehicleController && this.vehicleController.isDriving;
+        if (driving && gameDelta > 0) {
+            this.vehicleController.update(gameDelta);
+        }
+
+        // Step physics at its fixed rate; meshes are drawn between the last two steps
+        this.physics.advance(gameDelta);
+        const alpha = this.physics.alpha;
         
-        // Update character
-        this.characterController.update();
-
-        // Trigger brief shadow map refresh when the character moves
-        if (this.renderer && this.renderer.shadowMap && this.character) {
-            const p = this.character.position;
-            const moved = this._lastShadowCharacterPos.distanceToSquared(p) > 0.0025; // ~0.05 units
-            if (moved) {
-                this._lastShadowCharacterPos.copy(p);
-                this._shadowRefreshFrames = Math.max(this._shadowRefreshFrames, 2);
-                this.renderer.shadowMap.autoUpdate = true;
-                this.renderer.shadowMap.needsUpdate = true;
-            }
+        // Update character, or carry it along in the driver's seat
+        if (driving) {
+            this.vehicleController.syncMesh(alpha);
+            this.character.position.copy(this.vehicleController.getSeatPosition());
+        } else {
+            if (gameDelta > 0) this.characterController.update(gameDelta);
+            this.characterController.syncMesh(alpha);
+            this.characterAnimator.update(gameDelta, this.characterController.getMotion());
+        }
+
+        // Advance the time of day; the sun only reports a move once shadows need redrawing
+        const sunMoved = this.dayNight.update(gameDelta);
+        this.postProcessing.setDaylight(this.dayNight.daylight);
+
+        // Static shadows are re-rendered every few degrees of sun travel
+        if (sunMoved) {
+            this.requestShadowRefresh();
         }
         
-        // Update environment, LODs, and animations
+        // Update environment streaming, LODs, and animations
         if (this.environmentManager) {
-            this.environmentManager.update(this._deltaTime);
+            this.environmentManager.update(gameDelta, this.getStreamingFocus());
         }
         
-        // Update camera
-        this.cameraController.update();
+        // Update camera (a playing fly-through owns it until control is handed back)
+        if (!this.cinematics.update(this._deltaTime)) {
+            this.cameraController.update(this._deltaTime);
+        }
     }
     
     render() {
-        this.renderer.render(this.scene, this.camera);
+        // Fit the shadow frustum to this frame's view and redraw the moving casters
+        this.shadows.update(this.camera);
+
+        // Through the effect composer when the quality tier uses any effects
+        if (this.postProcessing && this.postProcessing.enabled) {
+            this.postProcessing.render(this._deltaTime);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
     }
     
     animate(timestamp) {
@@ -383,15 +871,10 @@ export class Game {
         // Render the scene
         this.render();
         
-        // Update performance metrics
-        this.performance && this.performance.update();
-
-        // After rendering, if we scheduled a brief refresh, count it down
-        if (this.renderer?.shadowMap && this._shadowRefreshFrames > 0) {
-            this._shadowRefreshFrames--;
-            if (this._shadowRefreshFrames === 0) {
-                this.renderer.shadowMap.autoUpdate = false;
-            }
+        // Update performance metrics; the quality tier is re-evaluated on every new FPS sample
+        if (this.quality) this.quality.recordFrame(deltaTime * 1000);
+        if (this.performance && this.performance.update() && this.quality) {
+            this.quality.evaluate(this.performance.fpsHistory);
         }
 
         // Schedule next frame with proper timing
@@ -0,0 +1,540 @@
+import { CONFIG } from './config.js';
+
+// Bindable actions and the labels shown in the key bindings panel
+export const INPUT_ACTIONS = {
+    moveForward: 'Move forward / accelerate',
+    moveBackward: 'Move back / brake',
+    moveLeft: 'Move left / steer left',
+    moveRight: 'Move right / steer right',
+    jump: 'Jump / handbrake',
+    sprint: 'Sprint',
+    crouch: 'Crouch',
+    interact: 'Enter or leave car',
+    runCollisionCheck: 'Run collision check',
+    saveState: 'Save repro file',
+    togglePointerLock: 'Toggle pointer-lock mouse look',
+    toggleBindings: 'Key bindings',
+    toggleQuality: 'Graphics quality',
+    toggleWardrobe: 'Wardrobe',
+    skipCinematic: 'Skip fly-through',
+    togglePause: 'Pause / resume'
+};
+
+// Keyboard bindings by KeyboardEvent.code, two slots per action
+export const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp'],
+    moveBackward: ['KeyS', 'ArrowDown'],
+    moveLeft: ['KeyA', 'ArrowLeft'],
+    moveRight: ['KeyD', 'ArrowRight'],
+    jump: ['Space', null],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    crouch: ['KeyZ', null],
+    interact: ['KeyE', null],
+    runCollisionCheck: ['KeyC', null],
+    saveState: ['F8', null],
+    togglePointerLock: ['KeyL', null],
+    toggleBindings: ['KeyB', null],
+    toggleQuality: ['KeyG', null],
+    toggleWardrobe: ['KeyO', null],
+    skipCinematic: ['Escape', null],
+    togglePause: ['KeyP', null]
+};
+
+// Standard Gamepad API layout: A jumps, B crouches, X interacts, left stick click
+// sprints, View opens bindings, Menu skips fly-throughs, d-pad and triggers move
+const GAMEPAD_BUTTONS = {
+    moveForward: [12, 7],
+    moveBackward: [13, 6],
+    moveLeft: [14],
+    moveRight: [15],
+    jump: [0],
+    crouch: [1],
+    interact: [2],
+    sprint: [10],
+    toggleBindings: [8],
+    skipCinematic: [9]
+};
+
+// Actions offered as on-screen buttons on touch devices
+const TOUCH_BUTTONS = [
+    { action: 'jump', label: '⤒' },
+    { action: 'interact', label: 'E' }
+];
+
+// Maps keyboard, mouse, gamepad and touch input onto named actions
+// Controllers read held state (isPressed, getMoveVector, consumeLookDelta); one-shot
+// actions such as interact are delivered through on().
+export class InputManager {
+    constructor(domElement) {
+        this.domElement = domElement || document.body;
+        this.bindings = this.loadBindings();
+        this.handlers = new Map();      // action -> Set of callbacks
+
+        this._keysDown = new Set();     // KeyboardEvent.code
+        this._gamepadDown = new Set();  // Actions held on the gamepad this poll
+        this._touchDown = new Set();    // Actions held on on-screen buttons
+        this._gamepadMove = { x: 0, y: 0 };
+        this._touchMove = { x: 0, y: 0 };
+        this._lookDelta = { x: 0, y: 0 };
+        this._zoomDelta = 0;            // Wheel pixels, positive zooms out
+        this._capture = null;           // Pending captureBinding() resolver
+
+        // Mouse look: drag, or free movement while the pointer is locked
+        this.pointerLockEnabled = false;
+        this.isMouseDown = false;
+        this.lastMouseX = 0;
+        this.lastMouseY = 0;
+
+        this.touchControls = null;
+
+        this.setupKeyboard();
+        this.setupMouse();
+        if (InputManager.isTouchDevice()) {
+            this.createTouchControls();
+        }
+    }
+
+    static isTouchDevice() {
+        return 'ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0;
+    }
+
+    /**
+     * Human readable name for a KeyboardEvent.code
+     * @param {string|null} code
+     * @returns {string}
+     */
+    static formatCode(code) {
+        if (!code) return '—';
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Arrow')) return `${code.slice(5)} arrow`;
+        return code;
+    }
+
+    setupKeyboard() {
+        document.addEventListener('keydown', (event) => {
+            if (this._capture) {
+                event.preventDefault();
+                this._finishCapture(event.code === 'Escape' ? null : event.code);
+                return;
+            }
+            if (isTextField(event.target)) return;
+
+            const actions = this.actionsForCode(event.code);
+            if (actions.length === 0) return;
+            // Bound keys must not scroll the page or trigger browser shortcuts
+            event.preventDefault();
+            this._keysDown.add(event.code);
+            if (!event.repeat) actions.forEach(action => this.emit(action));
+        });
+
+        document.addEventListener('keyup', (event) => {
+            this._keysDown.delete(event.code);
+        });
+
+        // Keys released while the tab was in the background never send keyup
+        window.addEventListener('blur', () => this._keysDown.clear());
+    }
+
+    setupMouse() {
+        this.domElement.addEventListener('mousedown', (event) => {
+            if (this.pointerLockEnabled && !this.isPointerLocked && this.domElement.requestPointerLock) {
+                this.domElement.requestPointerLock();
+                return;
+            }
+            this.isMouseDown = true;
+            this.lastMouseX = event.clientX;
+            this.lastMouseY = event.clientY;
+            this.domElement.style.cursor = 'grabbing';
+        });
+
+        // Locked pointers report movement on the document, not the canvas
+        document.addEventListener('mousemove', (event) => {
+            if (this.isPointerLocked) {
+                this.addLook(event.movementX || 0, event.movementY || 0);
+                return;
+            }
+            if (!this.isMouseDown) return;
+            this.addLook(event.clientX - this.lastMouseX, event.clientY - this.lastMouseY);
+            this.lastMouseX = event.clientX;
+            this.lastMouseY = event.clientY;
+        });
+
+        this.domElement.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            // Line-based wheels (Firefox) report in lines rather than pixels
+            this._zoomDelta += event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        }, { passive: false });
+
+        document.addEventListener('mouseup', () => {
+            this.isMouseDown = false;
+            this.domElement.style.cursor = 'grab';
+        });
+
+        // Prevent context menu on right click
+        this.domElement.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+        });
+
+        this.domElement.style.cursor = 'grab';
+    }
+
+    get isPointerLocked() {
+        return document.pointerLockElement === this.domElement;
+    }
+
+    /**
+     * Allow or stop pointer-lock mouse look (the lock itself starts on the next click)
+     * @param {boolean} enabled
+     */
+    setPointerLockEnabled(enabled) {
+        this.pointerLockEnabled = enabled;
+        if (!enabled && this.isPointerLocked && document.exitPointerLock) {
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Load bindings from localStorage, falling back to DEFAULT_BINDINGS per action
+     * @returns {Object} action -> [code, code]
+     */
+    loadBindings() {
+        const bindings = cloneBindings(DEFAULT_BINDINGS);
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.INPUT.STORAGE_KEY) || 'null');
+            if (stored && typeof stored === 'object') {
+                Object.keys(bindings).forEach(action => {
+                    const codes = stored[action];
+                    if (Array.isArray(codes) && codes.every(code => code === null || typeof code === 'string')) {
+                        bindings[action] = [codes[0] || null, codes[1] || null];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable input bindings:', error);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            localStorage.setItem(CONFIG.INPUT.STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('⚠️ Could not store input bindings:', error);
+        }
+    }
+
+    /**
+     * Bind a key to an action slot; the key is taken away from any other action
+     * @param {string} action - Key of INPUT_ACTIONS
+     * @param {number} slot - 0 (primary) or 1 (secondary)
+     * @param {string|null} code - KeyboardEvent.code, or null to clear the slot
+     */
+    setBinding(action, slot, code) {
+        if (!this.bindings[action]) {
+            throw new Error(`Unknown input action: ${action}`);
+        }
+        if (code) {
+            Object.values(this.bindings).forEach(codes => {
+                codes.forEach((bound, index) => {
+                    if (bound === code) codes[index] = null;
+                });
+            });
+        }
+        this.bindings[action][slot] = code;
+        this._keysDown.clear();
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = cloneBindings(DEFAULT_BINDINGS);
+        this._keysDown.clear();
+        this.saveBindings();
+    }
+
+    /**
+     * Wait for the next key press and bind it (Escape cancels)
+     * @param {string} action - Key of INPUT_ACTIONS
+     * @param {number} slot - 0 (primary) or 1 (secondary)
+     * @returns {Promise<string|null>} The bound code, or null if cancelled
+     */
+    captureBinding(action, slot) {
+        if (this._capture) this._finishCapture(null);
+        return new Promise(resolve => {
+            this._capture = (code) => {
+                if (code) this.setBinding(action, slot, code);
+                resolve(code);
+            };
+        });
+    }
+
+    _finishCapture(code) {
+        const capture = this._capture;
+        this._capture = null;
+        capture(code);
+    }
+
+    actionsForCode(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+    }
+
+    /**
+     * Subscribe to an action being pressed (fires once per press, from any device)
+     * @param {string} action - Key of INPUT_ACTIONS
+     * @param {Function} handler
+     * @returns {Function} Unsubscribe
+     */
+    on(action, handler) {
+        if (!this.handlers.has(action)) this.handlers.set(action, new Set());
+        this.handlers.get(action).add(handler);
+        return () => this.handlers.get(action).delete(handler);
+    }
+
+    emit(action) {
+        const handlers = this.handlers.get(action);
+        if (handlers) handlers.forEach(handler => handler(action));
+    }
+
+    /**
+     * Whether an action is currently held on any device
+     * @param {string} action - Key of INPUT_ACTIONS
+     * @returns {boolean}
+     */
+    isPressed(action) {
+        const codes = this.bindings[action] || [];
+        return codes.some(code => code && this._keysDown.has(code)) ||
+            this._gamepadDown.has(action) ||
+            this._touchDown.has(action);
+    }
+
+    /**
+     * Combined movement input
+     * @returns {{x: number, y: number}} x is right, y is forward; length at most 1
+     */
+    getMoveVector() {
+        let x = this._gamepadMove.x + this._touchMove.x;
+        let y = this._gamepadMove.y + this._touchMove.y;
+        if (this.isPressed('moveRight')) x += 1;
+        if (this.isPressed('moveLeft')) x -= 1;
+        if (this.isPressed('moveForward')) y += 1;
+        if (this.isPressed('moveBackward')) y -= 1;
+
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        return { x, y };
+    }
+
+    addLook(dx, dy) {
+        this._lookDelta.x += dx;
+        this._lookDelta.y += dy;
+    }
+
+    /**
+     * Look movement since the last call, in mouse pixels
+     * @returns {{x: number, y: number}}
+     */
+    consumeLookDelta() {
+        const delta = { ...this._lookDelta };
+        this._lookDelta.x = 0;
+        this._lookDelta.y = 0;
+        return delta;
+    }
+
+    /**
+     * Wheel zoom since the last call
+     * @returns {number} Pixels; positive zooms out
+     */
+    consumeZoomDelta() {
+        const delta = this._zoomDelta;
+        this._zoomDelta = 0;
+        return delta;
+    }
+
+    /**
+     * Poll gamepads; call once per frame before the controllers update
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        const pad = this.getGamepad();
+        const held = new Set();
+        this._gamepadMove.x = 0;
+        this._gamepadMove.y = 0;
+
+        if (pad) {
+            const deadzone = CONFIG.INPUT.GAMEPAD_DEADZONE;
+            const axis = (index) => {
+                const value = pad.axes[index] || 0;
+                return Math.abs(value) < deadzone ? 0 : value;
+            };
+            this._gamepadMove.x = axis(0);
+            this._gamepadMove.y = -axis(1);
+            const lookSpeed = CONFIG.INPUT.GAMEPAD_LOOK_SPEED * deltaTime;
+            this.addLook(axis(2) * lookSpeed, axis(3) * lookSpeed);
+
+            Object.entries(GAMEPAD_BUTTONS).forEach(([action, indices]) => {
+                if (indices.some(index => pad.buttons[index] && pad.buttons[index].pressed)) {
+                    held.add(action);
+                }
+            });
+        }
+
+        // Fire one-shot handlers on the press edge
+        held.forEach(action => {
+            if (!this._gamepadDown.has(action)) this.emit(action);
+        });
+        this._gamepadDown = held;
+    }
+
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+        return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null;
+    }
+
+    // On-screen joystick (bottom left), action buttons (bottom right) and drag-to-look elsewhere
+    createTouchControls() {
+        const radius = CONFIG.INPUT.JOYSTICK_RADIUS;
+        const container = document.createElement('div');
+        container.style.position = 'fixed';
+        container.style.inset = '0';
+        container.style.pointerEvents = 'none';
+        container.style.zIndex = '200';
+
+        const base = document.createElement('div');
+        base.style.position = 'absolute';
+        base.style.left = '30px';
+        base.style.bottom = '30px';
+        base.style.width = `${radius * 2}px`;
+        base.style.height = `${radius * 2}px`;
+        base.style.borderRadius = '50%';
+        base.style.background = 'rgba(255, 255, 255, 0.15)';
+        base.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        base.style.pointerEvents = 'auto';
+        base.style.touchAction = 'none';
+
+        const knob = document.createElement('div');
+        knob.style.position = 'absolute';
+        knob.style.left = `${radius - 22}px`;
+        knob.style.top = `${radius - 22}px`;
+        knob.style.width = '44px';
+        knob.style.height = '44px';
+        knob.style.borderRadius = '50%';
+        knob.style.background = 'rgba(255, 255, 255, 0.6)';
+        base.appendChild(knob);
+        container.appendChild(base);
+
+        let joystickTouch = null;
+        const moveKnob = (touch) => {
+            const rect = base.getBoundingClientRect();
+            let dx = touch.clientX - (rect.left + rect.width / 2);
+            let dy = touch.clientY - (rect.top + rect.height / 2);
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > radius) {
+                dx *= radius / distance;
+                dy *= radius / distance;
+            }
+            knob.style.transform = `translate(${dx}px, ${dy}px)`;
+            this._touchMove.x = dx / radius;
+            this._touchMove.y = -dy / radius;
+        };
+        const releaseKnob = () => {
+            joystickTouch = null;
+            knob.style.transform = '';
+            this._touchMove.x = 0;
+            this._touchMove.y = 0;
+        };
+
+        base.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            const touch = event.changedTouches[0];
+            joystickTouch = touch.identifier;
+            moveKnob(touch);
+        }, { passive: false });
+        base.addEventListener('touchmove', (event) => {
+            event.preventDefault();
+            const touch = findTouch(event.changedTouches, joystickTouch);
+            if (touch) moveKnob(touch);
+        }, { passive: false });
+        base.addEventListener('touchend', (event) => {
+            if (findTouch(event.changedTouches, joystickTouch)) releaseKnob();
+        });
+        base.addEventListener('touchcancel', releaseKnob);
+
+        TOUCH_BUTTONS.forEach(({ action, label }, index) => {
+            const button = document.createElement('div');
+            button.textContent = label;
+            button.style.position = 'absolute';
+            button.style.right = `${30 + index * 80}px`;
+            button.style.bottom = '45px';
+            button.style.width = '64px';
+            button.style.height = '64px';
+            button.style.lineHeight = '64px';
+            button.style.textAlign = 'center';
+            button.style.fontSize = '24px';
+            button.style.color = 'white';
+            button.style.borderRadius = '50%';
+            button.style.background = 'rgba(255, 255, 255, 0.2)';
+            button.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+            button.style.pointerEvents = 'auto';
+            button.style.touchAction = 'none';
+            button.style.userSelect = 'none';
+            button.addEventListener('touchstart', (event) => {
+                event.preventDefault();
+                this._touchDown.add(action);
+                this.emit(action);
+            }, { passive: false });
+            const release = () => this._touchDown.delete(action);
+            button.addEventListener('touchend', release);
+            button.addEventListener('touchcancel', release);
+            container.appendChild(button);
+        });
+
+        // Any other touch on the canvas drags the camera
+        let lookTouch = null;
+        let lastX = 0;
+        let lastY = 0;
+        this.domElement.addEventListener('touchstart', (event) => {
+            if (lookTouch !== null) return;
+            const touch = event.changedTouches[0];
+            lookTouch = touch.identifier;
+            lastX = touch.clientX;
+            lastY = touch.clientY;
+        }, { passive: true });
+        this.domElement.addEventListener('touchmove', (event) => {
+            const touch = findTouch(event.changedTouches, lookTouch);
+            if (!touch) return;
+            const scale = CONFIG.INPUT.TOUCH_LOOK_SCALE;
+            this.addLook((touch.clientX - lastX) * scale, (touch.clientY - lastY) * scale);
+            lastX = touch.clientX;
+            lastY = touch.clientY;
+        }, { passive: true });
+        const endLook = (event) => {
+            if (findTouch(event.changedTouches, lookTouch)) lookTouch = null;
+        };
+        this.domElement.addEventListener('touchend', endLook);
+        this.domElement.addEventListener('touchcancel', endLook);
+
+        document.body.appendChild(container);
+        this.touchControls = container;
+    }
+}
+
+function cloneBindings(bindings) {
+    const copy = {};
+    Object.keys(bindings).forEach(action => { copy[action] = [...bindings[action]]; });
+    return copy;
+}
+
+function findTouch(touches, identifier) {
+    if (identifier === null) return null;
+    return Array.from(touches).find(touch => touch.identifier === identifier) || null;
+}
+
+// Typing into a form field should never drive the character
+function isTextField(element) {
+    if (!element || !element.tagName) return false;
+    const tag = element.tagName.toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || element.isContentEditable;
+}
@@ -1,14 +1,74 @@
 import { initGame } from './game.js';
 
-// Performance optimizations
+// Offline support and updates (see sw.js)
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js').catch(() => {
-            // Silent fail - SW not critical for this demo
+        // Relative URL so the worker's scope is the site folder (also on GitHub Pages)
+        navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' })
+            .then(watchForUpdates)
+            .catch(() => {
+                // Silent fail - SW not critical for this demo
+            });
+    });
+}
+
+// Offer a reload when a new version has been installed behind the running one
+function watchForUpdates(registration) {
+    // The very first install has no controller yet; that is not an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
         });
     });
 }
 
+function showUpdatePrompt(worker) {
+    if (document.getElementById('update-prompt')) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'update-prompt';
+    prompt.style.position = 'fixed';
+    prompt.style.left = '50%';
+    prompt.style.bottom = '20px';
+    prompt.style.transform = 'translateX(-50%)';
+    prompt.style.padding = '10px 16px';
+    prompt.style.color = 'white';
+    prompt.style.fontFamily = 'Arial, sans-serif';
+    prompt.style.fontSize = '14px';
+    prompt.style.background = 'rgba(0, 0, 0, 0.8)';
+    prompt.style.borderRadius = '6px';
+    prompt.style.zIndex = '10000';
+    prompt.textContent = 'A new version is available. ';
+
+    const reload = document.createElement('button');
+    reload.textContent = 'Reload';
+    reload.style.marginLeft = '8px';
+    reload.style.cursor = 'pointer';
+    reload.addEventListener('click', () => {
+        reload.disabled = true;
+        // Reload once the new worker has taken over, so the page loads the new files
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    prompt.appendChild(reload);
+
+    const later = document.createElement('button');
+    later.textContent = 'Later';
+    later.style.marginLeft = '6px';
+    later.style.cursor = 'pointer';
+    later.addEventListener('click', () => prompt.remove());
+    prompt.appendChild(later);
+
+    document.body.appendChild(prompt);
+}
+
 // Initialize the game when the page loads
 document.addEventListener('DOMContentLoaded', async () => {
     const overlay = document.getElementById('loading-overlay');
@@ -29,7 +89,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     rafId = requestAnimationFrame(tick);
 
     // Init game
-    await initGame();
+    const game = await initGame();
+
+    // City tour fly-through; index.html#tour plays it straight away
+    const tourButton = document.getElementById('play-tour');
+    if (tourButton) {
+        tourButton.addEventListener('click', () => {
+            tourButton.blur(); // Keep Space/Enter from re-triggering the button
+            game.playCinematic();
+        });
+    }
+    if (location.hash === '#tour') {
+        game.playCinematic();
+    }
 
     // Ensure bar reaches 100% before fading (force reflow + slight delay)
     if (rafId) cancelAnimationFrame(rafId);
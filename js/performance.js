@@ -18,8 +18,14 @@ export class Performance {
         this.fpsElement.style.fontSize = '20px';
         this.fpsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
         this.fpsElement.style.padding = '5px';
+        this.fpsElement.style.whiteSpace = 'pre';
         document.body.appendChild(this.fpsElement);
 
+        // Static meshes drawn through instancing and merging (see setStaticDrawStats)
+        this.staticDrawStats = null;
+        // Graphics tier shown under the FPS (see setQualityLabel)
+        this.qualityLabel = '';
+
         // Performance tracking for more detailed monitoring
         this.fpsHistory = [];
         this.maxHistorySize = 60; // Keep 1 minute of history at 60fps
@@ -28,6 +34,10 @@ export class Performance {
         this.alertCooldown = 5000; // 5 seconds between alerts
     }
 
+    /**
+     * Count a frame
+     * @returns {boolean} Whether a new FPS sample was added to fpsHistory
+     */
     update() {
         const now = performance.now();
         this.frameCount++;
@@ -36,7 +46,7 @@ export class Performance {
             this.fps = this.frameCount;
             this.frameCount = 0;
             this.lastTime = now;
-            this.fpsElement.textContent = `FPS: ${this.fps}`;
+            this.render();
 
             // Track FPS history for trend analysis
             this.fpsHistory.push(this.fps);
@@ -48,7 +58,40 @@ export class Performance {
             if (this.logEnabled && this.fps < this.fpsThreshold) {
                 this.handlePerformanceAlert(this.fps);
             }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Show how many draw calls static batching saves
+     * @param {{meshes: number, drawCalls: number}} stats - Source meshes and the draw calls that replace them
+     */
+    setStaticDrawStats(stats) {
+        this.staticDrawStats = stats;
+        this.render();
+    }
+
+    /**
+     * Show the active graphics tier
+     * @param {string} label - e.g. "High (auto)"
+     */
+    setQualityLabel(label) {
+        this.qualityLabel = label;
+        this.render();
+    }
+
+    render() {
+        let text = `FPS: ${this.fps}`;
+        if (this.qualityLabel) {
+            text += `\nQuality: ${this.qualityLabel}`;
+        }
+        const stats = this.staticDrawStats;
+        if (stats && stats.meshes > 0) {
+            const saved = (1 - stats.drawCalls / stats.meshes) * 100;
+            text += `\nStatic draws: ${stats.meshes} → ${stats.drawCalls} (-${saved.toFixed(0)}%)`;
         }
+        this.fpsElement.textContent = text;
     }
 
     handlePerformanceAlert(currentFps) {
@@ -75,7 +118,8 @@ export class Performance {
         // Suggest optimizations for severe drops
         if (currentFps < 30) {
             logger.warn('Severe performance drop detected', 'PERFORMANCE', {
-                suggestion: 'Consider reducing object count or enabling LOD'
+                quality: this.qualityLabel || 'unknown',
+                suggestion: 'Auto quality steps down on its own; a pinned tier can be lowered from the graphics menu (G)'
             });
         }
     }
@@ -93,7 +137,9 @@ export class Performance {
             averageFps: this.getRecentAverageFps(),
             historySize: this.fpsHistory.length,
             alerts: this.performanceAlerts,
-            threshold: this.fpsThreshold
+            threshold: this.fpsThreshold,
+            quality: this.qualityLabel,
+            staticDraws: this.staticDrawStats
         };
     }
 }
@@ -1,4 +1,5 @@
 import { CONFIG } from './config.js';
+import { buildColliderShapes, createColliderDebugMesh } from './collider-builder.js';
 
 // Physics world setup
 export function createPhysicsWorld() {
@@ -31,14 +32,19 @@ export function createPhysicsWorld() {
     return world;
 }
 
-// Create ground physics body
-export function createGroundBody(world) {
+/**
+ * Create the ground physics body
+ * With a heightmap this is a CANNON.Heightfield with the same vertices and cell
+ * diagonals as the terrain mesh; without one, an infinite plane at y = 0.
+ * @param {CANNON.World} world
+ * @param {Heightmap|null} heightmap - From createHeightmap() in terrain.js
+ * @returns {CANNON.Body|null}
+ */
+export function createGroundBody(world, heightmap = null) {
     if (!world) return null;
     
-    const groundShape = new CANNON.Plane();
     const groundBody = new CANNON.Body({ 
         mass: 0, // Static body
-        shape: groundShape,
         material: new CANNON.Material('groundMaterial')
     });
     
@@ -47,66 +53,231 @@ export function createGroundBody(world) {
     groundBody.sleepSpeedLimit = 0.1;
     groundBody.sleepTimeLimit = 1;
     
-    groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    if (heightmap) {
+        // data[i][j] is the height at row i (along +z) and column j (along +x)
+        const row = heightmap.segments + 1;
+        const data = [];
+        for (let i = 0; i < row; i++) {
+            data.push(Array.from(heightmap.heights.subarray(i * row, (i + 1) * row)));
+        }
+        groundBody.addShape(new CANNON.Heightfield(data, { elementSize: heightmap.cellSize }));
+        // Local x -> world z, local y -> world x, local z (height) -> world y: the
+        // heightfield's cell diagonals then run the same way as the mesh's
+        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 1, 1).unit(), -2 * Math.PI / 3);
+        groundBody.position.set(-heightmap.size / 2, 0, -heightmap.size / 2);
+    } else {
+        groundBody.addShape(new CANNON.Plane());
+        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    }
+    // The AABB was computed before the rotation; static bodies never refresh it,
+    // so raycasts (vehicle wheels, exit checks) would miss the ground at z > 0
+    groundBody.aabbNeedsUpdate = true;
     world.addBody(groundBody);
     
     return groundBody;
 }
 
-// Create character physics body
+/**
+ * Create the character's capsule
+ * Three spheres stacked between STEP_HEIGHT and the top of the head: spheres
+ * collide with every CANNON shape, trimeshes included, and the gap under the
+ * capsule lets it ride over curbs while CharacterController holds it up from
+ * its ground probe. Rotation is fixed so the capsule never tips over.
+ * @param {CANNON.World} world
+ * @param {{x: number, y: number, z: number}} position - Body origin, GROUND_LEVEL above the feet
+ * @returns {CANNON.Body|null}
+ */
 export function createCharacterBody(world, position = { x: 0, y: 5, z: 0 }) {
     if (!world) return null;
     
-    const characterShape = new CANNON.Sphere(0.4); // 50% smaller physics body
-    // Use a dynamic body so it collides with static walls
+    const radius = CONFIG.CHARACTER.RADIUS;
     const characterBody = new CANNON.Body({ mass: 1 });
-    characterBody.addShape(characterShape);
+    for (let i = 0; i < 3; i++) {
+        characterBody.addShape(new CANNON.Sphere(radius), new CANNON.Vec3());
+    }
+    setCharacterHeight(characterBody, CONFIG.CHARACTER.HEIGHT);
     characterBody.position.set(position.x, position.y, position.z);
     characterBody.type = CANNON.Body.DYNAMIC;
-    characterBody.linearDamping = 0.4; // Less damping for snappier movement
-    characterBody.angularDamping = 0.9;
+    characterBody.fixedRotation = true;
+    characterBody.updateMassProperties();
+    characterBody.linearDamping = 0; // The controller owns horizontal speed
+    characterBody.allowSleep = false;
     
     world.addBody(characterBody);
     return characterBody;
 }
 
-// Create physics body for object
-export function createObjectBody(world, object) {
+/**
+ * Stretch the character capsule to a standing or crouching height
+ * @param {CANNON.Body} body - From createCharacterBody()
+ * @param {number} height - Feet to the top of the head
+ */
+export function setCharacterHeight(body, height) {
+    const { RADIUS, STEP_HEIGHT, GROUND_LEVEL } = CONFIG.CHARACTER;
+    // Sphere centres relative to the body origin, spread evenly from the lowest to the highest
+    const bottom = STEP_HEIGHT + RADIUS - GROUND_LEVEL;
+    const top = Math.max(bottom, height - RADIUS - GROUND_LEVEL);
+    const last = body.shapeOffsets.length - 1;
+    body.shapeOffsets.forEach((offset, i) => {
+        offset.set(0, bottom + (top - bottom) * (i / last), 0);
+    });
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+}
+
+/**
+ * Create a physics body fitted to an object's meshes
+ * The body sits at the object's world position and rotation; its shapes come
+ * from buildColliderShapes() (collider-builder.js), so compound models, glTF
+ * collider hints and proxy nodes are honoured.
+ * @param {CANNON.World} world
+ * @param {THREE.Object3D} object
+ * @param {Object} options
+ * @param {number} options.mass - 0 for a static body
+ * @param {string} options.shape - One of COLLIDER_SHAPES ('auto', 'box', 'boxes', 'hull', 'hulls', 'trimesh', 'sphere', 'cylinder')
+ * @param {boolean} options.kinematic - Moved by code rather than by the solver (traffic)
+ * @param {boolean} options.debug - Attach a wireframe of the shapes to the object
+ * @returns {CANNON.Body|null} Null when the object has nothing to collide with
+ */
+export function createObjectBody(world, object, options = {}) {
     if (!world || !object) return null;
-    
-    let shape;
-    const box = new THREE.Box3().setFromObject(object);
-    const size = box.getSize(new THREE.Vector3());
-    
-    // For buildings (groups), use the bounding box
-    if (object.isGroup || object.children.length > 0) {
-        shape = new CANNON.Box(new CANNON.Vec3(size.x/2, size.y/2, size.z/2));
-    } else if (object.geometry instanceof THREE.BoxGeometry) {
-        shape = new CANNON.Box(new CANNON.Vec3(size.x/2, size.y/2, size.z/2));
-    } else if (object.geometry instanceof THREE.SphereGeometry) {
-        shape = new CANNON.Sphere(size.x/2);
-    } else if (object.geometry instanceof THREE.CylinderGeometry) {
-        shape = new CANNON.Cylinder(size.x/2, size.x/2, size.y, 8);
+    const {
+        mass = 0,
+        shape = 'auto',
+        kinematic = false,
+        debug = CONFIG.PHYSICS.DEBUG_COLLIDERS
+    } = options;
+
+    const shapes = buildColliderShapes(object, shape, { dynamic: mass > 0 });
+    if (shapes.length === 0) return null;
+
+    const body = new CANNON.Body({ mass });
+    shapes.forEach(part => body.addShape(part.shape, part.offset, part.orientation));
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    object.matrixWorld.decompose(position, quaternion, scale);
+    body.position.set(position.x, position.y, position.z);
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+    if (mass > 0) {
+        body.type = CANNON.Body.DYNAMIC;
     } else {
-        shape = new CANNON.Box(new CANNON.Vec3(size.x/2, size.y/2, size.z/2));
+        body.type = kinematic ? CANNON.Body.KINEMATIC : CANNON.Body.STATIC;
     }
-    
-    const body = new CANNON.Body({ mass: CONFIG.PHYSICS.OBJECT_MASS });
-    body.addShape(shape);
-    body.position.set(object.position.x, object.position.y, object.position.z);
-    body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), object.rotation.y);
-    
-    // Make buildings static (don't move)
-    body.type = CANNON.Body.KINEMATIC;
-    body.mass = 0;
-    
+    // Static bodies never refresh the AABB computed before the transform was set
+    body.aabbNeedsUpdate = true;
+
+    if (debug) {
+        // The wireframe is in body units; undo the object's scale
+        const wireframe = createColliderDebugMesh(body);
+        wireframe.scale.set(1 / scale.x, 1 / scale.y, 1 / scale.z);
+        object.add(wireframe);
+    }
+
     world.addBody(body);
     return body;
 }
 
-// Step physics world
-export function stepPhysics(world, deltaTime = 1/60) {
-    if (world) {
-        world.step(deltaTime);
+/**
+ * Fixed-timestep stepping for the physics world
+ * Frames hand over however much time passed; the world advances in whole
+ * CONFIG.PHYSICS.FIXED_TIMESTEP steps (CANNON keeps the leftover time in
+ * world.time), so the simulation runs at the same speed at any frame rate.
+ * Tracked bodies remember their pose before the last step so meshes can be
+ * drawn part of the way to the next one (see getInterpolatedPose()).
+ */
+export class PhysicsStepper {
+    /**
+     * @param {CANNON.World|null} world
+     * @param {Object} options
+     * @param {number} options.step - Seconds per physics step
+     * @param {number} options.maxSubSteps - Steps per frame at most; slower frames drop the rest
+     */
+    constructor(world, { step = CONFIG.PHYSICS.FIXED_TIMESTEP, maxSubSteps = CONFIG.PHYSICS.MAX_SUB_STEPS } = {}) {
+        this.world = world;
+        this.step = step;
+        this.maxSubSteps = maxSubSteps;
+        this.alpha = 1;      // Fraction of a step the world time is past the last step
+        this.tracked = new Set();
+        this._steps = 0;     // Internal steps taken during the current advance()
+
+        if (world) {
+            // Fired for every internal step, including catch-up steps within one frame
+            world.addEventListener('preStep', () => {
+                this._steps++;
+                this.tracked.forEach(savePose);
+            });
+        }
+    }
+
+    /**
+     * Keep the pose before each step for a body that is drawn interpolated
+     * @param {CANNON.Body} body
+     */
+    track(body) {
+        if (!body) return;
+        if (!body.previousQuaternion) body.previousQuaternion = new CANNON.Quaternion();
+        savePose(body);
+        this.tracked.add(body);
+    }
+
+    untrack(body) {
+        this.tracked.delete(body);
+    }
+
+    /**
+     * Run the physics steps that fall within a frame
+     * @param {number} deltaTime - Seconds of game time (already scaled; 0 while paused)
+     * @returns {number} Steps taken
+     */
+    advance(deltaTime) {
+        // world.step() with no elapsed time would take a whole step, so a paused game skips it
+        if (!this.world || deltaTime <= 0) return 0;
+        this._steps = 0;
+        // Given the time since the last call, CANNON accumulates it and steps at the fixed rate
+        this.world.step(this.step, deltaTime, this.maxSubSteps);
+        this.alpha = (this.world.time % this.step) / this.step;
+        return this._steps;
+    }
+}
+
+/**
+ * Pose to draw a tracked body at: between its pose before the last step and its current one
+ * @param {CANNON.Body} body - A body passed to PhysicsStepper.track()
+ * @param {number} alpha - PhysicsStepper.alpha
+ * @param {THREE.Vector3} position - Receives the position
+ * @param {THREE.Quaternion} quaternion - Receives the rotation (optional)
+ */
+export function getInterpolatedPose(body, alpha, position, quaternion = null) {
+    const previous = body.previousPosition;
+    const current = body.position;
+    position.set(
+        previous.x + (current.x - previous.x) * alpha,
+        previous.y + (current.y - previous.y) * alpha,
+        previous.z + (current.z - previous.z) * alpha
+    );
+    if (quaternion) {
+        const from = body.previousQuaternion || body.quaternion;
+        const to = body.quaternion;
+        quaternion.set(from.x, from.y, from.z, from.w)
+            .slerp(interpolationTarget.set(to.x, to.y, to.z, to.w), alpha);
     }
 }
+
+/**
+ * Stop interpolating a body that was just moved by hand (teleports, restored state)
+ * @param {CANNON.Body} body
+ */
+export function resetInterpolation(body) {
+    if (body && body.previousQuaternion) savePose(body);
+}
+
+const interpolationTarget = new THREE.Quaternion();
+
+// CANNON 0.6.2 declares previousPosition but never fills it in
+function savePose(body) {
+    body.previousPosition.copy(body.position);
+    if (body.previousQuaternion) body.previousQuaternion.copy(body.quaternion);
+}
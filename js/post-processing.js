@@ -0,0 +1,234 @@
+// Post-processing - optional effect composer in front of the renderer
+//
+// Builds a THREE.EffectComposer chain from a quality tier's postProcessing
+// flags (see quality-manager.js):
+//   scene render (SSAOPass when ssao is on, RenderPass otherwise)
+//   -> UnrealBloomPass   glow from lit windows, lamps and the sky
+//   -> gamma correction  the chain works in linear space, the screen wants sRGB
+//   -> LUTPass           colour grade baked from CONFIG.POST_PROCESSING.GRADE
+//   -> vignette
+//   -> FXAA or SMAA      last, so edges are smoothed in display space
+// With every flag off (or the example scripts missing) `enabled` is false and
+// Game.render() draws straight to the screen as before.
+
+import { CONFIG } from './config.js';
+
+export class PostProcessing {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera
+     */
+    constructor(renderer, scene, camera) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+
+        // The composer and passes come from three/examples/js, loaded in index.html
+        this.available = typeof THREE.EffectComposer !== 'undefined' &&
+                         typeof THREE.RenderPass !== 'undefined' &&
+                         typeof THREE.ShaderPass !== 'undefined';
+        this.settings = null;  // postProcessing flags of the current tier
+        this.composer = null;
+        this.enabled = false;  // True while the composer has work to do
+        this.passes = {};      // Effect name -> pass, for resize and day/night updates
+        this.lut = null;       // Grading LUT, built on first use and kept across rebuilds
+        this.daylight = 1;
+    }
+
+    /**
+     * Rebuild the effect chain for a quality tier
+     * @param {Object|null} settings - {antialias: 'none'|'fxaa'|'smaa', ssao, bloom, lut, vignette}
+     */
+    configure(settings) {
+        this.disposeComposer();
+        this.settings = settings;
+        const wanted = settings && (settings.antialias !== 'none' || settings.ssao || settings.bloom ||
+                                    settings.lut || settings.vignette);
+        if (!wanted) return;
+        if (!this.available) {
+            console.warn('⚠️ Post-processing scripts not loaded; rendering without effects');
+            return;
+        }
+
+        const options = CONFIG.POST_PROCESSING;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const composer = new THREE.EffectComposer(this.renderer);
+        composer.setPixelRatio(this.renderer.getPixelRatio());
+        composer.setSize(width, height);
+        const add = (name, pass) => {
+            composer.addPass(pass);
+            this.passes[name] = pass;
+        };
+
+        if (settings.ssao && typeof THREE.SSAOPass !== 'undefined') {
+            const ssao = new THREE.SSAOPass(this.scene, this.camera, width, height);
+            ssao.kernelRadius = options.SSAO_KERNEL_RADIUS;
+            ssao.minDistance = options.SSAO_MIN_DISTANCE;
+            ssao.maxDistance = options.SSAO_MAX_DISTANCE;
+            add('ssao', ssao);
+        } else {
+            add('render', new THREE.RenderPass(this.scene, this.camera));
+        }
+
+        if (settings.bloom && typeof THREE.UnrealBloomPass !== 'undefined') {
+            add('bloom', new THREE.UnrealBloomPass(new THREE.Vector2(width, height),
+                this.getBloomStrength(), options.BLOOM_RADIUS, options.BLOOM_THRESHOLD));
+        }
+
+        // Everything before this works on linear colour; grading and AA expect display colour
+        add('gamma', new THREE.ShaderPass(THREE.GammaCorrectionShader));
+
+        if (settings.lut && typeof THREE.LUTPass !== 'undefined') {
+            if (!this.lut) this.lut = createGradingLUT(options.LUT_SIZE, options.GRADE);
+            add('lut', new THREE.LUTPass({ lut: this.lut, intensity: options.LUT_INTENSITY }));
+        }
+
+        if (settings.vignette && typeof THREE.VignetteShader !== 'undefined') {
+            const vignette = new THREE.ShaderPass(THREE.VignetteShader);
+            vignette.uniforms.offset.value = options.VIGNETTE_OFFSET;
+            vignette.uniforms.darkness.value = options.VIGNETTE_DARKNESS;
+            add('vignette', vignette);
+        }
+
+        if (settings.antialias === 'smaa' && typeof THREE.SMAAPass !== 'undefined') {
+            const pixelRatio = this.renderer.getPixelRatio();
+            add('smaa', new THREE.SMAAPass(width * pixelRatio, height * pixelRatio));
+        } else if (settings.antialias !== 'none' && typeof THREE.FXAAShader !== 'undefined') {
+            add('fxaa', new THREE.ShaderPass(THREE.FXAAShader));
+        }
+
+        this.composer = composer;
+        this.enabled = true;
+        this.updateResolution();
+        console.log(`🎞️ Post-processing: ${Object.keys(this.passes).join(' → ')}`);
+    }
+
+    /**
+     * Draw a frame through the composer
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    render(deltaTime) {
+        this.composer.render(deltaTime);
+    }
+
+    /**
+     * Match the window size and the renderer's current pixel ratio
+     * @param {number} width - CSS pixels
+     * @param {number} height - CSS pixels
+     */
+    setSize(width, height) {
+        if (!this.composer) return;
+        this.composer.setPixelRatio(this.renderer.getPixelRatio());
+        this.composer.setSize(width, height);
+        this.updateResolution();
+    }
+
+    /**
+     * Follow the day/night cycle: lit windows and lamps bloom more after dark
+     * @param {number} daylight - DayNightCycle.daylight, 1 at full day and 0 at night
+     */
+    setDaylight(daylight) {
+        this.daylight = daylight;
+        if (this.passes.bloom) this.passes.bloom.strength = this.getBloomStrength();
+    }
+
+    getBloomStrength() {
+        const options = CONFIG.POST_PROCESSING;
+        return THREE.MathUtils.lerp(options.BLOOM_NIGHT_STRENGTH, options.BLOOM_DAY_STRENGTH, this.daylight);
+    }
+
+    // FXAA samples neighbouring pixels, so it needs the drawing buffer size
+    updateResolution() {
+        const fxaa = this.passes.fxaa;
+        if (!fxaa) return;
+        const pixelRatio = this.renderer.getPixelRatio();
+        fxaa.material.uniforms.resolution.value.set(
+            1 / (window.innerWidth * pixelRatio),
+            1 / (window.innerHeight * pixelRatio)
+        );
+    }
+
+    // Free the composer's render targets and every pass's GPU resources
+    disposeComposer() {
+        if (this.composer) {
+            Object.values(this.passes).forEach(disposePass);
+            this.composer.renderTarget1.dispose();
+            this.composer.renderTarget2.dispose();
+        }
+        this.composer = null;
+        this.passes = {};
+        this.enabled = false;
+    }
+
+    dispose() {
+        this.disposeComposer();
+        if (this.lut) {
+            this.lut.dispose();
+            this.lut = null;
+        }
+    }
+}
+
+// Not every example pass has dispose(); free whatever targets, materials and textures it holds
+function disposePass(pass) {
+    if (pass.dispose) {
+        pass.dispose();
+        return;
+    }
+    Object.values(pass).forEach((value) => {
+        if (value && (value.isWebGLRenderTarget || value.isMaterial || value.isTexture)) {
+            value.dispose();
+        }
+    });
+    if (pass.fsQuad) pass.fsQuad.dispose();
+}
+
+/**
+ * Bake a colour grade into a 2D LUT strip for THREE.LUTPass (size x size² texels, blue slices stacked)
+ * @param {number} size - Entries per channel
+ * @param {Object} grade - {LIFT, CONTRAST, SATURATION, WARMTH}, applied in display space
+ * @returns {THREE.DataTexture}
+ */
+export function createGradingLUT(size, grade) {
+    const data = new Uint8Array(size * size * size * 4);
+    const color = [0, 0, 0];
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                color[0] = r / (size - 1);
+                color[1] = g / (size - 1);
+                color[2] = b / (size - 1);
+                gradeColor(color, grade);
+                const i = ((b * size + g) * size + r) * 4;
+                data[i] = Math.round(color[0] * 255);
+                data[i + 1] = Math.round(color[1] * 255);
+                data[i + 2] = Math.round(color[2] * 255);
+                data[i + 3] = 255;
+            }
+        }
+    }
+    const texture = new THREE.DataTexture(data, size, size * size, THREE.RGBAFormat);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Lift the blacks, add contrast around mid grey, saturate and warm (in place, 0..1 channels)
+function gradeColor(color, grade) {
+    for (let i = 0; i < 3; i++) {
+        const lifted = color[i] * (1 - grade.LIFT) + grade.LIFT;
+        color[i] = (lifted - 0.5) * grade.CONTRAST + 0.5;
+    }
+    const luma = 0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2];
+    for (let i = 0; i < 3; i++) {
+        color[i] = luma + (color[i] - luma) * grade.SATURATION;
+    }
+    color[0] *= 1 + grade.WARMTH;
+    color[2] *= 1 - grade.WARMTH;
+    for (let i = 0; i < 3; i++) {
+        color[i] = Math.min(1, Math.max(0, color[i]));
+    }
+}
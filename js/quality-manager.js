@@ -0,0 +1,274 @@
+// Adaptive quality - picks a graphics tier and keeps the frame rate on target
+//
+// Each tier sets the pixel ratio, shadow map size, extra fill lights, LOD
+// distances, vegetation density and post-processing. On startup the game runs
+// at CONFIG.QUALITY.BENCHMARK_TIER for a couple of seconds and the measured
+// frame times are scaled by each tier's relative cost to pick the best tier
+// that fits the frame budget. From then on the tier steps down when the FPS
+// history stays below target (or frames stutter) and steps up after a long run
+// of comfortable frames, with a cooldown after every change and a growing
+// backoff before retrying a tier that could not be held.
+//
+// A tier pinned from the graphics menu is saved to localStorage and turns the
+// adaptation off. The game applies tiers through the onChange callback.
+
+import { CONFIG } from './config.js';
+
+// Tier settings, cheapest first; cost is the frame time relative to 'high'
+export const QUALITY_TIERS = {
+    low: {
+        label: 'Low',
+        cost: 0.45,
+        pixelRatio: 0.75,
+        shadowMapSize: 512,
+        extraLights: false,
+        lodScale: 0.6,
+        vegetationDensity: 0.4,
+        postProcessing: { antialias: 'none', ssao: false, bloom: false, lut: false, vignette: false }
+    },
+    medium: {
+        label: 'Medium',
+        cost: 0.7,
+        pixelRatio: 1,
+        shadowMapSize: 1024,
+        extraLights: false,
+        lodScale: 0.8,
+        vegetationDensity: 0.7,
+        postProcessing: { antialias: 'fxaa', ssao: false, bloom: false, lut: true, vignette: true }
+    },
+    high: {
+        label: 'High',
+        cost: 1,
+        pixelRatio: 1.5,
+        shadowMapSize: 2048,
+        extraLights: true,
+        lodScale: 1,
+        vegetationDensity: 1,
+        postProcessing: { antialias: 'fxaa', ssao: false, bloom: true, lut: true, vignette: true }
+    },
+    ultra: {
+        label: 'Ultra',
+        cost: 1.6,
+        pixelRatio: 2,
+        shadowMapSize: 4096,
+        extraLights: true,
+        lodScale: 1.5,
+        vegetationDensity: 1,
+        postProcessing: { antialias: 'smaa', ssao: true, bloom: true, lut: true, vignette: true }
+    }
+};
+
+export const TIER_NAMES = Object.keys(QUALITY_TIERS);
+
+// Frame times kept for percentiles (about 5 seconds at 60 FPS)
+const MAX_FRAME_SAMPLES = 300;
+
+export class QualityManager {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onChange - Called with (tierName, tierSettings) whenever the tier changes
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange || null;
+        this.targetFps = CONFIG.RENDERER.TARGET_FPS || 60;
+        this.budget = 1000 / this.targetFps; // Milliseconds per frame
+
+        this.tier = null;
+        this.pinned = this.loadPinnedTier(); // Tier name, or null for auto
+        this.mode = 'idle';                  // 'benchmark' | 'adaptive' | 'pinned'
+        this.frameTimes = [];
+        this.samplesSinceChange = 0;         // FPS samples (seconds) at the current tier
+        this.lastUpgrade = null;             // Tier reached by the latest step up, for backoff
+        this.blockedUntil = {};              // Tier -> time before which it is not retried
+        this.backoff = {};                   // Tier -> current backoff in seconds
+    }
+
+    /**
+     * Apply the starting tier: the pinned one, or the benchmark tier while measuring
+     */
+    init() {
+        if (this.pinned) {
+            this.mode = 'pinned';
+            this.setTier(this.pinned, 'pinned');
+        } else {
+            this.mode = 'benchmark';
+            this.setTier(CONFIG.QUALITY.BENCHMARK_TIER, 'benchmark');
+        }
+    }
+
+    /**
+     * Record one frame's duration
+     * @param {number} milliseconds - Time since the previous frame
+     */
+    recordFrame(milliseconds) {
+        this.frameTimes.push(milliseconds);
+        if (this.frameTimes.length > MAX_FRAME_SAMPLES) {
+            this.frameTimes.shift();
+        }
+    }
+
+    /**
+     * Re-evaluate the tier; call once per new FPS sample
+     * @param {number[]} fpsHistory - Performance.fpsHistory, one sample per second
+     */
+    evaluate(fpsHistory) {
+        const settings = CONFIG.QUALITY;
+        this.samplesSinceChange++;
+
+        if (this.mode === 'benchmark') {
+            // The first sample includes frames from before the tier settled
+            if (this.samplesSinceChange === 1) {
+                this.frameTimes = [];
+                return;
+            }
+            if (this.samplesSinceChange > settings.BENCHMARK_SECONDS) this.finishBenchmark();
+            return;
+        }
+        if (this.mode !== 'adaptive' || this.samplesSinceChange <= settings.COOLDOWN_SECONDS) return;
+
+        const index = TIER_NAMES.indexOf(this.tier);
+        const frameTime = this.getFrameTimePercentile(settings.FRAME_PERCENTILE);
+        const recent = (seconds) => seconds <= this.samplesSinceChange ? fpsHistory.slice(-seconds) : [];
+
+        const slow = recent(settings.DOWNGRADE_SECONDS);
+        const tooSlow = slow.length > 0 && slow.every(fps => fps < this.targetFps * settings.DOWNGRADE_RATIO);
+        const stutter = frameTime > this.budget * settings.STUTTER_RATIO;
+        if ((tooSlow || stutter) && index > 0) {
+            this.blockFailedUpgrade();
+            const reason = tooSlow ? `${slow[slow.length - 1]} FPS` : `${frameTime.toFixed(1)}ms frames`;
+            this.setTier(TIER_NAMES[index - 1], reason);
+            return;
+        }
+
+        const fast = recent(settings.UPGRADE_SECONDS);
+        const comfortable = fast.length > 0 && fast.every(fps => fps >= this.targetFps * settings.UPGRADE_RATIO) &&
+                            frameTime <= this.budget * settings.HEADROOM_RATIO;
+        const next = TIER_NAMES[index + 1];
+        if (comfortable && next && performance.now() >= (this.blockedUntil[next] || 0)) {
+            this.lastUpgrade = next;
+            this.setTier(next, 'headroom');
+        }
+    }
+
+    // Pick the best tier whose frame time, extrapolated from the measured tier, fits the budget
+    finishBenchmark() {
+        const settings = CONFIG.QUALITY;
+        const measured = this.getFrameTimePercentile(0.9);
+        const baseCost = QUALITY_TIERS[this.tier].cost;
+        let choice = TIER_NAMES[0];
+        TIER_NAMES.forEach((name) => {
+            const predicted = measured * QUALITY_TIERS[name].cost / baseCost;
+            if (predicted <= this.budget * settings.HEADROOM_RATIO) choice = name;
+        });
+        console.log(`⏱️ Quality benchmark: ${measured.toFixed(1)}ms frames (90th percentile) at ${this.tier}`);
+        this.mode = 'adaptive';
+        if (choice === this.tier) {
+            this.resetMeasurements();
+        } else {
+            this.setTier(choice, 'benchmark result');
+        }
+    }
+
+    // Stepping down from a tier we stepped up to: it can't be held, so wait longer before retrying it
+    blockFailedUpgrade() {
+        const tier = this.lastUpgrade;
+        this.lastUpgrade = null;
+        if (tier !== this.tier) return;
+        const seconds = this.backoff[tier] || CONFIG.QUALITY.UPGRADE_BACKOFF;
+        this.blockedUntil[tier] = performance.now() + seconds * 1000;
+        this.backoff[tier] = seconds * 2;
+    }
+
+    /**
+     * Switch tier and let the game apply it
+     * @param {string} name - Key of QUALITY_TIERS
+     * @param {string} reason - Shown in the log
+     */
+    setTier(name, reason = '') {
+        if (!QUALITY_TIERS[name]) {
+            console.warn(`⚠️ Unknown quality tier "${name}"`);
+            return;
+        }
+        const previous = this.tier;
+        this.tier = name;
+        this.resetMeasurements();
+        if (previous === name) return;
+        console.log(`🎚️ Quality: ${previous || 'none'} → ${name}${reason ? ` (${reason})` : ''}`);
+        if (this.onChange) this.onChange(name, QUALITY_TIERS[name]);
+    }
+
+    resetMeasurements() {
+        this.frameTimes = [];
+        this.samplesSinceChange = 0;
+    }
+
+    /**
+     * Pin a tier from the settings menu, or go back to automatic
+     * @param {string|null} name - Tier name, or null for auto
+     */
+    pin(name) {
+        this.pinned = QUALITY_TIERS[name] ? name : null;
+        this.savePinnedTier();
+        if (this.pinned) {
+            this.mode = 'pinned';
+            this.setTier(this.pinned, 'pinned');
+        } else {
+            // Measure again rather than trusting a tier chosen by hand
+            this.mode = 'benchmark';
+            this.blockedUntil = {};
+            this.backoff = {};
+            this.resetMeasurements();
+        }
+    }
+
+    /**
+     * Frame time below which a share of recent frames fall
+     * @param {number} percentile - 0..1
+     * @returns {number} Milliseconds (0 before any frame was recorded)
+     */
+    getFrameTimePercentile(percentile) {
+        if (this.frameTimes.length === 0) return 0;
+        const sorted = [...this.frameTimes].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(percentile * sorted.length))];
+    }
+
+    /**
+     * Current tier and mode, for the settings menu and the FPS overlay
+     * @returns {{tier: string, label: string, mode: string, pinned: string|null}}
+     */
+    getStatus() {
+        return {
+            tier: this.tier,
+            label: this.tier ? QUALITY_TIERS[this.tier].label : '',
+            mode: this.mode,
+            pinned: this.pinned
+        };
+    }
+
+    /**
+     * Settings of the current tier
+     * @returns {Object|null} Entry of QUALITY_TIERS
+     */
+    getSettings() {
+        return this.tier ? QUALITY_TIERS[this.tier] : null;
+    }
+
+    loadPinnedTier() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(CONFIG.QUALITY.STORAGE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Could not read the saved quality tier:', error);
+        }
+        const name = stored || CONFIG.QUALITY.TIER;
+        return QUALITY_TIERS[name] ? name : null;
+    }
+
+    savePinnedTier() {
+        try {
+            localStorage.setItem(CONFIG.QUALITY.STORAGE_KEY, this.pinned || 'auto');
+        } catch (error) {
+            console.warn('⚠️ Could not save the quality tier:', error);
+        }
+    }
+}
@@ -0,0 +1,38 @@
+import { QUALITY_TIERS, TIER_NAMES } from './quality-manager.js';
+import { OverlayPanel, createButton } from './ui-panel.js';
+
+// Graphics menu: pin a quality tier or leave it on Auto (saved by QualityManager)
+export class QualityPanel extends OverlayPanel {
+    constructor(quality) {
+        super('Graphics quality');
+        this.quality = quality;
+    }
+
+    renderContent() {
+        const status = this.quality.getStatus();
+
+        const current = document.createElement('div');
+        const how = status.mode === 'benchmark' ? 'measuring…' : (status.pinned ? 'pinned' : 'auto');
+        current.textContent = `Current: ${status.label} (${how})`;
+        current.style.marginBottom = '8px';
+        this.element.appendChild(current);
+
+        const choices = document.createElement('div');
+        [null, ...TIER_NAMES].forEach((name) => {
+            const button = createButton(name ? QUALITY_TIERS[name].label : 'Auto');
+            button.style.marginRight = '6px';
+            if (status.pinned === name) {
+                button.style.background = 'rgba(255, 255, 255, 0.45)';
+            }
+            button.addEventListener('click', () => {
+                this.quality.pin(name);
+                this.render();
+            });
+            choices.appendChild(button);
+        });
+        this.element.appendChild(choices);
+
+        this.addHint('Auto picks a tier from a short benchmark and adjusts it when the frame rate changes.');
+        this.element.appendChild(this.createCloseButton());
+    }
+}
@@ -0,0 +1,415 @@
+// Road graph - queryable model of the road network
+//
+// Nodes are intersections, roundabouts, junctions and dead ends; edges are
+// straight road segments between them with a lane count, direction and speed
+// limit. Built alongside the meshes by roads-clean.js (from the layout) and
+// roads.js (from the tile pieces), and used by traffic, NPCs and the minimap.
+
+import { CONFIG } from './config.js';
+
+const TILE_SIZE = 4;        // Road piece size shared by roads-clean.js and roads.js
+const ROAD_WIDTH = 4;       // Paved width of every segment
+
+const key = (x, z) => `${x},${z}`;
+
+export class RoadGraph {
+    constructor() {
+        this.nodes = new Map(); // id -> {id, x, y, z, type, edges: [edgeId]}
+        this.edges = new Map(); // id -> {id, from, to, name, kind, lanes, oneWay, speedLimit, length}
+        this._nodeByPosition = new Map();
+        this._nextNodeId = 0;
+        this._nextEdgeId = 0;
+    }
+
+    /**
+     * Build a graph from a road layout (segments/intersections/flyovers as in data/world.json)
+     * Segments are split wherever another street, intersection or flyover meets them.
+     * @param {Object} layout - Road layout passed to createCleanRoadNetwork()
+     * @returns {RoadGraph}
+     */
+    static fromLayout(layout = {}) {
+        const { segments = [], intersections = [], flyovers = [] } = layout;
+        const graph = new RoadGraph();
+
+        // Flyovers are centered on their anchor and run along x, rising by sin(tilt) per unit.
+        // The half before the anchor lies over the street it joins, so only the outer half is an edge.
+        const ramps = flyovers.map(f => {
+            const rise = (f.length / 2) * Math.sin(f.tilt);
+            return {
+                ...f,
+                start: { x: f.x, z: f.z, y: 0 },
+                end: { x: f.x + f.length / 2, z: f.z, y: f.startElevation + rise }
+            };
+        });
+
+        // Collect every point along a segment where the graph needs a node
+        const onSegment = (segment, x, z) => segment.along === 'x'
+            ? z === segment.at && x >= segment.from && x <= segment.to
+            : x === segment.at && z >= segment.from && z <= segment.to;
+        const alongOf = (segment, x, z) => segment.along === 'x' ? x : z;
+
+        segments.forEach(segment => {
+            const stops = new Set([segment.from, segment.to]);
+            segments.forEach(other => {
+                if (other === segment || other.along === segment.along) return;
+                const x = segment.along === 'x' ? other.at : segment.at;
+                const z = segment.along === 'x' ? segment.at : other.at;
+                if (onSegment(segment, x, z) && onSegment(other, x, z)) stops.add(alongOf(segment, x, z));
+            });
+            intersections.forEach(({ x, z }) => {
+                if (onSegment(segment, x, z)) stops.add(alongOf(segment, x, z));
+            });
+            ramps.forEach(({ start, end }) => {
+                [start, end].forEach(p => {
+                    if (onSegment(segment, p.x, p.z)) stops.add(alongOf(segment, p.x, p.z));
+                });
+            });
+
+            const sorted = [...stops].sort((a, b) => a - b);
+            for (let i = 0; i < sorted.length - 1; i++) {
+                const [a, b] = [sorted[i], sorted[i + 1]];
+                const from = segment.along === 'x' ? graph.addNode(a, segment.at) : graph.addNode(segment.at, a);
+                const to = segment.along === 'x' ? graph.addNode(b, segment.at) : graph.addNode(segment.at, b);
+                graph.addEdge(from, to, {
+                    name: segment.name,
+                    kind: segment.kind,
+                    lanes: segment.lanes,
+                    oneWay: segment.oneWay,
+                    speedLimit: segment.speedLimit
+                });
+            }
+        });
+
+        intersections.forEach(({ x, z }) => {
+            graph.nodes.get(graph.addNode(x, z)).type = 'intersection';
+        });
+
+        ramps.forEach(ramp => {
+            const from = graph.addNode(ramp.start.x, ramp.start.z, ramp.start.y);
+            const to = graph.addNode(ramp.end.x, ramp.end.z, ramp.end.y);
+            graph.addEdge(from, to, { name: ramp.name, kind: 'flyover' });
+        });
+
+        graph._classifyNodes();
+        return graph;
+    }
+
+    /**
+     * Build a graph from road tile meshes laid on the 4 unit grid (roads.js)
+     * Tiles 4 units apart are adjacent; straight runs between junctions become edges.
+     * Pieces tagged userData.roadType = 'roundabout' or 'intersection' keep that node type.
+     * @param {Array<THREE.Object3D>} tiles - Road pieces
+     * @returns {RoadGraph}
+     */
+    static fromTiles(tiles) {
+        const graph = new RoadGraph();
+        const cells = new Map();
+        tiles.forEach(tile => {
+            const x = Math.round(tile.position.x);
+            const z = Math.round(tile.position.z);
+            const existing = cells.get(key(x, z));
+            const roadType = tile.userData && tile.userData.roadType;
+            cells.set(key(x, z), { x, z, roadType: (existing && existing.roadType) || roadType });
+        });
+
+        const neighbours = (cell) => [[TILE_SIZE, 0], [-TILE_SIZE, 0], [0, TILE_SIZE], [0, -TILE_SIZE]]
+            .map(([dx, dz]) => cells.get(key(cell.x + dx, cell.z + dz)))
+            .filter(Boolean);
+
+        // A cell is a node unless it is the middle of a straight run
+        const isNode = (cell) => {
+            if (cell.roadType) return true;
+            const n = neighbours(cell);
+            if (n.length !== 2) return true;
+            return n[0].x !== n[1].x && n[0].z !== n[1].z;
+        };
+
+        // Walk from every node along each direction to the next node
+        const walked = new Set();
+        cells.forEach(cell => {
+            if (!isNode(cell)) return;
+            const start = graph.addNode(cell.x, cell.z);
+            neighbours(cell).forEach(first => {
+                const stepX = first.x - cell.x;
+                const stepZ = first.z - cell.z;
+                let current = first;
+                while (!isNode(current)) {
+                    current = cells.get(key(current.x + stepX, current.z + stepZ));
+                }
+                const edgeKey = [key(cell.x, cell.z), key(current.x, current.z)].sort().join('|');
+                if (walked.has(edgeKey)) return;
+                walked.add(edgeKey);
+                graph.addEdge(start, graph.addNode(current.x, current.z), { kind: 'side' });
+            });
+        });
+
+        cells.forEach(cell => {
+            if (cell.roadType && graph._nodeByPosition.has(key(cell.x, cell.z))) {
+                graph.nodes.get(graph._nodeByPosition.get(key(cell.x, cell.z))).type = cell.roadType;
+            }
+        });
+
+        graph._classifyNodes();
+        return graph;
+    }
+
+    /**
+     * Get or create the node at a position
+     * @returns {number} Node id
+     */
+    addNode(x, z, y = 0) {
+        const k = key(x, z);
+        if (this._nodeByPosition.has(k)) return this._nodeByPosition.get(k);
+        const id = this._nextNodeId++;
+        this.nodes.set(id, { id, x, y, z, type: null, edges: [] });
+        this._nodeByPosition.set(k, id);
+        return id;
+    }
+
+    /**
+     * Connect two nodes with a straight segment
+     * @param {number} from - Start node id (the forward direction of one-way edges)
+     * @param {number} to - End node id
+     * @param {Object} options - {name, kind, lanes, oneWay, speedLimit}
+     * @returns {number} Edge id
+     */
+    addEdge(from, to, options = {}) {
+        const a = this.nodes.get(from);
+        const b = this.nodes.get(to);
+        const kind = options.kind || 'arterial';
+        const id = this._nextEdgeId++;
+        const edge = {
+            id,
+            from,
+            to,
+            name: options.name || `Road ${id}`,
+            kind,
+            lanes: options.lanes || CONFIG.ROADS.LANES,
+            oneWay: options.oneWay === true,
+            speedLimit: options.speedLimit || CONFIG.ROADS.SPEED_LIMITS[kind] || CONFIG.ROADS.SPEED_LIMITS.side,
+            length: Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z)
+        };
+        this.edges.set(id, edge);
+        a.edges.push(id);
+        b.edges.push(id);
+        return id;
+    }
+
+    /**
+     * Lanes of an edge in travel order
+     * Two-way edges split their lanes between both directions, forward lanes first.
+     * @param {number} edgeId - Edge id
+     * @returns {Array<{edgeId: number, lane: number, direction: number, offset: number}>}
+     *   direction is 1 for from->to and -1 for to->from; offset is the distance right of the centerline
+     */
+    getLanes(edgeId) {
+        const edge = this.edges.get(edgeId);
+        const forward = edge.oneWay ? edge.lanes : Math.ceil(edge.lanes / 2);
+        const lanes = [];
+        for (let lane = 0; lane < edge.lanes; lane++) {
+            const direction = lane < forward ? 1 : -1;
+            const indexInDirection = direction === 1 ? lane : lane - forward;
+            // One-way lanes spread across the whole road; two-way lanes share the right half
+            // of the road with the others going their way
+            const lanesInDirection = direction === 1 ? forward : edge.lanes - forward;
+            const offset = edge.oneWay
+                ? (indexInDirection + 0.5) * (ROAD_WIDTH / edge.lanes) - ROAD_WIDTH / 2
+                : (indexInDirection + 0.5) * (ROAD_WIDTH / 2 / lanesInDirection);
+            lanes.push({ edgeId, lane, direction, offset });
+        }
+        return lanes;
+    }
+
+    /**
+     * Centerline of a lane, in its direction of travel
+     * @param {number} edgeId - Edge id
+     * @param {number} lane - Lane index (see getLanes)
+     * @returns {Array<THREE.Vector3>} Start and end point of the lane
+     */
+    laneCenterline(edgeId, lane = 0) {
+        const edge = this.edges.get(edgeId);
+        if (!edge) return [];
+        const info = this.getLanes(edgeId)[lane];
+        if (!info) return [];
+
+        const a = this.nodes.get(info.direction === 1 ? edge.from : edge.to);
+        const b = this.nodes.get(info.direction === 1 ? edge.to : edge.from);
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const flat = Math.hypot(dx, dz) || 1;
+        // Right-hand side of the direction of travel (y up)
+        const rightX = -dz / flat;
+        const rightZ = dx / flat;
+
+        return [
+            new THREE.Vector3(a.x + rightX * info.offset, a.y, a.z + rightZ * info.offset),
+            new THREE.Vector3(b.x + rightX * info.offset, b.y, b.z + rightZ * info.offset)
+        ];
+    }
+
+    /**
+     * Find the lane closest to a point
+     * @param {{x: number, z: number}} point - World position (y is ignored)
+     * @returns {{edgeId: number, lane: number, direction: number, point: THREE.Vector3, t: number, distance: number}|null}
+     *   point is the projection onto the lane centerline and t its fraction along the lane
+     */
+    nearestLane(point) {
+        let best = null;
+        this.edges.forEach(edge => {
+            this.getLanes(edge.id).forEach(({ lane, direction }) => {
+                const [start, end] = this.laneCenterline(edge.id, lane);
+                const dx = end.x - start.x;
+                const dz = end.z - start.z;
+                const lengthSq = dx * dx + dz * dz || 1;
+                const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.z - start.z) * dz) / lengthSq));
+                const px = start.x + dx * t;
+                const pz = start.z + dz * t;
+                const distance = Math.hypot(point.x - px, point.z - pz);
+                if (!best || distance < best.distance) {
+                    best = {
+                        edgeId: edge.id,
+                        lane,
+                        direction,
+                        point: new THREE.Vector3(px, start.y + (end.y - start.y) * t, pz),
+                        t,
+                        distance
+                    };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Find the node closest to a point
+     * @param {{x: number, z: number}} point - World position
+     * @returns {number|null} Node id
+     */
+    nearestNode(point) {
+        let bestId = null;
+        let bestDistance = Infinity;
+        this.nodes.forEach(node => {
+            const distance = Math.hypot(node.x - point.x, node.z - point.z);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestId = node.id;
+            }
+        });
+        return bestId;
+    }
+
+    /**
+     * Fastest route between two nodes (A*, cost = travel time at the speed limit)
+     * @param {number|{x: number, z: number}} from - Node id or world position (snapped to the nearest node)
+     * @param {number|{x: number, z: number}} to - Node id or world position
+     * @returns {{nodes: Array<number>, edges: Array<number>, points: Array<THREE.Vector3>, length: number, time: number}|null}
+     *   null when no route exists
+     */
+    findPath(from, to) {
+        const start = typeof from === 'number' ? from : this.nearestNode(from);
+        const goal = typeof to === 'number' ? to : this.nearestNode(to);
+        if (!this.nodes.has(start) || !this.nodes.has(goal)) return null;
+
+        const goalNode = this.nodes.get(goal);
+        let maxSpeed = 0;
+        this.edges.forEach(edge => { maxSpeed = Math.max(maxSpeed, edge.speedLimit); });
+        // Straight-line distance at the fastest speed limit never overestimates
+        const heuristic = (id) => {
+            const node = this.nodes.get(id);
+            return Math.hypot(node.x - goalNode.x, node.z - goalNode.z) / maxSpeed;
+        };
+
+        const cost = new Map([[start, 0]]);
+        const cameFrom = new Map();
+        const open = new Set([start]);
+        const estimate = new Map([[start, heuristic(start)]]);
+
+        while (open.size > 0) {
+            let current = null;
+            open.forEach(id => {
+                if (current === null || estimate.get(id) < estimate.get(current)) current = id;
+            });
+
+            if (current === goal) return this._buildPath(start, goal, cameFrom);
+            open.delete(current);
+
+            for (const edgeId of this.nodes.get(current).edges) {
+                const edge = this.edges.get(edgeId);
+                if (edge.oneWay && edge.from !== current) continue;
+                const next = edge.from === current ? edge.to : edge.from;
+                const tentative = cost.get(current) + edge.length / edge.speedLimit;
+                if (tentative < (cost.has(next) ? cost.get(next) : Infinity)) {
+                    cameFrom.set(next, { node: current, edge: edgeId });
+                    cost.set(next, tentative);
+                    estimate.set(next, tentative + heuristic(next));
+                    open.add(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Group nodes into connected components (ignoring one-way restrictions)
+     * @returns {Array<Array<number>>} Node ids per component
+     */
+    connectedComponents() {
+        const visited = new Set();
+        const components = [];
+        this.nodes.forEach(node => {
+            if (visited.has(node.id)) return;
+            const component = [];
+            const stack = [node.id];
+            visited.add(node.id);
+            while (stack.length > 0) {
+                const id = stack.pop();
+                component.push(id);
+                this.nodes.get(id).edges.forEach(edgeId => {
+                    const edge = this.edges.get(edgeId);
+                    const next = edge.from === id ? edge.to : edge.from;
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        stack.push(next);
+                    }
+                });
+            }
+            components.push(component);
+        });
+        return components;
+    }
+
+    // Walk the A* parents back from the goal
+    _buildPath(start, goal, cameFrom) {
+        const nodes = [goal];
+        const edges = [];
+        let current = goal;
+        while (current !== start) {
+            const step = cameFrom.get(current);
+            edges.unshift(step.edge);
+            nodes.unshift(step.node);
+            current = step.node;
+        }
+        let length = 0;
+        let time = 0;
+        edges.forEach(id => {
+            const edge = this.edges.get(id);
+            length += edge.length;
+            time += edge.length / edge.speedLimit;
+        });
+        const points = nodes.map(id => {
+            const node = this.nodes.get(id);
+            return new THREE.Vector3(node.x, node.y, node.z);
+        });
+        return { nodes, edges, points, length, time };
+    }
+
+    // Nodes without an explicit type are named after their degree
+    _classifyNodes() {
+        this.nodes.forEach(node => {
+            if (node.type) return;
+            const degree = node.edges.length;
+            node.type = degree >= 3 ? 'intersection' : degree === 1 ? 'end' : 'junction';
+        });
+    }
+}
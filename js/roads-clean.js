@@ -1,28 +1,45 @@
 // Clean Road Network System - No Collisions
 
+import { RoadGraph } from './road-graph.js';
+import { CONFIG } from './config.js';
+
 // Road configuration
-const ROAD_WIDTH = 4;
+export const ROAD_WIDTH = 4;
 const ROAD_HEIGHT = 0.1;
 const DASH_LENGTH = 1.5;
 const DASH_WIDTH = 0.3;
 const DASH_SPACING = 1.5;
 
+// Geometry and materials shared by every tile and marking, so they can be drawn instanced
+let roadParts = null;
+function getRoadParts() {
+    if (!roadParts) {
+        roadParts = {
+            tileGeometry: new THREE.BoxGeometry(ROAD_WIDTH, ROAD_HEIGHT, ROAD_WIDTH),
+            dashGeometry: new THREE.BoxGeometry(DASH_LENGTH, 0.01, DASH_WIDTH),
+            asphalt: new THREE.MeshLambertMaterial({ color: 0x333333 }),
+            marking: new THREE.MeshLambertMaterial({ color: 0xFFFFFF })
+        };
+        // Outlive any one chunk: AssetManager.disposeTree() skips them
+        Object.values(roadParts).forEach(part => { part.userData.shared = true; });
+    }
+    return roadParts;
+}
+
 // Create a single road piece
 function createRoadPiece(x, z, rotation = 0) {
     const group = new THREE.Group();
+    const parts = getRoadParts();
     
     // Road base
-    const geometry = new THREE.BoxGeometry(ROAD_WIDTH, ROAD_HEIGHT, ROAD_WIDTH);
-    const material = new THREE.MeshLambertMaterial({ color: 0x333333 });
-    const road = new THREE.Mesh(geometry, material);
+    const road = new THREE.Mesh(parts.tileGeometry, parts.asphalt);
     road.position.set(0, ROAD_HEIGHT / 2, 0);
     road.castShadow = true;
     road.receiveShadow = true;
     group.add(road);
     
     // Road markings (dashes)
-    const dashGeometry = new THREE.BoxGeometry(DASH_LENGTH, 0.01, DASH_WIDTH);
-    const dashMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+    const { dashGeometry, marking: dashMaterial } = parts;
     
     // Center dash
     const centerDash = new THREE.Mesh(dashGeometry, dashMaterial);
@@ -40,6 +57,7 @@ function createRoadPiece(x, z, rotation = 0) {
     
     group.position.set(x, 0, z);
     group.rotation.y = rotation;
+    group.name = `road_${x}_${z}`;
     
     return group;
 }
@@ -70,8 +88,7 @@ function createElevatedFlyover(startX, startZ, length, startElevation = 0, endEl
     group.add(road);
 
     // Add road markings along the entire length
-    const dashGeometry = new THREE.BoxGeometry(DASH_LENGTH, 0.01, DASH_WIDTH);
-    const dashMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+    const { dashGeometry, marking: dashMaterial } = getRoadParts();
 
     // Create dashes along the length of the road
     const numDashes = Math.floor(totalDistance / (DASH_LENGTH + DASH_SPACING));
@@ -138,19 +155,17 @@ function createElevatedFlyover(startX, startZ, length, startElevation = 0, endEl
 // Create intersection
 function createIntersection(x, z) {
     const group = new THREE.Group();
+    const parts = getRoadParts();
 
     // Intersection base
-    const geometry = new THREE.BoxGeometry(ROAD_WIDTH, ROAD_HEIGHT, ROAD_WIDTH);
-    const material = new THREE.MeshLambertMaterial({ color: 0x333333 });
-    const intersection = new THREE.Mesh(geometry, material);
+    const intersection = new THREE.Mesh(parts.tileGeometry, parts.asphalt);
     intersection.position.set(0, ROAD_HEIGHT / 2, 0);
     intersection.castShadow = true;
     intersection.receiveShadow = true;
     group.add(intersection);
 
     // Intersection markings
-    const dashGeometry = new THREE.BoxGeometry(DASH_LENGTH, 0.01, DASH_WIDTH);
-    const dashMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
+    const { dashGeometry, marking: dashMaterial } = parts;
 
     // Horizontal dashes
     const hDash1 = new THREE.Mesh(dashGeometry, dashMaterial);
@@ -173,132 +188,130 @@ function createIntersection(x, z) {
     group.add(vDash2);
 
     group.position.set(x, 0, z);
+    group.name = `intersection_${x}_${z}`;
+    group.userData.roadType = 'intersection';
 
     return group;
 }
 
-// Create clean road network
-export function createCleanRoadNetwork() {
-    console.log('🛣️ Creating Clean Road Network...');
-    const roads = [];
-    
-    // Main horizontal roads
-    console.log('  📍 Creating Main Street (y=0)');
-    for (let x = -60; x <= 60; x += 4) {
-        roads.push(createRoadPiece(x, 0, 0));
-    }
-    
-    // Main vertical roads
-    console.log('  📍 Creating Central Avenue (x=0)');
-    for (let z = -60; z <= 60; z += 4) {
-        roads.push(createRoadPiece(0, z, Math.PI / 2));
-    }
-    
-    // West Street
-    console.log('  📍 Creating West Street (x=-40)');
-    for (let z = -60; z <= 60; z += 4) {
-        roads.push(createRoadPiece(-40, z, Math.PI / 2));
-    }
-    
-    // East Street
-    console.log('  📍 Creating East Street (x=40)');
-    for (let z = -60; z <= 60; z += 4) {
-        roads.push(createRoadPiece(40, z, Math.PI / 2));
-    }
-    
-    // North Avenue
-    console.log('  📍 Creating North Avenue (y=40)');
-    for (let x = -60; x <= 60; x += 4) {
-        roads.push(createRoadPiece(x, 40, 0));
-    }
-    
-    // South Avenue
-    console.log('  📍 Creating South Avenue (y=-40)');
-    for (let x = -60; x <= 60; x += 4) {
-        roads.push(createRoadPiece(x, -40, 0));
-    }
-    
-    // Residential streets (shorter, connected to main roads)
-    console.log('  📍 Creating Residential Streets');
-    
-    // Oak Street (connected to West Street and Central Avenue)
-    for (let x = -40; x <= 0; x += 4) {
-        roads.push(createRoadPiece(x, 20, 0));
-    }
-    
-    // Pine Street (connected to Central Avenue and East Street)
-    for (let x = 0; x <= 40; x += 4) {
-        roads.push(createRoadPiece(x, 20, 0));
-    }
-    
-    // Maple Street (connected to West Street and Central Avenue)
-    for (let x = -40; x <= 0; x += 4) {
-        roads.push(createRoadPiece(x, -20, 0));
-    }
-    
-    // Elm Street (connected to Central Avenue and East Street)
-    for (let x = 0; x <= 40; x += 4) {
-        roads.push(createRoadPiece(x, -20, 0));
+// Create a lamp post on one corner of every intersection
+// Bulbs are tagged with userData.nightEmissive so the day/night cycle lights them after dark.
+export function createStreetLights(layout = {}) {
+    const { intersections = [] } = layout;
+    const poleHeight = 4;
+    const corner = ROAD_WIDTH / 2 + 0.5;
+    const poleGeometry = new THREE.CylinderGeometry(0.07, 0.09, poleHeight, 6);
+    const armGeometry = new THREE.BoxGeometry(0.9, 0.08, 0.08);
+    const bulbGeometry = new THREE.SphereGeometry(0.18, 8, 6);
+    const poleMaterial = new THREE.MeshLambertMaterial({ color: 0x444444 });
+    const bulbMaterial = new THREE.MeshLambertMaterial({ color: 0xfff2cc });
+
+    const lights = intersections.map(({ x, z }) => {
+        const group = new THREE.Group();
+
+        const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+        pole.position.set(0, poleHeight / 2, 0);
+        pole.castShadow = true;
+        group.add(pole);
+
+        // Arm reaches back over the corner of the road
+        const arm = new THREE.Mesh(armGeometry, poleMaterial);
+        arm.position.set(-0.4, poleHeight - 0.05, 0);
+        group.add(arm);
+
+        const bulb = new THREE.Mesh(bulbGeometry, bulbMaterial);
+        bulb.position.set(-0.8, poleHeight - 0.2, 0);
+        bulb.userData.nightEmissive = CONFIG.DAY_NIGHT.STREET_LIGHT_COLOR;
+        group.add(bulb);
+
+        group.position.set(x + corner, 0, z + corner);
+        group.rotation.y = -Math.PI / 4; // Arm points diagonally at the intersection centre
+        group.userData.roadType = 'streetLight';
+        return group;
+    });
+
+    console.log(`💡 Created ${lights.length} street lights`);
+    return lights;
+}
+
+// Build the RoadGraph for a layout; pass the same layout as createCleanRoadNetwork()
+export function createCleanRoadGraph(layout = {}) {
+    const graph = RoadGraph.fromLayout(layout);
+    console.log(`🧭 Road graph built: ${graph.nodes.size} nodes, ${graph.edges.size} edges`);
+    return graph;
+}
+
+// List the road pieces of a layout without building them
+// Each plan has the piece's x/z (and position, so findRoadComponents() accepts plans directly)
+// and is turned into meshes by createRoadFromPlan(); world streaming builds them chunk by chunk.
+export function planCleanRoadNetwork(layout = {}) {
+    const plans = [];
+    const { segments = [], intersections = [], flyovers = [] } = layout;
+
+    // Straight segments, one road piece every ROAD_WIDTH units
+    segments.forEach((segment) => {
+        for (let t = segment.from; t <= segment.to; t += ROAD_WIDTH) {
+            if (segment.along === 'x') {
+                plans.push({ type: 'piece', x: t, z: segment.at, rotation: 0 });
+            } else {
+                plans.push({ type: 'piece', x: segment.at, z: t, rotation: Math.PI / 2 });
+            }
+        }
+    });
+
+    intersections.forEach(({ x, z }) => {
+        plans.push({ type: 'intersection', x, z });
+    });
+
+    flyovers.forEach((flyover) => {
+        plans.push({ type: 'flyover', x: flyover.x, z: flyover.z, flyover });
+    });
+
+    plans.forEach(plan => { plan.position = { x: plan.x, z: plan.z }; });
+    return plans;
+}
+
+// Build the meshes for one plan from planCleanRoadNetwork()
+export function createRoadFromPlan(plan) {
+    switch (plan.type) {
+        case 'piece':
+            return createRoadPiece(plan.x, plan.z, plan.rotation);
+        case 'intersection':
+            return createIntersection(plan.x, plan.z);
+        case 'flyover': {
+            const f = plan.flyover;
+            return createElevatedFlyover(f.x, f.z, f.length, f.startElevation, f.endElevation, f.tilt);
+        }
+        default:
+            return null;
     }
-    
-    // Add intersections at key points
-    console.log('  🚦 Creating Intersections');
-    const intersections = [
-        [0, 0],      // Main intersection
-        [-40, 0],    // West Street & Main Street
-        [40, 0],     // East Street & Main Street
-        [0, 40],     // Central Avenue & North Avenue
-        [0, -40],    // Central Avenue & South Avenue
-        [-40, 20],   // West Street & Oak Street
-        [0, 20],     // Central Avenue & Oak/Pine Streets
-        [40, 20],    // East Street & Pine Street
-        [-40, -20],  // West Street & Maple Street
-        [0, -20],    // Central Avenue & Maple/Elm Streets
-        [40, -20],   // East Street & Elm Street
-        [-40, 40],   // West Street & North Avenue
-        [40, 40],    // East Street & North Avenue
-        [-40, -40],  // West Street & South Avenue
-        [40, -40]    // East Street & South Avenue
-    ];
-    
-    intersections.forEach(([x, z]) => {
-        roads.push(createIntersection(x, z));
+}
+
+// Create clean road network from a layout (see roads in data/world.json)
+export function createCleanRoadNetwork(layout = {}) {
+    console.log('🛣️ Creating Clean Road Network...');
+    const { segments = [], flyovers = [] } = layout;
+    segments.forEach((segment) => {
+        console.log(`  📍 Creating ${segment.name} (${segment.along === 'x' ? 'z' : 'x'}=${segment.at})`);
+    });
+    flyovers.forEach((f) => {
+        console.log(`    📍 ${f.name}: ${f.length} units long, elevation ${f.startElevation}-${f.endElevation}, tilt ${f.tilt.toFixed(3)} radians`);
     });
 
-    // Add smooth elevated flyover going from city center (higher x) to outskirts (lower x)
-    console.log('  🛤️ Creating Elevated Flyover (City Center to Outskirts)');
-    const flyoverStartX = 60; // Start further east (city center area)
-    const flyoverLength = 28; // Slightly shorter for better proportions
-    const flyoverStartElevation = 1; // Reduced from 8 for safer, more realistic height
-    const flyoverEndElevation = 0; // End at ground level in outskirts
-    const flyoverTiltAngle = 0.15; // Reduced tilt angle for gentler slope
-
-    const flyover = createElevatedFlyover(
-        flyoverStartX,
-        0,
-        flyoverLength,
-        flyoverStartElevation,
-        flyoverEndElevation,
-        flyoverTiltAngle
-    );
-
-    roads.push(flyover);
-    console.log(`    📍 Outbound flyover: ${flyoverLength} units long, elevation ${flyoverStartElevation}-${flyoverEndElevation}, tilt ${flyoverTiltAngle.toFixed(3)} radians`);
+    const roads = planCleanRoadNetwork(layout).map(createRoadFromPlan);
 
     console.log(`✅ Clean Road Network created with ${roads.length} road pieces`);
     return roads;
 }
 
-// Check road connectivity
-export function checkRoadConnectivity(roads) {
-    console.log('🔗 Checking Road Connectivity...');
-    
+// Group road pieces into connected components (pieces 4 units apart are adjacent)
+// Accepts anything with position.x/z, so lightweight stubs can be checked before meshes exist.
+export function findRoadComponents(roads) {
     // Create adjacency list
     const adjacencyList = new Map();
     const roadPositions = roads.map(road => ({
         x: road.position.x,
-        z: road.position.z,
-        rotation: road.rotation.y
+        z: road.position.z
     }));
     
     // Build graph
@@ -318,28 +331,36 @@ export function checkRoadConnectivity(roads) {
         });
     });
     
-    // DFS to find connected components
+    // Iterative DFS to find connected components
     const visited = new Set();
     const components = [];
     
-    function dfs(node, component) {
-        visited.add(node);
-        component.push(node);
-        
-        for (const neighbor of adjacencyList.get(node)) {
-            if (!visited.has(neighbor)) {
-                dfs(neighbor, component);
+    for (let i = 0; i < roadPositions.length; i++) {
+        if (visited.has(i)) continue;
+        const component = [];
+        const stack = [i];
+        visited.add(i);
+        while (stack.length > 0) {
+            const node = stack.pop();
+            component.push(node);
+            for (const neighbor of adjacencyList.get(node)) {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    stack.push(neighbor);
+                }
             }
         }
+        components.push(component);
     }
     
-    for (let i = 0; i < roadPositions.length; i++) {
-        if (!visited.has(i)) {
-            const component = [];
-            dfs(i, component);
-            components.push(component);
-        }
-    }
+    return components;
+}
+
+// Check road connectivity
+export function checkRoadConnectivity(roads) {
+    console.log('🔗 Checking Road Connectivity...');
+    
+    const components = findRoadComponents(roads);
     
     console.log(`  🔍 Found ${components.length} connected components`);
     components.forEach((component, index) => {
@@ -1,3 +1,5 @@
+import { RoadGraph } from './road-graph.js';
+
 // LEGO road piece dimensions (standardized)
 const LEGO_ROAD = {
     PIECE_SIZE: 4, // Standard LEGO road piece size
@@ -128,6 +130,7 @@ export function createIntersectionPiece(x, z, rotation = 0) {
     
     intersectionGroup.position.set(x, 0, z);
     intersectionGroup.rotation.y = rotation;
+    intersectionGroup.userData.roadType = 'intersection';
     
     return intersectionGroup;
 }
@@ -155,10 +158,16 @@ export function createRoundaboutPiece(x, z, radius = 12) {
     roundaboutGroup.add(center);
     
     roundaboutGroup.position.set(x, 0, z);
+    roundaboutGroup.userData.roadType = 'roundabout';
     
     return roundaboutGroup;
 }
 
+// Build the RoadGraph for pieces returned by createRoadNetwork()/createIntersections()/createRoundabout()
+export function createRoadNetworkGraph(roads) {
+    return RoadGraph.fromTiles(roads);
+}
+
 // Create road network using LEGO pieces
 export function createRoadNetwork() {
     console.log('🛣️ Creating Road Network...');
@@ -44,8 +44,8 @@ export async function createScene() {
         CONFIG.LIGHTING.DIRECTIONAL_POSITION.z
     );
     
-    // Enable shadows with optimized settings
-    directionalLight.castShadow = true;
+    // Shadows come from the sun in setupLighting() (see shadow-system.js); this light only fills
+    directionalLight.castShadow = false;
     
     // Dynamic shadow quality based on device
     const isHighEndDevice = !isMobile && window.devicePixelRatio > 1;
@@ -258,19 +258,7 @@ export function setupLighting(scene) {
         directionalLight.shadow.normalBias = 0.05;
     }
     
-    // Optimize shadow camera frustum
-    directionalLight.shadow.camera.near = 1;
-    directionalLight.shadow.camera.far = 150;
-    
-    // Tighten shadow frustum to cover just the visible area
-    const shadowDistance = 50;
-    directionalLight.shadow.camera.left = -shadowDistance;
-    directionalLight.shadow.camera.right = shadowDistance;
-    directionalLight.shadow.camera.top = shadowDistance;
-    directionalLight.shadow.camera.bottom = -shadowDistance;
-    
-    // Update the shadow camera's projection matrix
-    directionalLight.shadow.camera.updateProjectionMatrix();
+    // The shadow frustum is fitted around the view every frame by ShadowSystem
     
     // Additional softness for PCFSoft
     if ('radius' in directionalLight.shadow) {
@@ -279,53 +267,55 @@ export function setupLighting(scene) {
     
     scene.add(directionalLight);
     
+    // Extra lights are always created so quality tiers can switch them on and off
+    // (see Game.applyQuality); hidden lights cost nothing to render
+    const extraLightsOn = CONFIG.LIGHTING.USE_EXTRA_LIGHTS && !isMobile;
+
     // Multiple soft point lights distributed across the environment (optional)
-    if (CONFIG.LIGHTING.USE_EXTRA_LIGHTS && !isMobile) {
-        // Main directional lights
-        const mkPoint = (x, z) => {
-            const l = new THREE.PointLight(0xffa500, 0.22, 70, 2);
-            l.position.set(x, 6, z);
-            l.castShadow = false;
-            scene.add(l);
-            pointLights.push(l);
-        };
-        
-        mkPoint(0, 40);   // North
-        mkPoint(0, -40);  // South
-        mkPoint(40, 0);   // East
-        mkPoint(-40, 0);  // West
-        
-        // Corner lights for better coverage
-        const mkCorner = (x, z) => {
-            const c = new THREE.PointLight(0xffe0a0, 0.08, 20, 2);
-            c.position.set(x, 5, z);
-            c.castShadow = false;
-            scene.add(c);
-            cornerLights.push(c);
-        };
-        
-        mkCorner(30, 30);
-        mkCorner(-30, 30);
-        mkCorner(30, -30);
-        mkCorner(-30, -30);
-    }
+    const mkPoint = (x, z) => {
+        const l = new THREE.PointLight(0xffa500, 0.22, 70, 2);
+        l.position.set(x, 6, z);
+        l.castShadow = false;
+        l.visible = extraLightsOn;
+        scene.add(l);
+        pointLights.push(l);
+    };
+    
+    mkPoint(0, 40);   // North
+    mkPoint(0, -40);  // South
+    mkPoint(40, 0);   // East
+    mkPoint(-40, 0);  // West
+    
+    // Corner lights for better coverage
+    const mkCorner = (x, z) => {
+        const c = new THREE.PointLight(0xffe0a0, 0.08, 20, 2);
+        c.position.set(x, 5, z);
+        c.castShadow = false;
+        c.visible = extraLightsOn;
+        scene.add(c);
+        cornerLights.push(c);
+    };
+    
+    mkCorner(30, 30);
+    mkCorner(-30, 30);
+    mkCorner(30, -30);
+    mkCorner(-30, -30);
     
     // Soft fill lights from multiple directions
     const fillLights = [];
-    if (CONFIG.LIGHTING.USE_EXTRA_LIGHTS && !isMobile) {
-        // Re-introduce very soft directional fills to improve shading without much cost
-        const mkFill = (x, z) => {
-            const d = new THREE.DirectionalLight(0x87ceeb, 0.12);
-            d.position.set(x, 8, z);
-            d.castShadow = false;
-            scene.add(d);
-            fillLights.push(d);
-        };
-        mkFill(0, 20);    // North
-        mkFill(0, -20);   // South
-        mkFill(20, 0);    // East
-        mkFill(-20, 0);   // West
-    }
+    // Re-introduce very soft directional fills to improve shading without much cost
+    const mkFill = (x, z) => {
+        const d = new THREE.DirectionalLight(0x87ceeb, 0.12);
+        d.position.set(x, 8, z);
+        d.castShadow = false;
+        d.visible = extraLightsOn;
+        scene.add(d);
+        fillLights.push(d);
+    };
+    mkFill(0, 20);    // North
+    mkFill(0, -20);   // South
+    mkFill(20, 0);    // East
+    mkFill(-20, 0);   // West
     
     // Fallback sky dome (disabled by default)
     let sky = null;
@@ -0,0 +1,431 @@
+// Shadow system - sun shadows that follow the view, with cached static casters
+//
+// The sun's shadow camera is fitted to the camera's view frustum (split into
+// CONFIG.SHADOWS.CASCADES slices, one shadow-casting light per slice) instead
+// of a fixed box around the origin. Each slice's bounding sphere only depends
+// on the camera's field of view, so the shadow frustum never changes size;
+// it is padded by RECENTER_MARGIN and only moves, snapped to whole shadow
+// texels, once the view drifts past that margin. Snapped, unchanged frusta
+// render identical texels, so shadow edges do not shimmer.
+//
+// Each light renders into two maps:
+//   static  every caster except the dynamic ones; rendered only after
+//           invalidate() (chunk loads, the sun moving, quality changes) or a
+//           re-centre
+//   live    the map the renderer samples: a copy of the static map (colour and
+//           depth) with the dynamic casters - the player, cars, animated
+//           NPCs - drawn over it every frame
+// so moving cars keep correct shadows without re-rendering the city.
+//
+// With more than one cascade, lit materials are patched (patchMaterials()) to
+// take the sun's shadow from the cascade covering each fragment's view depth;
+// the extra cascade lights have zero intensity and only provide shadow maps.
+
+import { CONFIG } from './config.js';
+
+// Shadow maps are drawn from the back faces, like WebGLShadowMap does
+const SHADOW_SIDE = { [THREE.FrontSide]: THREE.BackSide, [THREE.BackSide]: THREE.FrontSide, [THREE.DoubleSide]: THREE.DoubleSide };
+
+export class ShadowSystem {
+    /**
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.DirectionalLight} sun - Shadow-casting light from setupLighting(), driven by DayNightCycle
+     */
+    constructor(renderer, scene, sun) {
+        const settings = CONFIG.SHADOWS;
+        this.renderer = renderer;
+        this.scene = scene;
+        this.sun = sun;
+        this.mapSize = sun.shadow.mapSize.width;
+        this.dynamicCasters = []; // Root objects redrawn over the static map every frame
+        this.needsStatic = true;  // Static maps must be re-rendered before the next frame
+
+        // One light per cascade; the sun is the first and the only one that lights anything
+        scene.add(sun.target);
+        this.cascades = [];
+        for (let i = 0; i < Math.max(1, settings.CASCADES); i++) {
+            let light = sun;
+            if (i > 0) {
+                light = new THREE.DirectionalLight(sun.color, 0);
+                light.name = `shadow_cascade_${i}`;
+                light.castShadow = true;
+                light.shadow.bias = sun.shadow.bias;
+                light.shadow.normalBias = sun.shadow.normalBias;
+                light.shadow.radius = sun.shadow.radius;
+                scene.add(light);
+                scene.add(light.target);
+            }
+            // The renderer never updates these maps itself
+            light.shadow.autoUpdate = false;
+            light.shadow.needsUpdate = false;
+            this.cascades.push({
+                light,
+                near: 0,             // View depth range covered by this cascade
+                far: 0,
+                radius: 0,           // Bounding sphere of that slice of the view frustum
+                extent: 0,           // Half size of the shadow frustum (radius plus margin)
+                center: new THREE.Vector3(),
+                staticMap: null,
+                liveMap: null,
+                hasDynamic: false    // The live map holds dynamic casters that must be wiped next frame
+            });
+        }
+        this.createMaps();
+
+        // Shared by every patched material
+        this.uniforms = {
+            shadowCascades: { value: this.cascades.map(() => new THREE.Vector2()) },
+            cascadeCameraNear: { value: 0.1 },
+            cascadeCameraFar: { value: 1000 }
+        };
+        this.patchedMaterials = new WeakSet();
+
+        // Copies a static map into a live map, depth included, so dynamic casters are depth-tested against it
+        this.restoreMaterial = new THREE.ShaderMaterial({
+            uniforms: { tStatic: { value: null } },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }`,
+            fragmentShader: `
+                #include <packing>
+                uniform sampler2D tStatic;
+                varying vec2 vUv;
+                void main() {
+                    vec4 texel = texture2D(tStatic, vUv);
+                    gl_FragColor = texel;
+                    gl_FragDepthEXT = unpackRGBAToDepth(texel);
+                }`,
+            depthFunc: THREE.AlwaysDepth,
+            extensions: { fragDepth: true }
+        });
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.restoreMaterial);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        // Stand-in scene listing the dynamic casters without re-parenting them
+        this.dynamicScene = new THREE.Scene();
+        this.dynamicScene.autoUpdate = false;
+        this.depthMaterials = new Map(); // "skinning|morph|side" -> MeshDepthMaterial
+
+        this._fitCenter = new THREE.Vector3();
+        this._forward = new THREE.Vector3();
+        this._direction = new THREE.Vector3();
+        this._basis = new THREE.Matrix4();
+        this._local = new THREE.Vector3();
+    }
+
+    /**
+     * Re-render the static shadow maps before the next frame
+     */
+    invalidate() {
+        this.needsStatic = true;
+    }
+
+    /**
+     * Objects that move or animate; everything else casting shadows is treated as static
+     * @param {THREE.Object3D[]} objects
+     */
+    setDynamicCasters(objects) {
+        this.dynamicCasters = objects.filter(Boolean);
+    }
+
+    /**
+     * Change the shadow map resolution (quality tiers)
+     * @param {number} size - Texels per side
+     */
+    setMapSize(size) {
+        if (size === this.mapSize) return;
+        this.mapSize = size;
+        this.createMaps();
+        this.invalidate();
+    }
+
+    // (Re)allocate both maps of every cascade at the current size
+    createMaps() {
+        const options = { minFilter: THREE.NearestFilter, magFilter: THREE.NearestFilter, format: THREE.RGBAFormat };
+        this.cascades.forEach((cascade) => {
+            if (cascade.staticMap) cascade.staticMap.dispose();
+            if (cascade.liveMap) cascade.liveMap.dispose();
+            cascade.staticMap = new THREE.WebGLRenderTarget(this.mapSize, this.mapSize, options);
+            cascade.liveMap = new THREE.WebGLRenderTarget(this.mapSize, this.mapSize, options);
+            cascade.staticMap.texture.name = `${cascade.light.name || 'sun'}.staticShadowMap`;
+            cascade.light.shadow.mapSize.set(this.mapSize, this.mapSize);
+            cascade.light.shadow.map = cascade.liveMap;
+            cascade.extent = 0; // Forces a re-fit, the texel size changed
+        });
+    }
+
+    /**
+     * Fit the cascades to the view and bring the live maps up to date; call right before rendering
+     * @param {THREE.PerspectiveCamera} camera - The camera about to render
+     */
+    update(camera) {
+        const settings = CONFIG.SHADOWS;
+        camera.updateMatrixWorld();
+        this.fitCascades(camera);
+
+        // Every cascade light shines along the sun's direction (DayNightCycle aims the sun at its target)
+        const direction = this._direction.subVectors(this.sun.position, this.sun.target.position).normalize();
+        const distance = this.getLightDistance();
+        this.cascades.forEach(({ light }) => {
+            light.position.copy(light.target.position).addScaledVector(direction, distance);
+            if (light !== this.sun) light.color.copy(this.sun.color);
+        });
+
+        // Re-centre any cascade whose view has drifted out of its padded frustum
+        this.cascades.forEach((cascade) => {
+            const local = this._local.copy(cascade.center).applyMatrix4(cascade.light.shadow.camera.matrixWorldInverse);
+            const drift = Math.hypot(local.x, local.y);
+            if (cascade.extent !== cascade.radius + settings.RECENTER_MARGIN || drift > settings.RECENTER_MARGIN) {
+                this.placeCascade(cascade);
+                this.needsStatic = true;
+            }
+        });
+
+        const previousTarget = this.renderer.getRenderTarget();
+        const staticChanged = this.needsStatic;
+        if (staticChanged) {
+            this.renderStatic(camera);
+            this.needsStatic = false;
+        }
+        this.cascades.forEach(cascade => this.renderLive(cascade, staticChanged));
+        this.renderer.setRenderTarget(previousTarget);
+
+        if (this.cascades.length > 1) {
+            this.uniforms.cascadeCameraNear.value = camera.near;
+            this.uniforms.cascadeCameraFar.value = camera.far;
+        }
+    }
+
+    // Split the view into depth slices and find each slice's bounding sphere
+    fitCascades(camera) {
+        const settings = CONFIG.SHADOWS;
+        const count = this.cascades.length;
+        const near = camera.near;
+        const far = Math.min(camera.far, settings.DISTANCE);
+        const tanV = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const tanH = tanV * camera.aspect;
+        const slope = tanV * tanV + tanH * tanH; // Squared half-diagonal per unit of depth
+        camera.getWorldDirection(this._forward);
+
+        this.cascades.forEach((cascade, i) => {
+            // Practical split: a blend of uniform and logarithmic slices
+            const split = (index) => {
+                if (index === 0) return near;
+                if (index === count) return far;
+                const uniform = near + (far - near) * index / count;
+                const log = near * Math.pow(far / near, index / count);
+                return THREE.MathUtils.lerp(uniform, log, settings.SPLIT_LAMBDA);
+            };
+            cascade.near = split(i);
+            cascade.far = split(i + 1);
+            this.uniforms.shadowCascades.value[i].set(cascade.near, cascade.far);
+
+            // Sphere centre on the view axis, equally far from the slice's near and far corners
+            const depth = Math.min(cascade.far, (cascade.far + cascade.near) * (1 + slope) / 2);
+            cascade.radius = Math.ceil(Math.sqrt((cascade.far - depth) ** 2 + cascade.far * cascade.far * slope));
+            cascade.center.copy(camera.getWorldPosition(this._fitCenter)).addScaledVector(this._forward, depth);
+        });
+    }
+
+    // Distance from a cascade's centre to its light, leaving room for tall casters
+    getLightDistance() {
+        return this.cascades[this.cascades.length - 1].radius + CONFIG.SHADOWS.RECENTER_MARGIN + CONFIG.SHADOWS.CASTER_HEIGHT;
+    }
+
+    // Centre a cascade's shadow frustum on its fitted sphere, snapped to whole texels
+    placeCascade(cascade) {
+        const { light } = cascade;
+        const extent = cascade.radius + CONFIG.SHADOWS.RECENTER_MARGIN;
+        const texel = 2 * extent / this.mapSize;
+        const distance = this.getLightDistance();
+        const direction = this._direction.subVectors(this.sun.position, this.sun.target.position).normalize();
+
+        // Light space has the same axes as the shadow camera looking down the light
+        this._basis.lookAt(direction, new THREE.Vector3(), light.shadow.camera.up);
+        const local = this._local.copy(cascade.center).applyMatrix4(this._basis.clone().transpose());
+        local.x = Math.round(local.x / texel) * texel;
+        local.y = Math.round(local.y / texel) * texel;
+        const center = local.applyMatrix4(this._basis);
+
+        light.target.position.copy(center);
+        light.position.copy(center).addScaledVector(direction, distance);
+        light.target.updateMatrixWorld();
+        light.updateMatrixWorld();
+
+        const shadowCamera = light.shadow.camera;
+        shadowCamera.left = -extent;
+        shadowCamera.right = extent;
+        shadowCamera.top = extent;
+        shadowCamera.bottom = -extent;
+        shadowCamera.near = 1;
+        shadowCamera.far = distance + extent;
+        shadowCamera.updateProjectionMatrix();
+        light.shadow.updateMatrices(light);
+        cascade.extent = extent;
+    }
+
+    // Render every static caster into the static maps (dynamic casters hidden)
+    renderStatic(camera) {
+        const hidden = this.dynamicCasters.filter(object => object.visible);
+        hidden.forEach(object => { object.visible = false; });
+
+        this.scene.updateMatrixWorld();
+        this.cascades.forEach(({ light, staticMap }) => {
+            light.shadow.map = staticMap;
+            light.shadow.needsUpdate = true;
+        });
+        const shadowMap = this.renderer.shadowMap;
+        shadowMap.needsUpdate = true;
+        shadowMap.render(this.cascades.map(cascade => cascade.light), this.scene, camera);
+        this.cascades.forEach(({ light, liveMap }) => {
+            light.shadow.map = liveMap;
+        });
+
+        hidden.forEach(object => { object.visible = true; });
+    }
+
+    /**
+     * Live map = static map + the dynamic casters drawn with the light's shadow camera
+     * @param {Object} cascade
+     * @param {boolean} staticChanged - The static map was just re-rendered
+     */
+    renderLive(cascade, staticChanged) {
+        const casters = this.dynamicCasters.filter(object => object.visible);
+        // Nothing moves in this map and nothing has to be wiped from it
+        if (casters.length === 0 && !cascade.hasDynamic && !staticChanged) return;
+        cascade.hasDynamic = casters.length > 0;
+
+        const renderer = this.renderer;
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.setRenderTarget(cascade.liveMap);
+        this.restoreMaterial.uniforms.tStatic.value = cascade.staticMap.texture;
+        renderer.render(this.quadScene, this.quadCamera);
+
+        const swapped = [];
+        casters.forEach((object) => {
+            object.updateWorldMatrix(true, true);
+            object.traverseVisible((mesh) => {
+                if (!mesh.isMesh || !mesh.castShadow) return;
+                swapped.push([mesh, mesh.material]);
+                mesh.material = this.getDepthMaterial(mesh);
+            });
+        });
+        if (swapped.length > 0) {
+            this.dynamicScene.children = casters;
+            renderer.render(this.dynamicScene, cascade.light.shadow.camera);
+            this.dynamicScene.children = [];
+            swapped.forEach(([mesh, material]) => { mesh.material = material; });
+        }
+        renderer.autoClear = autoClear;
+    }
+
+    // Depth material matching what WebGLShadowMap would use for a mesh
+    getDepthMaterial(mesh) {
+        if (mesh.customDepthMaterial) return mesh.customDepthMaterial;
+        const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+        const skinning = !!mesh.isSkinnedMesh;
+        const morph = !!(mesh.geometry.morphAttributes && mesh.geometry.morphAttributes.position);
+        const side = material.shadowSide !== null && material.shadowSide !== undefined ? material.shadowSide : SHADOW_SIDE[material.side];
+        const key = `${skinning}|${morph}|${side}`;
+        let depth = this.depthMaterials.get(key);
+        if (!depth) {
+            depth = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, skinning, morphTargets: morph, side });
+            this.depthMaterials.set(key, depth);
+        }
+        return depth;
+    }
+
+    /**
+     * Make lit materials under an object pick the sun's shadow from the right cascade
+     * Only needed with CONFIG.SHADOWS.CASCADES > 1; already patched materials are skipped.
+     * @param {THREE.Object3D} root
+     */
+    patchMaterials(root) {
+        const count = this.cascades.length;
+        if (count < 2) return;
+        root.traverse((mesh) => {
+            if (!mesh.isMesh) return;
+            (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((material) => {
+                const lit = material.isMeshLambertMaterial || material.isMeshPhongMaterial || material.isMeshStandardMaterial;
+                if (!lit || this.patchedMaterials.has(material)) return;
+                this.patchedMaterials.add(material);
+                const previous = material.onBeforeCompile;
+                material.onBeforeCompile = (shader, renderer) => {
+                    if (previous) previous(shader, renderer);
+                    Object.assign(shader.uniforms, this.uniforms);
+                    shader.fragmentShader = patchCascadeShader(shader.fragmentShader, count);
+                };
+                const previousKey = material.customProgramCacheKey;
+                material.customProgramCacheKey = () => `${previousKey.call(material)}|cascades${count}`;
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    dispose() {
+        this.cascades.forEach((cascade) => {
+            cascade.staticMap.dispose();
+            cascade.liveMap.dispose();
+            if (cascade.light !== this.sun) {
+                this.scene.remove(cascade.light, cascade.light.target);
+            }
+        });
+        this.sun.shadow.map = null;
+        this.restoreMaterial.dispose();
+        this.quad.geometry.dispose();
+        this.depthMaterials.forEach(material => material.dispose());
+    }
+}
+
+// Pick the sun's shadow by view depth from the first `count` directional shadow maps
+function patchCascadeShader(source, count) {
+    const cascadeShadow = `
+uniform vec2 shadowCascades[ ${count} ];
+uniform float cascadeCameraNear;
+uniform float cascadeCameraFar;
+float getCascadeShadow() {
+    float shadow = 1.0;
+    #if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS >= ${count}
+    float viewDepth = - perspectiveDepthToViewZ( gl_FragCoord.z, cascadeCameraNear, cascadeCameraFar );
+    DirectionalLightShadow cascadeLightShadow;
+    #pragma unroll_loop_start
+    for ( int i = 0; i < ${count}; i ++ ) {
+        cascadeLightShadow = directionalLightShadows[ i ];
+        if ( viewDepth >= shadowCascades[ i ].x && ( viewDepth < shadowCascades[ i ].y || UNROLLED_LOOP_INDEX == ${count - 1} ) ) shadow = getShadow( directionalShadowMap[ i ], cascadeLightShadow.shadowMapSize, cascadeLightShadow.shadowBias, cascadeLightShadow.shadowRadius, vDirectionalShadowCoord[ i ] );
+    }
+    #pragma unroll_loop_end
+    #endif
+    return shadow;
+}
+`;
+    const directShadow = 'directLight.color *= all( bvec2( directLight.visible, receiveShadow ) ) ? getShadow( directionalShadowMap[ i ], directionalLightShadow.shadowMapSize, directionalLightShadow.shadowBias, directionalLightShadow.shadowRadius, vDirectionalShadowCoord[ i ] ) : 1.0;';
+    const maskShadow = 'shadow *= receiveShadow ? getShadow( directionalShadowMap[ i ], directionalLight.shadowMapSize, directionalLight.shadowBias, directionalLight.shadowRadius, vDirectionalShadowCoord[ i ] ) : 1.0;';
+
+    // Physical/Phong: the sun (light 0) takes the cascade shadow, the other cascade lights are unlit
+    const lights = THREE.ShaderChunk.lights_fragment_begin.replace(directShadow, `
+        #if UNROLLED_LOOP_INDEX == 0
+        directLight.color *= all( bvec2( directLight.visible, receiveShadow ) ) ? getCascadeShadow() : 1.0;
+        #elif UNROLLED_LOOP_INDEX >= ${count}
+        ${directShadow}
+        #endif`);
+    // Lambert: one cascade shadow instead of the product of every directional shadow
+    const mask = THREE.ShaderChunk.shadowmask_pars_fragment.replace(maskShadow, `
+        #if UNROLLED_LOOP_INDEX == 0
+        shadow *= receiveShadow ? getCascadeShadow() : 1.0;
+        #elif UNROLLED_LOOP_INDEX >= ${count}
+        ${maskShadow}
+        #endif`);
+
+    return source
+        .replace('#include <shadowmap_pars_fragment>', `#include <shadowmap_pars_fragment>\n${cascadeShadow}`)
+        .replace('#include <lights_fragment_begin>', lights)
+        .replace('#include <shadowmask_pars_fragment>', mask);
+}
@@ -1,10 +1,129 @@
 import { CONFIG } from './config.js';
+import { createSeededRandom, deriveSeed } from './utils/random.js';
+import { InstanceBatcher } from './utils/instance-batcher.js';
 
-// Create improved terrain
-export function createTerrain() {
+/**
+ * Terrain heights on a square grid centred on the origin
+ * getHeightAt() interpolates the same two triangles per cell as the render mesh
+ * (a PlaneGeometry) and the CANNON.Heightfield from createGroundBody(), so
+ * objects placed with it sit exactly on the ground that is drawn and collided with.
+ */
+export class Heightmap {
+    /**
+     * @param {number} size - Edge length in world units
+     * @param {number} segments - Cells per edge
+     * @param {Float32Array} heights - (segments + 1)² heights, row by row from -z to +z, -x to +x within a row
+     */
+    constructor(size, segments, heights) {
+        this.size = size;
+        this.segments = segments;
+        this.cellSize = size / segments;
+        this.heights = heights;
+    }
+
+    /**
+     * Ground height under a point; the edge height beyond the grid
+     * @param {number} x
+     * @param {number} z
+     * @returns {number}
+     */
+    getHeightAt(x, z) {
+        const n = this.segments;
+        const fx = Math.min(Math.max((x + this.size / 2) / this.cellSize, 0), n);
+        const fz = Math.min(Math.max((z + this.size / 2) / this.cellSize, 0), n);
+        const ix = Math.min(Math.floor(fx), n - 1);
+        const iz = Math.min(Math.floor(fz), n - 1);
+        const u = fx - ix;
+        const v = fz - iz;
+        const h10 = this.getVertexHeight(ix + 1, iz);
+        const h01 = this.getVertexHeight(ix, iz + 1);
+        // Cells are split along the (ix + 1, iz) - (ix, iz + 1) diagonal
+        if (u + v <= 1) {
+            const h00 = this.getVertexHeight(ix, iz);
+            return h00 + (h10 - h00) * u + (h01 - h00) * v;
+        }
+        const h11 = this.getVertexHeight(ix + 1, iz + 1);
+        return h11 + (h01 - h11) * (1 - u) + (h10 - h11) * (1 - v);
+    }
+
+    getVertexHeight(ix, iz) {
+        return this.heights[iz * (this.segments + 1) + ix];
+    }
+}
+
+/**
+ * Sample seeded hills on the terrain grid, flattened under roads and lots
+ * Hills only rise outside the city square (plus CONFIG.TERRAIN.CITY_MARGIN),
+ * and every flat area keeps level ground around it that blends back into the
+ * hills over CONFIG.TERRAIN.BLEND units.
+ * @param {Object} options - terrain from data/world.json ({size, segments, hillHeight})
+ * @param {Object} layout
+ * @param {number} layout.cityHalfSize - Half size of the city square (0 = no city)
+ * @param {Array<{x: number, z: number, halfX: number, halfZ: number}>} layout.flatAreas - Roads, lots and prop pads
+ * @returns {Heightmap}
+ */
+export function createHeightmap(options = {}, { cityHalfSize = 0, flatAreas = [] } = {}) {
+    const settings = CONFIG.TERRAIN;
+    const size = options.size || CONFIG.ENVIRONMENT.TERRAIN_SIZE * 10;
+    const segments = Math.max(10, options.segments || CONFIG.ENVIRONMENT.TERRAIN_SEGMENTS);
+    const hillHeight = options.hillHeight ?? settings.HILL_HEIGHT;
+    const cellSize = size / segments;
+    const row = segments + 1;
+    const heights = new Float32Array(row * row);
+    if (hillHeight <= 0) return new Heightmap(size, segments, heights);
+
+    // Vertex positions along either axis
+    const coord = (index) => index * cellSize - size / 2;
+    const index = (value) => (value + size / 2) / cellSize;
+
+    // Distance from each vertex to the nearest flat area, rasterised area by area.
+    // The level margin covers a whole cell diagonal so no cell under a road is tilted.
+    const margin = settings.FLAT_MARGIN + cellSize * Math.SQRT2;
+    const reach = margin + settings.BLEND;
+    const distances = new Float32Array(row * row).fill(Infinity);
+    flatAreas.forEach(({ x, z, halfX, halfZ }) => {
+        const ix1 = Math.max(0, Math.floor(index(x - halfX - reach)));
+        const ix2 = Math.min(segments, Math.ceil(index(x + halfX + reach)));
+        const iz1 = Math.max(0, Math.floor(index(z - halfZ - reach)));
+        const iz2 = Math.min(segments, Math.ceil(index(z + halfZ + reach)));
+        for (let iz = iz1; iz <= iz2; iz++) {
+            const dz = Math.max(Math.abs(coord(iz) - z) - halfZ, 0);
+            for (let ix = ix1; ix <= ix2; ix++) {
+                const dx = Math.max(Math.abs(coord(ix) - x) - halfX, 0);
+                const i = iz * row + ix;
+                distances[i] = Math.min(distances[i], Math.hypot(dx, dz));
+            }
+        }
+    });
+
+    const noise = createHillNoise(deriveSeed(CONFIG.RANDOM.SEED, 'hills'), settings.HILL_SCALE, settings.OCTAVES);
+    const cityEdge = cityHalfSize > 0 ? cityHalfSize + settings.CITY_MARGIN : -Infinity;
+    for (let iz = 0; iz <= segments; iz++) {
+        const z = coord(iz);
+        for (let ix = 0; ix <= segments; ix++) {
+            const x = coord(ix);
+            const i = iz * row + ix;
+            const outside = smoothstep(0, settings.HILL_RAMP, Math.max(Math.abs(x), Math.abs(z)) - cityEdge);
+            const level = smoothstep(margin, reach, distances[i]);
+            // Summed octaves bunch up around 0.5; stretch the middle to use the full height
+            const hill = smoothstep(0.25, 0.75, noise(x, z));
+            heights[i] = hillHeight * hill * Math.min(outside, level);
+        }
+    }
+    return new Heightmap(size, segments, heights);
+}
+
+/**
+ * Create the ground mesh (options come from terrain in data/world.json)
+ * @param {Object} options - {size, segments, color}
+ * @param {Heightmap|null} heightmap - Heights for the mesh vertices; flat without one
+ * @param {Array<{x: number, z: number, halfX: number, halfZ: number}>} keepClear - Roads, lots and prop pads rocks stay off
+ * @returns {THREE.Mesh} The land, with the heightmap and rocks in userData
+ */
+export function createTerrain(options = {}, heightmap = null, keepClear = []) {
     // Use a very large plane to simulate infinite ground
-    const size = CONFIG.ENVIRONMENT.TERRAIN_SIZE * 10;
-    const segments = Math.max(10, CONFIG.ENVIRONMENT.TERRAIN_SEGMENTS);
+    const size = heightmap ? heightmap.size : options.size || CONFIG.ENVIRONMENT.TERRAIN_SIZE * 10;
+    const segments = heightmap ? heightmap.segments : Math.max(10, options.segments || CONFIG.ENVIRONMENT.TERRAIN_SEGMENTS);
     const landGeometry = new THREE.PlaneGeometry(
         size,
         size,
@@ -13,53 +132,78 @@ export function createTerrain() {
     );
     landGeometry.rotateX(-Math.PI / 2);
     
-    // Keep terrain completely flat for roads
-    // No height variations - all vertices at y=0
+    // PlaneGeometry rows run from -z to +z once rotated, matching the heightmap's vertex order
     const vertices = landGeometry.attributes.position.array;
-    for (let i = 0; i < vertices.length; i += 3) {
-        vertices[i + 1] = 0; // Set all y-coordinates to 0
+    for (let i = 0, v = 0; i < vertices.length; i += 3, v++) {
+        vertices[i + 1] = heightmap ? heightmap.heights[v] : 0;
     }
     landGeometry.attributes.position.needsUpdate = true;
     landGeometry.computeVertexNormals();
+    landGeometry.computeBoundingSphere();
     
     // Create a subtle repeating grid/texture-like color with vertex colors disabled for simplicity
     const landMaterial = new THREE.MeshLambertMaterial({
-        color: 0x3faf84, // slightly greener ground
+        color: options.color || 0x3faf84, // slightly greener ground
         side: THREE.DoubleSide
     });
     
     // Create land mesh
     const land = new THREE.Mesh(landGeometry, landMaterial);
+    land.name = 'terrain';
     land.receiveShadow = true;
     land.castShadow = true;
+    land.userData.heightmap = heightmap;
     
-    // Keep details near the playable area only
-    addTerrainDetails(land);
+    // Keep details near the playable area only (seeded so the layout is reproducible)
+    addTerrainDetails(land, createSeededRandom(deriveSeed(CONFIG.RANDOM.SEED, 'terrain')), heightmap, keepClear);
     
     return land;
 }
 
+// Seeded value noise summed over octaves; returns a function of (x, z) in [0, 1]
+function createHillNoise(seed, scale, octaves) {
+    const random = createSeededRandom(seed);
+    const values = Float32Array.from({ length: 256 }, () => random());
+    const perm = Uint8Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    const lattice = (ix, iz) => values[perm[(perm[ix & 255] + iz) & 255]];
+    const sample = (x, z) => {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const u = smoothstep(0, 1, x - ix);
+        const v = smoothstep(0, 1, z - iz);
+        const top = THREE.MathUtils.lerp(lattice(ix, iz), lattice(ix + 1, iz), u);
+        const bottom = THREE.MathUtils.lerp(lattice(ix, iz + 1), lattice(ix + 1, iz + 1), u);
+        return THREE.MathUtils.lerp(top, bottom, v);
+    };
+    return (x, z) => {
+        let sum = 0;
+        let weight = 0;
+        let amplitude = 1;
+        let frequency = 1 / scale;
+        for (let octave = 0; octave < octaves; octave++) {
+            sum += amplitude * sample(x * frequency, z * frequency);
+            weight += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+        return sum / weight;
+    };
+}
+
+function smoothstep(edge0, edge1, value) {
+    const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
+
 // Add neat, organized terrain details
-function addTerrainDetails(terrain) {
+function addTerrainDetails(terrain, random, heightmap, keepClear) {
     const detailGroup = new THREE.Group();
     const rocks = [];
-    const primaryZ = [ -60, -40, -20, 0, 20, 40, 60 ];
-    const primaryX = [ -60, -40, 0, 40, 60 ];
-    const rockClearance = 5; // minimum distance from road centerlines
-    function clampAwayFromRoads(pos) {
-        for (const rz of primaryZ) {
-            const dz = Math.abs(pos.z - rz);
-            if (dz < rockClearance) {
-                pos.z = rz + (pos.z >= rz ? 1 : -1) * (rockClearance + Math.random());
-            }
-        }
-        for (const rx of primaryX) {
-            const dx = Math.abs(pos.x - rx);
-            if (dx < rockClearance) {
-                pos.x = rx + (pos.x >= rx ? 1 : -1) * (rockClearance + Math.random());
-            }
-        }
-    }
+    const rockClearance = 3; // minimum distance from the edge of a road, lot or prop pad
     
     // Grid-based rock placement to ensure proper spacing
     const gridSize = 15; // Minimum distance between rocks
@@ -67,12 +211,10 @@ function addTerrainDetails(terrain) {
     
     // Function to check if a position is valid (not too close to other rocks or roads)
     function isValidPosition(x, z) {
-        // Check against roads
-        for (const rz of primaryZ) {
-            if (Math.abs(z - rz) < rockClearance + 2) return false;
-        }
-        for (const rx of primaryX) {
-            if (Math.abs(x - rx) < rockClearance + 2) return false;
+        // Check against roads and lots
+        for (const area of keepClear) {
+            if (Math.abs(x - area.x) < area.halfX + rockClearance &&
+                Math.abs(z - area.z) < area.halfZ + rockClearance) return false;
         }
         
         // Check against other rocks
@@ -99,8 +241,8 @@ function addTerrainDetails(terrain) {
         attempts++;
         
         // Generate position in a ring around the center
-        const angle = Math.random() * Math.PI * 2;
-        const distance = minDistanceFromCenter + Math.random() * (mapSize - minDistanceFromCenter - 5);
+        const angle = random() * Math.PI * 2;
+        const distance = minDistanceFromCenter + random() * (mapSize - minDistanceFromCenter - 5);
         let x = Math.cos(angle) * distance;
         let z = Math.sin(angle) * distance;
         
@@ -146,47 +288,61 @@ function addTerrainDetails(terrain) {
     
     rockClusters.forEach(cluster => {
         for (let i = 0; i < cluster.count; i++) {
-            const rock = createRock();
+            const rock = createRock(random);
             // Use smaller variance for optimized positions
             // Use exact positions with no variance
             const offsetX = 0;
             const offsetZ = 0;
             rock.position.set(cluster.x + offsetX, 0.05, cluster.z + offsetZ);
-            clampAwayFromRoads(rock.position);
+            rock.position.y = 0.05 + (heightmap ? heightmap.getHeightAt(rock.position.x, rock.position.z) : 0);
+            rock.name = `rock_${rocks.length}`;
             detailGroup.add(rock);
             rocks.push(rock);
         }
     });
     
     terrain.add(detailGroup);
+
+    // Every rock is one instance of a single batch; the rock meshes stay as hidden stand-ins
+    const batcher = new InstanceBatcher(detailGroup);
+    rocks.forEach(rock => batcher.add(rock));
+    batcher.build().forEach(batch => detailGroup.add(batch));
     // Expose rocks so other systems (collision, logging) can read them
     terrain.userData = terrain.userData || {};
     terrain.userData.rocks = rocks;
 }
 
+// Geometry and material shared by every rock, so they can be drawn instanced
+let rockParts = null;
+function getRockParts() {
+    if (!rockParts) {
+        rockParts = {
+            geometry: new THREE.SphereGeometry(1, 6, 4),
+            material: new THREE.MeshLambertMaterial({ color: 0x444444 })
+        };
+        // Reused when the world is rebuilt: AssetManager.disposeTree() skips them
+        Object.values(rockParts).forEach(part => { part.userData.shared = true; });
+    }
+    return rockParts;
+}
+
 // Create small rock
-function createRock() {
-    const rockGeometry = new THREE.SphereGeometry(
-        0.2 + Math.random() * 0.3,
-        6,
-        4
-    );
-    const rockMaterial = new THREE.MeshLambertMaterial({
-        color: 0x444444
-    });
-    const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+function createRock(random) {
+    const { geometry, material } = getRockParts();
+    const radius = 0.2 + random() * 0.3;
+    const rock = new THREE.Mesh(geometry, material);
+    // The unit sphere is sized by the scale
     rock.scale.set(
-        1 + Math.random() * 0.5,
-        0.5 + Math.random() * 0.3,
-        1 + Math.random() * 0.5
+        (1 + random() * 0.5) * radius,
+        (0.5 + random() * 0.3) * radius,
+        (1 + random() * 0.5) * radius
     );
     rock.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
+        random() * Math.PI,
+        random() * Math.PI,
+        random() * Math.PI
     );
     rock.castShadow = true;
     rock.receiveShadow = true;
-    rock.name = 'rock';
     return rock;
 }
@@ -0,0 +1,465 @@
+// Traffic simulation - drives the vehicle fleet along the RoadGraph
+//
+// Cars follow lane centerlines, stop and take turns at intersections, keep a
+// following distance to the car ahead and respawn at a map-edge dead end when
+// they drive off the network. Route choices are seeded per car and trip, so
+// with CONFIG.TRAFFIC.DETERMINISTIC the same seed replays the same traffic.
+
+import { CONFIG } from './config.js';
+import { createSeededRandom, deriveSeed } from './utils/random.js';
+
+// createCar() faces east at rotation.y = PI/2
+const BASE_ROTATION = Math.PI / 2;
+
+// Distance before a node where cars stop or start turning, and after it where they rejoin a lane
+const STOP_OFFSET = 3;
+
+// Height of the car origin above the lane (matches createCar())
+const RIDE_HEIGHT = 0.1;
+
+export class TrafficManager {
+    /**
+     * @param {RoadGraph} graph - Road network to drive on
+     * @param {Object} options - {seed, deterministic}
+     */
+    constructor(graph, options = {}) {
+        this.graph = graph;
+        this.seed = options.seed !== undefined ? options.seed : CONFIG.RANDOM.SEED;
+        this.deterministic = options.deterministic !== undefined ? options.deterministic : CONFIG.TRAFFIC.DETERMINISTIC;
+        this.agents = [];
+        this.reservations = new Map(); // nodeId -> agent crossing it
+        this._accumulator = 0;
+    }
+
+    /**
+     * Pick starting positions spread over the network
+     * @param {number} count - Number of cars
+     * @returns {Array<{edgeId: number, lane: number, distance: number, x: number, z: number, rotation: number}>}
+     *   rotation uses createCar()'s convention (0 = east)
+     */
+    createSpawns(count = CONFIG.ENVIRONMENT.CAR_COUNT) {
+        const random = createSeededRandom(deriveSeed(this.seed, 'traffic:spawn'));
+        const edges = [...this.graph.edges.values()].filter(edge => edge.length > STOP_OFFSET * 3);
+        const spawns = [];
+        if (edges.length === 0) return spawns;
+
+        for (let i = 0; i < count; i++) {
+            for (let attempt = 0; attempt < 20; attempt++) {
+                const edge = edges[Math.floor(random() * edges.length)];
+                const lanes = this.graph.getLanes(edge.id);
+                const lane = lanes[Math.floor(random() * lanes.length)].lane;
+                const distance = STOP_OFFSET + (edge.length - STOP_OFFSET * 2) * random();
+                const { position, heading } = this._lanePose(edge.id, lane, distance);
+                const free = spawns.every(s => Math.hypot(s.x - position.x, s.z - position.z) >= CONFIG.TRAFFIC.FOLLOW_DISTANCE);
+                if (!free) continue;
+                spawns.push({
+                    edgeId: edge.id,
+                    lane,
+                    distance,
+                    x: position.x,
+                    z: position.z,
+                    rotation: Math.atan2(-heading.z, heading.x)
+                });
+                break;
+            }
+        }
+        return spawns;
+    }
+
+    /**
+     * Spawn on the lane nearest a point, e.g. to hand a car the player left back to traffic
+     * @param {{x: number, z: number}} point - World position
+     * @returns {Object|null} Spawn entry like createSpawns() gives, or null without a lane long enough
+     */
+    spawnNear(point) {
+        const nearest = this.graph.nearestLane(point);
+        if (!nearest) return null;
+        const length = this._laneLengthOf(nearest.edgeId, nearest.lane);
+        if (length <= STOP_OFFSET * 2) return null;
+        const distance = Math.min(Math.max(nearest.t * length, STOP_OFFSET), length - STOP_OFFSET);
+        const { position, heading } = this._lanePose(nearest.edgeId, nearest.lane, distance);
+        return {
+            edgeId: nearest.edgeId,
+            lane: nearest.lane,
+            distance,
+            x: position.x,
+            z: position.z,
+            rotation: Math.atan2(-heading.z, heading.x)
+        };
+    }
+
+    /**
+     * Start driving a vehicle from a spawn returned by createSpawns() or spawnNear()
+     * @param {THREE.Object3D} vehicle - Car created by VehicleLoader
+     * @param {Object} spawn - Spawn entry
+     * @param {number} [index] - The car's place in the fleet, kept when a car rejoins; defaults to the next one
+     */
+    addVehicle(vehicle, spawn, index = this.agents.length) {
+        const agent = {
+            vehicle,
+            index,
+            edgeId: spawn.edgeId,
+            lane: spawn.lane,
+            distance: spawn.distance,
+            speed: 0,
+            state: 'driving', // driving | waiting | turning | offroad
+            waitTime: 0,
+            turn: null,
+            trips: 0
+        };
+        this.agents.push(agent);
+        this._applyPose(agent, 0);
+    }
+
+    /**
+     * Stop simulating a vehicle (e.g. when the player takes it over)
+     * @param {THREE.Object3D} vehicle - Car previously passed to addVehicle()
+     * @returns {boolean} Whether the car was part of the traffic
+     */
+    removeVehicle(vehicle) {
+        const position = this.agents.findIndex(agent => agent.vehicle === vehicle);
+        if (position === -1) return false;
+        const agent = this.agents[position];
+        if (agent.turn && agent.turn.node !== null && this.reservations.get(agent.turn.node) === agent) {
+            this.reservations.delete(agent.turn.node);
+        }
+        this.agents.splice(position, 1);
+        return true;
+    }
+
+    /**
+     * Advance the simulation
+     * In deterministic mode time is consumed in CONFIG.TRAFFIC.FIXED_STEP slices.
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (!this.deterministic) {
+            this.step(deltaTime);
+            return;
+        }
+        const fixed = CONFIG.TRAFFIC.FIXED_STEP;
+        this._accumulator += deltaTime;
+        while (this._accumulator >= fixed) {
+            this.step(fixed);
+            this._accumulator -= fixed;
+        }
+    }
+
+    /**
+     * Advance every car by exactly one time step
+     * @param {number} dt - Step length in seconds
+     */
+    step(dt) {
+        if (dt <= 0) return;
+        this.agents.forEach(agent => {
+            if (agent.state === 'offroad') {
+                this._respawn(agent);
+                return;
+            }
+
+            const limit = this._currentEdge(agent).speedLimit;
+            let target = Math.min(limit, this._followingSpeed(agent));
+
+            if (agent.state === 'driving') {
+                const stopLine = this._laneLength(agent) - STOP_OFFSET;
+                const toStop = stopLine - agent.distance;
+                if (this._mustStopAt(agent)) {
+                    target = Math.min(target, Math.sqrt(2 * CONFIG.TRAFFIC.BRAKING * Math.max(toStop, 0)));
+                }
+                this._accelerate(agent, target, dt);
+                agent.distance = Math.min(agent.distance + agent.speed * dt, stopLine);
+                if (agent.distance >= stopLine) this._arriveAtNode(agent);
+            } else if (agent.state === 'waiting') {
+                agent.speed = 0;
+                agent.waitTime += dt;
+                if (agent.waitTime >= CONFIG.TRAFFIC.STOP_TIME) this._enterNode(agent);
+            } else if (agent.state === 'turning') {
+                this._accelerate(agent, target, dt);
+                agent.turn.t = Math.min(agent.turn.t + (agent.speed * dt) / agent.turn.length, 1);
+                if (agent.turn.t >= 1) this._finishTurn(agent);
+            }
+
+            if (agent.state !== 'offroad') this._applyPose(agent, dt);
+        });
+    }
+
+    /**
+     * Snapshot of every car's progress for Game.saveState()
+     * @returns {Array<Object>}
+     */
+    getState() {
+        return this.agents.map(agent => ({
+            index: agent.index,
+            edgeId: agent.edgeId,
+            lane: agent.lane,
+            distance: agent.distance,
+            speed: agent.speed,
+            state: agent.state,
+            waitTime: agent.waitTime,
+            trips: agent.trips,
+            turn: agent.turn && {
+                ...agent.turn,
+                p0: agent.turn.p0.toArray(),
+                p1: agent.turn.p1.toArray(),
+                p2: agent.turn.p2.toArray()
+            }
+        }));
+    }
+
+    /**
+     * Restore a snapshot from getState()
+     * @param {Array<Object>} states - One entry per car still in traffic, matched by fleet index
+     */
+    setState(states = []) {
+        this.reservations.clear();
+        states.forEach((saved, position) => {
+            const index = saved.index ?? position;
+            const agent = this.agents.find(candidate => candidate.index === index);
+            if (!agent || !this.graph.edges.has(saved.edgeId)) return;
+            Object.assign(agent, {
+                edgeId: saved.edgeId,
+                lane: saved.lane,
+                distance: saved.distance,
+                speed: saved.speed,
+                state: saved.state,
+                waitTime: saved.waitTime,
+                trips: saved.trips,
+                turn: saved.turn && {
+                    ...saved.turn,
+                    p0: new THREE.Vector3().fromArray(saved.turn.p0),
+                    p1: new THREE.Vector3().fromArray(saved.turn.p1),
+                    p2: new THREE.Vector3().fromArray(saved.turn.p2)
+                }
+            });
+            if (agent.turn && agent.turn.node !== null) this.reservations.set(agent.turn.node, agent);
+            if (agent.state !== 'offroad') this._applyPose(agent, 0);
+        });
+    }
+
+    dispose() {
+        this.agents = [];
+        this.reservations.clear();
+    }
+
+    _currentEdge(agent) {
+        return this.graph.edges.get(agent.state === 'turning' ? agent.turn.nextEdge : agent.edgeId);
+    }
+
+    _laneLength(agent) {
+        const [a, b] = this.graph.laneCenterline(agent.edgeId, agent.lane);
+        return a.distanceTo(b);
+    }
+
+    // Node at the end of the agent's lane
+    _nodeAhead(agent) {
+        const edge = this.graph.edges.get(agent.edgeId);
+        const { direction } = this.graph.getLanes(agent.edgeId)[agent.lane];
+        return this.graph.nodes.get(direction === 1 ? edge.to : edge.from);
+    }
+
+    _mustStopAt(agent) {
+        return this._nodeAhead(agent).type === 'intersection';
+    }
+
+    // Seeded choice that only depends on the car and how many nodes it has passed
+    _choose(agent, options) {
+        const random = createSeededRandom(deriveSeed(this.seed, `traffic:${agent.index}:${agent.trips}`));
+        return options[Math.floor(random() * options.length)];
+    }
+
+    _accelerate(agent, target, dt) {
+        if (agent.speed < target) {
+            agent.speed = Math.min(target, agent.speed + CONFIG.TRAFFIC.ACCELERATION * dt);
+        } else {
+            agent.speed = Math.max(target, agent.speed - CONFIG.TRAFFIC.BRAKING * dt);
+        }
+    }
+
+    // Highest speed that still leaves FOLLOW_DISTANCE to the nearest car in front
+    // Only cars on our own path count; cross traffic is kept apart by the intersection reservation.
+    _followingSpeed(agent) {
+        const position = agent.vehicle.position;
+        let speed = Infinity;
+        this.agents.forEach(other => {
+            if (other === agent || !this._isAhead(agent, other)) return;
+            const gap = position.distanceTo(other.vehicle.position) - CONFIG.TRAFFIC.FOLLOW_DISTANCE;
+            speed = Math.min(speed, gap <= 0 ? 0 : Math.sqrt(2 * CONFIG.TRAFFIC.BRAKING * gap));
+        });
+        return speed;
+    }
+
+    _isAhead(agent, other) {
+        if (other.state === 'offroad') return false;
+        const onLane = (a, edgeId, lane) => a.state !== 'turning' && a.edgeId === edgeId && a.lane === lane;
+
+        if (agent.state === 'turning') {
+            const { nextEdge, nextLane } = agent.turn;
+            if (onLane(other, nextEdge, nextLane)) return true;
+            return other.state === 'turning' && other.turn.nextEdge === nextEdge &&
+                other.turn.nextLane === nextLane && other.turn.t > agent.turn.t;
+        }
+
+        if (onLane(other, agent.edgeId, agent.lane)) return other.distance > agent.distance;
+        // A car that has just pulled out of our lane into the node
+        return other.state === 'turning' && other.turn.fromEdge === agent.edgeId && other.turn.fromLane === agent.lane;
+    }
+
+    // Reached the stop line / turn-in point of the current lane
+    _arriveAtNode(agent) {
+        const node = this._nodeAhead(agent);
+        if (node.type === 'end') {
+            // Drove off the edge of the map
+            agent.state = 'offroad';
+            agent.vehicle.visible = false;
+            return;
+        }
+        if (node.type === 'intersection') {
+            agent.state = 'waiting';
+            agent.waitTime = 0;
+            agent.speed = 0;
+            return;
+        }
+        this._enterNode(agent);
+    }
+
+    // Claim the node (intersections take one car at a time) and start turning onto the next lane
+    _enterNode(agent) {
+        const node = this._nodeAhead(agent);
+        const guarded = node.type === 'intersection';
+        if (guarded && this.reservations.has(node.id)) return;
+
+        const next = this._nextLane(agent, node);
+        if (!next) {
+            agent.state = 'offroad';
+            agent.vehicle.visible = false;
+            return;
+        }
+
+        const { position: p0, heading: d0 } = this._lanePose(agent.edgeId, agent.lane, this._laneLength(agent) - STOP_OFFSET);
+        const { position: p2, heading: d1 } = this._lanePose(next.edgeId, next.lane, STOP_OFFSET);
+        const p1 = cornerPoint(p0, d0, p2, d1);
+        agent.turn = {
+            p0, p1, p2,
+            t: 0,
+            length: Math.max((p0.distanceTo(p1) + p1.distanceTo(p2) + p0.distanceTo(p2)) / 2, 0.01),
+            fromEdge: agent.edgeId,
+            fromLane: agent.lane,
+            nextEdge: next.edgeId,
+            nextLane: next.lane,
+            node: guarded ? node.id : null
+        };
+        if (guarded) this.reservations.set(node.id, agent);
+        agent.state = 'turning';
+        agent.trips++;
+    }
+
+    _finishTurn(agent) {
+        if (agent.turn.node !== null) this.reservations.delete(agent.turn.node);
+        agent.edgeId = agent.turn.nextEdge;
+        agent.lane = agent.turn.nextLane;
+        agent.distance = STOP_OFFSET;
+        agent.turn = null;
+        agent.state = 'driving';
+    }
+
+    // Pick an outgoing lane at a node, avoiding U-turns
+    _nextLane(agent, node) {
+        const options = [];
+        node.edges.forEach(edgeId => {
+            if (edgeId === agent.edgeId) return;
+            const edge = this.graph.edges.get(edgeId);
+            const direction = edge.from === node.id ? 1 : -1;
+            if (edge.oneWay && direction !== 1) return;
+            const lane = this.graph.getLanes(edgeId).find(l => l.direction === direction);
+            if (lane && this._laneLengthOf(edgeId, lane.lane) > STOP_OFFSET * 2) {
+                options.push({ edgeId, lane: lane.lane });
+            }
+        });
+        return options.length > 0 ? this._choose(agent, options) : null;
+    }
+
+    _laneLengthOf(edgeId, lane) {
+        const [a, b] = this.graph.laneCenterline(edgeId, lane);
+        return a.distanceTo(b);
+    }
+
+    // Re-enter at a dead end on the map edge once its entry lane is clear
+    _respawn(agent) {
+        const entries = [];
+        this.graph.nodes.forEach(node => {
+            if (node.type !== 'end') return;
+            const edgeId = node.edges[0];
+            const edge = this.graph.edges.get(edgeId);
+            const direction = edge.from === node.id ? 1 : -1;
+            if (edge.oneWay && direction !== 1) return;
+            const lane = this.graph.getLanes(edgeId).find(l => l.direction === direction);
+            if (lane && edge.length > STOP_OFFSET * 3) entries.push({ edgeId, lane: lane.lane });
+        });
+        if (entries.length === 0) return;
+
+        const entry = this._choose(agent, entries);
+        agent.trips++;
+        const { position } = this._lanePose(entry.edgeId, entry.lane, STOP_OFFSET);
+        const blocked = this.agents.some(other => other !== agent && other.state !== 'offroad' &&
+            Math.hypot(other.vehicle.position.x - position.x, other.vehicle.position.z - position.z) < CONFIG.TRAFFIC.FOLLOW_DISTANCE);
+        if (blocked) return;
+
+        agent.edgeId = entry.edgeId;
+        agent.lane = entry.lane;
+        agent.distance = STOP_OFFSET;
+        agent.speed = 0;
+        agent.turn = null;
+        agent.state = 'driving';
+        agent.vehicle.visible = true;
+        this._applyPose(agent, 0);
+    }
+
+    // Position and heading at a distance along a lane
+    _lanePose(edgeId, lane, distance) {
+        const [a, b] = this.graph.laneCenterline(edgeId, lane);
+        const length = a.distanceTo(b) || 1;
+        const heading = new THREE.Vector3().subVectors(b, a).setY(0).normalize();
+        const position = a.clone().lerp(b, Math.min(Math.max(distance / length, 0), 1));
+        return { position, heading };
+    }
+
+    _pose(agent) {
+        if (agent.state !== 'turning') return this._lanePose(agent.edgeId, agent.lane, agent.distance);
+        const { p0, p1, p2, t } = agent.turn;
+        const u = 1 - t;
+        const position = new THREE.Vector3()
+            .addScaledVector(p0, u * u)
+            .addScaledVector(p1, 2 * u * t)
+            .addScaledVector(p2, t * t);
+        const heading = new THREE.Vector3()
+            .addScaledVector(new THREE.Vector3().subVectors(p1, p0), u)
+            .addScaledVector(new THREE.Vector3().subVectors(p2, p1), t)
+            .setY(0);
+        if (heading.lengthSq() < 1e-8) heading.subVectors(p2, p0).setY(0);
+        heading.normalize();
+        return { position, heading };
+    }
+
+    // Move the mesh (and its kinematic body, so the player collides with it) to the agent's pose
+    _applyPose(agent, dt) {
+        const { position, heading } = this._pose(agent);
+        const vehicle = agent.vehicle;
+        vehicle.position.set(position.x, position.y + RIDE_HEIGHT, position.z);
+        vehicle.rotation.y = Math.atan2(-heading.z, heading.x) + BASE_ROTATION;
+
+        const body = vehicle.userData.physicsBody;
+        if (body) {
+            body.position.set(vehicle.position.x, vehicle.position.y, vehicle.position.z);
+            body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), vehicle.rotation.y);
+            if (dt > 0) body.velocity.set(heading.x * agent.speed, 0, heading.z * agent.speed);
+        }
+    }
+}
+
+// Where the incoming and outgoing lane lines cross; the midpoint when they are parallel
+function cornerPoint(p0, d0, p2, d1) {
+    const cross = d0.x * d1.z - d0.z * d1.x;
+    if (Math.abs(cross) < 1e-6) return p0.clone().lerp(p2, 0.5);
+    const s = ((p2.x - p0.x) * d1.z - (p2.z - p0.z) * d1.x) / cross;
+    return new THREE.Vector3(p0.x + d0.x * s, (p0.y + p2.y) / 2, p0.z + d0.z * s);
+}
@@ -1,40 +1,43 @@
 // Tree loader for external 3D models
+import { CONFIG } from './config.js';
 import { logger } from './utils/logger.js';
+import { createSeededRandom } from './utils/random.js';
+import { AssetManager, assetManager } from './asset-manager.js';
+
+// Geometry and materials shared by every fallback tree, so they can be drawn instanced
+let fallbackParts = null;
+function getFallbackParts() {
+    if (!fallbackParts) {
+        fallbackParts = {
+            trunkGeometry: new THREE.CylinderGeometry(0.6, 0.8, 4, 6),
+            trunkMaterial: new THREE.MeshLambertMaterial({ color: 0x8B4513 }),
+            canopyGeometry: new THREE.SphereGeometry(3, 8, 6),
+            canopyMaterial: new THREE.MeshLambertMaterial({ color: 0x228B22 })
+        };
+        // Outlive any one chunk: AssetManager.disposeTree() skips them
+        Object.values(fallbackParts).forEach(part => { part.userData.shared = true; });
+    }
+    return fallbackParts;
+}
 
 export class TreeLoader {
-    constructor() {
+    constructor(assets = assetManager) {
+        this.assets = assets; // Parses the tree model once; every tree is a clone
         this.loader = null;
         this.trees = [];
-        this.loadedModels = new Map();
-        this._rand = this.makeRng((typeof CONFIG !== 'undefined' && CONFIG.RANDOM && CONFIG.RANDOM.SEED) ? CONFIG.RANDOM.SEED : 12345);
-    }
-    // Simple seeded RNG (Mulberry32)
-    makeRng(seed) {
-        let t = seed >>> 0;
-        return function() {
-            t += 0x6D2B79F5;
-            let r = Math.imul(t ^ t >>> 15, 1 | t);
-            r ^= r + Math.imul(r ^ r >>> 7, 61 | r);
-            return ((r ^ r >>> 14) >>> 0) / 4294967296;
-        };
+        this._rand = createSeededRandom(CONFIG.RANDOM.SEED);
     }
 
     rand() { return this._rand ? this._rand() : Math.random(); }
 
 
     init() {
-        // Try to initialize GLTFLoader
-        try {
-            if (typeof THREE !== 'undefined' && THREE.GLTFLoader) {
-                this.loader = new THREE.GLTFLoader();
-                logger.info('Tree GLTFLoader initialized successfully', 'TREE');
-            } else {
-                logger.warn('GLTFLoader not available in THREE object', 'TREE');
-                logger.debug('Available THREE loaders:', Object.keys(THREE).filter(key => key.includes('Loader')), 'TREE');
-                this.loader = null;
-            }
-        } catch (error) {
-            logger.warn('Tree GLTFLoader initialization failed', 'TREE', error);
+        // Models come from the shared AssetManager when glTF loading is available
+        if (AssetManager.isSupported()) {
+            this.loader = this.assets;
+            logger.info('Tree GLTFLoader initialized successfully', 'TREE');
+        } else {
+            logger.warn('GLTFLoader not available in THREE object', 'TREE');
             this.loader = null;
         }
     }
@@ -48,72 +51,59 @@ export class TreeLoader {
 
         logger.debug('Attempting to load tree model', 'TREE', { url });
 
-        return new Promise((resolve, reject) => {
-            this.loader.load(
-                url,
-                (gltf) => {
-                    logger.info('Tree GLTF loaded successfully', 'TREE', { url });
-                    const model = gltf.scene;
-                    
-                    // Calculate proper size scaling
-                    const box = new THREE.Box3().setFromObject(model);
-                    const size = box.getSize(new THREE.Vector3());
-                    const maxDimension = Math.max(size.x, size.y, size.z);
-                    const desiredSize = 6; // Desired tree size in our scene (doubled)
-                    const scaleFactor = desiredSize / maxDimension;
-                    model.scale.set(scaleFactor, scaleFactor, scaleFactor);
-                    
-                    // Reset and correct orientation
-                    model.rotation.set(0, 0, 0);
-                    
-                    // Position above the ground
-                    const center = box.getCenter(new THREE.Vector3());
-                    model.position.y -= center.y;
-                    model.position.y += size.y / 2;
-                    
-                    // Enable shadows
-                    model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-                    
-                    logger.debug('Tree model processed successfully', 'TREE', { url, scaleFactor: scaleFactor.toFixed(2) });
-                    resolve(model);
-                },
-                (progress) => {
-                    if (progress.total > 0) {
-                        const percent = (progress.loaded / progress.total * 100).toFixed(1);
-                        logger.debug('Tree loading progress', 'TREE', { url, progress: `${percent}%` });
+        return this.assets.instantiate(url).then(
+            (gltf) => {
+                const model = gltf.scene;
+                
+                // Calculate proper size scaling
+                const box = new THREE.Box3().setFromObject(model);
+                const size = box.getSize(new THREE.Vector3());
+                const maxDimension = Math.max(size.x, size.y, size.z);
+                const desiredSize = 6; // Desired tree size in our scene (doubled)
+                const scaleFactor = desiredSize / maxDimension;
+                model.scale.set(scaleFactor, scaleFactor, scaleFactor);
+                
+                // Reset and correct orientation
+                model.rotation.set(0, 0, 0);
+                
+                // Position above the ground
+                const center = box.getCenter(new THREE.Vector3());
+                model.position.y -= center.y;
+                model.position.y += size.y / 2;
+                
+                // Enable shadows
+                model.traverse((child) => {
+                    if (child.isMesh) {
+                        child.castShadow = true;
+                        child.receiveShadow = true;
                     }
-                },
-                (error) => {
-                    logger.error('Error loading tree model', 'TREE', { url, error });
-                    logger.info('Falling back to primitive tree', 'TREE');
-                    resolve(this.createFallbackTree());
-                }
-            );
-        });
+                });
+                
+                logger.debug('Tree model processed successfully', 'TREE', { url, scaleFactor: scaleFactor.toFixed(2) });
+                return model;
+            },
+            (error) => {
+                logger.error('Error loading tree model', 'TREE', { url, error });
+                logger.info('Falling back to primitive tree', 'TREE');
+                return this.createFallbackTree();
+            }
+        );
     }
 
     // Create fallback tree if model loading fails
     createFallbackTree() {
         const treeGroup = new THREE.Group();
+        const parts = getFallbackParts();
         
         // Trunk (doubled size)
-        const trunkGeometry = new THREE.CylinderGeometry(0.6, 0.8, 4, 6);
-        const trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        const trunk = new THREE.Mesh(parts.trunkGeometry, parts.trunkMaterial);
         trunk.position.set(0, 2, 0);
         trunk.castShadow = true;
         trunk.receiveShadow = true;
         treeGroup.add(trunk);
         
         // Canopy (doubled size)
-        const canopyGeometry = new THREE.SphereGeometry(3, 8, 6);
-        const canopyMaterial = new THREE.MeshLambertMaterial({ color: 0x228B22 });
-        const canopy = new THREE.Mesh(canopyGeometry, canopyMaterial);
+        const canopy = new THREE.Mesh(parts.canopyGeometry, parts.canopyMaterial);
         canopy.position.set(0, 5, 0);
         canopy.castShadow = true;
         canopy.receiveShadow = true;
@@ -143,11 +133,9 @@ export class TreeLoader {
         return treeModel;
     }
 
-    // Create tree forest with external models
-    async createTreeForest() {
-        this.init();
-        const trees = [];
-        
+    // Plan the forest without loading anything: [{x, z, size, url}] in creation order
+    // World streaming places trees chunk by chunk with createTree(); createTreeForest() builds them all.
+    planTreeForest() {
         // Tree model URL
         const treeModelUrl = 'models/tree.glb';
         
@@ -274,25 +262,33 @@ export class TreeLoader {
             [treePositions[i], treePositions[j]] = [treePositions[j], treePositions[i]];
         }
         
+        return treePositions.map(([x, z]) => ({ x, z, size: this.rand() * 0.3 + 0.7, url: treeModelUrl }));
+    }
+
+    // Create tree forest with external models
+    async createTreeForest() {
+        this.init();
+        const trees = [];
+        const plans = this.planTreeForest();
+
         logger.info('Loading tree forest with external models', 'TREE');
-        logger.debug('Tree model', 'TREE', { treeModelUrl });
+        logger.debug('Tree model', 'TREE', { treeModelUrl: plans[0] && plans[0].url });
 
-        for (let i = 0; i < treePositions.length; i++) {
-            const [x, z] = treePositions[i];
-            const size = this.rand() * 0.3 + 0.7;
+        for (let i = 0; i < plans.length; i++) {
+            const { x, z, size, url } = plans[i];
 
             // Only log progress every 10 trees to reduce spam
             if (i % 10 === 0) {
-                logger.debug('Creating trees', 'TREE', { progress: `${i}/${treePositions.length}` });
+                logger.debug('Creating trees', 'TREE', { progress: `${i}/${plans.length}` });
             }
 
             try {
-                const tree = await this.createTree(x, z, size, treeModelUrl);
+                const tree = await this.createTree(x, z, size, url);
                 trees.push(tree);
 
                 // Log success every 20 trees to reduce noise
                 if (i % 20 === 0) {
-                    logger.debug('Tree batch created', 'TREE', { count: i + 1, total: treePositions.length });
+                    logger.debug('Tree batch created', 'TREE', { count: i + 1, total: plans.length });
                 }
             } catch (error) {
                 logger.error('Error creating tree', 'TREE', { index: i, x, z, error });
@@ -0,0 +1,99 @@
+// Settings overlays - the centred panel shell shared by the key bindings,
+// graphics and wardrobe menus
+//
+// A panel draws its title, then its own controls in renderContent(). Only one
+// overlay is open at a time: opening one closes whichever was open before.
+
+let openPanel = null;
+
+export class OverlayPanel {
+    /**
+     * @param {string} title - Heading drawn at the top of the panel
+     */
+    constructor(title) {
+        this.title = title;
+        this.isOpen = false;
+
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '50%';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.minWidth = '360px';
+        this.element.style.padding = '16px 20px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.fontSize = '14px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.element.style.borderRadius = '6px';
+        this.element.style.zIndex = '1000';
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (openPanel && openPanel !== this) openPanel.close();
+        openPanel = this;
+        this.isOpen = true;
+        this.render();
+        this.element.style.display = 'block';
+    }
+
+    close() {
+        if (openPanel === this) openPanel = null;
+        this.isOpen = false;
+        this.element.style.display = 'none';
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.textContent = this.title;
+        title.style.fontSize = '18px';
+        title.style.marginBottom = '10px';
+        this.element.appendChild(title);
+
+        this.renderContent();
+    }
+
+    // The panel's own controls, appended below the title
+    renderContent() {}
+
+    // Small dimmed explanation line
+    addHint(text) {
+        const hint = document.createElement('div');
+        hint.textContent = text;
+        hint.style.fontSize = '12px';
+        hint.style.opacity = '0.7';
+        hint.style.margin = '8px 0';
+        this.element.appendChild(hint);
+    }
+
+    createCloseButton() {
+        const close = createButton('Close');
+        close.addEventListener('click', () => this.close());
+        return close;
+    }
+}
+
+// Panel button
+export function createButton(text) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '4px 8px';
+    button.style.color = 'white';
+    button.style.background = 'rgba(255, 255, 255, 0.15)';
+    button.style.border = '1px solid rgba(255, 255, 255, 0.4)';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    return button;
+}
@@ -0,0 +1,164 @@
+/**
+ * Instance Batcher - draws many copies of the same mesh with one THREE.InstancedMesh
+ * Uses the global THREE object
+ *
+ * Objects added to a batcher stay in the scene graph as the logical objects
+ * (position, rotation, bounds, userData), so anything that reads positions or
+ * Box3.setFromObject() keeps working. Their meshes are hidden and excluded from
+ * raycasts; every mesh sharing a geometry and material is drawn as one instance
+ * of a batch instead. Raycast hits on a batch map back to the logical object
+ * with resolveIntersection().
+ */
+
+// Layer the hidden source meshes are moved to so raycasters skip them
+const HIDDEN_LAYER = 31;
+
+export class InstanceBatcher {
+    /**
+     * @param {THREE.Object3D|null} space - Object the batches will be added to (null = world space)
+     */
+    constructor(space = null) {
+        this.space = space;
+        this.groups = new Map(); // "geometry|material" -> [{mesh, owner}]
+        this.batches = [];       // InstancedMeshes created by build()
+    }
+
+    /**
+     * Queue every mesh under an object for batching
+     * @param {THREE.Object3D} object - Logical object (a road piece, a tree, a rock)
+     * @param {string} id - Logical id reported for raycast hits (defaults to the name or uuid)
+     */
+    add(object, id = object.name || object.uuid) {
+        const owner = { object, id };
+        object.traverse((mesh) => {
+            if (!mesh.isMesh || mesh.isInstancedMesh || mesh.isSkinnedMesh || !mesh.visible) return;
+            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            const key = `${mesh.geometry.uuid}|${materials.map(m => m.uuid).join(',')}|${mesh.castShadow}|${mesh.receiveShadow}`;
+            if (!this.groups.has(key)) this.groups.set(key, []);
+            this.groups.get(key).push({ mesh, owner });
+        });
+    }
+
+    /**
+     * Create one InstancedMesh per geometry/material pair and hide the source meshes
+     * Call once every object is in its final place; use update() after moving one.
+     * @returns {THREE.InstancedMesh[]} Batches to add to the scene (or to the space object)
+     */
+    build() {
+        if (this.space) this.space.updateWorldMatrix(true, false);
+        const toSpace = this.space ? this.space.matrixWorld.clone().invert() : new THREE.Matrix4();
+        const matrix = new THREE.Matrix4();
+        const color = new THREE.Color();
+
+        this.groups.forEach((entries) => {
+            const { geometry, material, castShadow, receiveShadow } = entries[0].mesh;
+            const tinted = entries.some(({ mesh }) => mesh.userData.instanceColor !== undefined);
+            const batch = new THREE.InstancedMesh(geometry, tinted ? whiteCopy(material) : material, entries.length);
+            batch.name = 'instances';
+            batch.castShadow = castShadow;
+            batch.receiveShadow = receiveShadow;
+            // Culling would test the shared geometry at the origin, not the instances
+            batch.frustumCulled = false;
+            batch.userData.owners = entries.map(({ owner }) => owner);
+            batch.userData.ownsMaterial = tinted;
+
+            entries.forEach(({ mesh }, index) => {
+                mesh.updateWorldMatrix(true, false);
+                batch.setMatrixAt(index, matrix.multiplyMatrices(toSpace, mesh.matrixWorld));
+                if (tinted) {
+                    const tint = mesh.userData.instanceColor;
+                    batch.setColorAt(index, tint !== undefined ? color.set(tint) : baseColor(mesh.material, color));
+                }
+                mesh.visible = false;
+                mesh.layers.set(HIDDEN_LAYER);
+                mesh.userData.instanced = { batch, index, toSpace };
+            });
+            batch.instanceMatrix.needsUpdate = true;
+            this.batches.push(batch);
+        });
+        this.groups.clear();
+        return this.batches;
+    }
+
+    /**
+     * Copy a moved object's transform to its instances
+     * An object with visible = false collapses its instances to nothing.
+     * @param {THREE.Object3D} object - An object passed to add() before build()
+     */
+    update(object) {
+        const matrix = new THREE.Matrix4();
+        const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+        object.updateWorldMatrix(true, true);
+        object.traverse((mesh) => {
+            const instanced = mesh.userData.instanced;
+            if (!instanced) return;
+            const transform = object.visible ? matrix.multiplyMatrices(instanced.toSpace, mesh.matrixWorld) : hidden;
+            instanced.batch.setMatrixAt(instanced.index, transform);
+            instanced.batch.instanceMatrix.needsUpdate = true;
+        });
+    }
+
+    /**
+     * Remove the batches from their parent and free their instance buffers
+     * Geometry and materials belong to the source meshes and are left alone.
+     */
+    dispose() {
+        this.batches.forEach((batch) => {
+            if (batch.parent) batch.parent.remove(batch);
+            if (batch.userData.ownsMaterial) {
+                (Array.isArray(batch.material) ? batch.material : [batch.material]).forEach(m => m.dispose());
+            }
+            batch.dispose();
+        });
+        this.batches = [];
+    }
+
+    /**
+     * Draw call counts, for logs
+     * @returns {{batches: number, instances: number}}
+     */
+    getStats() {
+        return {
+            batches: this.batches.length,
+            instances: this.batches.reduce((sum, batch) => sum + batch.count, 0)
+        };
+    }
+}
+
+/**
+ * Logical object behind a raycast hit on an instance batch, a StaticMerger mesh or an ordinary mesh
+ * @param {Object} intersection - Entry from Raycaster.intersectObject(s)
+ * @returns {{object: THREE.Object3D, id: string}}
+ */
+export function resolveIntersection(intersection) {
+    const { owners, ownerStarts } = intersection.object.userData;
+    if (owners && intersection.instanceId !== undefined) {
+        return owners[intersection.instanceId];
+    }
+    // Merged meshes list the first triangle of each owner in ascending order
+    if (owners && ownerStarts && intersection.faceIndex !== undefined) {
+        let low = 0;
+        let high = ownerStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (ownerStarts[mid] <= intersection.faceIndex) low = mid;
+            else high = mid - 1;
+        }
+        return owners[low];
+    }
+    const object = intersection.object;
+    return { object, id: object.name || object.uuid };
+}
+
+// Tinted batches multiply a white material by each instance colour
+function whiteCopy(material) {
+    if (Array.isArray(material)) return material.map(whiteCopy);
+    const copy = material.clone();
+    if (copy.color) copy.color.set(0xffffff);
+    return copy;
+}
+
+function baseColor(material, target) {
+    const first = Array.isArray(material) ? material[0] : material;
+    return first && first.color ? target.copy(first.color) : target.set(0xffffff);
+}
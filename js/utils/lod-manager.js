@@ -1,7 +1,50 @@
 /**
  * LOD Manager for handling Level of Detail (LOD) optimization
  * Uses the global THREE object
+ *
+ * Every level below the full model is built once per source model and shared
+ * by all of its LODs: simplified geometries come from quadric edge collapse
+ * (see mesh-simplifier.js) and the last level is an impostor, a camera-facing
+ * quad textured from an atlas of the model rendered from several angles.
  */
+import { simplifyGeometry, countTriangles } from './mesh-simplifier.js';
+
+// Billboard that turns about its vertical axis to face the camera and shows
+// the atlas frame captured closest to the viewing angle
+const IMPOSTOR_VERTEX_SHADER = `
+    uniform float frame;
+    uniform float frames;
+    varying vec2 vUv;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vUv = vec2((uv.x + frame) / frames, uv.y);
+        vec3 center = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+        vec3 toCamera = cameraPosition - center;
+        vec3 right = length(toCamera.xz) > 0.0001 ? normalize(vec3(toCamera.z, 0.0, -toCamera.x)) : vec3(1.0, 0.0, 0.0);
+        float scaleX = length(modelMatrix[0].xyz);
+        float scaleY = length(modelMatrix[1].xyz);
+        vec3 world = center + right * position.x * scaleX + vec3(0.0, position.y * scaleY, 0.0);
+        vec4 mvPosition = viewMatrix * vec4(world, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const IMPOSTOR_FRAGMENT_SHADER = `
+    uniform sampler2D atlas;
+    varying vec2 vUv;
+    #include <fog_pars_fragment>
+
+    void main() {
+        vec4 texel = texture2D(atlas, vUv);
+        if (texel.a < 0.5) discard;
+        gl_FragColor = vec4(texel.rgb, 1.0);
+        #include <encodings_fragment>
+        #include <fog_fragment>
+    }
+`;
+
 export class LODManager {
     /**
      * Create a LOD manager
@@ -10,6 +53,13 @@ export class LODManager {
      * @param {number} [options.highDetailDistance=20] - Distance for high detail model
      * @param {number} [options.mediumDetailDistance=50] - Distance for medium detail model
      * @param {number} [options.lowDetailDistance=100] - Distance for low detail model
+     * @param {number} [options.mediumRatio=0.5] - Share of triangles kept by the medium level
+     * @param {number} [options.lowRatio=0.2] - Share of triangles kept by the low level
+     * @param {Array<{distance: number, ratio?: number, impostor?: boolean}>} [options.levels] - Explicit levels, overriding the distances and ratios above
+     * @param {number} [options.maxError=0.05] - Largest simplification error, as a fraction of each mesh's size
+     * @param {THREE.WebGLRenderer} [options.renderer] - Needed to render impostors; without it the low level is the last
+     * @param {number} [options.impostorFrames=8] - Viewing angles captured around the model
+     * @param {number} [options.impostorSize=128] - Pixel size of each captured frame
      */
     constructor(camera, options = {}) {
         this.camera = camera;
@@ -17,238 +67,303 @@ export class LODManager {
             highDetailDistance: 20,
             mediumDetailDistance: 50,
             lowDetailDistance: 100,
+            mediumRatio: 0.5,
+            lowRatio: 0.2,
+            levels: null,
+            maxError: 0.05,
+            renderer: null,
+            impostorFrames: 8,
+            impostorSize: 128,
             ...options
         };
+        this.renderer = this.options.renderer;
+        this.distanceScale = 1; // Quality tier multiplier for every level distance
         this.lodGroups = new Map();
+        // Source model key -> {geometries, impostor, users}, shared by every LOD of that model
+        this.cache = new Map();
     }
 
     /**
      * Create LOD versions of a model
-     * @param {THREE.Object3D} model - The original model (highest detail)
-     * @param {Object} options - LOD options
+     * Models with the same cache key (by default their asset URL) must look the
+     * same: the first one's simplified levels and impostor are reused for the rest.
+     * @param {THREE.Object3D} model - The original model (highest detail); becomes the first level
+     * @param {Object} options - LOD options: any constructor option, plus
+     * @param {string} [options.cacheKey] - Key to share generated levels under
      * @returns {THREE.LOD} The LOD group
      */
     createLOD(model, options = {}) {
+        const settings = { ...this.options, ...options };
         const lod = new THREE.LOD();
         const modelName = model.name || 'model';
-        
-        // Clone the original model for high detail
-        const highDetail = model.clone();
-        highDetail.name = `${modelName}_high`;
-        
-        // Create medium detail version (simplified)
-        const mediumDetail = this._createSimplifiedModel(model, 0.7);
-        mediumDetail.name = `${modelName}_medium`;
-        
-        // Create low detail version (more simplified)
-        const lowDetail = this._createSimplifiedModel(model, 0.4);
-        lowDetail.name = `${modelName}_low`;
-        
-        // Create billboard for very far distances
-        const billboard = this._createBillboard(model);
-        billboard.name = `${modelName}_billboard`;
-        
-        // Add LOD levels with distances
-        const {
-            highDetailDistance = this.options.highDetailDistance,
-            mediumDetailDistance = this.options.mediumDetailDistance,
-            lowDetailDistance = this.options.lowDetailDistance
-        } = options;
-        
-        lod.addLevel(highDetail, 0);
-        lod.addLevel(mediumDetail, highDetailDistance);
-        lod.addLevel(lowDetail, mediumDetailDistance);
-        lod.addLevel(billboard, lowDetailDistance);
-        
-        // Store reference
-        this.lodGroups.set(model.uuid, lod);
-        
+        const key = options.cacheKey || model.userData.assetUrl || model.uuid;
+        const entry = this._getCacheEntry(key);
+        entry.users++;
+        lod.userData.lodCacheKey = key;
+
+        model.name = `${modelName}_high`;
+        this._getLevels(settings).forEach((level, index) => {
+            let object;
+            if (index === 0) {
+                object = model;
+            } else if (level.impostor) {
+                object = this._createImpostor(model, entry, settings);
+                if (!object) return;
+                object.name = `${modelName}_impostor`;
+            } else {
+                object = this._createSimplifiedModel(model, level.ratio, entry, settings);
+                object.name = `${modelName}_lod${index}`;
+            }
+            lod.addLevel(object, level.distance * this.distanceScale);
+        });
+        lod.userData.baseDistances = lod.levels.map(level => level.distance / this.distanceScale);
+
+        this.lodGroups.set(lod.uuid, lod);
         return lod;
     }
-    
+
     /**
-     * Create a simplified version of a model
+     * Levels to build, nearest first
      * @private
      */
-    _createSimplifiedModel(original, quality = 0.5) {
-        const simplified = new THREE.Group();
-        
-        original.traverse((child) => {
-            if (!child.isMesh) return;
-            
-            const geometry = child.geometry;
-            if (!geometry) return;
-            
-            // Create a simplified geometry
-            const simplifiedGeometry = this._simplifyGeometry(geometry, quality);
-            
-            // Create a new mesh with the simplified geometry
-            const material = child.material.clone();
-            const simplifiedMesh = new THREE.Mesh(simplifiedGeometry, material);
-            
-            // Copy transform
-            simplifiedMesh.position.copy(child.position);
-            simplifiedMesh.rotation.copy(child.rotation);
-            simplifiedMesh.scale.copy(child.scale);
-            
-            simplified.add(simplifiedMesh);
-        });
-        
-        return simplified;
+    _getLevels(settings) {
+        if (settings.levels) {
+            return [...settings.levels].sort((a, b) => a.distance - b.distance);
+        }
+        return [
+            { distance: 0, ratio: 1 },
+            { distance: settings.highDetailDistance, ratio: settings.mediumRatio },
+            { distance: settings.mediumDetailDistance, ratio: settings.lowRatio },
+            { distance: settings.lowDetailDistance, impostor: true }
+        ];
     }
-    
+
     /**
-     * Simplify geometry
      * @private
      */
-    _simplifyGeometry(geometry, quality) {
-        // If the geometry is already simplified or too simple, return a clone
-        if (geometry.getAttribute('position').count < 100) {
-            return geometry.clone();
-        }
-        
-        // Use the SimplifyModifier if available
-        if (window.SimplifyModifier) {
-            const modifier = new window.SimplifyModifier();
-            const simplified = geometry.clone();
-            const count = Math.floor(geometry.getAttribute('position').count * quality);
-            return modifier.modify(simplified, count);
+    _getCacheEntry(key) {
+        if (!this.cache.has(key)) {
+            this.cache.set(key, { key, geometries: new Map(), impostor: null, users: 0, logged: new Set() });
         }
-        
-        // Fallback: Use a simple decimation
-        return this._simpleDecimation(geometry, quality);
+        return this.cache.get(key);
     }
-    
+
     /**
-     * Simple geometry decimation fallback
+     * Create a simplified version of a model
+     * The copy keeps the model's hierarchy and materials; only geometries change.
      * @private
      */
-    _simpleDecimation(geometry, quality) {
-        // This is a very basic decimation - consider using a proper algorithm
-        const simplified = geometry.clone();
-        const position = simplified.getAttribute('position');
-        const count = Math.floor(position.count * quality);
-        
-        if (count < position.count) {
-            // Create a new buffer geometry with fewer vertices
-            const newGeometry = new THREE.BufferGeometry();
-            const newPositions = [];
-            const newNormals = [];
-            const newUvs = [];
-            
-            // Copy attributes with reduced density
-            for (let i = 0; i < count; i++) {
-                const idx = Math.floor(i / quality);
-                if (idx < position.count) {
-                    newPositions.push(
-                        position.getX(idx),
-                        position.getY(idx),
-                        position.getZ(idx)
-                    );
-                    
-                    if (simplified.hasAttribute('normal')) {
-                        const normal = simplified.getAttribute('normal');
-                        newNormals.push(
-                            normal.getX(idx),
-                            normal.getY(idx),
-                            normal.getZ(idx)
-                        );
-                    }
-                    
-                    if (simplified.hasAttribute('uv')) {
-                        const uv = simplified.getAttribute('uv');
-                        newUvs.push(
-                            uv.getX(idx),
-                            uv.getY(idx)
-                        );
-                    }
-                }
-            }
-            
-            // Set the new attributes
-            newGeometry.setAttribute('position', new THREE.Float32BufferAttribute(newPositions, 3));
-            if (newNormals.length > 0) {
-                newGeometry.setAttribute('normal', new THREE.Float32BufferAttribute(newNormals, 3));
-            }
-            if (newUvs.length > 0) {
-                newGeometry.setAttribute('uv', new THREE.Float32BufferAttribute(newUvs, 2));
+    _createSimplifiedModel(original, ratio, entry, settings) {
+        const simplified = original.clone();
+        // Not an AssetManager instance of its own
+        delete simplified.userData.assetUrl;
+        let before = 0;
+        let after = 0;
+
+        simplified.traverse((child) => {
+            // Skinned meshes would need their bind data rebuilt; they keep full detail
+            if (!child.isMesh || child.isSkinnedMesh || child.isInstancedMesh || !child.geometry) return;
+            const source = child.geometry;
+            const cacheKey = `${source.uuid}@${ratio}`;
+            if (!entry.geometries.has(cacheKey)) {
+                entry.geometries.set(cacheKey, simplifyGeometry(source, ratio, { maxError: settings.maxError }));
             }
-            
-            return newGeometry;
+            child.geometry = entry.geometries.get(cacheKey);
+            before += countTriangles(source);
+            after += countTriangles(child.geometry);
+        });
+
+        if (!entry.logged.has(ratio)) {
+            entry.logged.add(ratio);
+            console.log(`🔻 LOD ${entry.key} @${ratio}: ${before} → ${after} triangles`);
         }
-        
         return simplified;
     }
-    
+
+    /**
+     * Camera-facing impostor textured from an atlas of the model seen from
+     * evenly spaced angles around its vertical axis
+     * @private
+     * @returns {THREE.Mesh|null} Null when there is no renderer to capture with
+     */
+    _createImpostor(model, entry, settings) {
+        if (!this.renderer) return null;
+        if (!entry.impostor) {
+            entry.impostor = this._bakeImpostor(model, entry, settings.impostorFrames, settings.impostorSize);
+        }
+        const impostor = entry.impostor;
+        if (!impostor) return null;
+
+        const mesh = new THREE.Mesh(impostor.geometry, impostor.material);
+        mesh.position.copy(impostor.center);
+        mesh.castShadow = false;
+        mesh.receiveShadow = false;
+        mesh.userData.impostor = true;
+        // The material is shared, so pick this mesh's frame just before it is drawn
+        mesh.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+            material.uniforms.frame.value = impostorFrame(mesh, camera, impostor.frames);
+            material.uniformsNeedUpdate = true;
+        };
+        return mesh;
+    }
+
     /**
-     * Create a billboard for very distant objects
+     * Render the model into an atlas with one square frame per viewing angle
      * @private
      */
-    _createBillboard(model) {
-        // Create a simple billboard (sprite) for very distant objects
-        const box = new THREE.Box3().setFromObject(model);
+    _bakeImpostor(model, entry, frames, frameSize) {
+        const capture = model.clone();
+        capture.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(capture);
+        if (box.isEmpty()) return null;
+
+        const center = box.getCenter(new THREE.Vector3());
         const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
-        
-        // Create a simple plane with the model's main texture (if any)
-        const material = new THREE.MeshBasicMaterial({
-            color: 0x888888,
-            transparent: true,
-            opacity: 0.8
+        // Wide enough for the model's footprint from any side
+        const extent = Math.max(Math.hypot(size.x, size.z), size.y);
+        const distance = size.length() + 1;
+
+        const scene = new THREE.Scene();
+        scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        const light = new THREE.DirectionalLight(0xffffff, 0.8);
+        scene.add(light, light.target);
+        scene.add(capture);
+        light.target.position.copy(center);
+
+        const camera = new THREE.OrthographicCamera(-extent / 2, extent / 2, extent / 2, -extent / 2, 0.01, distance * 2);
+        const target = new THREE.WebGLRenderTarget(frameSize * frames, frameSize, {
+            minFilter: THREE.LinearMipmapLinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            generateMipmaps: true
         });
-        
-        const plane = new THREE.Mesh(
-            new THREE.PlaneGeometry(maxDim, maxDim),
-            material
-        );
-        
-        // Make it face the camera
-        plane.lookAt = (camera) => {
-            plane.quaternion.copy(camera.quaternion);
+
+        const renderer = this.renderer;
+        const previousTarget = renderer.getRenderTarget();
+        const previousColor = renderer.getClearColor(new THREE.Color());
+        const previousAlpha = renderer.getClearAlpha();
+        renderer.setClearColor(0x000000, 0);
+
+        for (let i = 0; i < frames; i++) {
+            // Frame i looks at the model from angle i * 2π / frames about +Y, starting on +Z
+            const angle = (i / frames) * Math.PI * 2;
+            camera.position.set(
+                center.x + Math.sin(angle) * distance,
+                center.y,
+                center.z + Math.cos(angle) * distance
+            );
+            camera.lookAt(center);
+            light.position.copy(camera.position).add(new THREE.Vector3(0, distance, 0));
+
+            target.viewport.set(i * frameSize, 0, frameSize, frameSize);
+            target.scissor.set(i * frameSize, 0, frameSize, frameSize);
+            target.scissorTest = true;
+            renderer.setRenderTarget(target);
+            renderer.clear();
+            renderer.render(scene, camera);
+        }
+
+        renderer.setRenderTarget(previousTarget);
+        renderer.setClearColor(previousColor, previousAlpha);
+        scene.remove(capture);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { frame: { value: 0 }, frames: { value: frames }, atlas: { value: null } }
+            ]),
+            vertexShader: IMPOSTOR_VERTEX_SHADER,
+            fragmentShader: IMPOSTOR_FRAGMENT_SHADER,
+            fog: true
+        });
+        // Assigned after merge() so the render target's texture is shared, not cloned
+        material.uniforms.atlas.value = target.texture;
+
+        console.log(`🖼️ Impostor for ${entry.key}: ${frames} views at ${frameSize}px`);
+        return {
+            target,
+            material,
+            geometry: new THREE.PlaneGeometry(extent, extent),
+            center,
+            frames
         };
-        
-        return plane;
     }
-    
+
+    /**
+     * Push every level switch further out (> 1) or closer in (< 1)
+     * @param {number} scale - Multiplier for the distances the LODs were created with
+     */
+    setDistanceScale(scale) {
+        this.distanceScale = scale;
+        for (const lod of this.lodGroups.values()) {
+            lod.levels.forEach((level, index) => {
+                level.distance = lod.userData.baseDistances[index] * scale;
+            });
+        }
+    }
+
+    /**
+     * Renderer used to capture impostors
+     * @param {THREE.WebGLRenderer} renderer
+     */
+    setRenderer(renderer) {
+        this.renderer = renderer;
+    }
+
+    /**
+     * Stop updating a LOD; its cached levels are freed with the last LOD of that model
+     * @param {THREE.LOD} lod - A LOD returned by createLOD()
+     */
+    release(lod) {
+        if (!this.lodGroups.delete(lod.uuid)) return;
+        this._restoreMaterials(lod);
+        const key = lod.userData.lodCacheKey;
+        const entry = this.cache.get(key);
+        if (entry && --entry.users <= 0) {
+            this._disposeEntry(entry);
+            this.cache.delete(key);
+        }
+    }
+
     /**
      * Update all LOD levels based on camera position
      */
     update() {
         if (!this.camera) return;
-        
+
         for (const [id, lod] of this.lodGroups.entries()) {
             // Skip if LOD object was removed from scene
             if (!lod.parent) continue;
-            
+
             // Calculate distance from camera to LOD object
             const distance = this.camera.position.distanceTo(lod.getWorldPosition(new THREE.Vector3()));
-            
+
             // Update LOD level
             lod.update(this.camera);
-            
+
             // Additional optimizations for distant objects
             this._optimizeDistantObject(lod, distance);
         }
     }
-    
+
     /**
      * Apply additional optimizations for distant objects
      * @private
      */
     _optimizeDistantObject(object, distance) {
-        const isDistant = distance > this.options.mediumDetailDistance;
-        
+        const isDistant = distance > this.options.mediumDetailDistance * this.distanceScale;
+
         object.traverse((child) => {
-            if (!child.isMesh) return;
-            
+            if (!child.isMesh || child.userData.impostor) return;
+
             // Skip if already processed
             if (child.userData.originalMaterial) return;
-            
+
             if (isDistant) {
                 // Store original material for later restoration
                 if (!child.userData.originalMaterial) {
                     child.userData.originalMaterial = child.material;
-                    
+
                     // Create simplified material for distant objects
                     const material = child.material.clone();
                     material.aoMap = null;
@@ -264,7 +379,7 @@ export class LODManager {
                     material.specularColorMap = null;
                     material.transmissionMap = null;
                     material.thicknessMap = null;
-                    
+
                     // Apply simplified material
                     child.material = material;
                 }
@@ -275,25 +390,57 @@ export class LODManager {
             }
         });
     }
-    
+
+    /**
+     * Put back materials swapped by _optimizeDistantObject() and free the copies
+     * @private
+     */
+    _restoreMaterials(lod) {
+        lod.traverse((child) => {
+            if (!child.isMesh || !child.userData.originalMaterial) return;
+            child.material.dispose();
+            child.material = child.userData.originalMaterial;
+            child.userData.originalMaterial = null;
+        });
+    }
+
+    /**
+     * Free the geometries and impostor generated for one source model
+     * The full-detail model and its materials belong to whoever loaded it.
+     * @private
+     */
+    _disposeEntry(entry) {
+        entry.geometries.forEach((geometry, key) => {
+            // Geometries too small to simplify are the source's own
+            if (!key.startsWith(`${geometry.uuid}@`)) geometry.dispose();
+        });
+        if (entry.impostor) {
+            entry.impostor.target.dispose();
+            entry.impostor.material.dispose();
+            entry.impostor.geometry.dispose();
+        }
+    }
+
     /**
      * Dispose of resources
      */
     dispose() {
         for (const lod of this.lodGroups.values()) {
-            lod.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
+            this._restoreMaterials(lod);
         }
+        this.cache.forEach(entry => this._disposeEntry(entry));
+        this.cache.clear();
         this.lodGroups.clear();
     }
 }
+
+// Atlas frame captured nearest to the direction the camera sees a mesh from
+function impostorFrame(mesh, camera, frames) {
+    const m = mesh.matrixWorld.elements;
+    const c = camera.matrixWorld.elements;
+    // Yaw of the mesh's local +Z axis, so turned models pick matching frames
+    const yaw = Math.atan2(m[8], m[10]);
+    const angle = Math.atan2(c[12] - m[12], c[14] - m[14]) - yaw;
+    const frame = Math.round(angle / (Math.PI * 2 / frames)) % frames;
+    return (frame + frames) % frames;
+}
@@ -0,0 +1,537 @@
+/**
+ * Mesh Simplifier - quadric error edge collapse for LOD geometry
+ * Uses the global THREE object
+ *
+ * Garland & Heckbert's quadric error metric with half-edge collapses: a vertex
+ * is always merged into one of its neighbours, so the vertices that survive
+ * keep their original position, normal and UV and nothing is interpolated.
+ *
+ * Copies of a vertex that share a position but not their UV or colour (seams)
+ * may only slide along the seam, taking every copy with them, so textures
+ * don't tear. Copies that differ only in their normal are treated as one
+ * vertex, and hard-edged meshes get their normals rebuilt with a crease angle. Open borders only collapse along the
+ * border. Borders and seams also add constraint planes to the quadrics, which
+ * keeps silhouettes and chart outlines in place, and collapses that would fold
+ * a triangle over are rejected.
+ */
+
+// Each pass collapses a batch of independent edges, cheapest first
+const MAX_PASSES = 64;
+// Constraint plane weight for open borders and seams, relative to face area
+const BORDER_WEIGHT = 10;
+const SEAM_WEIGHT = 1;
+// Smallest cosine allowed between a triangle's normal before and after a collapse
+const MIN_NORMAL_COS = 0.2;
+// Faces meeting at a sharper angle keep a hard edge when normals are rebuilt
+const CREASE_COS = Math.cos(THREE.MathUtils.degToRad(30));
+// Stride of the per-vertex quadric: 10 symmetric matrix terms plus the total weight
+const Q = 11;
+
+/**
+ * Simplified copy of an indexed or non-indexed geometry
+ * @param {THREE.BufferGeometry} geometry - Source geometry (left untouched)
+ * @param {number} ratio - Fraction of triangles to keep (0-1)
+ * @param {Object} options
+ * @param {number} [options.maxError=0.05] - Largest allowed deviation, as a fraction of the bounding box diagonal
+ * @param {number} [options.minTriangles=32] - Geometries this small are not simplified
+ * @returns {THREE.BufferGeometry} A new geometry, or the source itself when nothing could be removed
+ */
+export function simplifyGeometry(geometry, ratio, options = {}) {
+    const { maxError = 0.05, minTriangles = 32 } = options;
+    if (!geometry.attributes.position || ratio >= 1 || geometry.morphAttributes.position) return geometry;
+
+    const mesh = buildMesh(geometry);
+    const triangleCount = mesh.triangles.length / 3;
+    if (triangleCount <= minTriangles) return geometry;
+
+    const target = Math.max(1, Math.floor(triangleCount * ratio));
+    collapseEdges(mesh, target, (maxError * mesh.extent) ** 2);
+    if (mesh.triangles.length / 3 === triangleCount) return geometry;
+    return toGeometry(geometry, mesh);
+}
+
+/**
+ * Triangle count of a geometry, for logs
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number}
+ */
+export function countTriangles(geometry) {
+    return Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+}
+
+// Topology, seams, borders and quadrics of a geometry
+function buildMesh(geometry) {
+    const position = geometry.attributes.position;
+    const vertexCount = position.count;
+    const index = geometry.index;
+    const indexCount = countTriangles(geometry) * 3;
+
+    // Collapse onto the first copy of vertices whose attributes are all identical
+    const { remap, hardEdges } = weldVertices(geometry);
+    const groupOf = triangleGroups(geometry, indexCount / 3);
+
+    const positions = new Float64Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount; i++) {
+        positions[i * 3] = position.getX(i);
+        positions[i * 3 + 1] = position.getY(i);
+        positions[i * 3 + 2] = position.getZ(i);
+    }
+
+    // Copies that share a position form a ring of siblings around one wedge vertex.
+    // Positions are compared on a fine grid: generated seams rarely match to the last bit.
+    const box = new THREE.Box3().setFromBufferAttribute(position);
+    const extent = box.getSize(new THREE.Vector3()).length() || 1;
+    const step = extent * 1e-6;
+    const wedge = new Uint32Array(vertexCount);
+    const nextSibling = new Uint32Array(vertexCount);
+    const byPosition = new Map();
+    const used = new Uint8Array(vertexCount);
+    for (let i = 0; i < indexCount; i++) used[remap[index ? index.getX(i) : i]] = 1;
+    for (let v = 0; v < vertexCount; v++) {
+        nextSibling[v] = v;
+        if (!used[v]) continue;
+        const key = `${Math.round(positions[v * 3] / step)},${Math.round(positions[v * 3 + 1] / step)},${Math.round(positions[v * 3 + 2] / step)}`;
+        const first = byPosition.get(key);
+        if (first === undefined) {
+            byPosition.set(key, v);
+            wedge[v] = v;
+        } else {
+            wedge[v] = first;
+            nextSibling[v] = nextSibling[first];
+            nextSibling[first] = v;
+        }
+    }
+
+    // Triangles that already have no area are dropped up front
+    const kept = [];
+    const groups = [];
+    for (let t = 0; t < indexCount / 3; t++) {
+        if (groupOf[t] < 0) continue;
+        const corners = [0, 1, 2].map(k => remap[index ? index.getX(t * 3 + k) : t * 3 + k]);
+        const [a, b, c] = corners.map(v => wedge[v]);
+        if (a === b || b === c || a === c) continue;
+        kept.push(...corners);
+        groups.push(groupOf[t]);
+    }
+
+    const mesh = {
+        vertexCount,
+        positions,
+        wedge,
+        nextSibling,
+        triangles: Uint32Array.from(kept),
+        groups: Int32Array.from(groups),
+        quadrics: new Float64Array(vertexCount * Q),
+        border: new Uint8Array(vertexCount),
+        locked: new Uint8Array(vertexCount),
+        hardEdges,
+        extent
+    };
+    classifyVertices(mesh);
+    return mesh;
+}
+
+// Index of the first vertex with the same attributes as each vertex, normals aside
+function weldVertices(geometry) {
+    const { normal } = geometry.attributes;
+    const attributes = Object.entries(geometry.attributes)
+        .filter(([name]) => name !== 'normal' && name !== 'tangent')
+        .map(([, attribute]) => attribute);
+    const count = geometry.attributes.position.count;
+    const remap = new Uint32Array(count);
+    const seen = new Map();
+    let hardEdges = false;
+    for (let i = 0; i < count; i++) {
+        const key = attributes.map(attribute => readVertex(attribute, i).join(',')).join('|');
+        const first = seen.get(key);
+        if (first === undefined) {
+            seen.set(key, i);
+            remap[i] = i;
+        } else {
+            remap[i] = first;
+            if (normal && readVertex(normal, i).join() !== readVertex(normal, first).join()) hardEdges = true;
+        }
+    }
+    return { remap, hardEdges };
+}
+
+// Material index of every triangle (-1 for triangles outside all groups)
+function triangleGroups(geometry, triangleCount) {
+    const groupOf = new Int32Array(triangleCount);
+    if (geometry.groups.length === 0) return groupOf;
+    groupOf.fill(-1);
+    geometry.groups.forEach(({ start, count, materialIndex = 0 }) => {
+        const end = Math.min(triangleCount, Math.floor((start + count) / 3));
+        for (let t = Math.floor(start / 3); t < end; t++) groupOf[t] = materialIndex;
+    });
+    return groupOf;
+}
+
+// Face quadrics, plus constraint planes and flags for borders, seams and shared corners
+function classifyVertices(mesh) {
+    const { triangles, groups, wedge, border, locked } = mesh;
+    const edges = new Map(); // wedge pair -> [triangle, from vertex, to vertex] per side
+    const groupOfVertex = new Map();
+    const normal = new THREE.Vector3();
+
+    for (let t = 0; t < triangles.length / 3; t++) {
+        const plane = trianglePlane(mesh, t, normal);
+        const area = normal.length() / 2;
+        if (area > 0) {
+            for (let k = 0; k < 3; k++) addPlane(mesh, wedge[triangles[t * 3 + k]], plane, area);
+        }
+        for (let k = 0; k < 3; k++) {
+            const from = triangles[t * 3 + k];
+            const to = triangles[t * 3 + (k + 1) % 3];
+            const key = edgeKey(mesh, wedge[from], wedge[to]);
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push([t, from, to]);
+
+            // Corners shared by two materials stay put so the parts keep meeting
+            const group = groupOfVertex.get(wedge[from]);
+            if (group === undefined) groupOfVertex.set(wedge[from], groups[t]);
+            else if (group !== groups[t]) locked[wedge[from]] = 1;
+        }
+    }
+
+    edges.forEach((sides) => {
+        const [, from, to] = sides[0];
+        if (sides.length > 2) {
+            // Non-manifold edges are left alone
+            locked[wedge[from]] = 1;
+            locked[wedge[to]] = 1;
+        } else if (sides.length === 1) {
+            border[wedge[from]] = 1;
+            border[wedge[to]] = 1;
+            addEdgeConstraint(mesh, sides[0], BORDER_WEIGHT);
+        } else {
+            const [, otherFrom, otherTo] = sides[1];
+            // The two sides use different copies of the endpoints: a seam
+            if (from !== otherTo || to !== otherFrom) {
+                sides.forEach(side => addEdgeConstraint(mesh, side, SEAM_WEIGHT));
+            }
+        }
+    });
+}
+
+function edgeKey(mesh, a, b) {
+    return a < b ? a * mesh.vertexCount + b : b * mesh.vertexCount + a;
+}
+
+// Plane [a, b, c, d] of a triangle; normal receives the unnormalised face normal
+function trianglePlane(mesh, t, normal) {
+    const { positions, triangles } = mesh;
+    const a = triangles[t * 3] * 3;
+    const b = triangles[t * 3 + 1] * 3;
+    const c = triangles[t * 3 + 2] * 3;
+    faceNormal(positions, a, b, c, normal);
+    const length = normal.length();
+    if (length === 0) return [0, 0, 0, 0];
+    const nx = normal.x / length;
+    const ny = normal.y / length;
+    const nz = normal.z / length;
+    return [nx, ny, nz, -(nx * positions[a] + ny * positions[a + 1] + nz * positions[a + 2])];
+}
+
+function faceNormal(positions, a, b, c, target) {
+    const ux = positions[b] - positions[a];
+    const uy = positions[b + 1] - positions[a + 1];
+    const uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a];
+    const vy = positions[c + 1] - positions[a + 1];
+    const vz = positions[c + 2] - positions[a + 2];
+    return target.set(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx);
+}
+
+// Plane through an edge, perpendicular to its triangle, added to both endpoints
+function addEdgeConstraint(mesh, [t, from, to], weight) {
+    const { positions, wedge } = mesh;
+    const normal = new THREE.Vector3();
+    trianglePlane(mesh, t, normal);
+    const edge = new THREE.Vector3(
+        positions[to * 3] - positions[from * 3],
+        positions[to * 3 + 1] - positions[from * 3 + 1],
+        positions[to * 3 + 2] - positions[from * 3 + 2]
+    );
+    const lengthSq = edge.lengthSq();
+    const side = edge.clone().cross(normal).normalize();
+    if (lengthSq === 0 || side.lengthSq() === 0) return;
+    const d = -(side.x * positions[from * 3] + side.y * positions[from * 3 + 1] + side.z * positions[from * 3 + 2]);
+    const plane = [side.x, side.y, side.z, d];
+    addPlane(mesh, wedge[from], plane, weight * lengthSq);
+    addPlane(mesh, wedge[to], plane, weight * lengthSq);
+}
+
+function addPlane(mesh, vertex, [a, b, c, d], weight) {
+    const q = mesh.quadrics;
+    const o = vertex * Q;
+    q[o] += weight * a * a;
+    q[o + 1] += weight * a * b;
+    q[o + 2] += weight * a * c;
+    q[o + 3] += weight * a * d;
+    q[o + 4] += weight * b * b;
+    q[o + 5] += weight * b * c;
+    q[o + 6] += weight * b * d;
+    q[o + 7] += weight * c * c;
+    q[o + 8] += weight * c * d;
+    q[o + 9] += weight * d * d;
+    q[o + 10] += weight;
+}
+
+// Mean squared distance of a point from the planes of two vertices' quadrics
+function quadricError(mesh, a, b, point) {
+    const q = mesh.quadrics;
+    const [x, y, z] = [mesh.positions[point * 3], mesh.positions[point * 3 + 1], mesh.positions[point * 3 + 2]];
+    let error = 0;
+    let weight = 0;
+    [a * Q, b * Q].forEach((o) => {
+        error += x * x * q[o] + 2 * x * y * q[o + 1] + 2 * x * z * q[o + 2] + 2 * x * q[o + 3] +
+                 y * y * q[o + 4] + 2 * y * z * q[o + 5] + 2 * y * q[o + 6] +
+                 z * z * q[o + 7] + 2 * z * q[o + 8] + q[o + 9];
+        weight += q[o + 10];
+    });
+    return weight > 0 ? Math.max(0, error / weight) : 0;
+}
+
+// Triangles around each wedge vertex, as offsets into one flat list
+function buildAdjacency(mesh) {
+    const { triangles, wedge, vertexCount } = mesh;
+    const offsets = new Uint32Array(vertexCount + 1);
+    for (let i = 0; i < triangles.length; i++) offsets[wedge[triangles[i]] + 1]++;
+    for (let v = 0; v < vertexCount; v++) offsets[v + 1] += offsets[v];
+    const fill = offsets.slice(0, vertexCount);
+    const list = new Uint32Array(triangles.length);
+    for (let i = 0; i < triangles.length; i++) list[fill[wedge[triangles[i]]]++] = Math.floor(i / 3);
+    return { offsets, list };
+}
+
+// Wedge pairs of every edge with the number of triangles using it
+function collectEdges(mesh) {
+    const { triangles, wedge } = mesh;
+    const edges = new Map();
+    for (let t = 0; t < triangles.length / 3; t++) {
+        for (let k = 0; k < 3; k++) {
+            const key = edgeKey(mesh, wedge[triangles[t * 3 + k]], wedge[triangles[t * 3 + (k + 1) % 3]]);
+            edges.set(key, (edges.get(key) || 0) + 1);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Check merging wedge vertex `from` into `to`
+ * @returns {Map|null} Copy of `to` each copy of `from` becomes, or null when the collapse isn't allowed
+ */
+function planCollapse(mesh, adjacency, removed, from, to, borderEdge) {
+    const { triangles, wedge, nextSibling, positions, locked, border } = mesh;
+    if (locked[from] || (border[from] && !borderEdge)) return null;
+
+    const pairs = new Map();
+    const before = new THREE.Vector3();
+    const after = new THREE.Vector3();
+    for (let i = adjacency.offsets[from]; i < adjacency.offsets[from + 1]; i++) {
+        const t = adjacency.list[i];
+        if (removed[t]) continue;
+        const corners = [triangles[t * 3], triangles[t * 3 + 1], triangles[t * 3 + 2]];
+        const own = corners.find(v => wedge[v] === from);
+        const other = corners.find(v => wedge[v] === to);
+        if (other !== undefined) {
+            // A copy of `from` on the edge pairs with the copy of `to` beside it
+            if (pairs.has(own) && pairs.get(own) !== other) return null;
+            pairs.set(own, other);
+            continue;
+        }
+        // The remaining triangles must not fold over or collapse to a sliver
+        const [a, b, c] = corners.map(v => v * 3);
+        faceNormal(positions, a, b, c, before);
+        const moved = corners.map(v => (v === own ? to : v) * 3);
+        faceNormal(positions, moved[0], moved[1], moved[2], after);
+        const lengths = before.length() * after.length();
+        if (lengths === 0 || before.dot(after) < MIN_NORMAL_COS * lengths) return null;
+    }
+
+    // Every copy of `from` has to travel with the edge, or the seam would tear
+    let copy = from;
+    do {
+        if (!pairs.has(copy)) return null;
+        copy = nextSibling[copy];
+    } while (copy !== from);
+    return pairs;
+}
+
+// Greedy passes of independent collapses until the target or the error limit is reached
+function collapseEdges(mesh, target, limit) {
+    let remaining = mesh.triangles.length / 3;
+    for (let pass = 0; pass < MAX_PASSES && remaining > target; pass++) {
+        const adjacency = buildAdjacency(mesh);
+        const removed = new Uint8Array(mesh.triangles.length / 3);
+        const edges = collectEdges(mesh);
+
+        const candidates = [];
+        edges.forEach((count, key) => {
+            const a = Math.floor(key / mesh.vertexCount);
+            const b = key % mesh.vertexCount;
+            let best = null;
+            [[a, b], [b, a]].forEach(([from, to]) => {
+                const cost = quadricError(mesh, from, to, to);
+                if (cost > limit || (best && best.cost <= cost)) return;
+                if (planCollapse(mesh, adjacency, removed, from, to, count === 1)) {
+                    best = { from, to, cost, border: count === 1 };
+                }
+            });
+            if (best) candidates.push(best);
+        });
+        if (candidates.length === 0) break;
+        candidates.sort((x, y) => x.cost - y.cost);
+
+        // Vertices whose triangles changed this pass wait for the next one
+        const dirty = new Uint8Array(mesh.vertexCount);
+        let collapsed = 0;
+        for (const { from, to, border } of candidates) {
+            if (remaining <= target) break;
+            if (dirty[from] || dirty[to]) continue;
+            const pairs = planCollapse(mesh, adjacency, removed, from, to, border);
+            if (!pairs) continue;
+            markRing(mesh, adjacency, from, dirty);
+            markRing(mesh, adjacency, to, dirty);
+            remaining -= applyCollapse(mesh, adjacency, removed, from, to, pairs);
+            collapsed++;
+        }
+
+        mesh.triangles = mesh.triangles.filter((_, i) => !removed[Math.floor(i / 3)]);
+        mesh.groups = mesh.groups.filter((_, t) => !removed[t]);
+        if (collapsed === 0) break;
+    }
+}
+
+function markRing(mesh, adjacency, vertex, dirty) {
+    for (let i = adjacency.offsets[vertex]; i < adjacency.offsets[vertex + 1]; i++) {
+        const t = adjacency.list[i];
+        for (let k = 0; k < 3; k++) dirty[mesh.wedge[mesh.triangles[t * 3 + k]]] = 1;
+    }
+}
+
+// Rewire the triangles around `from`; returns how many triangles disappeared
+function applyCollapse(mesh, adjacency, removed, from, to, pairs) {
+    const { triangles, wedge, quadrics } = mesh;
+    let lost = 0;
+    for (let i = adjacency.offsets[from]; i < adjacency.offsets[from + 1]; i++) {
+        const t = adjacency.list[i];
+        if (removed[t]) continue;
+        let onEdge = false;
+        for (let k = 0; k < 3; k++) {
+            if (wedge[triangles[t * 3 + k]] === to) onEdge = true;
+        }
+        if (onEdge) {
+            removed[t] = 1;
+            lost++;
+            continue;
+        }
+        for (let k = 0; k < 3; k++) {
+            const v = triangles[t * 3 + k];
+            if (wedge[v] === from) triangles[t * 3 + k] = pairs.get(v);
+        }
+    }
+    for (let j = 0; j < Q; j++) quadrics[to * Q + j] += quadrics[from * Q + j];
+    return lost;
+}
+
+// New geometry with the surviving triangles, sorted by material group
+function toGeometry(source, mesh) {
+    const { triangles, groups } = mesh;
+    const order = Array.from(groups.keys()).sort((a, b) => groups[a] - groups[b] || a - b);
+    const normals = mesh.hardEdges && source.attributes.normal ? creaseNormals(mesh, order) : null;
+
+    // One new vertex per source vertex, or per source vertex and rebuilt normal
+    const lookup = new Map();
+    const vertices = []; // [source vertex, first corner using it]
+    const indices = new (triangles.length > 65535 ? Uint32Array : Uint16Array)(triangles.length);
+    order.forEach((t, n) => {
+        for (let k = 0; k < 3; k++) {
+            const v = triangles[t * 3 + k];
+            const corner = n * 3 + k;
+            const key = normals ? `${v}|${normals.slice(corner * 3, corner * 3 + 3).join()}` : v;
+            let vertex = lookup.get(key);
+            if (vertex === undefined) {
+                vertex = vertices.length;
+                lookup.set(key, vertex);
+                vertices.push([v, corner]);
+            }
+            indices[corner] = vertex;
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    Object.entries(source.attributes).forEach(([name, attribute]) => {
+        // Tangents no longer match rebuilt normals; the renderer derives them again
+        if (normals && name === 'tangent') return;
+        const ArrayType = attribute.array.constructor;
+        const array = new ArrayType(vertices.length * attribute.itemSize);
+        vertices.forEach(([v, corner], i) => {
+            const values = normals && name === 'normal' ? normals.subarray(corner * 3, corner * 3 + 3) : readVertex(attribute, v);
+            array.set(values, i * attribute.itemSize);
+        });
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+    });
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    if (source.groups.length > 0) {
+        let start = 0;
+        order.forEach((t, n) => {
+            const last = n === order.length - 1 || groups[order[n + 1]] !== groups[t];
+            if (!last) return;
+            geometry.addGroup(start * 3, (n + 1 - start) * 3, groups[t]);
+            start = n + 1;
+        });
+    }
+    geometry.name = source.name;
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+// Normal of every corner: the area-weighted average of the faces around its
+// position that lie within the crease angle of its own face
+function creaseNormals(mesh, order) {
+    const { triangles, wedge, positions } = mesh;
+    const faces = new Float32Array(order.length * 3);
+    const around = new Map(); // wedge vertex -> faces touching it
+    const normal = new THREE.Vector3();
+    order.forEach((t, n) => {
+        const [a, b, c] = [0, 1, 2].map(k => triangles[t * 3 + k] * 3);
+        faceNormal(positions, a, b, c, normal).toArray(faces, n * 3);
+        for (let k = 0; k < 3; k++) {
+            const w = wedge[triangles[t * 3 + k]];
+            if (!around.has(w)) around.set(w, []);
+            around.get(w).push(n);
+        }
+    });
+
+    const normals = new Float32Array(order.length * 9);
+    const own = new THREE.Vector3();
+    const other = new THREE.Vector3();
+    order.forEach((t, n) => {
+        own.fromArray(faces, n * 3).normalize();
+        for (let k = 0; k < 3; k++) {
+            normal.set(0, 0, 0);
+            around.get(wedge[triangles[t * 3 + k]]).forEach((m) => {
+                other.fromArray(faces, m * 3);
+                if (m === n || own.dot(other) >= CREASE_COS * other.length()) normal.add(other);
+            });
+            if (normal.lengthSq() === 0) normal.copy(own);
+            // Rounded so corners with the same normal share a vertex
+            normal.normalize().toArray().forEach((value, i) => {
+                normals[(n * 3 + k) * 3 + i] = Math.round(value * 1e4) / 1e4;
+            });
+        }
+    });
+    return normals;
+}
+
+function readVertex(attribute, i) {
+    const values = [attribute.getX(i)];
+    if (attribute.itemSize > 1) values.push(attribute.getY(i));
+    if (attribute.itemSize > 2) values.push(attribute.getZ(i));
+    if (attribute.itemSize > 3) values.push(attribute.getW(i));
+    return values;
+}
@@ -0,0 +1,34 @@
+/**
+ * Seeded random numbers for reproducible world layouts
+ * The same seed always yields the same sequence, so a layout can be rebuilt from CONFIG.RANDOM.SEED.
+ */
+
+/**
+ * Create a seeded random number generator (Mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Function returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let t = seed >>> 0;
+    return function() {
+        t += 0x6D2B79F5;
+        let r = Math.imul(t ^ t >>> 15, 1 | t);
+        r ^= r + Math.imul(r ^ r >>> 7, 61 | r);
+        return ((r ^ r >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive an independent seed for a subsystem so adding draws in one system
+ * does not shift the sequence seen by another
+ * @param {number} seed - Base seed
+ * @param {string} salt - Subsystem name
+ * @returns {number} Derived 32-bit seed
+ */
+export function deriveSeed(seed, salt) {
+    let h = (seed >>> 0) ^ 0x811C9DC5;
+    for (let i = 0; i < salt.length; i++) {
+        h = Math.imul(h ^ salt.charCodeAt(i), 0x01000193);
+    }
+    return h >>> 0;
+}
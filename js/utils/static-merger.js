@@ -0,0 +1,188 @@
+/**
+ * Static Merger - bakes static meshes into one geometry per material
+ * Uses the global THREE object
+ *
+ * Like InstanceBatcher, the objects added stay in the scene graph as stand-ins:
+ * their meshes are hidden but keep their geometry, so colliders, camera
+ * collision and Box3.setFromObject() work as before. Meshes whose materials
+ * differ only in colour are merged together, with the colour moved into vertex
+ * colours, so a district of buildings draws in a handful of calls. Each merged
+ * mesh keeps userData.owners and userData.ownerStarts (first triangle of every
+ * owner) so resolveIntersection() can map a hit face back to its object.
+ */
+
+export class StaticMerger {
+    /**
+     * @param {THREE.Object3D|null} space - Object the merged meshes will be added to (null = world space)
+     */
+    constructor(space = null) {
+        this.space = space;
+        this.groups = new Map(); // material key -> [{mesh, owner}]
+        this.meshes = [];        // Merged meshes created by build()
+        this.sourceCount = 0;    // Meshes folded into them
+    }
+
+    /**
+     * Queue every static mesh under an object for merging
+     * @param {THREE.Object3D} object - Logical object (a building)
+     * @param {string} id - Logical id reported for raycast hits (defaults to the name or uuid)
+     */
+    add(object, id = object.name || object.uuid) {
+        const owner = { object, id };
+        object.traverse((mesh) => {
+            if (!mesh.isMesh || mesh.isInstancedMesh || mesh.isSkinnedMesh || !mesh.visible) return;
+            // Multi-material meshes keep their own draw calls
+            if (Array.isArray(mesh.material) || !mesh.geometry.attributes.position) return;
+            const key = `${materialKey(mesh.material)}|${mesh.userData.nightEmissive}|${mesh.castShadow}|${mesh.receiveShadow}`;
+            if (!this.groups.has(key)) this.groups.set(key, []);
+            this.groups.get(key).push({ mesh, owner });
+        });
+    }
+
+    /**
+     * Merge the queued meshes and hide the sources
+     * @returns {THREE.Mesh[]} Merged meshes to add to the scene (or to the space object)
+     */
+    build() {
+        if (this.space) this.space.updateWorldMatrix(true, false);
+        const toSpace = this.space ? this.space.matrixWorld.clone().invert() : new THREE.Matrix4();
+
+        this.groups.forEach((entries) => {
+            const source = entries[0].mesh;
+            const material = source.material.clone();
+            if (material.color) {
+                material.color.set(0xffffff);
+                material.vertexColors = true;
+            }
+            const merged = new THREE.Mesh(mergeGeometries(entries, toSpace), material);
+            merged.name = 'merged';
+            merged.castShadow = source.castShadow;
+            merged.receiveShadow = source.receiveShadow;
+            if (source.userData.nightEmissive !== undefined) {
+                merged.userData.nightEmissive = source.userData.nightEmissive;
+            }
+            merged.userData.owners = [];
+            merged.userData.ownerStarts = [];
+            let triangle = 0;
+            entries.forEach(({ mesh, owner }) => {
+                const owners = merged.userData.owners;
+                if (owners[owners.length - 1] !== owner) {
+                    owners.push(owner);
+                    merged.userData.ownerStarts.push(triangle);
+                }
+                triangle += triangleCount(mesh.geometry);
+                mesh.visible = false;
+            });
+            this.sourceCount += entries.length;
+            this.meshes.push(merged);
+        });
+        this.groups.clear();
+        return this.meshes;
+    }
+
+    /**
+     * Remove the merged meshes from their parent and free them
+     * The hidden sources are untouched; dispose them separately.
+     */
+    dispose() {
+        this.meshes.forEach((mesh) => {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.meshes = [];
+        this.sourceCount = 0;
+    }
+
+    /**
+     * Draw calls before and after merging
+     * @returns {{meshes: number, drawCalls: number}}
+     */
+    getStats() {
+        return { meshes: this.sourceCount, drawCalls: this.meshes.length };
+    }
+}
+
+// Materials with the same key look identical apart from their colour
+function materialKey(material) {
+    const textured = ['map', 'alphaMap', 'emissiveMap', 'normalMap', 'aoMap', 'lightMap', 'envMap']
+        .some(name => material[name]);
+    if (textured || material.vertexColors) return material.uuid;
+    return [
+        material.type,
+        material.emissive ? material.emissive.getHex() : '',
+        material.emissiveIntensity ?? '',
+        material.roughness ?? '',
+        material.metalness ?? '',
+        material.transparent,
+        material.opacity,
+        material.side,
+        material.flatShading,
+        material.wireframe
+    ].join('|');
+}
+
+function triangleCount(geometry) {
+    return (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+}
+
+// One indexed geometry with positions and normals in the target space and each source's colour per vertex
+function mergeGeometries(entries, toSpace) {
+    let vertexCount = 0;
+    let indexCount = 0;
+    entries.forEach(({ mesh }) => {
+        vertexCount += mesh.geometry.attributes.position.count;
+        indexCount += triangleCount(mesh.geometry) * 3;
+    });
+    const hasUv = entries.every(({ mesh }) => mesh.geometry.attributes.uv);
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const uvs = hasUv ? new Float32Array(vertexCount * 2) : null;
+    const indices = vertexCount > 65535 ? new Uint32Array(indexCount) : new Uint16Array(indexCount);
+
+    const matrix = new THREE.Matrix4();
+    const normalMatrix = new THREE.Matrix3();
+    const vector = new THREE.Vector3();
+    const color = new THREE.Color();
+    let vertexOffset = 0;
+    let indexOffset = 0;
+
+    entries.forEach(({ mesh }) => {
+        const { position, normal, uv } = mesh.geometry.attributes;
+        const index = mesh.geometry.index;
+        mesh.updateWorldMatrix(true, false);
+        matrix.multiplyMatrices(toSpace, mesh.matrixWorld);
+        normalMatrix.getNormalMatrix(matrix);
+        if (mesh.material.color) color.copy(mesh.material.color);
+        else color.set(0xffffff);
+
+        for (let i = 0; i < position.count; i++) {
+            const v = vertexOffset + i;
+            vector.fromBufferAttribute(position, i).applyMatrix4(matrix).toArray(positions, v * 3);
+            if (normal) vector.fromBufferAttribute(normal, i).applyMatrix3(normalMatrix).normalize().toArray(normals, v * 3);
+            color.toArray(colors, v * 3);
+            if (uvs) {
+                uvs[v * 2] = uv.getX(i);
+                uvs[v * 2 + 1] = uv.getY(i);
+            }
+        }
+        const count = triangleCount(mesh.geometry) * 3;
+        for (let i = 0; i < count; i++) {
+            indices[indexOffset + i] = vertexOffset + (index ? index.getX(i) : i);
+        }
+        vertexOffset += position.count;
+        indexOffset += count;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    if (uvs) geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeBoundingSphere();
+    geometry.computeBoundingBox();
+    return geometry;
+}
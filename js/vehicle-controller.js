@@ -0,0 +1,315 @@
+import { CONFIG } from './config.js';
+import { getInterpolatedPose, resetInterpolation } from './physics.js';
+
+// createCar() models face east (+x) at rotation.y = PI/2; the chassis uses +x as forward
+const MODEL_ROTATION = Math.PI / 2;
+
+// Character capsule radius (see createCharacterBody) plus a little clearance
+const EXIT_CLEARANCE = 0.5;
+
+// Drivable vehicle controller backed by CANNON.RaycastVehicle
+// One instance is reused: enter() builds a chassis around a car mesh, exit() parks it again.
+export class VehicleController {
+    constructor(world, input = null, stepper = null) {
+        this.world = world;
+        this.input = input;       // InputManager: move drives, jump is the handbrake
+        this.stepper = stepper;   // PhysicsStepper; the chassis is drawn interpolated between steps
+        this.vehicle = null;      // Car mesh being driven
+        this.chassisBody = null;
+        this.raycastVehicle = null;
+        this.steering = 0;
+        this.halfExtents = null;
+        this._parkedBody = null;  // Kinematic collider the car had before we took over
+        this.terrain = null;      // Heightmap for exit spots on hills (terrain.js)
+        this._modelRotation = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), MODEL_ROTATION);
+    }
+
+    /**
+     * Terrain the character steps out onto
+     * @param {Heightmap|null} heightmap
+     */
+    setTerrain(heightmap) {
+        this.terrain = heightmap;
+    }
+
+    get isDriving() {
+        return this.vehicle !== null;
+    }
+
+    /**
+     * Take control of a car mesh
+     * @param {THREE.Object3D} vehicle - Car created by VehicleLoader
+     * @returns {boolean} Whether the car could be entered
+     */
+    enter(vehicle) {
+        if (!this.world || typeof CANNON === 'undefined' || this.isDriving) return false;
+
+        // Measure the car facing east so x is its length and z its width
+        const savedRotation = vehicle.rotation.y;
+        vehicle.rotation.y = MODEL_ROTATION;
+        vehicle.updateMatrixWorld(true);
+        const size = new THREE.Box3().setFromObject(vehicle).getSize(new THREE.Vector3());
+        vehicle.rotation.y = savedRotation;
+        vehicle.updateMatrixWorld(true);
+
+        const radius = CONFIG.VEHICLE.WHEEL_RADIUS;
+        const rest = CONFIG.VEHICLE.SUSPENSION_REST_LENGTH;
+        this.halfExtents = new CANNON.Vec3(size.x / 2, Math.max(size.y / 4, 0.3), size.z / 2);
+        // The body origin (centre of mass) sits on the chassis floor where the wheels hang,
+        // which keeps narrow cars from rolling. Start (and draw the mesh) with the springs
+        // half compressed so all four wheels touch the ground.
+        this._rideHeight = radius + rest / 2;
+
+        // Chassis
+        const chassisBody = new CANNON.Body({ mass: CONFIG.VEHICLE.CHASSIS_MASS });
+        chassisBody.addShape(new CANNON.Box(this.halfExtents), new CANNON.Vec3(0, this.halfExtents.y, 0));
+        chassisBody.position.set(vehicle.position.x, vehicle.position.y + this._rideHeight, vehicle.position.z);
+        chassisBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), savedRotation - MODEL_ROTATION);
+        chassisBody.angularDamping = 0.5;
+        chassisBody.allowSleep = false;
+
+        // Forward +x, up +y, right +z in chassis space
+        const raycastVehicle = new CANNON.RaycastVehicle({
+            chassisBody,
+            indexRightAxis: 2,
+            indexUpAxis: 1,
+            indexForwardAxis: 0
+        });
+
+        const wheelOptions = {
+            radius,
+            directionLocal: new CANNON.Vec3(0, -1, 0),
+            axleLocal: new CANNON.Vec3(0, 0, 1),
+            suspensionStiffness: 30,
+            suspensionRestLength: rest,
+            frictionSlip: 5,
+            dampingRelaxation: 2.3,
+            dampingCompression: 4.4,
+            maxSuspensionForce: 100000,
+            rollInfluence: 0.01,
+            maxSuspensionTravel: 0.3,
+            customSlidingRotationalSpeed: -30,
+            useCustomSlidingRotationalSpeed: true,
+            chassisConnectionPointLocal: new CANNON.Vec3()
+        };
+        // Base the wheelbase on the longest side so stubby models don't wheelie over
+        const axleX = Math.max(this.halfExtents.x, this.halfExtents.z) * 0.7;
+        const trackZ = this.halfExtents.z * 0.8;
+        // Front left, front right, rear left, rear right
+        [[axleX, -trackZ], [axleX, trackZ], [-axleX, -trackZ], [-axleX, trackZ]].forEach(([x, z]) => {
+            wheelOptions.chassisConnectionPointLocal.set(x, 0, z);
+            raycastVehicle.addWheel(wheelOptions);
+        });
+
+        // Swap the parked collider for the driven chassis
+        this._parkedBody = vehicle.userData.physicsBody || null;
+        if (this._parkedBody) this.world.removeBody(this._parkedBody);
+        raycastVehicle.addToWorld(this.world);
+        if (this.stepper) this.stepper.track(chassisBody);
+
+        this.vehicle = vehicle;
+        this.chassisBody = chassisBody;
+        this.raycastVehicle = raycastVehicle;
+        this.steering = 0;
+        console.log(`🚙 Entered ${vehicle.name || 'vehicle'}`);
+        return true;
+    }
+
+    /**
+     * Hand the car back as a parked obstacle
+     * @returns {THREE.Object3D|null} The car that was being driven
+     */
+    exit() {
+        if (!this.isDriving) return null;
+        const vehicle = this.vehicle;
+        this.syncMesh();
+
+        // Park level, keeping only the heading
+        const forward = this.chassisBody.quaternion.vmult(new CANNON.Vec3(1, 0, 0));
+        const heading = Math.atan2(-forward.z, forward.x);
+        vehicle.rotation.set(0, heading + MODEL_ROTATION, 0);
+
+        this.raycastVehicle.removeFromWorld(this.world);
+        if (this.stepper) this.stepper.untrack(this.chassisBody);
+        if (this._parkedBody) {
+            this._parkedBody.position.set(vehicle.position.x, vehicle.position.y, vehicle.position.z);
+            this._parkedBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), vehicle.rotation.y);
+            this._parkedBody.velocity.set(0, 0, 0);
+            this.world.addBody(this._parkedBody);
+        }
+
+        this.vehicle = null;
+        this.chassisBody = null;
+        this.raycastVehicle = null;
+        this._parkedBody = null;
+        console.log(`🚶 Left ${vehicle.name || 'vehicle'}`);
+        return vehicle;
+    }
+
+    /**
+     * Find a free spot beside the car for the character to step out to
+     * Tries the driver door, the passenger door, then behind and in front of the car.
+     * @returns {{x: number, y: number, z: number}|null} Position, or null if every side is blocked
+     */
+    findExitPosition() {
+        if (!this.isDriving) return null;
+        const body = this.chassisBody;
+        const forward = body.quaternion.vmult(new CANNON.Vec3(1, 0, 0));
+        const right = body.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+        forward.y = 0;
+        right.y = 0;
+        forward.normalize();
+        right.normalize();
+
+        const side = this.halfExtents.z + EXIT_CLEARANCE + 0.5;
+        const end = this.halfExtents.x + EXIT_CLEARANCE + 0.5;
+        const candidates = [
+            right.scale(-side),
+            right.scale(side),
+            forward.scale(-end),
+            forward.scale(end)
+        ];
+
+        for (const offset of candidates) {
+            const x = body.position.x + offset.x;
+            const z = body.position.z + offset.z;
+            const ground = this.terrain ? this.terrain.getHeightAt(x, z) : 0;
+            const spot = new CANNON.Vec3(x, ground + CONFIG.CHARACTER.GROUND_LEVEL, z);
+            if (this._isClear(spot)) return { x: spot.x, y: spot.y, z: spot.z };
+        }
+        return null;
+    }
+
+    // A spot is clear when no collider overlaps it and nothing solid sits between it and the car
+    _isClear(spot) {
+        const r = EXIT_CLEARANCE;
+        for (const body of this.world.bodies) {
+            if (body === this.chassisBody || body.collisionResponse === false) continue;
+            if (isGroundBody(body)) continue;
+            body.computeAABB();
+            const { lowerBound: lo, upperBound: hi } = body.aabb;
+            if (spot.x + r > lo.x && spot.x - r < hi.x &&
+                spot.y + r > lo.y && spot.y - r < hi.y &&
+                spot.z + r > lo.z && spot.z - r < hi.z) {
+                return false;
+            }
+        }
+
+        const from = new CANNON.Vec3(this.chassisBody.position.x, spot.y, this.chassisBody.position.z);
+        const result = new CANNON.RaycastResult();
+        this.world.raycastClosest(from, spot, { skipBackfaces: true }, result);
+        return !result.hasHit || result.body === this.chassisBody || isGroundBody(result.body);
+    }
+
+    /**
+     * Seat position, used to keep the hidden character with the car
+     * @returns {THREE.Vector3}
+     */
+    getSeatPosition() {
+        const p = this.chassisBody.position;
+        return new THREE.Vector3(p.x, p.y, p.z);
+    }
+
+    /**
+     * Pose and motion of the chassis, for Game.saveState()
+     * @returns {Object|null} null when no car is being driven
+     */
+    getState() {
+        if (!this.isDriving) return null;
+        const body = this.chassisBody;
+        return {
+            position: { x: body.position.x, y: body.position.y, z: body.position.z },
+            quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+            velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+            angularVelocity: { x: body.angularVelocity.x, y: body.angularVelocity.y, z: body.angularVelocity.z },
+            steering: this.steering
+        };
+    }
+
+    /**
+     * Put the driven car's chassis back where getState() found it
+     * @param {Object} state - Chassis state
+     */
+    setState(state) {
+        if (!this.isDriving || !state) return;
+        const { position, quaternion, velocity = { x: 0, y: 0, z: 0 }, angularVelocity = { x: 0, y: 0, z: 0 } } = state;
+        const body = this.chassisBody;
+        body.position.set(position.x, position.y, position.z);
+        body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.angularVelocity.set(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+        resetInterpolation(body);
+        this.steering = state.steering || 0;
+        this.syncMesh();
+    }
+
+    /**
+     * Forward speed in units per second (negative when reversing)
+     * @returns {number}
+     */
+    getSpeed() {
+        if (!this.isDriving) return 0;
+        const forward = this.chassisBody.quaternion.vmult(new CANNON.Vec3(1, 0, 0));
+        return this.chassisBody.velocity.dot(forward);
+    }
+
+    update(deltaTime) {
+        if (!this.isDriving) return;
+        const v = CONFIG.VEHICLE;
+        const speed = this.getSpeed();
+
+        const move = this.input ? this.input.getMoveVector() : { x: 0, y: 0 };
+        const handbrake = this.input ? this.input.isPressed('jump') : false;
+
+        // Ease the steering toward the stick/keys, with less lock at speed to avoid rollovers
+        const maxSteer = v.MAX_STEER / (1 + Math.abs(speed) / 10);
+        const steerTarget = -move.x * maxSteer;
+        const steerStep = v.STEER_SPEED * deltaTime;
+        this.steering += Math.max(-steerStep, Math.min(steerStep, steerTarget - this.steering));
+
+        // Throttle forward; back brakes while rolling forward and reverses once stopped
+        let engine = 0;
+        let brake = 0;
+        if (move.y > 0) {
+            engine = speed < -0.5 || speed > v.MAX_SPEED ? 0 : v.ENGINE_FORCE * move.y;
+            if (speed < -0.5) brake = v.BRAKE_FORCE * move.y;
+        } else if (move.y < 0) {
+            if (speed > 0.5) brake = v.BRAKE_FORCE * -move.y;
+            else if (speed > -v.MAX_SPEED / 3) engine = v.REVERSE_FORCE * move.y;
+        }
+
+        const rv = this.raycastVehicle;
+        rv.setSteeringValue(this.steering, 0);
+        rv.setSteeringValue(this.steering, 1);
+        // Rear-wheel drive
+        rv.applyEngineForce(engine, 2);
+        rv.applyEngineForce(engine, 3);
+        for (let i = 0; i < 4; i++) rv.setBrake(brake, i);
+        if (handbrake) {
+            rv.setBrake(v.HANDBRAKE_FORCE, 2);
+            rv.setBrake(v.HANDBRAKE_FORCE, 3);
+        }
+    }
+
+    /**
+     * Copy the chassis transform to the car mesh
+     * @param {number} alpha - PhysicsStepper.alpha: how far into the current step to draw (1 = the body's own pose)
+     */
+    syncMesh(alpha = 1) {
+        const body = this.chassisBody;
+        if (alpha < 1 && body.previousQuaternion) {
+            getInterpolatedPose(body, alpha, this.vehicle.position, this.vehicle.quaternion);
+        } else {
+            this.vehicle.position.set(body.position.x, body.position.y, body.position.z);
+            this.vehicle.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+        }
+        const offset = new THREE.Vector3(0, -this._rideHeight, 0).applyQuaternion(this.vehicle.quaternion);
+        this.vehicle.position.add(offset);
+        this.vehicle.quaternion.multiply(this._modelRotation);
+    }
+}
+
+// The ground plane or terrain heightfield (see createGroundBody)
+function isGroundBody(body) {
+    return body.shapes.some(shape => shape instanceof CANNON.Plane || shape instanceof CANNON.Heightfield);
+}
@@ -1,24 +1,20 @@
+import { AssetManager, assetManager } from './asset-manager.js';
+
 // Vehicle loader for external 3D models
 export class VehicleLoader {
-    constructor() {
+    constructor(assets = assetManager) {
+        this.assets = assets; // Parses each car model once and hands out clones
         this.loader = null;
         this.vehicles = [];
-        this.loadedModels = new Map();
     }
 
     init() {
-        // Try to initialize GLTFLoader
-        try {
-            if (typeof THREE !== 'undefined' && THREE.GLTFLoader) {
-                this.loader = new THREE.GLTFLoader();
-                console.log('✅ GLTFLoader initialized successfully');
-            } else {
-                console.warn('❌ GLTFLoader not available in THREE object');
-                console.log('Available THREE loaders:', Object.keys(THREE).filter(key => key.includes('Loader')));
-                this.loader = null;
-            }
-        } catch (error) {
-            console.warn('❌ GLTFLoader initialization failed:', error);
+        // Models come from the shared AssetManager when glTF loading is available
+        if (AssetManager.isSupported()) {
+            this.loader = this.assets;
+            console.log('✅ GLTFLoader initialized successfully');
+        } else {
+            console.warn('❌ GLTFLoader not available in THREE object');
             this.loader = null;
         }
     }
@@ -33,59 +29,50 @@ export class VehicleLoader {
 
         console.log('🔄 Attempting to load car model:', url);
 
-        return new Promise((resolve, reject) => {
-            this.loader.load(
-                url,
-                (gltf) => {
-                    console.log('✅ GLTF loaded successfully:', url);
-                    const model = gltf.scene;
-                    
-                    // Calculate proper size scaling
-                    const box = new THREE.Box3().setFromObject(model);
-                    const size = box.getSize(new THREE.Vector3());
-                    const maxDimension = Math.max(size.x, size.y, size.z);
-                    const desiredSize = 3; // Desired car size in our scene
-                    const scaleFactor = desiredSize / maxDimension;
-                    model.scale.set(scaleFactor, scaleFactor, scaleFactor);
-                    
-                    // Reset and correct orientation - rotate to face right (east)
-                    model.rotation.set(0, 0, 0); // Reset all rotations first
-                    
-                    // Try different rotations to align with east direction
-                    // Most GLB models face forward (negative Z) by default
-                    // We need to rotate them to face east (positive X)
-                    model.rotation.y = Math.PI / 2; // Rotate 90 degrees to face east
-                    
-                    // Position above the road
-                    const center = box.getCenter(new THREE.Vector3());
-                    model.position.y -= center.y;
-                    model.position.y += size.y / 2;
-                    
-                    // Enable shadows
-                    model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-                        }
-                    });
-                    
-                    console.log('✅ Car model processed successfully:', url);
-                    console.log(`📏 Model scaled by factor: ${scaleFactor.toFixed(2)}`);
-                    console.log(`🔄 Model rotation after processing: X=${model.rotation.x.toFixed(2)}, Y=${model.rotation.y.toFixed(2)}, Z=${model.rotation.z.toFixed(2)}`);
-                    resolve(model);
-                },
-                (progress) => {
-                    if (progress.total > 0) {
-                        console.log('Loading progress:', (progress.loaded / progress.total * 100).toFixed(1) + '%');
+        return this.assets.instantiate(url).then(
+            (gltf) => {
+                const model = gltf.scene;
+                
+                // Calculate proper size scaling
+                const box = new THREE.Box3().setFromObject(model);
+                const size = box.getSize(new THREE.Vector3());
+                const maxDimension = Math.max(size.x, size.y, size.z);
+                const desiredSize = 3; // Desired car size in our scene
+                const scaleFactor = desiredSize / maxDimension;
+                model.scale.set(scaleFactor, scaleFactor, scaleFactor);
+                
+                // Reset and correct orientation - rotate to face right (east)
+                model.rotation.set(0, 0, 0); // Reset all rotations first
+                
+                // Try different rotations to align with east direction
+                // Most GLB models face forward (negative Z) by default
+                // We need to rotate them to face east (positive X)
+                model.rotation.y = Math.PI / 2; // Rotate 90 degrees to face east
+                
+                // Position above the road
+                const center = box.getCenter(new THREE.Vector3());
+                model.position.y -= center.y;
+                model.position.y += size.y / 2;
+                
+                // Enable shadows
+                model.traverse((child) => {
+                    if (child.isMesh) {
+                        child.castShadow = true;
+                        child.receiveShadow = true;
                     }
-                },
-                (error) => {
-                    console.error('❌ Error loading car model:', url, error);
-                    console.log('🔄 Falling back to primitive car');
-                    resolve(this.createFallbackCar());
-                }
-            );
-        });
+                });
+                
+                console.log('✅ Car model processed successfully:', url);
+                console.log(`📏 Model scaled by factor: ${scaleFactor.toFixed(2)}`);
+                console.log(`🔄 Model rotation after processing: X=${model.rotation.x.toFixed(2)}, Y=${model.rotation.y.toFixed(2)}, Z=${model.rotation.z.toFixed(2)}`);
+                return model;
+            },
+            (error) => {
+                console.error('❌ Error loading car model:', url, error);
+                console.log('🔄 Falling back to primitive car');
+                return this.createFallbackCar();
+            }
+        );
     }
 
     // Create fallback car if model loading fails
@@ -183,90 +170,39 @@ export class VehicleLoader {
         carModel.rotation.set(0, 0, 0);
         carModel.rotation.y = rotation + Math.PI / 2; // Add base rotation to face east
         
-        // Log the final orientation for debugging
-        const direction = rotation === 0 ? 'EAST' : 
-                         rotation === Math.PI/2 ? 'NORTH' : 
-                         rotation === Math.PI ? 'WEST' : 
-                         rotation === -Math.PI/2 ? 'SOUTH' : 'UNKNOWN';
-        const finalRotation = rotation + Math.PI / 2;
-        console.log(`🎯 Car positioned at (${x}, ${z}) with rotation ${rotation.toFixed(2)} (${direction})`);
-        console.log(`🔄 Final car rotation: X=${carModel.rotation.x.toFixed(2)}, Y=${carModel.rotation.y.toFixed(2)} (${finalRotation.toFixed(2)}), Z=${carModel.rotation.z.toFixed(2)}`);
-        console.log(`🛣️ Car should be facing: ${direction} based on road direction`);
-        
         return carModel;
     }
 
     // Create vehicle fleet with external models
-    async createVehicleFleet() {
+    // spawns: [{x, z, rotation}] from TrafficManager.createSpawns(); rotation 0 faces east
+    async createVehicleFleet(spawns = []) {
         this.init();
         const vehicles = [];
         
         // Your GLB car models - using the actual filenames
         const carModels = [
             'models/car1.glb',
-            'models/car2.glb' // Using same model for now, you can add the second model filename
+            'models/car2.glb'
         ];
+        const carColors = [0xFFD700, 0x0000FF, 0x8B4513, 0xFF4500, 0x2E8B57, 0xC0C0C0];
         
-        const carConfigs = [
-            // Main Street (horizontal) - cars on left side, facing east
-            { x: -10, z: -1.2, color: 0xFFD700, rotation: 0 },
-            { x: 10, z: -1.2, color: 0x0000FF, rotation: 0 },
-
-            // Vertical roads - cars on left side, facing north
-            { x: -1.2, z: 17, color: 0x8B4513, rotation: Math.PI/2 }
-
-            // Reduced from 9 to 3 vehicles for performance
-            // Removed: 6 additional vehicles
-        ];
-        
-        console.log('🚗 Loading vehicle fleet with external models...');
-        console.log('📁 Available car models:', carModels);
-        console.log('🛣️ Road Layout Info:');
-        console.log('  - Main Street (horizontal): y=0, width=6, lanes at z=-3 to z=+3');
-        console.log('  - Central Avenue (vertical): x=0, width=6, lanes at x=-3 to x=+3');
-        console.log('  - Residential streets: y=±20, width=6, lanes at z=-3 to z=+3');
-        console.log('  - All cars should be on LEFT side of their respective roads');
+        console.log(`🚗 Loading vehicle fleet of ${spawns.length} cars...`);
         
-        for (let i = 0; i < carConfigs.length; i++) {
-            const config = carConfigs[i];
+        for (let i = 0; i < spawns.length; i++) {
+            const spawn = spawns[i];
             const modelUrl = carModels[i % carModels.length]; // Cycle through available models
+            const color = carColors[i % carColors.length];
             
-            console.log(`🔄 Creating car ${i + 1}/${carConfigs.length} with model: ${modelUrl}`);
-            console.log(`📍 Car ${i + 1} config: x=${config.x}, z=${config.z}, rotation=${config.rotation.toFixed(2)}`);
-            
-            // Determine which road this car is on
-            let roadInfo = '';
-            if (Math.abs(config.z) < 3) {
-                roadInfo = `Main Street (horizontal, y=0) - LEFT lane should be z=-1.5 to z=-3`;
-            } else if (Math.abs(config.x) < 3) {
-                roadInfo = `Central Avenue (vertical, x=0) - LEFT lane should be x=-1.5 to x=-3`;
-            } else if (Math.abs(config.z - 20) < 3) {
-                roadInfo = `Residential Street (horizontal, y=20) - LEFT lane should be z=18.5 to z=17`;
-            } else if (Math.abs(config.z + 20) < 3) {
-                roadInfo = `Residential Street (horizontal, y=-20) - LEFT lane should be z=-18.5 to z=-17`;
-            } else {
-                roadInfo = `Unknown road location - z=${config.z}, x=${config.x}`;
-            }
-            console.log(`🛣️ Car ${i + 1} is on: ${roadInfo}`);
-            
+            let car;
             try {
-                const car = await this.createCar(
-                    config.x, 
-                    config.z, 
-                    config.color, 
-                    config.rotation, 
-                    modelUrl
-                );
-                vehicles.push(car);
-                console.log(`✅ Car ${i + 1}/${carConfigs.length} created successfully at (${config.x}, ${config.z})`);
+                car = await this.createCar(spawn.x, spawn.z, color, spawn.rotation, modelUrl);
             } catch (error) {
                 console.error('❌ Error creating car:', error);
                 // Create fallback car
-                console.log('🔄 Creating fallback car...');
-                const fallbackCar = await this.createCar(config.x, config.z, config.color, config.rotation);
-                vehicles.push(fallbackCar);
-                console.log(`✅ Fallback car ${i + 1} created at (${config.x}, ${config.z})`);
+                car = await this.createCar(spawn.x, spawn.z, color, spawn.rotation);
             }
+            car.name = `vehicle_${i}`;
+            vehicles.push(car);
         }
         
         console.log(`🎉 Vehicle fleet created with ${vehicles.length} cars`);
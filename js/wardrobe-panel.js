@@ -0,0 +1,92 @@
+import { SKINS, TINT_SLOTS, TINT_SWATCHES, ACCESSORIES } from './character-appearance.js';
+import { OverlayPanel, createButton } from './ui-panel.js';
+
+// Attachment points listed in the wardrobe, in order
+const ACCESSORY_POINTS = { head: 'Hat', back: 'Back' };
+
+const SELECTED_BACKGROUND = 'rgba(255, 255, 255, 0.45)';
+
+// Wardrobe: pick the character's skin, colours and accessories (saved by CharacterAppearance)
+export class WardrobePanel extends OverlayPanel {
+    constructor(appearance) {
+        super('Wardrobe');
+        this.appearance = appearance;
+    }
+
+    renderContent() {
+        const state = this.appearance.getState();
+
+        this.addRow('Skin', Object.keys(SKINS).map((id) => {
+            return this.createChoice(SKINS[id].label, state.skin === id, () => this.appearance.setSkin(id));
+        }));
+
+        Object.entries(TINT_SLOTS).forEach(([slot, { label }]) => {
+            const color = state.tints[slot];
+            const swatches = TINT_SWATCHES.map((swatch) => {
+                const button = this.createChoice('', color === swatch, () => this.appearance.setTint(slot, swatch));
+                button.title = swatch;
+                button.style.width = '22px';
+                button.style.height = '22px';
+                button.style.backgroundColor = swatch;
+                if (color === swatch) button.style.border = '2px solid white';
+                return button;
+            });
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = color;
+            picker.title = 'Any colour';
+            picker.style.verticalAlign = 'middle';
+            picker.addEventListener('change', () => {
+                this.appearance.setTint(slot, picker.value);
+                this.render();
+            });
+            this.addRow(label, [...swatches, picker]);
+        });
+
+        Object.entries(ACCESSORY_POINTS).forEach(([point, label]) => {
+            const ids = Object.keys(ACCESSORIES).filter(id => ACCESSORIES[id].point === point);
+            this.addRow(label, [null, ...ids].map((id) => {
+                const name = id ? ACCESSORIES[id].label : 'None';
+                return this.createChoice(name, state.accessories[point] === id, () => this.appearance.setAccessory(point, id));
+            }));
+        });
+
+        const reset = createButton('Reset');
+        reset.addEventListener('click', () => {
+            this.appearance.reset();
+            this.render();
+        });
+        const close = this.createCloseButton();
+        close.style.marginLeft = '8px';
+        this.element.appendChild(reset);
+        this.element.appendChild(close);
+    }
+
+    // Labelled line of controls
+    addRow(label, controls) {
+        const row = document.createElement('div');
+        row.style.marginBottom = '8px';
+        const name = document.createElement('div');
+        name.textContent = label;
+        name.style.fontSize = '12px';
+        name.style.opacity = '0.7';
+        name.style.marginBottom = '4px';
+        row.appendChild(name);
+        controls.forEach((control) => {
+            control.style.margin = '0 6px 4px 0';
+            row.appendChild(control);
+        });
+        this.element.appendChild(row);
+    }
+
+    // Button that applies a choice and redraws the panel, highlighted when selected
+    createChoice(text, selected, choose) {
+        const button = createButton(text);
+        if (selected) button.style.background = SELECTED_BACKGROUND;
+        button.addEventListener('click', () => {
+            choose();
+            this.render();
+        });
+        return button;
+    }
+}
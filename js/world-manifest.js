@@ -0,0 +1,315 @@
+// World manifest loading and validation
+//
+// The manifest (data/world.json) describes everything EnvironmentManager.create()
+// places in the world: terrain, the procedural city parameters, extra road
+// segments, building districts and props, plus the camera fly-throughs
+// (cinematics) that tour them.
+// Invalid entries are reported individually and skipped so one typo does not
+// take down the whole layout.
+
+import { COLLIDER_SHAPES } from './collider-builder.js';
+
+export const WORLD_MANIFEST_URL = 'data/world.json';
+
+// Prop types understood by EnvironmentManager.createProp()
+export const PROP_TYPES = ['archway', 'logoPodium', 'reporter', 'tripodCamera', 'fountain', 'model'];
+
+// Road kinds with a speed limit in CONFIG.ROADS.SPEED_LIMITS
+export const ROAD_KINDS = ['arterial', 'side'];
+
+// Collider types understood by EnvironmentManager.addPropCollider()
+export const COLLIDER_TYPES = ['none', 'pillars', ...COLLIDER_SHAPES];
+
+// Interpolation and easing names understood by CameraPath (camera-path.js)
+export const CINEMATIC_INTERPOLATIONS = ['linear', 'catmullrom'];
+export const CINEMATIC_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isColor = (v) => typeof v === 'string' || isNumber(v);
+const isPoint = (v) => v && isNumber(v.x) && isNumber(v.y) && isNumber(v.z);
+
+/**
+ * Fetch and validate a world manifest
+ * @param {string} url - Manifest URL
+ * @returns {Promise<{manifest: Object, errors: Array<{path: string, message: string}>}>}
+ */
+export async function loadWorldManifest(url = WORLD_MANIFEST_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    const json = await response.json();
+    return validateWorldManifest(json);
+}
+
+/**
+ * Validate a parsed world manifest
+ * Returns a sanitized copy containing only the valid entries, plus one error per rejected entry.
+ * @param {Object} json - Parsed manifest
+ * @returns {{manifest: Object, errors: Array<{path: string, message: string}>}}
+ */
+export function validateWorldManifest(json) {
+    const errors = [];
+    const manifest = {
+        version: 1,
+        terrain: {},
+        city: null,
+        roads: { segments: [], intersections: [], flyovers: [] },
+        districts: [],
+        props: [],
+        cinematics: []
+    };
+
+    if (!json || typeof json !== 'object') {
+        errors.push({ path: '', message: 'manifest must be an object' });
+        return { manifest, errors };
+    }
+
+    if (json.version !== undefined) manifest.version = json.version;
+
+    // Terrain
+    if (json.terrain !== undefined) {
+        const t = json.terrain;
+        if (!t || typeof t !== 'object') {
+            errors.push({ path: 'terrain', message: 'must be an object' });
+        } else {
+            if (t.size !== undefined) {
+                if (isNumber(t.size) && t.size > 0) manifest.terrain.size = t.size;
+                else errors.push({ path: 'terrain.size', message: 'must be a positive number' });
+            }
+            if (t.segments !== undefined) {
+                if (Number.isInteger(t.segments) && t.segments > 0) manifest.terrain.segments = t.segments;
+                else errors.push({ path: 'terrain.segments', message: 'must be a positive integer' });
+            }
+            if (t.color !== undefined) {
+                if (isColor(t.color)) manifest.terrain.color = t.color;
+                else errors.push({ path: 'terrain.color', message: 'must be a color string or number' });
+            }
+            if (t.hillHeight !== undefined) {
+                if (isNumber(t.hillHeight) && t.hillHeight >= 0) manifest.terrain.hillHeight = t.hillHeight;
+                else errors.push({ path: 'terrain.hillHeight', message: 'must be a non-negative number' });
+            }
+        }
+    }
+
+    // Procedural city (see city-generator.js); omitted means roads and districts come only from the manifest
+    if (json.city !== undefined) {
+        const c = json.city;
+        if (!c || typeof c !== 'object') {
+            errors.push({ path: 'city', message: 'must be an object' });
+        } else {
+            manifest.city = { reserved: [] };
+            for (const key of ['halfSize', 'minBlockSize']) {
+                if (c[key] === undefined) continue;
+                if (isNumber(c[key]) && c[key] > 0) manifest.city[key] = c[key];
+                else errors.push({ path: `city.${key}`, message: 'must be a positive number' });
+            }
+            if (c.maxSplitDepth !== undefined) {
+                if (Number.isInteger(c.maxSplitDepth) && c.maxSplitDepth >= 0) manifest.city.maxSplitDepth = c.maxSplitDepth;
+                else errors.push({ path: 'city.maxSplitDepth', message: 'must be a non-negative integer' });
+            }
+            for (const key of ['sideStreetChance', 'commercialRadius', 'industrialChance', 'lotFill']) {
+                if (c[key] === undefined) continue;
+                if (isNumber(c[key]) && c[key] >= 0 && c[key] <= 1) manifest.city[key] = c[key];
+                else errors.push({ path: `city.${key}`, message: 'must be a number between 0 and 1' });
+            }
+            if (c.arterialSpacing !== undefined) {
+                const a = c.arterialSpacing;
+                if (a && isNumber(a.min) && isNumber(a.max) && a.min > 0 && a.min <= a.max) {
+                    manifest.city.arterialSpacing = { min: a.min, max: a.max };
+                } else {
+                    errors.push({ path: 'city.arterialSpacing', message: 'needs positive min/max with min not exceeding max' });
+                }
+            }
+            validateList(c.reserved, 'city.reserved', errors, (r, path) => {
+                if (!isNumber(r.x) || !isNumber(r.z)) return 'needs numeric x and z';
+                if (!isNumber(r.radius) || r.radius <= 0) return 'radius must be a positive number';
+                manifest.city.reserved.push({ x: r.x, z: r.z, radius: r.radius });
+                return null;
+            });
+        }
+    }
+
+    // Roads
+    const roads = json.roads || {};
+    validateList(roads.segments, 'roads.segments', errors, (s, path) => {
+        if (s.along !== 'x' && s.along !== 'z') return 'along must be "x" or "z"';
+        if (!isNumber(s.at)) return 'at must be a number';
+        if (!isNumber(s.from) || !isNumber(s.to)) return 'from/to must be numbers';
+        if (s.from > s.to) return 'from must not exceed to';
+        if (s.kind !== undefined && !ROAD_KINDS.includes(s.kind)) return `kind must be one of ${ROAD_KINDS.join(', ')}`;
+        if (s.lanes !== undefined && (!Number.isInteger(s.lanes) || s.lanes < 1)) return 'lanes must be a positive integer';
+        if (s.oneWay !== undefined && typeof s.oneWay !== 'boolean') return 'oneWay must be a boolean';
+        if (s.speedLimit !== undefined && (!isNumber(s.speedLimit) || s.speedLimit <= 0)) return 'speedLimit must be a positive number';
+        manifest.roads.segments.push({
+            name: s.name || path,
+            along: s.along,
+            at: s.at,
+            from: s.from,
+            to: s.to,
+            kind: s.kind || 'side',
+            lanes: s.lanes,
+            oneWay: s.oneWay === true,
+            speedLimit: s.speedLimit
+        });
+        return null;
+    });
+    validateList(roads.intersections, 'roads.intersections', errors, (i, path) => {
+        if (!isNumber(i.x) || !isNumber(i.z)) return 'needs numeric x and z';
+        manifest.roads.intersections.push({ x: i.x, z: i.z });
+        return null;
+    });
+    validateList(roads.flyovers, 'roads.flyovers', errors, (f, path) => {
+        if (!isNumber(f.x) || !isNumber(f.z)) return 'needs numeric x and z';
+        if (!isNumber(f.length) || f.length <= 0) return 'length must be a positive number';
+        manifest.roads.flyovers.push({
+            name: f.name || path,
+            x: f.x,
+            z: f.z,
+            length: f.length,
+            startElevation: isNumber(f.startElevation) ? f.startElevation : 0,
+            endElevation: isNumber(f.endElevation) ? f.endElevation : 0,
+            tilt: isNumber(f.tilt) ? f.tilt : 0
+        });
+        return null;
+    });
+
+    // Districts
+    validateList(json.districts, 'districts', errors, (d, path) => {
+        if (typeof d.name !== 'string' || !d.name) return 'name must be a non-empty string';
+        const district = { name: d.name, buildings: [] };
+        validateList(d.buildings, `${path}.buildings`, errors, (b, bPath) => {
+            if (!isNumber(b.x) || !isNumber(b.z)) return 'needs numeric x and z';
+            for (const key of ['width', 'height', 'depth']) {
+                if (!isNumber(b[key]) || b[key] <= 0) return `${key} must be a positive number`;
+            }
+            if (!isColor(b.color)) return 'color must be a color string or number';
+            if (b.roofColor !== undefined && !isColor(b.roofColor)) return 'roofColor must be a color string or number';
+            district.buildings.push({ ...b });
+            return null;
+        });
+        manifest.districts.push(district);
+        return null;
+    });
+
+    // Props
+    const ids = new Set();
+    // Every explicit id in the file, so a generated one cannot match an id listed further down
+    const takenIds = new Set((Array.isArray(json.props) ? json.props : [])
+        .map(p => p && p.id)
+        .filter(id => typeof id === 'string' && id));
+    validateList(json.props, 'props', errors, (p, path) => {
+        if (!PROP_TYPES.includes(p.type)) return `type must be one of ${PROP_TYPES.join(', ')}`;
+        if (typeof p.url !== 'string' || !p.url) return 'url must be a non-empty string';
+        if (p.id !== undefined) {
+            if (typeof p.id !== 'string' || !p.id) return 'id must be a non-empty string';
+            if (ids.has(p.id)) return `id "${p.id}" is already used`;
+        }
+        if (p.type === 'tripodCamera') {
+            if (typeof p.target !== 'string' || !p.target) return 'target must name another prop';
+        } else if (!p.position || !isNumber(p.position.x) || !isNumber(p.position.z)) {
+            return 'position needs numeric x and z';
+        }
+        if (p.position && p.position.y !== undefined && !isNumber(p.position.y)) return 'position.y must be a number';
+        if (p.rotationY !== undefined && !isNumber(p.rotationY)) return 'rotationY must be a number (degrees)';
+        if (p.scaleTarget !== undefined && (!isNumber(p.scaleTarget) || p.scaleTarget <= 0)) return 'scaleTarget must be a positive number';
+        if (p.scale !== undefined && (!isNumber(p.scale) || p.scale <= 0)) return 'scale must be a positive number';
+        const collider = p.collider === undefined ? 'none' : p.collider;
+        if (!COLLIDER_TYPES.includes(collider)) return `collider must be one of ${COLLIDER_TYPES.join(', ')}`;
+        if (p.animate !== undefined && typeof p.animate !== 'boolean') return 'animate must be a boolean';
+
+        let id = p.id;
+        if (id) {
+            ids.add(id);
+        } else {
+            id = `${p.type}_${manifest.props.length}`;
+            for (let n = 2; takenIds.has(id); n++) id = `${p.type}_${manifest.props.length}_${n}`;
+            takenIds.add(id);
+        }
+        manifest.props.push({
+            ...p,
+            id,
+            position: p.position ? { x: p.position.x, y: p.position.y || 0, z: p.position.z } : null,
+            rotationY: p.rotationY || 0,
+            scale: p.scale || 1,
+            collider,
+            animate: p.animate === true
+        });
+        return null;
+    });
+
+    // Tripod targets must refer to a prop that is placed before them
+    manifest.props = manifest.props.filter((p, index) => {
+        if (p.type !== 'tripodCamera') return true;
+        const targetIndex = manifest.props.findIndex(o => o.id === p.target);
+        if (targetIndex === -1 || targetIndex > index) {
+            errors.push({ path: `props (${p.id})`, message: `target "${p.target}" must be a prop listed earlier` });
+            return false;
+        }
+        return true;
+    });
+
+    // Cinematics: keyframes either give position/target or name a viewpoint prop
+    const cinematicIds = new Set();
+    validateList(json.cinematics, 'cinematics', errors, (c, path) => {
+        if (typeof c.id !== 'string' || !c.id) return 'id must be a non-empty string';
+        if (cinematicIds.has(c.id)) return `id "${c.id}" is already used`;
+        const interpolation = c.interpolation === undefined ? 'linear' : c.interpolation;
+        if (!CINEMATIC_INTERPOLATIONS.includes(interpolation)) {
+            return `interpolation must be one of ${CINEMATIC_INTERPOLATIONS.join(', ')}`;
+        }
+        if (!Array.isArray(c.keyframes) || c.keyframes.length === 0) return 'keyframes must be a non-empty array';
+
+        const keyframes = [];
+        for (let index = 0; index < c.keyframes.length; index++) {
+            const k = c.keyframes[index];
+            const where = `keyframes[${index}]`;
+            if (!k || typeof k !== 'object') return `${where} must be an object`;
+            if (k.viewpoint !== undefined) {
+                if (typeof k.viewpoint !== 'string' || !k.viewpoint) return `${where}.viewpoint must name a prop`;
+            } else if (!isPoint(k.position) || !isPoint(k.target)) {
+                return `${where} needs a viewpoint or numeric position and target {x, y, z}`;
+            }
+            if (k.fov !== undefined && (!isNumber(k.fov) || k.fov <= 0 || k.fov >= 180)) return `${where}.fov must be between 0 and 180`;
+            for (const key of ['duration', 'hold']) {
+                if (k[key] !== undefined && (!isNumber(k[key]) || k[key] < 0)) return `${where}.${key} must be a non-negative number`;
+            }
+            if (k.easing !== undefined && !CINEMATIC_EASINGS.includes(k.easing)) {
+                return `${where}.easing must be one of ${CINEMATIC_EASINGS.join(', ')}`;
+            }
+            keyframes.push({
+                viewpoint: k.viewpoint,
+                position: k.position && { x: k.position.x, y: k.position.y, z: k.position.z },
+                target: k.target && { x: k.target.x, y: k.target.y, z: k.target.z },
+                fov: k.fov,
+                duration: k.duration || 0,
+                hold: k.hold || 0,
+                easing: k.easing || 'easeInOut'
+            });
+        }
+
+        cinematicIds.add(c.id);
+        manifest.cinematics.push({ id: c.id, interpolation, keyframes });
+        return null;
+    });
+
+    return { manifest, errors };
+}
+
+// Run an entry validator over an optional array, collecting one error per bad entry
+function validateList(list, path, errors, validateEntry) {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+        errors.push({ path, message: 'must be an array' });
+        return;
+    }
+    list.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push({ path: entryPath, message: 'must be an object' });
+            return;
+        }
+        const message = validateEntry(entry, entryPath);
+        if (message) errors.push({ path: entryPath, message });
+    });
+}
@@ -0,0 +1,224 @@
+// World streaming - loads the map in grid chunks around the player
+//
+// Everything static (road pieces, street lamps, buildings, trees, props) is
+// planned up front as lightweight items and sorted into square chunks of
+// CONFIG.STREAMING.CHUNK_SIZE by position. A chunk is only built (meshes and
+// Cannon bodies) once the focus point comes within LOAD_RADIUS of it, and torn
+// down again - GPU resources and bodies included - once the focus is more than
+// UNLOAD_MARGIN further away. Chunks are built one at a time, nearest first.
+// A chunk that fails to build or attach is retried after RETRY_DELAY, doubling
+// with each failure, so one broken asset cannot stall the rest of the map.
+//
+// The loader (EnvironmentManager) does the actual work:
+//   buildChunk(chunk)          -> Promise of whatever attachChunk() needs, off-scene
+//   attachChunk(chunk, built)  adds it to the scene and physics world
+//   detachChunk(chunk)         removes and disposes everything attachChunk() added
+//   discardChunk(chunk, built) disposes a build that is no longer wanted
+
+import { CONFIG } from './config.js';
+
+export class WorldStreamer {
+    /**
+     * @param {Object} loader - Builds, attaches and detaches chunks (see above)
+     * @param {Object} options
+     * @param {number} options.chunkSize - Chunk edge length in world units
+     * @param {number} options.loadRadius - Chunks closer than this to the focus are loaded
+     * @param {number} options.unloadMargin - Extra distance before a loaded chunk is dropped
+     */
+    constructor(loader, options = {}) {
+        const settings = CONFIG.STREAMING;
+        this.loader = loader;
+        this.chunkSize = options.chunkSize || settings.CHUNK_SIZE;
+        // With streaming off every chunk counts as in range, so the whole map loads once
+        this.loadRadius = settings.ENABLED ? (options.loadRadius ?? settings.LOAD_RADIUS) : Infinity;
+        this.unloadRadius = this.loadRadius + (options.unloadMargin ?? settings.UNLOAD_MARGIN);
+
+        this.chunks = new Map();  // "cx,cz" -> chunk
+        this.focus = { x: 0, z: 0 };
+        this.loading = null;      // Promise of the chunk being built
+        this.disposed = false;
+    }
+
+    /**
+     * Chunk containing a world position, created empty on first use
+     * @param {number} x
+     * @param {number} z
+     * @returns {Object} Chunk {key, cx, cz, items, state}
+     */
+    chunkAt(x, z) {
+        const cx = Math.floor(x / this.chunkSize);
+        const cz = Math.floor(z / this.chunkSize);
+        const key = `${cx},${cz}`;
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            chunk = {
+                key,
+                cx,
+                cz,
+                items: [],          // Plans placed in this chunk by add()
+                state: 'unloaded',  // 'unloaded' | 'loading' | 'loaded' | 'failed'
+                failures: 0,        // Failed loads in a row
+                retryAt: 0,         // When a failed chunk may be tried again (seconds, performance clock)
+                objects: [],        // Scene objects while loaded
+                bodies: []          // Cannon bodies while loaded
+            };
+            this.chunks.set(key, chunk);
+        }
+        return chunk;
+    }
+
+    /**
+     * Put a planned item in the chunk under its position
+     * @param {Object} item - Anything with numeric x and z
+     * @returns {Object} The chunk it was added to
+     */
+    add(item) {
+        const chunk = this.chunkAt(item.x, item.z);
+        chunk.items.push(item);
+        return chunk;
+    }
+
+    // Distance from a point to the nearest edge of a chunk (0 inside it)
+    distanceTo(chunk, x, z) {
+        const size = this.chunkSize;
+        const dx = Math.max(chunk.cx * size - x, 0, x - (chunk.cx + 1) * size);
+        const dz = Math.max(chunk.cz * size - z, 0, z - (chunk.cz + 1) * size);
+        return Math.hypot(dx, dz);
+    }
+
+    /**
+     * Move the focus point: drops chunks that fell out of range and starts
+     * building the nearest missing one. Call every frame; returns immediately.
+     * @param {{x: number, z: number}} position - Usually the player
+     * @returns {boolean} Whether any chunk was unloaded
+     */
+    update(position) {
+        if (this.disposed) return false;
+        this.focus.x = position.x;
+        this.focus.z = position.z;
+
+        let unloaded = false;
+        this.chunks.forEach(chunk => {
+            if (chunk.state === 'loaded' && this.distanceTo(chunk, position.x, position.z) > this.unloadRadius) {
+                this.unloadChunk(chunk);
+                unloaded = true;
+            }
+        });
+
+        if (!this.loading) {
+            const next = this.nextChunkToLoad();
+            if (next) this.loadChunk(next);
+        }
+        return unloaded;
+    }
+
+    /**
+     * Load every chunk in range of a position, e.g. around the spawn point before the first frame
+     * @param {{x: number, z: number}} position
+     */
+    async loadAround(position) {
+        this.focus.x = position.x;
+        this.focus.z = position.z;
+        if (this.loading) await this.loading;
+        // Chunks that fail here are left for update() to retry
+        let next = this.nextChunkToLoad(false);
+        while (next && !this.disposed) {
+            await this.loadChunk(next);
+            next = this.nextChunkToLoad(false);
+        }
+    }
+
+    // Nearest unloaded chunk with something in it within the load radius,
+    // including failed chunks whose retry delay has passed
+    nextChunkToLoad(retryFailed = true) {
+        const now = performance.now() / 1000;
+        let best = null;
+        let bestDistance = Infinity;
+        this.chunks.forEach(chunk => {
+            if (chunk.items.length === 0) return;
+            if (chunk.state === 'failed') {
+                if (!retryFailed || now < chunk.retryAt) return;
+            } else if (chunk.state !== 'unloaded') {
+                return;
+            }
+            const distance = this.distanceTo(chunk, this.focus.x, this.focus.z);
+            if (distance <= this.loadRadius && distance < bestDistance) {
+                best = chunk;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Build and attach a chunk; never rejects, a failure marks the chunk for a later retry
+    loadChunk(chunk) {
+        chunk.state = 'loading';
+        this.loading = this.buildAndAttach(chunk).catch((error) => {
+            const settings = CONFIG.STREAMING;
+            chunk.failures++;
+            const delay = Math.min(settings.RETRY_DELAY * 2 ** (chunk.failures - 1), settings.MAX_RETRY_DELAY);
+            chunk.retryAt = performance.now() / 1000 + delay;
+            chunk.state = 'failed';
+            console.error(`❌ Failed to load chunk ${chunk.key} (retrying in ${delay}s):`, error);
+        }).finally(() => {
+            this.loading = null;
+        });
+        return this.loading;
+    }
+
+    async buildAndAttach(chunk) {
+        const built = await this.loader.buildChunk(chunk);
+        // The world may have been torn down, or the player moved on, while this chunk was building
+        const wanted = !this.disposed && this.distanceTo(chunk, this.focus.x, this.focus.z) <= this.unloadRadius;
+        if (!wanted) {
+            chunk.state = 'unloaded';
+            this.loader.discardChunk(chunk, built);
+            return;
+        }
+        try {
+            this.loader.attachChunk(chunk, built);
+        } catch (error) {
+            // Take back whatever made it into the scene and physics world
+            this.unloadChunk(chunk);
+            throw error;
+        }
+        chunk.state = 'loaded';
+        chunk.failures = 0;
+    }
+
+    unloadChunk(chunk) {
+        this.loader.detachChunk(chunk);
+        chunk.objects = [];
+        chunk.bodies = [];
+        chunk.state = 'unloaded';
+    }
+
+    /**
+     * Unload every chunk; a chunk still building is discarded when it finishes
+     */
+    dispose() {
+        this.disposed = true;
+        this.chunks.forEach(chunk => {
+            if (chunk.state === 'loaded') this.unloadChunk(chunk);
+        });
+    }
+
+    /**
+     * Chunk counts for the debug overlay and logs
+     * @returns {{chunks: number, loaded: number, loading: number, failed: number}}
+     */
+    getStats() {
+        let loaded = 0;
+        let loading = 0;
+        let failed = 0;
+        let chunks = 0;
+        this.chunks.forEach(chunk => {
+            if (chunk.items.length === 0) return;
+            chunks++;
+            if (chunk.state === 'loaded') loaded++;
+            if (chunk.state === 'loading') loading++;
+            if (chunk.state === 'failed') failed++;
+        });
+        return { chunks, loaded, loading, failed };
+    }
+}
@@ -0,0 +1,91 @@
+// Generated by tools/precache-manifest.mjs - do not edit by hand
+self.PRECACHE_MANIFEST = {
+    version: '2dee0f320f3f',
+    entries: [
+        {"url":"index.html","revision":"24a5d5930e9b"},
+        {"url":"js/asset-manager.js","revision":"e9fdc8693c99"},
+        {"url":"js/asset-preloader.js","revision":"3901ab3c7976"},
+        {"url":"js/bindings-panel.js","revision":"f1f3a8aebc52"},
+        {"url":"js/boundaries.js","revision":"486ccbeedaf7"},
+        {"url":"js/buildings-clean.js","revision":"534ecd3a2861"},
+        {"url":"js/buildings.js","revision":"1baf04e3a7f0"},
+        {"url":"js/camera-path.js","revision":"c670ae488c4f"},
+        {"url":"js/camera.js","revision":"cfaaebd5e2af"},
+        {"url":"js/character-animator.js","revision":"d9ee819c49cd"},
+        {"url":"js/character-appearance.js","revision":"b58c4e171d0a"},
+        {"url":"js/character.js","revision":"9b1e36e5877e"},
+        {"url":"js/city-generator.js","revision":"c7ac09f0d360"},
+        {"url":"js/collider-builder.js","revision":"85dc5dbbd12d"},
+        {"url":"js/collision-detection.js","revision":"2ef580ce6e51"},
+        {"url":"js/config.js","revision":"e8d91f4bcc9e"},
+        {"url":"js/day-night.js","revision":"84a188f22e5a"},
+        {"url":"js/environment.js","revision":"b3ae917dfa6f"},
+        {"url":"js/game.js","revision":"fba810c9b125"},
+        {"url":"js/input-manager.js","revision":"ed60e027b4df"},
+        {"url":"js/main.js","revision":"2a1fe03f981c"},
+        {"url":"js/performance.js","revision":"4bf9291c570c"},
+        {"url":"js/physics.js","revision":"bd017f6d6aa6"},
+        {"url":"js/post-processing.js","revision":"407b2e90e5e4"},
+        {"url":"js/quality-manager.js","revision":"7b796c7477d4"},
+        {"url":"js/quality-panel.js","revision":"4d213c0c7562"},
+        {"url":"js/road-graph.js","revision":"b67b783b824d"},
+        {"url":"js/roads-clean.js","revision":"822fd2a1021e"},
+        {"url":"js/roads.js","revision":"e461619df6d0"},
+        {"url":"js/scene.js","revision":"2f652e1a7b01"},
+        {"url":"js/shadow-system.js","revision":"5faeb950fafe"},
+        {"url":"js/terrain.js","revision":"fb394e3bfbee"},
+        {"url":"js/traffic.js","revision":"f220b5cf945e"},
+        {"url":"js/tree-loader.js","revision":"b48a67b96607"},
+        {"url":"js/ui-panel.js","revision":"3a3547a2e829"},
+        {"url":"js/utils/instance-batcher.js","revision":"4e47853a2353"},
+        {"url":"js/utils/lod-manager.js","revision":"63dad1c6bc1b"},
+        {"url":"js/utils/logger.js","revision":"ad42361f09d4"},
+        {"url":"js/utils/mesh-simplifier.js","revision":"042fca1e0154"},
+        {"url":"js/utils/object-pool.js","revision":"1061f0479408"},
+        {"url":"js/utils/random.js","revision":"2d85b1adf56a"},
+        {"url":"js/utils/static-merger.js","revision":"2e2fb591cfa2"},
+        {"url":"js/utils/texture-utils.js","revision":"937d6c6c7bd6"},
+        {"url":"js/vegetation-clean.js","revision":"1b191b5aa282"},
+        {"url":"js/vegetation.js","revision":"f90ea7ada61f"},
+        {"url":"js/vehicle-controller.js","revision":"9aaddd89bb57"},
+        {"url":"js/vehicle-loader.js","revision":"22c23905f8df"},
+        {"url":"js/vehicles.js","revision":"55c941edeb35"},
+        {"url":"js/wardrobe-panel.js","revision":"463bccab4171"},
+        {"url":"js/world-manifest.js","revision":"7e618139d2ef"},
+        {"url":"js/world-streamer.js","revision":"9dbdabb207e1"},
+        {"url":"data/world.json","revision":"cced7481ba8f"},
+        {"url":"models/archway.glb","revision":"70cf96158d45"},
+        {"url":"models/camera.glb","revision":"7d29891b5783"},
+        {"url":"models/car1.glb","revision":"d5a563b11ad9"},
+        {"url":"models/car2.glb","revision":"e3961f7f2d97"},
+        {"url":"models/logo.glb","revision":"06097d88656d"},
+        {"url":"models/mascot.png","revision":"e232add10ee6"},
+        {"url":"models/reporter.jpeg","revision":"8133f6802eef"},
+        {"url":"models/restaurant.glb","revision":"ebcea63d83b5"},
+        {"url":"models/skybox.glb","revision":"77dc6d511801"},
+        {"url":"models/tree.glb","revision":"1b775e9a2fba"},
+        {"url":"https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js","revision":null},
+        {"url":"https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/libs/draco/draco_encoder.js","revision":null},
+        {"url":"https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/DRACOLoader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/loaders/GLTFLoader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/loaders/OBJLoader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/utils/SkeletonUtils.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/CopyShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/GammaCorrectionShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/FXAAShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/SMAAShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/SSAOShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/LuminosityHighPassShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/shaders/VignetteShader.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/math/SimplexNoise.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/EffectComposer.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/RenderPass.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/ShaderPass.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/SMAAPass.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/SSAOPass.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/UnrealBloomPass.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/postprocessing/LUTPass.js","revision":null},
+        {"url":"https://cdnjs.cloudflare.com/ajax/libs/cannon.js/0.6.2/cannon.min.js","revision":null},
+        {"url":"https://unpkg.com/three@0.128.0/examples/js/math/ConvexHull.js","revision":null}
+    ]
+};
@@ -1,46 +1,151 @@
-// Basic service worker for caching static assets
-const CACHE_NAME = 'tif-site-v1';
-const urlsToCache = [
-    '/',
-    '/index.html',
-    '/js/main.js',
-    '/js/game.js',
-    '/js/config.js',
-    '/js/scene.js',
-    '/js/character.js',
-    '/js/camera.js',
-    '/js/physics.js',
-    '/js/environment.js',
-    '/js/collision-detection.js',
-    '/js/terrain.js',
-    '/js/tree-loader.js',
-    '/js/vehicle-loader.js',
-    '/js/boundaries.js',
-    '/js/buildings-clean.js',
-    '/js/roads-clean.js',
-    '/js/vegetation-clean.js',
-    '/js/buildings.js',
-    '/js/roads.js',
-    '/js/vegetation.js',
-    '/js/vehicles.js'
-];
+// Service worker: versioned precache plus runtime caching
+//
+// precache-manifest.js (generated by tools/precache-manifest.mjs) lists every
+// file with a content hash. Each deploy gets its own precache named after the
+// manifest version; unchanged files are copied over from the previous version
+// instead of downloaded again, and old caches are deleted on activate. The new
+// worker waits until the page accepts the "new version" prompt (see main.js).
+importScripts('precache-manifest.js');
+
+const CACHE_PREFIX = 'tif-';
+const PRECACHE = `${CACHE_PREFIX}precache-${self.PRECACHE_MANIFEST.version}`;
+const RUNTIME = `${CACHE_PREFIX}runtime`;
+const RUNTIME_MAX_ENTRIES = 60;
+
+// Served stale-while-revalidate when not precached
+const LARGE_ASSET = /\.(glb|gltf|bin|obj|png|jpe?g|webp|ktx2|hdr|wasm)$/i;
+
+const scopeUrl = new URL(self.registration.scope);
+
+// Precache entries by path relative to the scope (or full URL for vendor scripts)
+const precacheEntries = new Map(self.PRECACHE_MANIFEST.entries.map(entry => [entry.url, entry]));
+
+function entryUrl(entry) {
+    return new URL(entry.url, scopeUrl);
+}
+
+// Cache key pinned to the file's revision so a changed file never matches an old copy
+function cacheKey(entry) {
+    const url = entryUrl(entry);
+    if (entry.revision) url.searchParams.set('__rev', entry.revision);
+    return url.href;
+}
+
+// Manifest entry for a request, ignoring query strings such as AssetPreloader's ?v=
+function findEntry(request) {
+    const url = new URL(request.url);
+    if (url.origin !== scopeUrl.origin) {
+        return precacheEntries.get(url.href) || null;
+    }
+    if (!url.pathname.startsWith(scopeUrl.pathname)) return null;
+    const path = url.pathname.slice(scopeUrl.pathname.length);
+    if (request.mode === 'navigate' || path === '') {
+        return precacheEntries.get('index.html') || null;
+    }
+    return precacheEntries.get(path) || null;
+}
 
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => cache.addAll(urlsToCache))
-    );
-});
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE);
+        await Promise.all(self.PRECACHE_MANIFEST.entries.map(async (entry) => {
+            const key = cacheKey(entry);
+            if (await cache.match(key)) return;
 
-self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                if (response) {
-                    return response;
+            // Same revision in an older precache: reuse it rather than downloading again
+            let response = await caches.match(key);
+            if (!response) {
+                const url = entryUrl(entry);
+                const crossOrigin = url.origin !== scopeUrl.origin;
+                response = await fetch(url.href, { cache: 'reload', mode: crossOrigin ? 'no-cors' : 'same-origin' });
+                if (!response.ok && response.type !== 'opaque') {
+                    throw new Error(`Precache failed for ${entry.url}: HTTP ${response.status}`);
                 }
-                return fetch(event.request);
             }
-        )
-    );
+            await cache.put(key, response);
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== RUNTIME)
+            .map(name => caches.delete(name)));
+        // Take over pages opened before the first install so they work offline too
+        await self.clients.claim();
+    })());
 });
+
+// The page asks the waiting worker to take over once the player accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const entry = findEntry(request);
+    if (entry) {
+        event.respondWith(fromPrecache(entry, request));
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== scopeUrl.origin || LARGE_ASSET.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function fromPrecache(entry, request) {
+    const cache = await caches.open(PRECACHE);
+    const cached = await cache.match(cacheKey(entry));
+    return cached || fetch(request);
+}
+
+// Answer from the cache at once and refresh the copy in the background
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(event.request, response.clone());
+            await trimCache(cache);
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Fresh copy when online, last seen copy when offline
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimCache(cache);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Drop the oldest runtime entries once the cache grows past RUNTIME_MAX_ENTRIES
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_MAX_ENTRIES)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,61 @@
+// Generate precache-manifest.js for the service worker
+//
+// Lists every file the game needs offline (page, code, data, models, textures)
+// with a content hash, plus the CDN scripts referenced by index.html. sw.js
+// derives its cache version from these hashes, so run this before deploying:
+//
+//     node tools/precache-manifest.mjs
+
+import { createHash } from 'crypto';
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'precache-manifest.js');
+
+// Files and directories served to the browser
+const INCLUDE = ['index.html', 'js', 'data', 'models'];
+const EXTENSIONS = new Set(['.html', '.js', '.json', '.glb', '.gltf', '.bin', '.obj', '.png', '.jpg', '.jpeg', '.webp', '.ktx2']);
+
+function listFiles(path) {
+    const stats = statSync(path);
+    if (stats.isFile()) return [path];
+    return readdirSync(path).sort().flatMap(name => listFiles(join(path, name)));
+}
+
+function hash(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+const files = INCLUDE.flatMap(entry => listFiles(join(ROOT, entry)))
+    .filter(path => EXTENSIONS.has(path.slice(path.lastIndexOf('.')).toLowerCase()))
+    .map(path => ({
+        url: relative(ROOT, path).split(sep).join('/'),
+        revision: hash(readFileSync(path)),
+        size: statSync(path).size
+    }));
+
+// Vendor scripts are versioned by their URL
+const html = readFileSync(join(ROOT, 'index.html'), 'utf8');
+const vendor = [...html.matchAll(/<script[^>]+src="(https?:\/\/[^"]+)"/g)].map(match => ({
+    url: match[1],
+    revision: null
+}));
+
+const entries = [...files.map(({ url, revision }) => ({ url, revision })), ...vendor];
+const version = hash(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'));
+const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+// One entry per line keeps diffs of the generated file readable
+writeFileSync(OUTPUT, `// Generated by tools/precache-manifest.mjs - do not edit by hand
+self.PRECACHE_MANIFEST = {
+    version: '${version}',
+    entries: [
+${entries.map(entry => `        ${JSON.stringify(entry)}`).join(',\n')}
+    ]
+};
+`);
+
+console.log(`Wrote ${relative(ROOT, OUTPUT)}: version ${version}, ${files.length} files ` +
+            `(${(totalSize / 1048576).toFixed(1)} MB) and ${vendor.length} vendor scripts`);